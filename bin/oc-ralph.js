@@ -9,7 +9,10 @@ import { StartCommand } from '../src/commands/StartCommand.js';
 import { StatusCommand } from '../src/commands/StatusCommand.js';
 import { ResumeCommand } from '../src/commands/ResumeCommand.js';
 import { CleanupCommand } from '../src/commands/CleanupCommand.js';
+import { PauseCommand } from '../src/commands/PauseCommand.js';
+import { CancelCommand } from '../src/commands/CancelCommand.js';
 import { ServiceCommand } from '../src/commands/ServiceCommand.js';
+import { WebhookReplayCommand } from '../src/commands/WebhookReplayCommand.js';
 import { Logger } from '../src/logging/Logger.js';
 
 const logger = new Logger({ level: 'info' });
@@ -35,14 +38,16 @@ program
   });
 
 program
-  .command('start <issue-number>')
-  .description('Start orchestration for a master issue')
+  .command('start <issue>')
+  .description('Start orchestration for a master issue (or, with --local, a spec file)')
   .option('--config <path>', 'Config file path', '.oc-ralph/config.yaml')
   .option('--debug', 'Enable debug mode')
-  .action(async (issueNumber, options) => {
+  .option('--local', 'Run offline: <issue> is a spec markdown file, issues live under .oc-ralph/local/')
+  .option('--agent-backend <backend>', 'Run agents on opencode, record, replay or mock (see opencode.backend)')
+  .action(async (issue, options) => {
     try {
       const cmd = new StartCommand(logger);
-      await cmd.execute(issueNumber, options);
+      await cmd.execute(issue, options);
     } catch (error) {
       logger.error('Start command failed', { error: error.message });
       process.exit(1);
@@ -53,6 +58,7 @@ program
   .command('status <issue-number>')
   .description('Check orchestration status')
   .option('--config <path>', 'Config file path', '.oc-ralph/config.yaml')
+  .option('--local', 'Read the issue from the local tracker (.oc-ralph/local/)')
   .action(async (issueNumber, options) => {
     try {
       const cmd = new StatusCommand(logger);
@@ -68,6 +74,8 @@ program
   .description('Resume orchestration from current state')
   .option('--config <path>', 'Config file path', '.oc-ralph/config.yaml')
   .option('--debug', 'Enable debug mode')
+  .option('--local', 'Resume a local run (.oc-ralph/local/)')
+  .option('--agent-backend <backend>', 'Run agents on opencode, record, replay or mock (see opencode.backend)')
   .action(async (issueNumber, options) => {
     try {
       const cmd = new ResumeCommand(logger);
@@ -78,6 +86,34 @@ program
     }
   });
 
+program
+  .command('pause <issue-number>')
+  .description('Pause a running orchestration (resume it later)')
+  .option('--config <path>', 'Config file path', '.oc-ralph/config.yaml')
+  .action(async (issueNumber, options) => {
+    try {
+      const cmd = new PauseCommand(logger);
+      await cmd.execute(issueNumber, options);
+    } catch (error) {
+      logger.error('Pause command failed', { error: error.message });
+      process.exit(1);
+    }
+  });
+
+program
+  .command('cancel <issue-number>')
+  .description('Cancel an orchestration, leaving its worktree intact')
+  .option('--config <path>', 'Config file path', '.oc-ralph/config.yaml')
+  .action(async (issueNumber, options) => {
+    try {
+      const cmd = new CancelCommand(logger);
+      await cmd.execute(issueNumber, options);
+    } catch (error) {
+      logger.error('Cancel command failed', { error: error.message });
+      process.exit(1);
+    }
+  });
+
 program
   .command('cleanup')
   .description('Clean up stale worktrees')
@@ -109,4 +145,22 @@ program
     }
   });
 
+program
+  .command('webhook-replay <fixtures...>')
+  .description('Send signed webhook fixtures to a running service (see fixtures/webhooks)')
+  .option('--config <path>', 'Config file path', '.oc-ralph/config.yaml')
+  .option('--url <url>', 'Webhook endpoint (default: local service)')
+  .option('--secret <secret>', 'Webhook secret (default: webhooks.secret)')
+  .option('--repo <owner/repo>', 'Repository to put in the payloads (default: github repo)')
+  .option('--issue <number>', 'Issue number to put in the payloads')
+  .action(async (fixtures, options) => {
+    try {
+      const cmd = new WebhookReplayCommand(logger);
+      await cmd.execute(fixtures, options);
+    } catch (error) {
+      logger.error('Webhook replay failed', { error: error.message });
+      process.exit(1);
+    }
+  });
+
 program.parse();
@@ -1,28 +1,55 @@
 /**
- * Agent executor - wraps OpenCode client
+ * Agent executor - runs agents on their runtimes (see AgentRuntimes)
+ *
+ * opencode.backend selects the default runtime:
+ * - opencode: the OpenCode server (default)
+ * - record:   the OpenCode server, saving every session as a fixture
+ * - replay:   recorded fixtures, no OpenCode needed
+ * - mock:     a scripted fake agent (hangs, timeouts, malformed JSON, failing tests)
+ *
+ * agents.<name>.runtime moves an agent onto one of the named `runtimes`
+ * (e.g. a CLI coding agent for Craftsman, a chat endpoint for planning).
+ *
+ * Every session's transcript is saved per run (TranscriptStore) and, with a
+ * stream manager, streamed to the web UI.
  */
-import { OpenCodeClient } from '../../../occlient/index.js';
-import { ServerUnreachableError } from '../../../occlient/errors.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { AgentRuntimes } from './AgentRuntimes.js';
+import { TranscriptStore } from '../logging/TranscriptStore.js';
+import { TranscriptRecorder } from '../logging/TranscriptRecorder.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
 
 export class AgentExecutor {
-  constructor(config, logger, debugLogger) {
+  /**
+   * @param {Object} issueOps - Tracker issue operations, used by the record,
+   *   replay and mock runtimes for the agents' label and comment side effects
+   */
+  constructor(config, logger, debugLogger, sessionLimiter = null, issueOps = null) {
     this.config = config;
     this.logger = logger;
     this.debugLogger = debugLogger;
-    
-    // Create OpenCode client
-    this.client = new OpenCodeClient({
-      baseUrl: config.opencode.baseUrl,
-      defaultTimeout: config.opencode.timeout,
-      defaultRetries: config.opencode.retries,
-      onQuestionOrPermission: 'retry',
-      responseFormat: 'text',
-      pollInterval: config.opencode.pollInterval
-    });
+    this.sessionLimiter = sessionLimiter;
+    this.client = AgentRuntimes.create(config, logger, issueOps);
+    this.transcripts = config.logging?.transcripts === false ? null : new TranscriptStore(config, logger);
+    this.streamManager = null;
+  }
+
+  /**
+   * Set stream manager for live agent transcripts
+   */
+  setStreamManager(streamManager) {
+    this.streamManager = streamManager;
   }
 
   /**
    * Execute agent with prompt
+   * 
+   * options.signal (CancellationSignal) aborts the in-flight session on pause/cancel.
+   * With a session limiter, waits for a free OpenCode session slot first.
    */
   async execute(agentName, prompt, options = {}) {
     const agentConfig = this.config.agents[agentName.toLowerCase()];
@@ -30,6 +57,8 @@ export class AgentExecutor {
     if (!agentConfig) {
       throw new Error(`Unknown agent: ${agentName}`);
     }
+    
+    options.signal?.throwIfRequested();
 
     this.logger.info(`Executing ${agentName} agent`, {
       agent: agentConfig.agent,
@@ -59,31 +88,34 @@ export class AgentExecutor {
     let toolsExecuted = 0;
     let lastError = null;
     let lastAgentMessage = null;
+    let sessionId = null;
 
     // Wrap with progress tracking
     const executeFn = async (callbackOptions = {}) => {
       attempts++;
       const progressCallback = callbackOptions.progressCallback || options.progressCallback;
+      let transcript = null;
       
-      // CHECK OPENCODE SERVER HEALTH BEFORE EXECUTION
+      // Check the agent's runtime before starting a session
       try {
-        const isHealthy = await this.checkOpenCodeHealth();
+        const isHealthy = await this.checkRuntimeHealth(agentName);
         if (!isHealthy) {
-          const error = new Error('OpenCode server is unreachable or not responding');
+          const runtime = this.client.describe(agentName);
+          const error = new Error(`Agent runtime ${runtime} is unreachable or not responding`);
           error.code = 'SERVER_UNREACHABLE';
           
           // Send Discord notification if available
           if (options.discordNotifier) {
             await options.discordNotifier.onEvent('critical-error', {
               masterIssueNumber: options.issueNumber || 'unknown',
-              error: 'OpenCode server health check failed',
-              details: `Agent: ${agentName}, Server: ${this.config.opencode.baseUrl}`
+              error: 'Agent runtime health check failed',
+              details: `Agent: ${agentName}, Runtime: ${runtime}`
             });
           }
           
-          this.logger.error('OpenCode server health check failed', {
+          this.logger.error('Agent runtime health check failed', {
             agent: agentName,
-            baseUrl: this.config.opencode.baseUrl
+            runtime
           });
           
           throw error;
@@ -98,6 +130,18 @@ export class AgentExecutor {
       
       // Enhanced progress callback with logging and status updates
       const enhancedProgressCallback = async (event) => {
+        // Remember the session so pause/cancel can abort it
+        if (event.sessionId && event.sessionId !== sessionId) {
+          sessionId = event.sessionId;
+          
+          // Paused or cancelled before the session was known - abort it now
+          if (options.signal?.requested) {
+            await this.abortSession(sessionId, agentName);
+          }
+        }
+
+        transcript?.onEvent(event);
+        
         if (this.debugLogger && this.debugLogger.debugMode) {
           this.debugLogger.debug(`[AgentExecutor] Progress event for ${agentName}`, {
             eventType: event.type,
@@ -199,14 +243,31 @@ export class AgentExecutor {
           }
         }
         
+        transcript = this.transcripts && new TranscriptRecorder(this.transcripts, this.streamManager, {
+          run: options.masterIssueNumber ?? options.issueNumber,
+          repo: `${this.config.github.owner}/${this.config.github.repo}`,
+          agentName: agentName.toLowerCase(),
+          issueNumber: options.issueNumber,
+          model: currentModel,
+          runtime: this.client.describe(agentName),
+          prompt
+        });
+
         const result = await this.client.execute(prompt, {
           model: currentModel, // Use potentially failed-over model
           agent: agentConfig.agent,
           timeout: options.timeout || agentConfig.timeout,
           responseFormat: options.responseFormat || 'text',
           progressCallback: enhancedProgressCallback
+        }, {
+          agentName: agentName.toLowerCase(),
+          issueNumber: options.issueNumber,
+          repo: `${this.config.github.owner}/${this.config.github.repo}`,
+          worktree: options.worktree
         });
         
+        transcript?.end('completed');
+
         // Log full response in debug mode
         if (this.debugLogger && this.debugLogger.debugMode) {
           this.debugLogger.debug(`[AgentExecutor] ${agentName} completed successfully`, {
@@ -236,6 +297,12 @@ export class AgentExecutor {
         return result;
       } catch (error) {
         lastError = error;
+        transcript?.end(options.signal?.requested ? 'aborted' : 'failed', error);
+        
+        // Session aborted by pause/cancel - not an agent failure
+        if (options.signal?.requested) {
+          throw error;
+        }
         
         if (this.debugLogger && this.debugLogger.debugMode) {
           this.debugLogger.debug(`[AgentExecutor] ${agentName} attempt ${attempts} failed`, {
@@ -279,8 +346,8 @@ export class AgentExecutor {
         }
         
         // Check if error is ServerUnreachableError - these should bubble up immediately
-        if (error instanceof ServerUnreachableError || error.code === 'SERVER_UNREACHABLE') {
-          this.logger.error(`OpenCode server is unreachable`, {
+        if (error.name === 'ServerUnreachableError' || error.code === 'SERVER_UNREACHABLE') {
+          this.logger.error(`Agent runtime is unreachable`, {
             error: error.message,
             attempts: error.healthCheckAttempts || 3
           });
@@ -288,46 +355,82 @@ export class AgentExecutor {
           error.shouldRetry = false;
         }
         
+        if (options.statusResilienceManager) {
+          await options.statusResilienceManager.reportEvent({
+            type: 'agent-failed',
+            issueNumber: options.issueNumber,
+            data: {
+              agentName,
+              duration: Date.now() - startTime,
+              attempts,
+              error: error.message
+            }
+          });
+        }
+        
         throw error;
       }
     };
 
+    // Hold a session slot for the whole execution, including failover retries
+    const releaseSession = this.sessionLimiter
+      ? await this.sessionLimiter.acquire(`${this.config.github.owner}/${this.config.github.repo}`, options.signal)
+      : null;
+    
+    // Abort the in-flight session as soon as a pause/cancel is requested
+    const unsubscribe = options.signal
+      ? options.signal.onRequest(() => this.abortSession(sessionId, agentName))
+      : null;
+    
     // Retry loop for failover handling
     let result;
     let failoverAttempts = 0;
     const maxFailoverAttempts = 3; // Max retries after failover
     
-    while (failoverAttempts < maxFailoverAttempts) {
-      try {
-        if (this.debugLogger && this.debugLogger.debugMode) {
-          result = await this.debugLogger.executeAgentWithDebug(
-            agentName,
-            executeFn,
-            options.context || {}
-          );
-        } else {
-          result = await executeFn();
-        }
-        break; // Success - exit loop
-      } catch (error) {
-        // Check if this was a timeout error that triggered failover
-        const isTimeout = error.code === 'SESSION_HUNG' || 
-                         error.message?.includes('hung') ||
-                         error.message?.includes('timeout');
+    try {
+      while (failoverAttempts < maxFailoverAttempts) {
+        try {
+          if (this.debugLogger && this.debugLogger.debugMode) {
+            result = await this.debugLogger.executeAgentWithDebug(
+              agentName,
+              executeFn,
+              options.context || {}
+            );
+          } else {
+            result = await executeFn();
+          }
+          break; // Success - exit loop
+        } catch (error) {
+          // Paused or cancelled while running - surface the interruption, not the abort error
+          options.signal?.throwIfRequested();
         
-        if (isTimeout && options.statusResilienceManager && failoverAttempts < maxFailoverAttempts - 1) {
-          this.logger.info('Retrying with failback model after timeout', {
-            agent: agentName,
-            failoverAttempt: failoverAttempts + 1,
-            maxAttempts: maxFailoverAttempts
-          });
-          failoverAttempts++;
-          // Loop will retry with getCurrentModelForAgent() returning failback model
-          continue;
-        }
+          // Check if this was a timeout error that triggered failover
+          const isTimeout = error.code === 'SESSION_HUNG' || 
+                           error.message?.includes('hung') ||
+                           error.message?.includes('timeout');
         
-        // Not a timeout, or max retries exceeded, or no failover configured
-        throw error;
+          if (isTimeout && options.statusResilienceManager && failoverAttempts < maxFailoverAttempts - 1) {
+            this.logger.info('Retrying with failback model after timeout', {
+              agent: agentName,
+              failoverAttempt: failoverAttempts + 1,
+              maxAttempts: maxFailoverAttempts
+            });
+            failoverAttempts++;
+            // Loop will retry with getCurrentModelForAgent() returning failback model
+            continue;
+          }
+        
+          // Not a timeout, or max retries exceeded, or no failover configured
+          throw error;
+        }
+      }
+    } finally {
+      if (unsubscribe) {
+        unsubscribe();
+      }
+      
+      if (releaseSession) {
+        releaseSession();
       }
     }
     
@@ -357,6 +460,44 @@ export class AgentExecutor {
     return result;
   }
 
+  /**
+   * Execute agent with its prompt template (prompts/<agent>.txt, or
+   * prompts/<options.template>.txt)
+   *
+   * Fills in {{issueNumber}}, {{worktreePath}}, {{repo}}, {{taskTitle}},
+   * {{taskId}}, {{masterIssueNumber}}, {{testCommand}}, {{failingTests}} and
+   * {{failingChecks}} from the options;
+   * placeholders the agent fills in itself (e.g. the validator's {{status}})
+   * are left as is.
+   */
+  async executeAgent(agentName, options = {}) {
+    const template = fs.readFileSync(
+      path.join(__dirname, `../../prompts/${options.template || agentName.toLowerCase()}.txt`),
+      'utf-8'
+    );
+
+    const values = {
+      issueNumber: options.issueNumber,
+      worktreePath: options.worktreePath,
+      repo: `${this.config.github.owner}/${this.config.github.repo}`,
+      taskTitle: options.taskTitle,
+      taskId: options.taskId,
+      masterIssueNumber: options.masterIssueNumber,
+      testCommand: options.testCommand,
+      failingTests: options.failingTests,
+      failingChecks: options.failingChecks
+    };
+
+    const prompt = template.replace(/\{\{(\w+)\}\}/g, (placeholder, key) =>
+      values[key] !== undefined && values[key] !== null ? String(values[key]) : placeholder
+    );
+
+    return await this.execute(agentName, prompt, {
+      ...options,
+      worktree: options.worktreePath
+    });
+  }
+
   /**
    * Execute agent with structured response
    */
@@ -370,38 +511,39 @@ export class AgentExecutor {
   }
 
   /**
-   * Check if OpenCode server is healthy and reachable
-   * @returns {Promise<boolean>} true if server is healthy, false otherwise
+   * Abort an in-flight agent session (pause/cancel)
    */
-  async checkOpenCodeHealth() {
+  async abortSession(sessionId, agentName) {
+    if (!sessionId) {
+      this.logger.warn('No active session to abort', { agent: agentName });
+      return false;
+    }
+    
     try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 5000);
-      
-      const response = await fetch(
-        `${this.config.opencode.baseUrl}/api/session`,
-        { 
-          method: 'GET',
-          signal: controller.signal
-        }
-      );
-      
-      clearTimeout(timeoutId);
-      
-      const isHealthy = response.ok && response.status < 500;
-      
-      if (!isHealthy) {
-        this.logger.warn('OpenCode health check returned unhealthy status', {
-          status: response.status,
-          statusText: response.statusText
-        });
-      }
-      
-      return isHealthy;
+      await this.client.killSession(sessionId);
+      this.logger.info('Agent session aborted', { agent: agentName, sessionId });
+      return true;
+    } catch (error) {
+      this.logger.warn('Failed to abort agent session', {
+        agent: agentName,
+        sessionId,
+        error: error.message
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Check that the agent's runtime can take work
+   * @returns {Promise<boolean>} true if the runtime is healthy (or has no check), false otherwise
+   */
+  async checkRuntimeHealth(agentName) {
+    try {
+      return await this.client.checkHealth(agentName);
     } catch (error) {
-      this.logger.warn('OpenCode health check failed', { 
-        error: error.message,
-        baseUrl: this.config.opencode.baseUrl
+      this.logger.warn('Agent runtime health check failed', {
+        agent: agentName,
+        error: error.message
       });
       return false;
     }
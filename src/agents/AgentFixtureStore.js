@@ -0,0 +1,100 @@
+/**
+ * AgentFixtureStore - recorded agent sessions on disk
+ *
+ * One JSON file per agent call, numbered in the order they were recorded:
+ *
+ *   001-architect-3f2a9c1e.json
+ *   002-sculptor-8b41d07a.json
+ *
+ * A fixture holds the agent, the prompt (and its hash), the progress events
+ * with their offsets, the tracker side effects (labels added or removed and
+ * comments posted on the issue) and the result - or the error, so failed
+ * sessions replay as failures too.
+ */
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+export class AgentFixtureStore {
+  /**
+   * @param {string} dir - Fixture directory
+   */
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  /**
+   * Hash identifying a prompt
+   */
+  static hashPrompt(prompt) {
+    return crypto.createHash('sha256').update(prompt).digest('hex');
+  }
+
+  /**
+   * Fixture file names, in recorded order
+   */
+  listFiles() {
+    if (!fs.existsSync(this.dir)) {
+      return [];
+    }
+
+    return fs.readdirSync(this.dir).filter(name => name.endsWith('.json')).sort();
+  }
+
+  /**
+   * Load every fixture, in recorded order
+   */
+  loadAll() {
+    return this.listFiles().map(file => ({
+      ...JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf-8')),
+      file
+    }));
+  }
+
+  /**
+   * Save a fixture under the next sequence number
+   *
+   * @returns {string} Path of the written file
+   */
+  save(fixture) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    const content = JSON.stringify(fixture, null, 2) + '\n';
+
+    // Parallel agents can record at the same time - take the next free number
+    for (let seq = this.listFiles().length + 1; ; seq++) {
+      const file = path.join(
+        this.dir,
+        `${String(seq).padStart(3, '0')}-${fixture.agent}-${fixture.promptHash.slice(0, 8)}.json`
+      );
+
+      try {
+        fs.writeFileSync(file, content, { flag: 'wx' });
+        return file;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+    }
+  }
+}
+
+/**
+ * Apply an agent's tracker side effects to an issue
+ *
+ * @param {Object} issueOps
+ * @param {string} repo - owner/repo
+ * @param {number} issueNumber
+ * @param {Object} sideEffects - { addedLabels, removedLabels, comments }
+ */
+export async function applySideEffects(issueOps, repo, issueNumber, sideEffects = {}) {
+  for (const body of sideEffects.comments || []) {
+    await issueOps.addComment(repo, issueNumber, body);
+  }
+
+  if (sideEffects.removedLabels?.length) {
+    await issueOps.removeLabels(repo, issueNumber, sideEffects.removedLabels);
+  }
+
+  if (sideEffects.addedLabels?.length) {
+    await issueOps.addLabels(repo, issueNumber, sideEffects.addedLabels);
+  }
+}
@@ -0,0 +1,206 @@
+/**
+ * AgentRuntimes - the runtimes agents run on, selectable per agent
+ *
+ * Every runtime implements the same interface, so AgentExecutor, the
+ * session watchdog and pause/cancel never need to know where an agent runs:
+ *
+ *   execute(prompt, { model, agent, timeout, responseFormat, progressCallback },
+ *           { agentName, issueNumber, repo, worktree }) -> { response, sessionId }
+ *   killSession(sessionId), sessionExists(sessionId), checkHealth() (optional)
+ *
+ * Progress is streamed through progressCallback (session-created,
+ * message-received, tool-completed, retry, hang-detected) and failures carry
+ * the codes AgentExecutor acts on (SERVER_UNREACHABLE, SESSION_HUNG,
+ * TIMEOUT, SESSION_ABORTED).
+ *
+ * Runtime types:
+ * - opencode: the OpenCode server (OpenCodeBackend)
+ * - record:   the OpenCode server, saving every session as a fixture
+ * - replay:   recorded fixtures, no server
+ * - mock:     scripted stub agents, no server (tests, failure drills)
+ * - cli:      a coding-agent command run in the worktree (CliRuntime)
+ * - openai:   an OpenAI-compatible chat endpoint, for planning agents
+ *
+ * The default runtime is opencode.backend. Named runtimes are configured
+ * under `runtimes` and picked with `agents.<name>.runtime`.
+ */
+import path from 'path';
+import { OpenCodeBackend } from './OpenCodeBackend.js';
+import { AgentFixtureStore } from './AgentFixtureStore.js';
+import { RecordingBackend } from './RecordingBackend.js';
+import { ReplayBackend } from './ReplayBackend.js';
+import { ScriptedBackend } from './ScriptedBackend.js';
+import { CliRuntime } from './CliRuntime.js';
+import { ChatCompletionsRuntime } from './ChatCompletionsRuntime.js';
+
+export const RUNTIME_TYPES = ['opencode', 'record', 'replay', 'mock', 'cli', 'openai'];
+
+export class AgentRuntimes {
+  /**
+   * @param {Map<string, Object>} runtimes - Runtimes by name ('default' for opencode.backend)
+   * @param {Object} agentRuntimes - Runtime name by agent name
+   * @param {Object} logger
+   */
+  constructor(runtimes, agentRuntimes, logger) {
+    this.name = 'runtimes';
+    this.runtimes = runtimes;
+    this.agentRuntimes = agentRuntimes;
+    this.logger = logger;
+    this.owners = new Map(); // sessionId -> runtime
+  }
+
+  /**
+   * Build the runtimes a config names
+   *
+   * @param {Object} issueOps - Used by the record, replay and mock runtimes
+   *   for the agents' label and comment side effects
+   */
+  static create(config, logger, issueOps = null) {
+    const runtimes = new Map();
+    runtimes.set('default', AgentRuntimes.createRuntime(config.opencode.backend || 'opencode', config.opencode, config, logger, issueOps));
+
+    for (const [name, options] of Object.entries(config.runtimes || {})) {
+      runtimes.set(name, AgentRuntimes.createRuntime(options.type, options, config, logger, issueOps));
+    }
+
+    const agentRuntimes = {};
+    for (const [agentName, agentConfig] of Object.entries(config.agents || {})) {
+      if (agentConfig?.runtime) {
+        if (!runtimes.has(agentConfig.runtime)) {
+          throw new Error(`Agent ${agentName} uses unknown runtime: ${agentConfig.runtime}`);
+        }
+        agentRuntimes[agentName] = agentConfig.runtime;
+      }
+    }
+
+    return new AgentRuntimes(runtimes, agentRuntimes, logger);
+  }
+
+  /**
+   * Build one runtime
+   *
+   * @param {string} type - One of RUNTIME_TYPES
+   * @param {Object} options - The runtime's config (opencode section for the default runtime)
+   */
+  static createRuntime(type, options, config, logger, issueOps = null) {
+    const opencode = { ...config.opencode, ...options };
+    const fixtures = () => new AgentFixtureStore(
+      opencode.fixturesDir || path.join(config.stateDir || '.oc-ralph', 'fixtures')
+    );
+    const live = () => new OpenCodeBackend({
+      client: opencode.client,
+      baseUrl: opencode.baseUrl,
+      defaultTimeout: opencode.timeout,
+      defaultRetries: opencode.retries,
+      onQuestionOrPermission: 'retry',
+      responseFormat: 'text',
+      pollInterval: opencode.pollInterval,
+      hangDetection: opencode.hangDetection,
+      permissionResponse: opencode.permissionResponse
+    }, logger);
+
+    switch (type) {
+      case 'opencode':
+        return live();
+      case 'record':
+        return new RecordingBackend(live(), fixtures(), issueOps, logger);
+      case 'replay':
+        return new ReplayBackend(fixtures(), issueOps, logger);
+      case 'mock':
+        if (!options.script) {
+          throw new Error('A script is required for the mock agent runtime (opencode.script or runtimes.<name>.script)');
+        }
+        return new ScriptedBackend(options.script, issueOps, logger);
+      case 'cli':
+        return new CliRuntime({
+          ...options,
+          cwd: options.cwd || config.github?.repoPath,
+          defaultTimeout: options.timeout
+        }, logger);
+      case 'openai':
+        return new ChatCompletionsRuntime({ ...options, defaultTimeout: options.timeout }, logger);
+      default:
+        throw new Error(`Unknown agent runtime: ${type} (expected ${RUNTIME_TYPES.join(', ')})`);
+    }
+  }
+
+  /**
+   * Runtime by name
+   */
+  get(name = 'default') {
+    return this.runtimes.get(name);
+  }
+
+  /**
+   * Runtime an agent runs on
+   */
+  runtimeFor(agentName) {
+    return this.runtimes.get(this.agentRuntimes[agentName?.toLowerCase()] || 'default');
+  }
+
+  /**
+   * Run a prompt on the agent's runtime
+   */
+  async execute(prompt, options = {}, context = {}) {
+    const runtime = this.runtimeFor(context.agentName || options.agent);
+    const sessions = new Set();
+
+    const progressCallback = async (event) => {
+      if (event.sessionId && !sessions.has(event.sessionId)) {
+        sessions.add(event.sessionId);
+        this.owners.set(event.sessionId, runtime);
+      }
+      if (options.progressCallback) {
+        await options.progressCallback(event);
+      }
+    };
+
+    try {
+      return await runtime.execute(prompt, { ...options, progressCallback }, context);
+    } finally {
+      for (const sessionId of sessions) {
+        this.owners.delete(sessionId);
+      }
+    }
+  }
+
+  async killSession(sessionId) {
+    return await this.ownerOf(sessionId).killSession(sessionId);
+  }
+
+  async sessionExists(sessionId) {
+    const runtime = this.ownerOf(sessionId);
+
+    // Runtimes that cannot tell - assume the session is gone
+    if (typeof runtime.sessionExists !== 'function') {
+      return false;
+    }
+
+    return await runtime.sessionExists(sessionId);
+  }
+
+  /**
+   * Whether the agent's runtime can take work (runtimes without a check are assumed healthy)
+   */
+  async checkHealth(agentName) {
+    const runtime = this.runtimeFor(agentName);
+
+    if (typeof runtime.checkHealth !== 'function') {
+      return true;
+    }
+
+    return (await runtime.checkHealth()) !== false;
+  }
+
+  /**
+   * Name of the agent's runtime, for logs and notifications
+   */
+  describe(agentName) {
+    const name = this.agentRuntimes[agentName?.toLowerCase()] || 'default';
+    return `${name} (${this.runtimes.get(name).name})`;
+  }
+
+  ownerOf(sessionId) {
+    return this.owners.get(sessionId) || this.runtimes.get('default');
+  }
+}
@@ -0,0 +1,196 @@
+/**
+ * Chat completions runtime - runs an agent as a single chat request to an
+ * OpenAI-compatible endpoint (OpenAI, OpenRouter, vLLM, Ollama, LiteLLM, ...)
+ *
+ * The agent gets no tools, so this suits the planning agents, whose answer
+ * is their response. The reply is streamed and reported as agent messages.
+ *
+ *   runtimes:
+ *     planner:
+ *       type: openai
+ *       baseUrl: https://api.openai.com/v1
+ *       apiKeyEnv: OPENAI_API_KEY   # default
+ *       model: gpt-4.1              # optional, else the agent's modelID
+ *       system: You are a senior engineer planning a change.
+ */
+export class ChatCompletionsRuntime {
+  /**
+   * @param {Object} options - { baseUrl, apiKey, apiKeyEnv, model, system, headers, temperature, defaultTimeout }
+   * @param {Object} logger
+   */
+  constructor(options = {}, logger) {
+    this.name = 'openai';
+    this.requiresServer = true;
+    this.baseUrl = (options.baseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    this.apiKey = options.apiKey || process.env[options.apiKeyEnv || 'OPENAI_API_KEY'] || null;
+    this.model = options.model || null;
+    this.system = options.system || null;
+    this.headers = options.headers || {};
+    this.temperature = options.temperature;
+    this.defaultTimeout = options.defaultTimeout || 300;
+    this.logger = logger;
+    this.sessions = new Map(); // sessionId -> abort()
+    this.sessionCount = 0;
+  }
+
+  /**
+   * Send the prompt and collect the streamed reply
+   *
+   * @returns {Promise<Object>} { response, sessionId }
+   */
+  async execute(prompt, options = {}) {
+    const emit = options.progressCallback || (() => {});
+    const sessionId = `chat-${Date.now()}-${++this.sessionCount}`;
+    const timeoutSeconds = options.timeout || this.defaultTimeout;
+    const controller = new AbortController();
+    let failure = null;
+
+    const stop = (error) => {
+      failure = failure || error;
+      controller.abort();
+    };
+    const timeoutTimer = setTimeout(() => {
+      stop(runtimeError(`Session timeout after ${timeoutSeconds}s`, 'TIMEOUT', sessionId));
+    }, timeoutSeconds * 1000);
+    this.sessions.set(sessionId, () => stop(runtimeError('Session aborted', 'SESSION_ABORTED', sessionId)));
+
+    const messages = this.system
+      ? [{ role: 'system', content: this.system }, { role: 'user', content: prompt }]
+      : [{ role: 'user', content: prompt }];
+
+    try {
+      await emit({ type: 'session-created', sessionId });
+
+      let response;
+      try {
+        response = await fetch(`${this.baseUrl}/chat/completions`, {
+          method: 'POST',
+          headers: this.requestHeaders(),
+          body: JSON.stringify({
+            model: this.model || options.model?.modelID,
+            messages,
+            stream: true,
+            ...(this.temperature !== undefined ? { temperature: this.temperature } : {})
+          }),
+          signal: controller.signal
+        });
+      } catch (error) {
+        throw failure || unreachable(this.baseUrl, error);
+      }
+
+      if (!response.ok) {
+        const body = await response.text().catch(() => '');
+        const error = runtimeError(
+          `Chat completion failed (${response.status}): ${body.slice(0, 500)}`,
+          response.status >= 500 ? 'SERVER_ERROR' : 'REQUEST_FAILED',
+          sessionId
+        );
+        error.status = response.status;
+        throw error;
+      }
+
+      let content = '';
+      try {
+        for await (const chunk of readEvents(response.body)) {
+          const delta = chunk.choices?.[0]?.delta?.content;
+          if (delta) {
+            content += delta;
+            await emit({ type: 'message-received', sessionId, data: { content, partId: sessionId, delta } });
+          }
+        }
+      } catch (error) {
+        throw failure || error;
+      }
+
+      if (failure) {
+        throw failure;
+      }
+
+      return { response: content, sessionId };
+    } finally {
+      clearTimeout(timeoutTimer);
+      this.sessions.delete(sessionId);
+    }
+  }
+
+  async killSession(sessionId) {
+    const abort = this.sessions.get(sessionId);
+    if (!abort) {
+      return false;
+    }
+
+    abort();
+    return true;
+  }
+
+  async sessionExists(sessionId) {
+    return this.sessions.has(sessionId);
+  }
+
+  /**
+   * Whether the endpoint answers its model list
+   */
+  async checkHealth() {
+    try {
+      const response = await fetch(`${this.baseUrl}/models`, {
+        headers: this.requestHeaders(),
+        signal: AbortSignal.timeout(5000)
+      });
+
+      if (response.status >= 500) {
+        this.logger.warn('Chat endpoint health check returned unhealthy status', { status: response.status });
+        return false;
+      }
+
+      return true;
+    } catch (error) {
+      this.logger.warn('Chat endpoint health check failed', { baseUrl: this.baseUrl, error: error.message });
+      return false;
+    }
+  }
+
+  requestHeaders() {
+    return {
+      'Content-Type': 'application/json',
+      ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}),
+      ...this.headers
+    };
+  }
+}
+
+/**
+ * Parse a server-sent event stream of JSON chunks (ends at [DONE])
+ */
+async function* readEvents(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const bytes of body) {
+    buffer += decoder.decode(bytes, { stream: true });
+
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      if (!line.startsWith('data:')) continue;
+
+      const data = line.slice(5).trim();
+      if (data === '[DONE]') return;
+      if (data) yield JSON.parse(data);
+    }
+  }
+}
+
+function runtimeError(message, code, sessionId) {
+  const error = new Error(message);
+  error.code = code;
+  error.sessionId = sessionId;
+  return error;
+}
+
+function unreachable(baseUrl, cause) {
+  const error = new Error(`Chat endpoint unreachable at ${baseUrl}: ${cause.cause?.message || cause.message}`);
+  error.name = 'ServerUnreachableError';
+  error.code = 'SERVER_UNREACHABLE';
+  return error;
+}
@@ -0,0 +1,195 @@
+/**
+ * CLI runtime - runs an agent as a command in the task's worktree
+ *
+ * For coding-agent CLIs (aider, codex, claude, ...). The prompt goes to the
+ * command's stdin, or into its arguments through a {{prompt}} placeholder;
+ * {{model}}, {{provider}}, {{agent}} and {{worktree}} are filled in as well.
+ * Each line of output is reported as an agent message and the full output
+ * is the response. A non-zero exit fails the session.
+ *
+ *   runtimes:
+ *     aider:
+ *       type: cli
+ *       command: aider
+ *       args: [--yes-always, --model, '{{model}}', --message, '{{prompt}}']
+ *       idleSeconds: 600   # optional hang detection
+ */
+import fs from 'fs';
+import path from 'path';
+import { spawn } from 'child_process';
+
+export class CliRuntime {
+  /**
+   * @param {Object} options - { command, args, env, cwd, idleSeconds, defaultTimeout }
+   * @param {Object} logger
+   */
+  constructor(options, logger) {
+    if (!options?.command) {
+      throw new Error('The cli agent runtime needs a command');
+    }
+
+    this.name = 'cli';
+    this.requiresServer = false;
+    this.command = options.command;
+    this.args = options.args || [];
+    this.env = options.env || {};
+    this.cwd = options.cwd || process.cwd();
+    this.idleSeconds = options.idleSeconds || null;
+    this.defaultTimeout = options.defaultTimeout || 600;
+    this.logger = logger;
+    this.sessions = new Map(); // sessionId -> { child, abort() }
+    this.sessionCount = 0;
+  }
+
+  /**
+   * Run the command with the prompt
+   *
+   * @param {Object} context - { agentName, issueNumber, repo, worktree }
+   * @returns {Promise<Object>} { response, sessionId }
+   */
+  async execute(prompt, options = {}, context = {}) {
+    const emit = options.progressCallback || (() => {});
+    const values = {
+      prompt,
+      model: options.model?.modelID || '',
+      provider: options.model?.providerID || '',
+      agent: options.agent || context.agentName || '',
+      worktree: context.worktree || this.cwd
+    };
+    const promptInArgs = this.args.some(arg => String(arg).includes('{{prompt}}'));
+    const args = this.args.map(arg => String(arg).replace(/\{\{(\w+)\}\}/g, (placeholder, key) =>
+      values[key] !== undefined ? values[key] : placeholder
+    ));
+    const sessionId = `cli-${Date.now()}-${++this.sessionCount}`;
+    const timeoutSeconds = options.timeout || this.defaultTimeout;
+
+    this.logger.debug('Starting agent command', { command: this.command, cwd: values.worktree, sessionId });
+
+    const child = spawn(this.command, args, {
+      cwd: values.worktree,
+      env: { ...process.env, ...this.env },
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+
+    await emit({ type: 'session-created', sessionId });
+
+    return await new Promise((resolve, reject) => {
+      let stdout = '';
+      let stderr = '';
+      let pending = '';
+      let failure = null;
+      let idleTimer = null;
+
+      const stop = (error) => {
+        if (!failure) {
+          failure = error;
+          child.kill('SIGTERM');
+        }
+      };
+
+      const resetIdleTimer = () => {
+        if (!this.idleSeconds) return;
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(async () => {
+          await Promise.resolve(emit({ type: 'hang-detected', sessionId, data: { type: 'session', idleTime: this.idleSeconds } })).catch(() => {});
+          stop(runtimeError(`Session hung: no output for ${this.idleSeconds}s`, 'SESSION_HUNG', sessionId));
+        }, this.idleSeconds * 1000);
+      };
+
+      const timeoutTimer = setTimeout(() => {
+        stop(runtimeError(`Session timeout after ${timeoutSeconds}s`, 'TIMEOUT', sessionId));
+      }, timeoutSeconds * 1000);
+
+      this.sessions.set(sessionId, {
+        abort: () => stop(runtimeError('Session aborted', 'SESSION_ABORTED', sessionId))
+      });
+      resetIdleTimer();
+
+      child.stdout.on('data', chunk => {
+        stdout += chunk;
+        pending += chunk;
+        resetIdleTimer();
+
+        const lines = pending.split('\n');
+        pending = lines.pop();
+        for (const line of lines.filter(line => line.trim())) {
+          Promise.resolve(emit({ type: 'message-received', sessionId, data: { content: line } })).catch(() => {});
+        }
+      });
+
+      child.stderr.on('data', chunk => {
+        stderr += chunk;
+        resetIdleTimer();
+      });
+
+      child.on('error', error => {
+        stop(runtimeError(`Failed to start agent command ${this.command}: ${error.message}`, error.code, sessionId));
+      });
+
+      child.on('close', (code, signal) => {
+        clearTimeout(timeoutTimer);
+        clearTimeout(idleTimer);
+        this.sessions.delete(sessionId);
+
+        if (failure) {
+          reject(failure);
+        } else if (code !== 0) {
+          const output = (stderr || stdout).trim().split('\n').slice(-20).join('\n');
+          reject(runtimeError(
+            `Agent command exited with ${code === null ? `signal ${signal}` : `code ${code}`}${output ? `:\n${output}` : ''}`,
+            'AGENT_COMMAND_FAILED',
+            sessionId
+          ));
+        } else {
+          resolve({ response: stdout.trim(), sessionId });
+        }
+      });
+
+      // A command that does not read stdin closes it early - not an error
+      child.stdin.on('error', () => {});
+      child.stdin.end(promptInArgs ? '' : prompt);
+    });
+  }
+
+  async killSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return false;
+    }
+
+    session.abort();
+    return true;
+  }
+
+  async sessionExists(sessionId) {
+    return this.sessions.has(sessionId);
+  }
+
+  /**
+   * Whether the command can be found
+   */
+  async checkHealth() {
+    const candidates = this.command.includes(path.sep)
+      ? [path.resolve(this.cwd, this.command)]
+      : (process.env.PATH || '').split(path.delimiter).map(dir => path.join(dir, this.command));
+
+    for (const candidate of candidates) {
+      try {
+        fs.accessSync(candidate, fs.constants.X_OK);
+        return true;
+      } catch {
+        // Not here
+      }
+    }
+
+    this.logger.warn('Agent command not found', { command: this.command });
+    return false;
+  }
+}
+
+function runtimeError(message, code, sessionId) {
+  const error = new Error(message);
+  error.code = code;
+  error.sessionId = sessionId;
+  return error;
+}
@@ -0,0 +1,102 @@
+/**
+ * OpenCode backend - runs agents on the OpenCode server through a client
+ * adapter
+ *
+ * opencode.client picks the adapter: sdk (default, OpenCodeSdkClient on the
+ * published @opencode-ai/sdk) or occlient (a sibling occlient checkout,
+ * loaded on first use). An adapter provides:
+ *
+ *   execute(prompt, { model, agent, timeout, progressCallback }) -> { response, sessionId }
+ *   killSession(sessionId), sessionExists(sessionId), checkHealth() (optional)
+ *
+ * and reports progress (session-created, message-received, tool-completed,
+ * retry, hang-detected) through progressCallback. Failures carry the codes
+ * AgentExecutor handles: SERVER_UNREACHABLE, SESSION_HUNG, TIMEOUT and
+ * SESSION_ABORTED.
+ */
+import { OpenCodeSdkClient } from './OpenCodeSdkClient.js';
+
+export class OpenCodeBackend {
+  /**
+   * @param {Object} options - Client options (client, baseUrl, defaultTimeout, ...)
+   * @param {Object} logger - Optional
+   */
+  constructor(options, logger = null) {
+    this.name = 'opencode';
+    this.requiresServer = true;
+    this.options = options;
+    this.logger = logger;
+    this.client = null;
+  }
+
+  async getClient() {
+    if (!this.client) {
+      this.client = await OpenCodeBackend.createClient(this.options, this.logger);
+    }
+
+    return this.client;
+  }
+
+  /**
+   * Build the configured client adapter
+   */
+  static async createClient(options, logger) {
+    const adapter = options.client || 'sdk';
+
+    switch (adapter) {
+      case 'sdk':
+        return new OpenCodeSdkClient(options, logger);
+      case 'occlient': {
+        let module;
+        try {
+          module = await import('../../../occlient/index.js');
+        } catch (error) {
+          throw new Error(`opencode.client is occlient but occlient could not be loaded (expected a checkout next to oc-ralph): ${error.message}`);
+        }
+        return new module.OpenCodeClient(options);
+      }
+      default:
+        throw new Error(`Unknown OpenCode client: ${adapter} (expected sdk or occlient)`);
+    }
+  }
+
+  /**
+   * Run a prompt in a new session
+   *
+   * @returns {Promise<Object>} { response, sessionId, ... }
+   */
+  async execute(prompt, options) {
+    const client = await this.getClient();
+    return await client.execute(prompt, options);
+  }
+
+  async killSession(sessionId) {
+    const client = await this.getClient();
+    return await client.killSession(sessionId);
+  }
+
+  async sessionExists(sessionId) {
+    const client = await this.getClient();
+
+    // Older occlient versions cannot tell - assume the session is gone
+    if (typeof client.sessionExists !== 'function') {
+      return false;
+    }
+
+    return await client.sessionExists(sessionId);
+  }
+
+  /**
+   * Whether the server answers
+   */
+  async checkHealth() {
+    const client = await this.getClient();
+
+    // occlient has no health check - ask the server through the SDK
+    if (typeof client.checkHealth !== 'function') {
+      return await new OpenCodeSdkClient(this.options, this.logger).checkHealth();
+    }
+
+    return await client.checkHealth();
+  }
+}
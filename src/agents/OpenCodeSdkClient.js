@@ -0,0 +1,359 @@
+/**
+ * OpenCode SDK client - runs agent sessions through the published
+ * @opencode-ai/sdk, the default OpenCode runtime adapter
+ *
+ * A session is created, subscribed to the server's event stream and
+ * prompted asynchronously; it ends when the server reports the session
+ * idle. Events are turned into the progress events AgentExecutor
+ * understands (session-created, message-received, tool-started,
+ * tool-completed, retry, hang-detected). A session without activity for longer than the hang
+ * thresholds, or running past its timeout, is aborted.
+ */
+import { createOpencodeClient } from '@opencode-ai/sdk';
+
+export class OpenCodeSdkClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.baseUrl - OpenCode server URL
+   * @param {number} options.defaultTimeout - Session timeout in seconds (when the agent has none)
+   * @param {Object} options.hangDetection - { sessionIdleSeconds, toolIdleSeconds }
+   * @param {string} options.permissionResponse - Answer to tool permission requests: once, always or reject
+   * @param {Object} logger - Optional
+   */
+  constructor(options = {}, logger = null) {
+    this.name = 'sdk';
+    this.baseUrl = options.baseUrl;
+    this.defaultTimeout = options.defaultTimeout || 300;
+    this.sessionIdleSeconds = options.hangDetection?.sessionIdleSeconds || 300;
+    this.toolIdleSeconds = options.hangDetection?.toolIdleSeconds || 900;
+    this.permissionResponse = options.permissionResponse || 'once';
+    this.logger = logger;
+    this.client = options.client || createOpencodeClient({ baseUrl: this.baseUrl });
+    this.sessions = new Map(); // sessionId -> end(error)
+  }
+
+  /**
+   * Run a prompt in a new session
+   *
+   * @param {string} prompt
+   * @param {Object} options - { model, agent, timeout (seconds), progressCallback }
+   * @returns {Promise<Object>} { response, sessionId, messageId }
+   */
+  async execute(prompt, options = {}) {
+    const emit = options.progressCallback || (() => {});
+    const session = await this.request('create session', this.client.session.create({
+      body: { title: options.title || `oc-ralph ${options.agent || 'agent'}` }
+    }));
+    const sessionId = session.id;
+
+    await emit({ type: 'session-created', sessionId });
+
+    const events = new AbortController();
+    let connected;
+    const subscribed = new Promise(resolve => { connected = resolve; });
+    const watch = this.watchSession(sessionId, options, emit, events.signal, connected);
+
+    try {
+      // Prompt only once the event stream is open, or a quick answer goes unseen
+      await Promise.race([subscribed, watch]);
+
+      await this.request('prompt', this.client.session.promptAsync({
+        path: { id: sessionId },
+        body: {
+          model: options.model,
+          agent: options.agent,
+          parts: [{ type: 'text', text: prompt }]
+        }
+      }));
+
+      await watch;
+
+      return await this.readResponse(sessionId);
+    } catch (error) {
+      error.sessionId = error.sessionId || sessionId;
+      throw error;
+    } finally {
+      events.abort();
+      this.sessions.delete(sessionId);
+      watch.catch(() => {});
+    }
+  }
+
+  /**
+   * Follow the session's events until it goes idle, fails, hangs, times out or is killed
+   */
+  watchSession(sessionId, options, emit, signal, onConnected) {
+    const timeoutSeconds = options.timeout || this.defaultTimeout;
+    const runningTools = new Set();
+    const textSeen = new Map(); // partId -> text length reported
+    let idleTimer = null;
+    let timeoutTimer = null;
+
+    return new Promise((resolve, reject) => {
+      const end = (error) => {
+        clearTimeout(idleTimer);
+        clearTimeout(timeoutTimer);
+        this.sessions.delete(sessionId);
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      };
+
+      const abortWith = (error) => {
+        this.abortOnServer(sessionId);
+        end(error);
+      };
+
+      // Running tools (builds, test suites) may legitimately stay quiet for longer
+      const resetIdleTimer = () => {
+        clearTimeout(idleTimer);
+        const idleSeconds = runningTools.size > 0 ? this.toolIdleSeconds : this.sessionIdleSeconds;
+        idleTimer = setTimeout(async () => {
+          const type = runningTools.size > 0 ? 'tool' : 'session';
+          await Promise.resolve(emit({ type: 'hang-detected', sessionId, data: { type, idleTime: idleSeconds } })).catch(() => {});
+          abortWith(sessionError(`Session hung: no activity for ${idleSeconds}s`, 'SESSION_HUNG', sessionId));
+        }, idleSeconds * 1000);
+      };
+
+      timeoutTimer = setTimeout(() => {
+        abortWith(sessionError(`Session timeout after ${timeoutSeconds}s`, 'TIMEOUT', sessionId));
+      }, timeoutSeconds * 1000);
+
+      this.sessions.set(sessionId, () => end(sessionError('Session aborted', 'SESSION_ABORTED', sessionId)));
+      resetIdleTimer();
+
+      this.streamEvents(signal, async (event) => {
+        onConnected();
+
+        if (eventSessionId(event) !== sessionId) {
+          return;
+        }
+
+        const done = await this.handleEvent(event, sessionId, { runningTools, textSeen }, emit);
+        if (done instanceof Error) {
+          end(done);
+        } else if (done) {
+          end();
+        } else {
+          resetIdleTimer();
+        }
+      }).catch(error => {
+        if (!signal.aborted) {
+          end(unreachable(this.baseUrl, error));
+        }
+      });
+    });
+  }
+
+  /**
+   * Read the server's event stream, calling onEvent for each event
+   */
+  async streamEvents(signal, onEvent) {
+    const { stream } = await this.client.event.subscribe({ signal });
+
+    for await (const event of stream) {
+      if (signal.aborted) {
+        break;
+      }
+      await onEvent(event);
+    }
+  }
+
+  /**
+   * Translate one session event
+   *
+   * @returns {Promise<boolean|Error>} true when the session finished, an Error when it failed
+   */
+  async handleEvent(event, sessionId, { runningTools, textSeen }, emit) {
+    const properties = event.properties || {};
+
+    switch (event.type) {
+      case 'message.part.updated': {
+        const part = properties.part;
+
+        if (part.type === 'text' && part.text && !part.synthetic) {
+          // Parts are resent whole as they grow - pass on what is new
+          const seen = textSeen.get(part.id) || 0;
+          textSeen.set(part.id, part.text.length);
+          await emit({
+            type: 'message-received',
+            sessionId,
+            data: { content: part.text, partId: part.id, delta: part.text.slice(seen) }
+          });
+        }
+
+        if (part.type === 'tool') {
+          const state = part.state || {};
+          const call = { callId: part.callID, tool: part.tool, input: state.input };
+
+          if (state.status === 'pending' || state.status === 'running') {
+            if (!runningTools.has(part.callID)) {
+              runningTools.add(part.callID);
+              await emit({ type: 'tool-started', sessionId, data: call });
+            }
+          } else if (state.status === 'completed' || state.status === 'error') {
+            runningTools.delete(part.callID);
+            await emit({
+              type: 'tool-completed',
+              sessionId,
+              data: { count: 1, ...call, status: state.status, output: state.output, error: state.error }
+            });
+          }
+        }
+        return false;
+      }
+
+      case 'session.status':
+        if (properties.status?.type === 'retry') {
+          await emit({
+            type: 'retry',
+            sessionId,
+            data: { attemptNumber: properties.status.attempt, message: properties.status.message }
+          });
+        }
+        return properties.status?.type === 'idle';
+
+      case 'session.idle':
+        return true;
+
+      case 'session.error':
+        return sessionError(errorMessage(properties.error), errorCode(properties.error), sessionId);
+
+      case 'permission.updated':
+        // Unattended agents cannot wait for a person to answer
+        await this.request('answer permission', this.client.postSessionIdPermissionsPermissionId({
+          path: { id: sessionId, permissionID: properties.id },
+          body: { response: this.permissionResponse }
+        })).catch(error => this.logger?.warn('Failed to answer permission request', {
+          sessionId,
+          permission: properties.title,
+          error: error.message
+        }));
+        return false;
+
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Text of the session's last assistant message
+   */
+  async readResponse(sessionId) {
+    const messages = await this.request('read messages', this.client.session.messages({
+      path: { id: sessionId }
+    }));
+
+    const last = [...(messages || [])].reverse().find(message => message.info?.role === 'assistant');
+
+    if (last?.info?.error) {
+      throw sessionError(errorMessage(last.info.error), errorCode(last.info.error), sessionId);
+    }
+
+    const response = (last?.parts || [])
+      .filter(part => part.type === 'text' && !part.synthetic)
+      .map(part => part.text)
+      .join('\n');
+
+    return { response, sessionId, messageId: last?.info?.id || null };
+  }
+
+  /**
+   * Abort a running session
+   */
+  async killSession(sessionId) {
+    const end = this.sessions.get(sessionId);
+    if (end) {
+      end();
+    }
+
+    await this.request('abort session', this.client.session.abort({ path: { id: sessionId } }));
+    return true;
+  }
+
+  /**
+   * Whether the session is still working
+   */
+  async sessionExists(sessionId) {
+    const statuses = await this.request('read session status', this.client.session.status());
+    const status = statuses?.[sessionId];
+
+    return !!status && status.type !== 'idle';
+  }
+
+  /**
+   * Whether the server answers
+   */
+  async checkHealth() {
+    try {
+      await this.request('health check', this.client.path.get());
+      return true;
+    } catch (error) {
+      this.logger?.warn('OpenCode health check failed', { baseUrl: this.baseUrl, error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Abort on the server without waiting (best effort - the session is ending anyway)
+   */
+  abortOnServer(sessionId) {
+    this.client.session.abort({ path: { id: sessionId } }).catch(error => {
+      this.logger?.warn('Failed to abort OpenCode session', { sessionId, error: error.message });
+    });
+  }
+
+  /**
+   * Await an SDK call, turning transport failures and error responses into errors
+   */
+  async request(what, call) {
+    let result;
+
+    try {
+      result = await call;
+    } catch (error) {
+      throw unreachable(this.baseUrl, error);
+    }
+
+    if (result.error) {
+      const error = new Error(`OpenCode ${what} failed: ${errorMessage(result.error)}`);
+      error.status = result.response?.status;
+      throw error;
+    }
+
+    return result.data;
+  }
+}
+
+function sessionError(message, code, sessionId) {
+  const error = new Error(message);
+  error.code = code;
+  error.sessionId = sessionId;
+  return error;
+}
+
+function unreachable(baseUrl, cause) {
+  const error = new Error(`OpenCode server unreachable at ${baseUrl}: ${cause.cause?.message || cause.message}`);
+  error.name = 'ServerUnreachableError';
+  error.code = 'SERVER_UNREACHABLE';
+  return error;
+}
+
+/**
+ * Session the event belongs to
+ */
+function eventSessionId(event) {
+  const properties = event.properties || {};
+  return properties.sessionID || properties.part?.sessionID || properties.info?.sessionID || null;
+}
+
+function errorMessage(error) {
+  if (!error) return 'Unknown error';
+  return error.data?.message || error.message || error.name || JSON.stringify(error);
+}
+
+function errorCode(error) {
+  return error?.name === 'MessageAbortedError' ? 'SESSION_ABORTED' : error?.name;
+}
@@ -0,0 +1,164 @@
+/**
+ * Recording backend - runs agents on a real backend and saves each session
+ * as a fixture for ReplayBackend
+ *
+ * Besides the prompt, progress events (tool calls, messages) and response,
+ * the fixture keeps what the agent did to its issue: labels it added or
+ * removed (oc-ralph:agent-complete, oc-ralph:test-failed) and comments it
+ * posted, found by comparing the issue before and after the session.
+ */
+import { AgentFixtureStore } from './AgentFixtureStore.js';
+
+export class RecordingBackend {
+  /**
+   * @param {Object} backend - Backend that runs the agents (usually OpenCodeBackend)
+   * @param {AgentFixtureStore} store
+   * @param {Object} issueOps - Reads the issue before and after each session (optional)
+   * @param {Object} logger
+   */
+  constructor(backend, store, issueOps, logger) {
+    this.name = 'record';
+    this.requiresServer = backend.requiresServer;
+    this.backend = backend;
+    this.store = store;
+    this.issueOps = issueOps;
+    this.logger = logger;
+  }
+
+  /**
+   * Run a prompt and record the session
+   *
+   * @param {Object} context - { agentName, issueNumber, repo }
+   */
+  async execute(prompt, options = {}, context = {}) {
+    const startTime = Date.now();
+    const events = [];
+    const before = await this.snapshotIssue(context);
+
+    const progressCallback = async (event) => {
+      events.push({
+        offsetMs: Date.now() - startTime,
+        type: event.type,
+        sessionId: event.sessionId,
+        data: toJSON(event.data)
+      });
+
+      if (options.progressCallback) {
+        await options.progressCallback(event);
+      }
+    };
+
+    let result = null;
+    let failure = null;
+
+    try {
+      result = await this.backend.execute(prompt, { ...options, progressCallback }, context);
+      return result;
+    } catch (error) {
+      failure = error;
+      throw error;
+    } finally {
+      await this.record(prompt, options, context, {
+        durationMs: Date.now() - startTime,
+        events,
+        sideEffects: await this.diffIssue(context, before),
+        result: result ? toJSON({ response: result.response, sessionId: result.sessionId }) : undefined,
+        error: failure ? { name: failure.name, message: failure.message, code: failure.code } : undefined
+      });
+    }
+  }
+
+  async killSession(sessionId) {
+    return await this.backend.killSession(sessionId);
+  }
+
+  async sessionExists(sessionId) {
+    return await this.backend.sessionExists(sessionId);
+  }
+
+  async checkHealth() {
+    return typeof this.backend.checkHealth === 'function' ? await this.backend.checkHealth() : true;
+  }
+
+  /**
+   * Save the fixture (a failed save never fails the agent run)
+   */
+  async record(prompt, options, context, session) {
+    const agent = context.agentName || options.agent;
+
+    try {
+      const file = this.store.save({
+        agent,
+        opencodeAgent: options.agent,
+        model: options.model,
+        responseFormat: options.responseFormat,
+        promptHash: AgentFixtureStore.hashPrompt(prompt),
+        prompt,
+        recordedAt: new Date().toISOString(),
+        ...session
+      });
+
+      this.logger.info('Agent session recorded', { agent, file });
+    } catch (error) {
+      this.logger.warn('Failed to record agent session', { agent, error: error.message });
+    }
+  }
+
+  /**
+   * Labels and comment IDs on the agent's issue
+   */
+  async snapshotIssue(context) {
+    if (!this.issueOps || !context.issueNumber) {
+      return null;
+    }
+
+    try {
+      this.issueOps.client?.invalidate?.(context.repo);
+      const issue = await this.issueOps.getIssue(context.repo, context.issueNumber);
+
+      return {
+        labels: issue.labels.map(l => l.name),
+        comments: issue.comments || []
+      };
+    } catch (error) {
+      this.logger.warn('Failed to read issue for recording', {
+        issueNumber: context.issueNumber,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * What the agent changed on its issue during the session
+   */
+  async diffIssue(context, before) {
+    if (!before) {
+      return { addedLabels: [], removedLabels: [], comments: [] };
+    }
+
+    const after = await this.snapshotIssue(context) || before;
+    const seen = new Set(before.comments.map(c => c.id));
+
+    return {
+      addedLabels: after.labels.filter(name => !before.labels.includes(name)),
+      removedLabels: before.labels.filter(name => !after.labels.includes(name)),
+      comments: after.comments.filter(c => !seen.has(c.id)).map(c => c.body)
+    };
+  }
+}
+
+/**
+ * Plain JSON copy (drops functions and circular references)
+ */
+function toJSON(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  try {
+    return JSON.parse(JSON.stringify(value));
+  } catch (error) {
+    return String(value);
+  }
+}
@@ -0,0 +1,100 @@
+/**
+ * Replay backend - plays recorded agent sessions back without OpenCode
+ *
+ * Each call is matched to a fixture of the same agent: first one with the
+ * same prompt, otherwise the next unused one in recorded order (prompts
+ * embed issue numbers and worktree paths, which differ between runs). The
+ * recorded progress events are replayed, the side effects are applied to
+ * the issue the agent was given, and the recorded response is returned - or
+ * the recorded error thrown.
+ */
+import { AgentFixtureStore, applySideEffects } from './AgentFixtureStore.js';
+
+export class ReplayBackend {
+  /**
+   * @param {AgentFixtureStore} store
+   * @param {Object} issueOps - Applies label and comment side effects (optional)
+   * @param {Object} logger
+   */
+  constructor(store, issueOps, logger) {
+    this.name = 'replay';
+    this.requiresServer = false;
+    this.store = store;
+    this.issueOps = issueOps;
+    this.logger = logger;
+    this.fixtures = null;
+    this.used = new Set();
+  }
+
+  /**
+   * Replay the fixture recorded for this call
+   *
+   * @param {Object} context - { agentName, issueNumber, repo }
+   */
+  async execute(prompt, options = {}, context = {}) {
+    const agent = context.agentName || options.agent;
+    const fixture = this.match(agent, prompt);
+
+    this.logger.debug('Replaying agent session', { agent, fixture: fixture.file });
+
+    for (const event of fixture.events || []) {
+      if (options.progressCallback) {
+        await options.progressCallback({ type: event.type, sessionId: event.sessionId, data: event.data });
+      }
+    }
+
+    if (this.issueOps && context.issueNumber) {
+      await applySideEffects(this.issueOps, context.repo, context.issueNumber, fixture.sideEffects);
+    }
+
+    if (fixture.error) {
+      const error = new Error(fixture.error.message);
+      error.name = fixture.error.name || 'Error';
+      error.code = fixture.error.code;
+      throw error;
+    }
+
+    return { ...fixture.result };
+  }
+
+  /**
+   * Recorded sessions end by themselves
+   */
+  async killSession() {
+    return true;
+  }
+
+  async sessionExists() {
+    return false;
+  }
+
+  /**
+   * Pick the fixture for a call (see the class comment)
+   */
+  match(agent, prompt) {
+    if (!this.fixtures) {
+      this.fixtures = this.store.loadAll();
+    }
+
+    const promptHash = AgentFixtureStore.hashPrompt(prompt);
+    const unused = this.fixtures.filter(f => f.agent === agent && !this.used.has(f.file));
+    const fixture = unused.find(f => f.promptHash === promptHash) || unused[0];
+
+    if (!fixture) {
+      const error = new Error(`No recorded ${agent} session left to replay in ${this.store.dir}`);
+      error.code = 'FIXTURE_MISSING';
+      error.shouldRetry = false;
+      throw error;
+    }
+
+    if (fixture.promptHash !== promptHash) {
+      this.logger.debug('Prompt differs from the recording, replaying next session in order', {
+        agent,
+        fixture: fixture.file
+      });
+    }
+
+    this.used.add(fixture.file);
+    return fixture;
+  }
+}
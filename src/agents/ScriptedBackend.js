@@ -0,0 +1,192 @@
+/**
+ * Scripted backend - a fake agent that follows a script
+ *
+ * Exercises the orchestrator's failure handling without OpenCode: each agent
+ * has a list of steps, one per call (the last step repeats). A step can
+ * respond, or simulate a failure:
+ *
+ *   architect:
+ *     - malformed: true          # response is truncated JSON
+ *     - json: { title: ... }     # response is this object as JSON
+ *   craftsman:
+ *     - hang: true               # hang-detected event, then a SESSION_HUNG error
+ *     - timeout: true            # session timeout error
+ *     - stall: true              # never returns until the session is killed (pause/cancel)
+ *     - error: Model overloaded  # any other failure
+ *     - complete: true           # adds oc-ralph:agent-complete to the issue
+ *       delayMs: 200
+ *   validator:
+ *     - failTests: "Error: expected 2, got 3"   # test-failed + agent-complete, with the output as a comment
+ *
+ * Steps may also list progress `events` (e.g. { type: tool-completed }) and
+ * explicit `labels`, `removeLabels` and `comments` for the agent's issue.
+ */
+import fs from 'fs';
+import yaml from 'js-yaml';
+import { applySideEffects } from './AgentFixtureStore.js';
+
+export class ScriptedBackend {
+  /**
+   * @param {Object|string} script - Steps by agent name, or a YAML/JSON file with them
+   * @param {Object} issueOps - Applies label and comment side effects (optional)
+   * @param {Object} logger
+   */
+  constructor(script, issueOps, logger) {
+    this.name = 'mock';
+    this.requiresServer = false;
+    this.script = typeof script === 'string' ? yaml.load(fs.readFileSync(script, 'utf-8')) : (script || {});
+    this.issueOps = issueOps;
+    this.logger = logger;
+    this.calls = new Map(); // agent -> number of calls
+    this.sessions = new Map(); // sessionId -> kill()
+    this.sessionCount = 0;
+    this.requests = []; // calls in order, for assertions
+  }
+
+  /**
+   * Run the agent's next scripted step
+   *
+   * @param {Object} context - { agentName, issueNumber, repo }
+   */
+  async execute(prompt, options = {}, context = {}) {
+    const agent = context.agentName || options.agent;
+    this.requests.push({ agent, prompt, model: options.model, issueNumber: context.issueNumber });
+
+    const step = this.nextStep(agent);
+    const sessionId = `mock-session-${++this.sessionCount}`;
+    const emit = async (event) => {
+      if (options.progressCallback) {
+        await options.progressCallback({ ...event, sessionId });
+      }
+    };
+
+    this.logger.debug('Running scripted agent step', { agent, sessionId, step: Object.keys(step) });
+
+    try {
+      await emit({ type: 'session-created' });
+
+      for (const event of step.events || []) {
+        await emit(event);
+      }
+
+      if (step.delayMs || step.stall) {
+        await this.wait(sessionId, step.stall ? Infinity : step.delayMs);
+      }
+
+      if (step.hang) {
+        const idleTime = step.idleTime || 30;
+        await emit({ type: 'hang-detected', data: { type: 'session', idleTime } });
+        throw scriptedError(`Session hung: no activity for ${idleTime}s`, 'SESSION_HUNG', sessionId);
+      }
+
+      if (step.timeout) {
+        throw scriptedError(`Session timeout after ${options.timeout || 0}s`, 'TIMEOUT', sessionId);
+      }
+
+      if (step.error) {
+        throw scriptedError(step.error, step.code, sessionId);
+      }
+
+      if (this.issueOps && context.issueNumber) {
+        await applySideEffects(this.issueOps, context.repo, context.issueNumber, sideEffectsOf(step));
+      }
+
+      return { response: responseOf(step), sessionId };
+    } finally {
+      this.sessions.delete(sessionId);
+    }
+  }
+
+  /**
+   * End a running (delayed or stalled) session
+   */
+  async killSession(sessionId) {
+    const kill = this.sessions.get(sessionId);
+    if (kill) {
+      kill();
+    }
+    return true;
+  }
+
+  async sessionExists(sessionId) {
+    return this.sessions.has(sessionId);
+  }
+
+  /**
+   * The agent's next step (the last one repeats)
+   */
+  nextStep(agent) {
+    const steps = [].concat(this.script[agent] || []);
+
+    if (steps.length === 0) {
+      const error = new Error(`No scripted steps for agent: ${agent}`);
+      error.shouldRetry = false;
+      throw error;
+    }
+
+    const call = this.calls.get(agent) || 0;
+    this.calls.set(agent, call + 1);
+
+    return steps[Math.min(call, steps.length - 1)] || {};
+  }
+
+  /**
+   * Wait, unless the session is killed first
+   */
+  wait(sessionId, ms) {
+    return new Promise((resolve, reject) => {
+      const timer = Number.isFinite(ms) ? setTimeout(resolve, ms) : null;
+
+      this.sessions.set(sessionId, () => {
+        clearTimeout(timer);
+        reject(scriptedError('Session aborted', 'SESSION_ABORTED', sessionId));
+      });
+    });
+  }
+}
+
+function scriptedError(message, code, sessionId) {
+  const error = new Error(message);
+  error.code = code;
+  error.sessionId = sessionId;
+  return error;
+}
+
+/**
+ * Response text of a step
+ */
+function responseOf(step) {
+  if (step.malformed) {
+    if (typeof step.malformed === 'string') {
+      return step.malformed;
+    }
+
+    const json = JSON.stringify(step.json || { tasks: [{ title: 'Unterminated' }] });
+    return json.slice(0, Math.ceil(json.length / 2));
+  }
+
+  if (step.json !== undefined) {
+    return JSON.stringify(step.json, null, 2);
+  }
+
+  return step.response || '';
+}
+
+/**
+ * Labels and comments a step leaves on the agent's issue
+ */
+function sideEffectsOf(step) {
+  const addedLabels = [...(step.labels || [])];
+  const comments = [...(step.comments || [])];
+
+  if (step.complete || step.failTests) {
+    addedLabels.push('oc-ralph:agent-complete');
+  }
+
+  if (step.failTests) {
+    addedLabels.push('oc-ralph:test-failed');
+    comments.push(`Tests FAILED\n\n${typeof step.failTests === 'string' ? step.failTests : 'Error: test assertions failed'}`);
+  }
+
+  return { addedLabels, removedLabels: step.removeLabels || [], comments };
+}
@@ -0,0 +1,52 @@
+/**
+ * Cancel command - stop an orchestration for good, leaving the worktree intact
+ */
+import { ConfigManager } from '../core/ConfigManager.js';
+import { StateManager } from '../core/StateManager.js';
+import { IssueTracker } from '../trackers/IssueTracker.js';
+
+const FINAL_STATES = [
+  'oc-ralph:completed',
+  'oc-ralph:pr-created',
+  'oc-ralph:rejected',
+  'oc-ralph:cancelled'
+];
+
+export class CancelCommand {
+  constructor(logger) {
+    this.logger = logger;
+  }
+
+  async execute(issueNumber, options) {
+    console.log(`\n⏹️  Cancelling orchestration for issue #${issueNumber}\n`);
+
+    // Load config
+    const configManager = new ConfigManager(options.config);
+    const config = configManager.load();
+
+    // Initialize components
+    const { issueOps, labelOps } = IssueTracker.create(config, this.logger);
+    
+    const stateManager = new StateManager(labelOps, issueOps, config, this.logger);
+
+    try {
+      const state = await stateManager.getCurrentState(issueNumber);
+      
+      if (!state || FINAL_STATES.includes(state)) {
+        console.log(`⚠️ Cannot cancel orchestration in state: ${state || 'Not started'}\n`);
+        process.exit(1);
+      }
+      
+      // The running orchestrator picks the label up between tasks and aborts in-flight agents
+      await stateManager.transitionTo(issueNumber, 'oc-ralph:cancelled');
+      
+      console.log(`✅ Marked as oc-ralph:cancelled (was ${state})`);
+      console.log('The running orchestration stops at its next check; the worktree is left intact.');
+      console.log(`Remove it with: oc-ralph cleanup\n`);
+      
+    } catch (error) {
+      console.error('\n❌ Cancel failed:', error.message);
+      process.exit(1);
+    }
+  }
+}
@@ -4,9 +4,7 @@
 import { ConfigManager } from '../core/ConfigManager.js';
 import { WorktreeManager } from '../core/WorktreeManager.js';
 import { StateManager } from '../core/StateManager.js';
-import { GitHubClient } from '../github/GitHubClient.js';
-import { IssueOperations } from '../github/IssueOperations.js';
-import { LabelOperations } from '../github/LabelOperations.js';
+import { IssueTracker } from '../trackers/IssueTracker.js';
 import { GitOperations } from '../utils/GitOperations.js';
 import fs from 'fs/promises';
 import path from 'path';
@@ -26,9 +24,7 @@ export class CleanupCommand {
     });
 
     // Initialize components
-    const github = new GitHubClient(this.logger);
-    const issueOps = new IssueOperations(github, this.logger);
-    const labelOps = new LabelOperations(github, this.logger);
+    const { issueOps, labelOps } = IssueTracker.create(config, this.logger);
     const gitOps = new GitOperations(this.logger, configManager.getRepoPath());
     
     const stateManager = new StateManager(labelOps, issueOps, config, this.logger);
@@ -3,14 +3,10 @@
  */
 import fs from 'fs';
 import path from 'path';
-import { exec } from 'child_process';
-import { promisify } from 'util';
 import { ConfigManager } from '../core/ConfigManager.js';
 import { GitHubClient } from '../github/GitHubClient.js';
 import { LabelOperations } from '../github/LabelOperations.js';
 
-const execAsync = promisify(exec);
-
 export class InitCommand {
   constructor(logger) {
     this.logger = logger;
@@ -50,10 +46,12 @@ export class InitCommand {
   }
 
   async validateGitHubAuth() {
-    try {
-      await execAsync('gh auth status');
-    } catch (error) {
-      throw new Error('GitHub CLI not authenticated. Run: gh auth login');
+    const github = new GitHubClient(this.logger);
+
+    if (!(await github.checkAuth())) {
+      throw new Error(github.transport.name === 'gh'
+        ? 'GitHub CLI not authenticated. Run: gh auth login (or set GITHUB_TOKEN)'
+        : 'GitHub token rejected. Check GITHUB_TOKEN');
     }
   }
 
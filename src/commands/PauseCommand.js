@@ -0,0 +1,54 @@
+/**
+ * Pause command - pause a running orchestration so it can be resumed later
+ */
+import { ConfigManager } from '../core/ConfigManager.js';
+import { StateManager } from '../core/StateManager.js';
+import { IssueTracker } from '../trackers/IssueTracker.js';
+
+const PAUSABLE_STATES = [
+  'oc-ralph:planning',
+  'oc-ralph:awaiting-approval',
+  'oc-ralph:approved',
+  'oc-ralph:implementing',
+  'oc-ralph:testing',
+  'oc-ralph:verifying'
+];
+
+export class PauseCommand {
+  constructor(logger) {
+    this.logger = logger;
+  }
+
+  async execute(issueNumber, options) {
+    console.log(`\n⏸️  Pausing orchestration for issue #${issueNumber}\n`);
+
+    // Load config
+    const configManager = new ConfigManager(options.config);
+    const config = configManager.load();
+
+    // Initialize components
+    const { issueOps, labelOps } = IssueTracker.create(config, this.logger);
+    
+    const stateManager = new StateManager(labelOps, issueOps, config, this.logger);
+
+    try {
+      const state = await stateManager.getCurrentState(issueNumber);
+      
+      if (!PAUSABLE_STATES.includes(state)) {
+        console.log(`⚠️ Cannot pause orchestration in state: ${state || 'Not started'}\n`);
+        process.exit(1);
+      }
+      
+      // The running orchestrator picks the label up between tasks and aborts in-flight agents
+      await stateManager.transitionTo(issueNumber, 'oc-ralph:paused');
+      
+      console.log(`✅ Marked as oc-ralph:paused (was ${state})`);
+      console.log('The running orchestration stops at its next check; the worktree is left intact.');
+      console.log(`Continue with: oc-ralph resume ${issueNumber}\n`);
+      
+    } catch (error) {
+      console.error('\n❌ Pause failed:', error.message);
+      process.exit(1);
+    }
+  }
+}
@@ -8,12 +8,10 @@ import { Orchestrator } from '../core/Orchestrator.js';
 import { PlanningStage } from '../stages/PlanningStage.js';
 import { ImplementationStage } from '../stages/ImplementationStage.js';
 import { TestingStage } from '../stages/TestingStage.js';
+import { VerificationStage } from '../stages/VerificationStage.js';
 import { CompletionStage } from '../stages/CompletionStage.js';
 import { AgentExecutor } from '../agents/AgentExecutor.js';
-import { GitHubClient } from '../github/GitHubClient.js';
-import { IssueOperations } from '../github/IssueOperations.js';
-import { LabelOperations } from '../github/LabelOperations.js';
-import { PullRequestOperations } from '../github/PullRequestOperations.js';
+import { IssueTracker } from '../trackers/IssueTracker.js';
 import { IssueTemplateManager } from '../github/IssueTemplateManager.js';
 import { GitOperations } from '../utils/GitOperations.js';
 import { JSONParser } from '../utils/JSONParser.js';
@@ -28,6 +26,11 @@ import { RetryManager } from '../execution/RetryManager.js';
 import { TestFailureHandler } from '../execution/TestFailureHandler.js';
 import { TestRetryCoordinator } from '../execution/TestRetryCoordinator.js';
 import { TestResultAggregator } from '../execution/TestResultAggregator.js';
+import { TestCommandRunner } from '../execution/TestCommandRunner.js';
+import { RegressionDetector } from '../execution/RegressionDetector.js';
+import { ParallelFixCoordinator } from '../execution/ParallelFixCoordinator.js';
+import { VerificationRunner } from '../execution/VerificationRunner.js';
+import { StatusResilienceManager } from '../resilience/StatusResilienceManager.js';
 
 export class ResumeCommand {
   constructor(logger) {
@@ -40,15 +43,14 @@ export class ResumeCommand {
     // Load config
     const configManager = new ConfigManager(options.config);
     const config = configManager.load({
-      debugMode: options.debug || false
+      debugMode: options.debug || false,
+      local: options.local || false,
+      agentBackend: options.agentBackend
     });
 
     // Initialize components
     const debugLogger = new DebugLogger(this.logger, config.logging.debugMode);
-    const github = new GitHubClient(this.logger);
-    const issueOps = new IssueOperations(github, this.logger);
-    const labelOps = new LabelOperations(github, this.logger);
-    const prOps = new PullRequestOperations(github, this.logger);
+    const { issueOps, labelOps, prOps } = IssueTracker.create(config, this.logger);
     const gitOps = new GitOperations(this.logger, configManager.getRepoPath());
     const jsonParser = new JSONParser();
     
@@ -56,7 +58,7 @@ export class ResumeCommand {
     const worktreeManager = new WorktreeManager(gitOps, labelOps, config, this.logger);
     const issueTemplateManager = new IssueTemplateManager(issueOps, config, this.logger);
     
-    const agentExecutor = new AgentExecutor(config, this.logger, debugLogger);
+    const agentExecutor = new AgentExecutor(config, this.logger, debugLogger, null, issueOps);
     
     // Initialize execution utilities
     const dependencyResolver = new DependencyResolver(this.logger);
@@ -76,6 +78,16 @@ export class ResumeCommand {
       this.logger
     );
     
+    // Initialize resilience manager
+    const statusResilienceManager = new StatusResilienceManager({
+      github: issueOps,
+      discord: discordNotifier,
+      occlient: agentExecutor.client,
+      statusResilience: config.statusResilience,
+      fullConfig: config, // Pass full config for model failover
+      journal: stateManager.journal
+    }, this.logger);
+    
     const planningStage = new PlanningStage(
       agentExecutor,
       issueOps,
@@ -85,6 +97,7 @@ export class ResumeCommand {
       stateManager,
       jsonParser,
       discordNotifier,
+      statusResilienceManager,
       config,
       this.logger
     );
@@ -98,6 +111,7 @@ export class ResumeCommand {
       taskPoller,
       statusUpdater,
       discordNotifier,
+      statusResilienceManager,
       config,
       this.logger
     );
@@ -111,6 +125,8 @@ export class ResumeCommand {
       this.logger
     );
     
+    const testCommandRunner = new TestCommandRunner(issueOps, config, this.logger);
+    
     const testRetryCoordinator = new TestRetryCoordinator(
       testFailureHandler,
       agentExecutor,
@@ -119,23 +135,53 @@ export class ResumeCommand {
       dependencyResolver,
       statusUpdater,
       discordNotifier,
+      stateManager.journal,
+      testCommandRunner,
+      new RegressionDetector(gitOps, issueOps, testCommandRunner, config, this.logger),
       config,
       this.logger
     );
     
     const testResultAggregator = new TestResultAggregator(
       issueOps,
+      this.logger
+    );
+    
+    const parallelFixCoordinator = new ParallelFixCoordinator(
+      testRetryCoordinator,
+      testFailureHandler,
+      dependencyResolver,
+      worktreeManager,
+      issueOps,
+      testCommandRunner,
+      stateManager.journal,
       config,
       this.logger
     );
     
     const testingStage = new TestingStage(
+      issueOps,
       agentExecutor,
       taskPoller,
       testRetryCoordinator,
       testResultAggregator,
+      dependencyResolver,
+      statusUpdater,
+      discordNotifier,
+      testCommandRunner,
+      parallelFixCoordinator,
+      config,
+      this.logger
+    );
+    
+    const verificationStage = new VerificationStage(
+      issueOps,
+      agentExecutor,
+      taskPoller,
+      new VerificationRunner(testCommandRunner, config, this.logger),
       statusUpdater,
       discordNotifier,
+      stateManager.journal,
       config,
       this.logger
     );
@@ -144,7 +190,7 @@ export class ResumeCommand {
       prOps,
       issueOps,
       gitOps,
-      worktreeManager,
+      issueBodyManager,
       statusUpdater,
       discordNotifier,
       config,
@@ -158,6 +204,7 @@ export class ResumeCommand {
       planningStage,
       implementationStage,
       testingStage,
+      verificationStage,
       completionStage,
       issueBodyManager,
       statusTable,
@@ -190,7 +237,7 @@ export class ResumeCommand {
       
       console.log(`\n✅ Resume operation completed`);
       console.log(`Status: ${result.status}`);
-      console.log(`View issue: https://github.com/${config.github.owner}/${config.github.repo}/issues/${issueNumber}\n`);
+      console.log(`View issue: ${issueOps.getIssueUrl(configManager.getGitHubRepo(), issueNumber)}\n`);
       
     } catch (error) {
       console.error('\n❌ Resume failed:', error.message);
@@ -211,20 +258,30 @@ export class ResumeCommand {
         // Orchestrator will poll for approval and continue
         return await orchestrator.resume(issueNumber);
 
+      case 'oc-ralph:approved':
       case 'oc-ralph:implementing':
         this.logger.info('Resuming from implementing state', { issueNumber });
-        // TODO: Find incomplete implementation tasks and continue
-        // For now, use orchestrator's resume method
+        console.log('ℹ️  Skipping completed sub-issues, re-running in-progress and failed tasks.\n');
         return await orchestrator.resume(issueNumber);
 
       case 'oc-ralph:testing':
         this.logger.info('Resuming from testing state', { issueNumber });
-        console.log('ℹ️  Testing stage in progress. Use orchestrator.resume() to continue.\n');
+        console.log('ℹ️  Continuing test/fix loop from existing fix attempts.\n');
+        return await orchestrator.resume(issueNumber);
+
+      case 'oc-ralph:verifying':
+        this.logger.info('Resuming from verifying state', { issueNumber });
+        console.log('ℹ️  Re-running the verification checks, continuing from existing fix attempts.\n');
         return await orchestrator.resume(issueNumber);
 
       case 'oc-ralph:completing':
         this.logger.info('Resuming from completing state', { issueNumber });
-        console.log('ℹ️  Completion stage in progress. Use orchestrator.resume() to continue.\n');
+        console.log('ℹ️  Finishing completion stage (push and pull request).\n');
+        return await orchestrator.resume(issueNumber);
+
+      case 'oc-ralph:paused':
+        this.logger.info('Resuming paused orchestration', { issueNumber });
+        console.log('ℹ️  Continuing from the stage the orchestration was paused in.\n');
         return await orchestrator.resume(issueNumber);
 
       case 'oc-ralph:completed':
@@ -245,6 +302,10 @@ export class ResumeCommand {
         this.logger.warn('Cannot resume rejected orchestration', { issueNumber });
         throw new Error('Cannot resume from rejected state. Create a new orchestration.');
 
+      case 'oc-ralph:cancelled':
+        this.logger.warn('Cannot resume cancelled orchestration', { issueNumber });
+        throw new Error('Cannot resume from cancelled state. Use pause instead of cancel to stop a run you want to continue.');
+
       case 'oc-ralph:planning':
         this.logger.info('Resuming from planning state', { issueNumber });
         // Let planning continue
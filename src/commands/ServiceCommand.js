@@ -7,16 +7,15 @@ import { ConfigManager } from '../core/ConfigManager.js';
 import { Logger } from '../logging/Logger.js';
 import { DebugLogger } from '../logging/DebugLogger.js';
 import { LogStreamManager } from '../logging/LogStreamManager.js';
-import { GitHubClient } from '../github/GitHubClient.js';
-import { IssueOperations } from '../github/IssueOperations.js';
-import { LabelOperations } from '../github/LabelOperations.js';
-import { PullRequestOperations } from '../github/PullRequestOperations.js';
+import { IssueTracker } from '../trackers/IssueTracker.js';
 import { StateManager } from '../core/StateManager.js';
+import { CommentCommandWatcher } from '../core/CommentCommandWatcher.js';
 import { WorktreeManager } from '../core/WorktreeManager.js';
 import { Orchestrator } from '../core/Orchestrator.js';
 import { PlanningStage } from '../stages/PlanningStage.js';
 import { ImplementationStage } from '../stages/ImplementationStage.js';
 import { TestingStage } from '../stages/TestingStage.js';
+import { VerificationStage } from '../stages/VerificationStage.js';
 import { CompletionStage } from '../stages/CompletionStage.js';
 import { AgentExecutor } from '../agents/AgentExecutor.js';
 import { IssueTemplateManager } from '../github/IssueTemplateManager.js';
@@ -32,10 +31,18 @@ import { RetryManager } from '../execution/RetryManager.js';
 import { TestFailureHandler } from '../execution/TestFailureHandler.js';
 import { TestRetryCoordinator } from '../execution/TestRetryCoordinator.js';
 import { TestResultAggregator } from '../execution/TestResultAggregator.js';
+import { TestCommandRunner } from '../execution/TestCommandRunner.js';
+import { RegressionDetector } from '../execution/RegressionDetector.js';
+import { ParallelFixCoordinator } from '../execution/ParallelFixCoordinator.js';
+import { VerificationRunner } from '../execution/VerificationRunner.js';
 import { StatusResilienceManager } from '../resilience/StatusResilienceManager.js';
+import { SessionLimiter } from '../execution/SessionLimiter.js';
 import { OrchestrationQueue } from '../queue/OrchestrationQueue.js';
+import { QueueStore } from '../queue/QueueStore.js';
 import { GitHubPoller } from '../queue/GitHubPoller.js';
 import { WebServer } from '../web/WebServer.js';
+import { WebhookHandler } from '../web/WebhookHandler.js';
+import { IssueEvents } from '../core/IssueEvents.js';
 
 export class ServiceCommand {
   constructor(logger) {
@@ -69,38 +76,77 @@ export class ServiceCommand {
       logLevel: config.logging?.level || 'info'
     });
 
-    // Initialize GitHub clients
-    const github = new GitHubClient(serviceLogger);
-    const issueOps = new IssueOperations(github, serviceLogger);
-    const labelOps = new LabelOperations(github, serviceLogger);
-    const prOps = new PullRequestOperations(github, serviceLogger);
-    const gitOps = new GitOperations(serviceLogger, configManager.getRepoPath());
+    // Shared by concurrent orchestrations across all repositories
+    const sessionLimiter = new SessionLimiter(config, serviceLogger);
+
+    // Webhook deliveries wake approval and task waits (polling slows to a fallback)
+    const issueEvents = new IssueEvents(config, serviceLogger);
+    const webhookHandler = new WebhookHandler(issueEvents, config, serviceLogger);
+
+    // One workspace per repository: its config, repo-tagged logger, issue tracker,
+    // git and worktrees (worktree operations are serialized per repository).
+    // Repositories on the same tracker connection share its cache and rate limit budget.
+    const trackers = new Map();
+    const workspaces = new Map();
+    for (const repoConfigManager of configManager.getRepositories()) {
+      const repo = repoConfigManager.getGitHubRepo();
+      const repoConfig = repoConfigManager.config;
+      const repoLogger = serviceLogger.child({ repo });
+      const gitOps = new GitOperations(repoLogger, repoConfigManager.getRepoPath());
+
+      const trackerKey = IssueTracker.connectionKey(repoConfig);
+      if (!trackers.has(trackerKey)) {
+        trackers.set(trackerKey, IssueTracker.create(repoConfig, serviceLogger));
+      }
+      const tracker = trackers.get(trackerKey);
+
+      workspaces.set(repo, {
+        repo,
+        configManager: repoConfigManager,
+        config: repoConfig,
+        logger: repoLogger,
+        tracker,
+        gitOps,
+        worktreeManager: new WorktreeManager(gitOps, tracker.labelOps, repoConfig, repoLogger)
+      });
+    }
+
+    const defaultRepo = configManager.getGitHubRepo();
+
+    // Create orchestrator factory (creates fresh instance for each issue, so
+    // every run has its own StatusUpdater and StatusResilienceManager)
+    const orchestratorFactory = async (repo = defaultRepo) => {
+      const workspace = workspaces.get(repo);
+      if (!workspace) {
+        throw new Error(`Unknown repository: ${repo} (not in config repositories)`);
+      }
+
+      const { configManager, config, logger, tracker, gitOps, worktreeManager } = workspace;
+      const { issueOps, labelOps, prOps } = tracker;
 
-    // Create orchestrator factory (creates fresh instance for each issue)
-    const orchestratorFactory = async () => {
       // Initialize all orchestrator dependencies
       const jsonParser = new JSONParser();
-      const stateManager = new StateManager(labelOps, issueOps, config, serviceLogger);
-      const worktreeManager = new WorktreeManager(gitOps, labelOps, config, serviceLogger);
-      const issueTemplateManager = new IssueTemplateManager(issueOps, config, serviceLogger);
-      const agentExecutor = new AgentExecutor(config, serviceLogger, debugLogger);
+      const stateManager = new StateManager(labelOps, issueOps, config, logger);
+      const issueTemplateManager = new IssueTemplateManager(issueOps, config, logger);
+      const agentExecutor = new AgentExecutor(config, logger, debugLogger, sessionLimiter, issueOps);
+      agentExecutor.setStreamManager(logStreamManager);
       
       // Initialize execution utilities
-      const dependencyResolver = new DependencyResolver(serviceLogger);
-      const retryManager = new RetryManager(config, serviceLogger);
-      const taskPoller = new TaskPoller(issueOps, serviceLogger);
+      const dependencyResolver = new DependencyResolver(logger);
+      const retryManager = new RetryManager(config, logger);
+      const taskPoller = new TaskPoller(issueOps, logger, issueEvents);
       
       // Initialize status management
       const issueBodyManager = new IssueBodyManager();
-      const statusTable = new StatusTable(issueOps, config, serviceLogger);
-      const discordNotifier = new DiscordNotifier(config, serviceLogger);
+      const statusTable = new StatusTable(issueOps, config, logger);
+      const discordNotifier = new DiscordNotifier(config, logger);
       const statusUpdater = new StatusUpdater(
         issueOps,
         issueBodyManager,
         statusTable,
         discordNotifier,
         config,
-        serviceLogger
+        logger
       );
       
       // Initialize resilience manager
@@ -109,8 +155,9 @@ export class ServiceCommand {
         discord: discordNotifier,
         occlient: agentExecutor.client,
         statusResilience: config.statusResilience,
-        fullConfig: config
-      }, serviceLogger);
+        fullConfig: config,
+        journal: stateManager.journal
+      }, logger);
       
       // Initialize stages
       const planningStage = new PlanningStage(
@@ -124,7 +171,7 @@ export class ServiceCommand {
         discordNotifier,
         statusResilienceManager,
         config,
-        serviceLogger
+        logger
       );
 
       const implementationStage = new ImplementationStage(
@@ -138,7 +185,7 @@ export class ServiceCommand {
         discordNotifier,
         statusResilienceManager,
         config,
-        serviceLogger
+        logger
       );
       
       // Initialize testing stage
@@ -147,9 +194,11 @@ export class ServiceCommand {
         issueTemplateManager,
         gitOps,
         config,
-        serviceLogger
+        logger
       );
       
+      const testCommandRunner = new TestCommandRunner(issueOps, config, logger);
+      
       const testRetryCoordinator = new TestRetryCoordinator(
         testFailureHandler,
         agentExecutor,
@@ -158,35 +207,66 @@ export class ServiceCommand {
         dependencyResolver,
         statusUpdater,
         discordNotifier,
+        stateManager.journal,
+        testCommandRunner,
+        new RegressionDetector(gitOps, issueOps, testCommandRunner, config, logger),
         config,
-        serviceLogger
+        logger
       );
       
       const testResultAggregator = new TestResultAggregator(
         issueOps,
-        serviceLogger
+        logger
+      );
+      
+      const parallelFixCoordinator = new ParallelFixCoordinator(
+        testRetryCoordinator,
+        testFailureHandler,
+        dependencyResolver,
+        worktreeManager,
+        issueOps,
+        testCommandRunner,
+        stateManager.journal,
+        config,
+        logger
       );
       
       const testingStage = new TestingStage(
         issueOps,
         agentExecutor,
+        taskPoller,
         testRetryCoordinator,
         testResultAggregator,
+        dependencyResolver,
+        statusUpdater,
+        discordNotifier,
+        testCommandRunner,
+        parallelFixCoordinator,
+        config,
+        logger
+      );
+      
+      const verificationStage = new VerificationStage(
+        issueOps,
+        agentExecutor,
         taskPoller,
-        stateManager,
+        new VerificationRunner(testCommandRunner, config, logger),
         statusUpdater,
         discordNotifier,
+        stateManager.journal,
         config,
-        serviceLogger
+        logger
       );
       
       const completionStage = new CompletionStage(
         prOps,
-        worktreeManager,
+        issueOps,
+        gitOps,
+        issueBodyManager,
         statusUpdater,
         discordNotifier,
         config,
-        serviceLogger
+        logger
       );
       
       // Create orchestrator
@@ -197,16 +277,26 @@ export class ServiceCommand {
         planningStage,
         implementationStage,
         testingStage,
+        verificationStage,
         completionStage,
         issueBodyManager,
         statusTable,
         statusUpdater,
-        serviceLogger
+        logger,
+        issueEvents
       );
     };
 
     // Initialize queue
-    const queue = new OrchestrationQueue(orchestratorFactory, serviceLogger);
+    const queue = new OrchestrationQueue(orchestratorFactory, serviceLogger, {
+      maxConcurrent: config.service?.maxConcurrentOrchestrations || 1,
+      sessionLimiter,
+      defaultRepo,
+      store: new QueueStore(serviceLogger)
+    });
+
+    // Pick up issues that were still queued when the service last stopped
+    const { interrupted } = queue.restore();
 
     // Start web server
     const port = config.service?.port || 3000;
@@ -216,7 +306,10 @@ export class ServiceCommand {
       logStreamManager, 
       queue, 
       config, 
-      serviceLogger
+      serviceLogger,
+      [...workspaces.values()].map(w => w.config),
+      webhookHandler,
+      new Map([...workspaces.values()].map(w => [w.repo, w.tracker.client]))
     );
     
     await webServer.start(port, host);
@@ -226,20 +319,35 @@ export class ServiceCommand {
       wsUrl: `ws://localhost:${port}/ws`
     });
 
-    // Start GitHub poller
-    const poller = new GitHubPoller(issueOps, queue, config, serviceLogger);
-    await poller.start();
+    // Start one GitHub poller per repository (each also handles /ralph commands on its processing issues)
+    const pollers = [];
+    for (const { config: repoConfig, logger: repoLogger, tracker } of workspaces.values()) {
+      const { issueOps, labelOps } = tracker;
+      const pollerStateManager = new StateManager(labelOps, issueOps, repoConfig, repoLogger);
+      const commandWatcher = new CommentCommandWatcher(issueOps, repoConfig, repoLogger, pollerStateManager.journal);
+      const poller = new GitHubPoller(issueOps, queue, repoConfig, repoLogger, pollerStateManager, commandWatcher, issueEvents);
+      webhookHandler.register(poller);
+
+      // Resume runs orphaned by the last shutdown before polling for new work
+      await poller.reconcile(interrupted);
+      await poller.start();
+      pollers.push(poller);
+    }
 
     serviceLogger.info('Service started successfully', {
-      pollInterval: `${(config.service?.pollInterval || 60000) / 1000}s`,
-      queueLabel: config.service?.queueLabel || 'oc-ralph:queue',
-      repo: `${config.github.owner}/${config.github.repo}`
+      pollInterval: `${pollers[0].pollInterval / 1000}s`,
+      webhooks: webhookHandler.enabled,
+      repositories: pollers.map(p => ({ repo: p.repo, queueLabel: p.queueLabel }))
     });
 
     console.log('\n✅ Service running');
     console.log(`   Web UI: http://localhost:${port}`);
-    console.log(`   Watching: ${config.github.owner}/${config.github.repo}`);
-    console.log(`   Queue label: ${config.service?.queueLabel || 'oc-ralph:queue'}`);
+    for (const poller of pollers) {
+      console.log(`   Watching: ${poller.repo} (queue label: ${poller.queueLabel})`);
+    }
+    if (webhookHandler.enabled) {
+      console.log(`   Webhooks: http://localhost:${port}/api/webhooks/github (polling every ${pollers[0].pollInterval / 1000}s as fallback)`);
+    }
     console.log('\nPress Ctrl+C to stop\n');
 
     // Graceful shutdown handlers
@@ -249,15 +357,15 @@ export class ServiceCommand {
       
       try {
         // Stop polling
-        poller.stop();
-        serviceLogger.info('Poller stopped');
+        pollers.forEach(poller => poller.stop());
+        serviceLogger.info('Pollers stopped');
         
-        // Wait for current orchestration to complete (with timeout)
+        // Wait for running orchestrations to complete (with timeout)
         const queueStatus = queue.getStatus();
-        if (queueStatus.running) {
-          console.log(`Waiting for issue #${queueStatus.running} to complete...`);
-          serviceLogger.info('Waiting for running orchestration', { 
-            issueNumber: queueStatus.running 
+        if (queueStatus.running.length > 0) {
+          console.log(`Waiting for ${queueStatus.running.map(r => r.key).join(', ')} to complete...`);
+          serviceLogger.info('Waiting for running orchestrations', { 
+            issues: queueStatus.running.map(r => r.key)
           });
           
           // TODO: Add proper wait logic with timeout
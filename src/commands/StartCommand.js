@@ -1,6 +1,12 @@
 /**
  * Start command - begin orchestration
+ *
+ * With --local the argument is a spec markdown file: it becomes the master
+ * issue of a file-based tracker under .oc-ralph/local/ and the run stays
+ * offline (local branch, PR description written to a file).
  */
+import fs from 'fs';
+import path from 'path';
 import { ConfigManager } from '../core/ConfigManager.js';
 import { StateManager } from '../core/StateManager.js';
 import { WorktreeManager } from '../core/WorktreeManager.js';
@@ -8,12 +14,11 @@ import { Orchestrator } from '../core/Orchestrator.js';
 import { PlanningStage } from '../stages/PlanningStage.js';
 import { ImplementationStage } from '../stages/ImplementationStage.js';
 import { TestingStage } from '../stages/TestingStage.js';
+import { VerificationStage } from '../stages/VerificationStage.js';
 import { CompletionStage } from '../stages/CompletionStage.js';
 import { AgentExecutor } from '../agents/AgentExecutor.js';
+import { IssueTracker } from '../trackers/IssueTracker.js';
 import { GitHubClient } from '../github/GitHubClient.js';
-import { IssueOperations } from '../github/IssueOperations.js';
-import { LabelOperations } from '../github/LabelOperations.js';
-import { PullRequestOperations } from '../github/PullRequestOperations.js';
 import { IssueTemplateManager } from '../github/IssueTemplateManager.js';
 import { GitOperations } from '../utils/GitOperations.js';
 import { JSONParser } from '../utils/JSONParser.js';
@@ -28,6 +33,10 @@ import { RetryManager } from '../execution/RetryManager.js';
 import { TestFailureHandler } from '../execution/TestFailureHandler.js';
 import { TestRetryCoordinator } from '../execution/TestRetryCoordinator.js';
 import { TestResultAggregator } from '../execution/TestResultAggregator.js';
+import { TestCommandRunner } from '../execution/TestCommandRunner.js';
+import { RegressionDetector } from '../execution/RegressionDetector.js';
+import { ParallelFixCoordinator } from '../execution/ParallelFixCoordinator.js';
+import { VerificationRunner } from '../execution/VerificationRunner.js';
 import { StatusResilienceManager } from '../resilience/StatusResilienceManager.js';
 
 export class StartCommand {
@@ -35,13 +44,17 @@ export class StartCommand {
     this.logger = logger;
   }
 
-  async execute(issueNumber, options) {
-    console.log(`\n🎯 Starting orchestration for issue #${issueNumber}\n`);
+  async execute(target, options) {
+    console.log(options.local
+      ? `\n🎯 Starting local orchestration for ${target}\n`
+      : `\n🎯 Starting orchestration for issue #${target}\n`);
 
     // Load config
     const configManager = new ConfigManager(options.config);
     const config = configManager.load({
-      debugMode: options.debug || false
+      debugMode: options.debug || false,
+      local: options.local || false,
+      agentBackend: options.agentBackend
     });
 
     // Validate environment
@@ -51,10 +64,10 @@ export class StartCommand {
 
     // Initialize components
     const debugLogger = new DebugLogger(this.logger, config.logging.debugMode);
-    const github = new GitHubClient(this.logger);
-    const issueOps = new IssueOperations(github, this.logger);
-    const labelOps = new LabelOperations(github, this.logger);
-    const prOps = new PullRequestOperations(github, this.logger);
+    const { issueOps, labelOps, prOps } = IssueTracker.create(config, this.logger);
+    const issueNumber = options.local
+      ? await this.createLocalIssue(issueOps, configManager.getGitHubRepo(), target)
+      : target;
     const gitOps = new GitOperations(this.logger, configManager.getRepoPath());
     const jsonParser = new JSONParser();
     
@@ -62,7 +75,7 @@ export class StartCommand {
     const worktreeManager = new WorktreeManager(gitOps, labelOps, config, this.logger);
     const issueTemplateManager = new IssueTemplateManager(issueOps, config, this.logger);
     
-    const agentExecutor = new AgentExecutor(config, this.logger, debugLogger);
+    const agentExecutor = new AgentExecutor(config, this.logger, debugLogger, null, issueOps);
     
     // Initialize execution utilities
     const dependencyResolver = new DependencyResolver(this.logger);
@@ -88,7 +101,8 @@ export class StartCommand {
       discord: discordNotifier,
       occlient: agentExecutor.client,
       statusResilience: config.statusResilience,
-      fullConfig: config // Pass full config for model failover
+      fullConfig: config, // Pass full config for model failover
+      journal: stateManager.journal
     }, this.logger);
     
     const planningStage = new PlanningStage(
@@ -128,6 +142,8 @@ export class StartCommand {
       this.logger
     );
     
+    const testCommandRunner = new TestCommandRunner(issueOps, config, this.logger);
+    
     const testRetryCoordinator = new TestRetryCoordinator(
       testFailureHandler,
       agentExecutor,
@@ -136,6 +152,9 @@ export class StartCommand {
       dependencyResolver,
       statusUpdater,
       discordNotifier,
+      stateManager.journal,
+      testCommandRunner,
+      new RegressionDetector(gitOps, issueOps, testCommandRunner, config, this.logger),
       config,
       this.logger
     );
@@ -145,6 +164,18 @@ export class StartCommand {
       this.logger
     );
     
+    const parallelFixCoordinator = new ParallelFixCoordinator(
+      testRetryCoordinator,
+      testFailureHandler,
+      dependencyResolver,
+      worktreeManager,
+      issueOps,
+      testCommandRunner,
+      stateManager.journal,
+      config,
+      this.logger
+    );
+    
     const testingStage = new TestingStage(
       issueOps,
       agentExecutor,
@@ -154,6 +185,20 @@ export class StartCommand {
       dependencyResolver,
       statusUpdater,
       discordNotifier,
+      testCommandRunner,
+      parallelFixCoordinator,
+      config,
+      this.logger
+    );
+    
+    const verificationStage = new VerificationStage(
+      issueOps,
+      agentExecutor,
+      taskPoller,
+      new VerificationRunner(testCommandRunner, config, this.logger),
+      statusUpdater,
+      discordNotifier,
+      stateManager.journal,
       config,
       this.logger
     );
@@ -177,6 +222,7 @@ export class StartCommand {
       planningStage,
       implementationStage,
       testingStage,
+      verificationStage,
       completionStage,
       issueBodyManager,
       statusTable,
@@ -199,7 +245,7 @@ export class StartCommand {
         console.log('- Pull Request: ✅ Created');
       }
       
-      console.log(`\nView issue: https://github.com/${config.github.owner}/${config.github.repo}/issues/${issueNumber}\n`);
+      console.log(`\nView issue: ${issueOps.getIssueUrl(configManager.getGitHubRepo(), issueNumber)}\n`);
       
     } catch (error) {
       console.error('\n❌ Orchestration failed:', error.message);
@@ -210,44 +256,79 @@ export class StartCommand {
     }
   }
 
+  /**
+   * Create the local master issue from a spec markdown file
+   *
+   * The title is the spec's first heading (or its file name).
+   */
+  async createLocalIssue(issueOps, repo, specPath) {
+    if (!fs.existsSync(specPath)) {
+      throw new Error(`Spec file not found: ${specPath}`);
+    }
+
+    const body = fs.readFileSync(specPath, 'utf-8');
+    const heading = body.match(/^#\s+(.+)$/m);
+    const title = heading ? heading[1].trim() : path.basename(specPath, path.extname(specPath));
+
+    const issue = await issueOps.createIssue(repo, { title, body, labels: [] });
+    console.log(`📝 Created local issue #${issue.number}: ${issue.url}\n`);
+
+    return issue.number;
+  }
+
   /**
    * Validate environment before starting orchestration
    */
   async validateEnvironment(config) {
+    const errors = await this.checkEnvironment(config);
+
+    if (errors.length > 0) {
+      console.error('\n❌ Environment validation failed:\n');
+      errors.forEach(error => console.error(`  - ${error}`));
+      console.error('');
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Problems that keep an orchestration from starting
+   *
+   * @returns {Promise<Array<string>>} Error messages (empty when all is well)
+   */
+  async checkEnvironment(config) {
     const errors = [];
 
-    // Check GitHub token
-    if (!process.env.GITHUB_TOKEN && !process.env.GH_TOKEN) {
-      errors.push('GitHub token not found. Set GITHUB_TOKEN or GH_TOKEN environment variable.');
+    const trackerType = config.tracker?.type || 'github';
+
+    // Check tracker credentials
+    if (trackerType === 'local') {
+      // Offline - no token needed
+    } else if (trackerType === 'github') {
+      // The transport the client picks: a token from config or env, else the gh CLI's login
+      const github = new GitHubClient(this.logger, config.github);
+      const ghMissing = github.transport.name === 'gh' && !(await this.commandSucceeds('gh --version'));
+
+      if (ghMissing) {
+        errors.push('No GitHub token and the GitHub CLI (gh) is not installed. Set github.token, GITHUB_TOKEN or GH_TOKEN, or install gh.');
+      } else if (!(await github.checkAuth())) {
+        errors.push(github.transport.name === 'gh'
+          ? 'GitHub CLI not authenticated. Run: gh auth login (or set github.token, GITHUB_TOKEN or GH_TOKEN)'
+          : 'GitHub token rejected. Check github.token, GITHUB_TOKEN or GH_TOKEN.');
+      }
+    } else {
+      const tokenVar = trackerType === 'gitlab' ? 'GITLAB_TOKEN' : 'GITEA_TOKEN';
+      if (!config.tracker.token && !process.env[tokenVar]) {
+        errors.push(`${trackerType} token not found. Set ${tokenVar} or tracker.token in .oc-ralph/config.json.`);
+      }
     }
 
     // Check git is installed
-    try {
-      const { exec } = await import('child_process');
-      const { promisify } = await import('util');
-      const execAsync = promisify(exec);
-      await execAsync('git --version');
-    } catch (error) {
+    if (!(await this.commandSucceeds('git --version'))) {
       errors.push('Git is not installed or not in PATH.');
     }
 
-    // Check gh CLI is installed
-    try {
-      const { exec } = await import('child_process');
-      const { promisify } = await import('util');
-      const execAsync = promisify(exec);
-      await execAsync('gh --version');
-    } catch (error) {
-      errors.push('GitHub CLI (gh) is not installed or not in PATH.');
-    }
-
     // Check we're in a git repository
-    try {
-      const { exec } = await import('child_process');
-      const { promisify } = await import('util');
-      const execAsync = promisify(exec);
-      await execAsync('git rev-parse --git-dir');
-    } catch (error) {
+    if (!(await this.commandSucceeds('git rev-parse --git-dir'))) {
       errors.push('Not in a git repository. Run this command from your repository root.');
     }
 
@@ -270,11 +351,17 @@ export class StartCommand {
       }
     }
 
-    if (errors.length > 0) {
-      console.error('\n❌ Environment validation failed:\n');
-      errors.forEach(error => console.error(`  - ${error}`));
-      console.error('');
-      process.exit(1);
+    return errors;
+  }
+
+  async commandSucceeds(command) {
+    try {
+      const { exec } = await import('child_process');
+      const { promisify } = await import('util');
+      await promisify(exec)(command);
+      return true;
+    } catch (error) {
+      return false;
     }
   }
 }
@@ -3,9 +3,7 @@
  */
 import { ConfigManager } from '../core/ConfigManager.js';
 import { StateManager } from '../core/StateManager.js';
-import { GitHubClient } from '../github/GitHubClient.js';
-import { IssueOperations } from '../github/IssueOperations.js';
-import { LabelOperations } from '../github/LabelOperations.js';
+import { IssueTracker } from '../trackers/IssueTracker.js';
 
 export class StatusCommand {
   constructor(logger) {
@@ -17,12 +15,10 @@ export class StatusCommand {
 
     // Load config
     const configManager = new ConfigManager(options.config);
-    const config = configManager.load();
+    const config = configManager.load({ local: options.local || false });
 
     // Initialize components
-    const github = new GitHubClient(this.logger);
-    const issueOps = new IssueOperations(github, this.logger);
-    const labelOps = new LabelOperations(github, this.logger);
+    const { issueOps, labelOps } = IssueTracker.create(config, this.logger);
     
     const stateManager = new StateManager(labelOps, issueOps, config, this.logger);
 
@@ -32,7 +28,36 @@ export class StatusCommand {
       
       console.log(`Current State: ${state || 'Not started'}`);
       console.log(`Can Resume: ${canResume ? 'Yes' : 'No'}`);
-      console.log(`\nView issue: https://github.com/${config.github.owner}/${config.github.repo}/issues/${issueNumber}\n`);
+      
+      // Local journal history and drift against labels
+      const history = stateManager.journal.replay(issueNumber);
+      
+      if (history.entryCount > 0) {
+        console.log(`\nJournal (.oc-ralph/runs/${issueNumber}.jsonl):`);
+        console.log(`  Journaled State: ${history.state || 'none'}`);
+        console.log(`  Started: ${history.startedAt}`);
+        console.log(`  Last Event: ${history.updatedAt}`);
+        console.log(`  Agent Runs: ${history.agentRuns} (${history.agentFailures} failed)`);
+        console.log(`  Retries: ${history.retries}, Failovers: ${history.failovers}`);
+        console.log(`  Tasks Completed: ${history.completedTasks.length}, Failed: ${history.failedTasks.length}`);
+        
+        const fixAttempts = Object.entries(history.fixAttempts);
+        if (fixAttempts.length > 0) {
+          console.log(`  Fix Attempts: ${fixAttempts.map(([test, n]) => `#${test}: ${n}`).join(', ')}`);
+        }
+        
+        if (history.commands.length > 0) {
+          console.log('  Commands:');
+          history.commands.forEach(c => console.log(`    ${c.timestamp} /ralph ${c.command} by @${c.author} (${c.outcome})`));
+        }
+      }
+      
+      const reconciliation = await stateManager.reconcile(issueNumber);
+      if (!reconciliation.inSync) {
+        console.log('\n⚠️  State drift:');
+        reconciliation.drift.forEach(d => console.log(`  - ${d}`));
+      }
+      console.log(`\nView issue: ${issueOps.getIssueUrl(configManager.getGitHubRepo(), issueNumber)}\n`);
       
     } catch (error) {
       console.error('\n❌ Status check failed:', error.message);
@@ -1,22 +1,45 @@
 /**
- * ApprovalMonitor - Poll master issue for approval/rejection labels
+ * ApprovalMonitor - Poll master issue for approval/rejection/revision requests
+ * With issue events (webhooks) a label or comment wakes the wait immediately.
  */
+const REVISE_SCOPE_PATTERN = /^(spec|tasks|tests)\b:?\s*/i;
+
 export class ApprovalMonitor {
-  constructor(issueOps, config, logger) {
+  constructor(issueOps, config, logger, commandWatcher = null, issueEvents = null) {
     this.issueOps = issueOps;
     this.config = config;
     this.logger = logger;
+    this.commandWatcher = commandWatcher;
+    this.issueEvents = issueEvents;
     this.polling = false;
     this.pollInterval = null;
+    this.unsubscribeEvents = null;
   }
 
   /**
-   * Wait for approval or rejection
+   * Wait for approval, rejection or a revision request
+   * 
+   * Approval, rejection and revision can be requested by label or by a
+   * "/ralph approve|reject|revise" comment. Only comments created after
+   * `since` are considered.
    */
-  async waitForApproval(repo, issueNumber, pollIntervalMs = 5000, timeoutMs = null) {
+  async waitForApproval(repo, issueNumber, pollIntervalMs = 5000, timeoutMs = null, since = new Date()) {
+    if (this.issueEvents) {
+      pollIntervalMs = this.issueEvents.pollInterval(pollIntervalMs);
+    }
+
     return new Promise((resolve, reject) => {
       this.polling = true;
-      let elapsed = 0;
+      const startTime = Date.now();
+
+      // A webhook for the issue runs the pending check right away
+      this.unsubscribeEvents = this.issueEvents?.subscribe(repo, issueNumber, () => {
+        if (this.pollInterval) {
+          clearTimeout(this.pollInterval);
+          this.pollInterval = null;
+          checkStatus();
+        }
+      }) || null;
 
       this.logger.info('Starting approval monitor', { 
         issueNumber, 
@@ -31,7 +54,7 @@ export class ApprovalMonitor {
         }
 
         try {
-          const status = await this.checkApprovalStatus(repo, issueNumber);
+          const status = await this.checkApprovalStatus(repo, issueNumber, since);
 
           if (status.approved) {
             this.logger.info('Plan approved', { issueNumber });
@@ -43,11 +66,26 @@ export class ApprovalMonitor {
           if (status.rejected) {
             this.logger.info('Plan rejected', { issueNumber });
             this.stop();
-            resolve({ approved: false, rejected: true });
+            resolve({ approved: false, rejected: true, reason: status.reason || null });
+            return;
+          }
+
+          if (status.revise) {
+            this.logger.info('Plan revision requested', { issueNumber, scope: status.scope });
+            this.stop();
+            resolve({
+              approved: false,
+              rejected: false,
+              revise: true,
+              feedback: status.feedback,
+              scope: status.scope,
+              source: status.source
+            });
             return;
           }
 
           // Check timeout
+          const elapsed = Date.now() - startTime;
           if (timeoutMs && elapsed >= timeoutMs) {
             this.logger.warn('Approval monitor timeout', { issueNumber, elapsed });
             this.stop();
@@ -63,8 +101,7 @@ export class ApprovalMonitor {
             elapsed 
           });
 
-          elapsed += pollIntervalMs;
-          this.pollInterval = setTimeout(checkStatus, pollIntervalMs);
+          this.pollInterval = setTimeout(checkStatus, this.issueOps.client.governor.adjustInterval(pollIntervalMs));
 
         } catch (error) {
           this.logger.error('Approval check failed', { 
@@ -84,7 +121,7 @@ export class ApprovalMonitor {
   /**
    * Check current approval status
    */
-  async checkApprovalStatus(repo, issueNumber) {
+  async checkApprovalStatus(repo, issueNumber, since = null) {
     try {
       const issue = await this.issueOps.getIssue(repo, issueNumber);
       const labels = issue.labels.map(l => typeof l === 'string' ? l : l.name);
@@ -92,7 +129,17 @@ export class ApprovalMonitor {
       const approved = labels.includes('oc-ralph:approved');
       const rejected = labels.includes('oc-ralph:rejected');
 
-      return { approved, rejected };
+      if (approved || rejected) {
+        return { approved, rejected, revise: false };
+      }
+
+      // "/ralph approve|reject|revise" comments
+      const commandStatus = await this.checkCommands(repo, issueNumber, issue.comments || [], since);
+      if (commandStatus) {
+        return commandStatus;
+      }
+
+      return { approved, rejected, ...this.findRevisionRequest(issue, labels, since) };
 
     } catch (error) {
       this.logger.error('Failed to check approval status', {
@@ -103,6 +150,89 @@ export class ApprovalMonitor {
     }
   }
 
+  /**
+   * Handle approval slash commands posted since the plan was presented
+   */
+  async checkCommands(repo, issueNumber, comments, since) {
+    if (!this.commandWatcher) {
+      return null;
+    }
+
+    let status = null;
+
+    await this.commandWatcher.processCommands(repo, issueNumber, {
+      approve: async () => {
+        // Mirror the label so state and resume see the same approval
+        await this.issueOps.addLabels(repo, issueNumber, ['oc-ralph:approved']);
+        status = { approved: true, rejected: false, revise: false };
+        return { message: '✅ Plan approved - continuing to implementation.', done: true };
+      },
+
+      reject: async (command) => {
+        await this.issueOps.addLabels(repo, issueNumber, ['oc-ralph:rejected']);
+        status = { approved: false, rejected: true, revise: false, reason: command.args || null };
+        return { message: `🛑 Plan rejected${command.args ? `: ${command.args}` : '.'}`, done: true };
+      },
+
+      revise: async (command) => {
+        const { scope, feedback } = this.parseRevision(command.args);
+        status = {
+          approved: false,
+          rejected: false,
+          revise: true,
+          feedback,
+          scope,
+          source: 'comment',
+          author: command.author
+        };
+        return { message: `📝 Revising the plan (scope: ${scope}). It will be presented for approval again when done.`, done: true };
+      }
+    }, { comments, since });
+
+    return status;
+  }
+
+  /**
+   * Split "/ralph revise" arguments into an optional scope (spec|tasks|tests) and feedback
+   */
+  parseRevision(args) {
+    let feedback = (args || '').trim();
+    let scope = 'all';
+
+    const scopeMatch = feedback.match(REVISE_SCOPE_PATTERN);
+    if (scopeMatch) {
+      scope = scopeMatch[1].toLowerCase();
+      feedback = feedback.substring(scopeMatch[0].length).trim();
+    }
+
+    return { scope, feedback };
+  }
+
+  /**
+   * Find a label-driven revision request (oc-ralph:revise) and the reviewer feedback
+   */
+  findRevisionRequest(issue, labels, since) {
+    if (!labels.includes('oc-ralph:revise')) {
+      return { revise: false };
+    }
+
+    const sinceTime = since ? new Date(since).getTime() : 0;
+
+    // Reviewer comments posted since the plan was presented (commands and their replies excluded)
+    const comments = (issue.comments || []).filter(c =>
+      new Date(c.createdAt).getTime() > sinceTime &&
+      !/^>?\s*\/ralph\b/.test(c.body.trim())
+    );
+
+    return {
+      revise: true,
+      feedback: comments.map(c => c.body.trim()).join('\n\n'),
+      scope: 'all',
+      source: 'label',
+      author: null
+    };
+  }
+
   /**
    * Stop polling
    */
@@ -112,6 +242,8 @@ export class ApprovalMonitor {
       clearTimeout(this.pollInterval);
       this.pollInterval = null;
     }
+    this.unsubscribeEvents?.();
+    this.unsubscribeEvents = null;
     this.logger.debug('Approval monitor stopped');
   }
 }
@@ -0,0 +1,82 @@
+/**
+ * Cancellation signal - cooperative pause/cancel for a running orchestration
+ *
+ * Stages check the signal between tasks and batches. Listeners are notified
+ * as soon as a pause or cancel is requested so in-flight agent sessions can
+ * be aborted instead of running to completion.
+ */
+
+/**
+ * Thrown when a stage stops because the orchestration was paused or cancelled
+ */
+export class OrchestrationInterruptedError extends Error {
+  constructor(issueNumber, reason) {
+    super(`Orchestration #${issueNumber} ${reason === 'cancel' ? 'cancelled' : 'paused'}`);
+    this.name = 'OrchestrationInterruptedError';
+    this.code = reason === 'cancel' ? 'ORCHESTRATION_CANCELLED' : 'ORCHESTRATION_PAUSED';
+    this.issueNumber = issueNumber;
+    this.reason = reason;
+  }
+}
+
+export class CancellationSignal {
+  constructor(issueNumber) {
+    this.issueNumber = issueNumber;
+    this.reason = null;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Whether a pause or cancel has been requested
+   */
+  get requested() {
+    return this.reason !== null;
+  }
+
+  /**
+   * Request a pause or cancel ('pause' | 'cancel')
+   *
+   * The first request wins, except that a cancel overrides a pending pause.
+   */
+  request(reason) {
+    if (this.reason === reason || this.reason === 'cancel') {
+      return false;
+    }
+
+    this.reason = reason;
+
+    for (const listener of this.listeners) {
+      try {
+        listener(reason);
+      } catch (error) {
+        // Listeners must not stop the signal from reaching the others
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Register a listener, returns an unsubscribe function
+   */
+  onRequest(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Build the error stages throw when stopping
+   */
+  toError() {
+    return new OrchestrationInterruptedError(this.issueNumber, this.reason);
+  }
+
+  /**
+   * Throw if a pause or cancel has been requested
+   */
+  throwIfRequested() {
+    if (this.requested) {
+      throw this.toError();
+    }
+  }
+}
@@ -0,0 +1,215 @@
+/**
+ * CommentCommandWatcher - Slash commands on master issue comments
+ *
+ * Picks "/ralph <command> [args]" comments off an issue, checks the author
+ * against the allow-list, runs the matching handler, replies with an
+ * acknowledgement and records every command in the orchestration journal.
+ * Commands without a handler are left untouched for another consumer.
+ */
+const COMMAND_PATTERN = /^\/ralph\s+([a-z][\w-]*)\b[ \t]*([\s\S]*)$/i;
+
+export const COMMANDS = ['approve', 'reject', 'revise', 'pause', 'resume', 'retry', 'skip', 'status'];
+
+export class CommentCommandWatcher {
+  constructor(issueOps, config, logger, journal = null) {
+    this.issueOps = issueOps;
+    this.config = config;
+    this.logger = logger;
+    this.journal = journal;
+    this.processed = new Set();
+    this.defaultUser = null;
+  }
+
+  /**
+   * Parse a comment body into a command (null if it isn't one)
+   */
+  parseCommand(body) {
+    const match = (body || '').trim().match(COMMAND_PATTERN);
+
+    if (!match) {
+      return null;
+    }
+
+    const name = match[1].toLowerCase();
+    const args = match[2].trim();
+
+    // retry/skip take a sub-issue reference: "/ralph retry #123"
+    const target = args.match(/^#?(\d+)\b/);
+
+    return {
+      name,
+      args,
+      targetIssue: target ? parseInt(target[1]) : null
+    };
+  }
+
+  /**
+   * Get users allowed to issue commands
+   *
+   * Without a configured allow-list only the user oc-ralph is authenticated as may issue commands.
+   */
+  async getAllowedUsers() {
+    const allowedUsers = this.config.commands?.allowedUsers || [];
+
+    if (allowedUsers.length > 0) {
+      return allowedUsers.map(u => u.toLowerCase());
+    }
+
+    if (!this.defaultUser) {
+      try {
+        this.defaultUser = (await this.issueOps.client.getAuthenticatedUser()).toLowerCase();
+      } catch (error) {
+        this.logger.warn('Failed to resolve authenticated GitHub user for commands', { error: error.message });
+        return [];
+      }
+    }
+
+    return [this.defaultUser];
+  }
+
+  /**
+   * Check if a GitHub user may issue commands
+   */
+  async isAuthorized(login) {
+    if (!login) {
+      return false;
+    }
+
+    const allowedUsers = await this.getAllowedUsers();
+    return allowedUsers.includes(login.toLowerCase());
+  }
+
+  /**
+   * Check if a command comment has already been handled (here or by another consumer)
+   */
+  isProcessed(issueNumber, commentId) {
+    if (this.processed.has(commentId)) {
+      return true;
+    }
+
+    if (!this.journal) {
+      return false;
+    }
+
+    return this.journal.read(issueNumber)
+      .some(entry => entry.type === 'command' && entry.data?.commentId === commentId);
+  }
+
+  /**
+   * Process pending commands on an issue
+   *
+   * @param {string} repo - Repository (owner/repo)
+   * @param {number} issueNumber - Master issue number
+   * @param {Object} handlers - Map of command name to async handler(command)
+   *   returning { message, done }. `done` stops processing further commands.
+   * @param {Object} options - { comments, since }
+   * @returns {Promise<Array>} Handled commands with their results
+   */
+  async processCommands(repo, issueNumber, handlers, options = {}) {
+    const comments = options.comments || await this.issueOps.getComments(repo, issueNumber);
+    const sinceTime = options.since ? new Date(options.since).getTime() : 0;
+    const handled = [];
+
+    for (const comment of comments) {
+      if (new Date(comment.createdAt).getTime() <= sinceTime) continue;
+
+      const parsed = this.parseCommand(comment.body);
+      if (!parsed) continue;
+
+      const commentId = comment.id || comment.url;
+      if (this.isProcessed(issueNumber, commentId)) continue;
+
+      const isKnown = COMMANDS.includes(parsed.name);
+
+      // Leave known commands we don't handle for the consumer that does
+      if (isKnown && !handlers[parsed.name]) continue;
+
+      const command = {
+        ...parsed,
+        commentId,
+        author: comment.author?.login || null,
+        createdAt: comment.createdAt
+      };
+
+      if (!isKnown) {
+        await this.complete(repo, issueNumber, command, 'unknown',
+          `❓ Unknown command \`${parsed.name}\`. Available commands: ${COMMANDS.map(c => `\`${c}\``).join(', ')}.`);
+        continue;
+      }
+
+      if (!(await this.isAuthorized(command.author))) {
+        await this.complete(repo, issueNumber, command, 'unauthorized',
+          '🚫 You are not allowed to run oc-ralph commands (see `commands.allowedUsers`).');
+        continue;
+      }
+
+      this.logger.info('Executing comment command', {
+        issueNumber,
+        command: command.name,
+        args: command.args,
+        author: command.author
+      });
+
+      let result;
+      try {
+        result = await handlers[command.name](command) || {};
+      } catch (error) {
+        this.logger.error('Comment command failed', {
+          issueNumber,
+          command: command.name,
+          error: error.message
+        });
+
+        await this.complete(repo, issueNumber, command, 'failed', `❌ \`${command.name}\` failed: ${error.message}`);
+        continue;
+      }
+
+      await this.complete(repo, issueNumber, command, result.outcome || 'executed', result.message);
+      handled.push({ command, result });
+
+      if (result.done) {
+        break;
+      }
+    }
+
+    return handled;
+  }
+
+  /**
+   * Record a command in the audit journal and acknowledge it on the issue
+   */
+  async complete(repo, issueNumber, command, outcome, message) {
+    this.processed.add(command.commentId);
+
+    if (this.journal) {
+      this.journal.append(issueNumber, 'command', {
+        commentId: command.commentId,
+        command: command.name,
+        args: command.args,
+        author: command.author,
+        outcome,
+        message
+      });
+    }
+
+    if (!message) {
+      return;
+    }
+
+    const quoted = `/ralph ${command.name}${command.args ? ` ${command.args}` : ''}`
+      .split('\n')
+      .map(line => `> ${line}`)
+      .join('\n');
+
+    try {
+      await this.issueOps.addComment(repo, issueNumber, `${quoted}\n\n${command.author ? `@${command.author} ` : ''}${message}`);
+    } catch (error) {
+      // The audit entry is already written - a failed reply must not re-run the command
+      this.logger.warn('Failed to acknowledge comment command', {
+        issueNumber,
+        command: command.name,
+        error: error.message
+      });
+    }
+  }
+}
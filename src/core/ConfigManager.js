@@ -4,6 +4,9 @@
 import fs from 'fs';
 import path from 'path';
 import yaml from 'js-yaml';
+import { RUNTIME_TYPES } from '../agents/AgentRuntimes.js';
+import { REPORT_FORMATS } from '../execution/TestReportParser.js';
+import { REGRESSION_ACTIONS } from '../execution/RegressionDetector.js';
 
 export class ConfigManager {
   constructor(configPath = '.oc-ralph/config.yaml') {
@@ -40,6 +43,18 @@ export class ConfigManager {
     // Apply CLI overrides
     this.config = this.mergeConfig(this.config, cliOverrides);
 
+    // With only a repositories list, single-repo commands target the first entry
+    const [firstRepository] = this.config.repositories || [];
+    if (firstRepository && !this.config.github?.owner) {
+      this.config.github = {
+        ...this.config.github,
+        owner: firstRepository.owner,
+        repo: firstRepository.repo,
+        repoPath: firstRepository.repoPath,
+        baseBranch: firstRepository.baseBranch || this.config.github?.baseBranch || 'main'
+      };
+    }
+
     // Validate
     this.validate();
 
@@ -116,6 +131,10 @@ export class ConfigManager {
       merged.opencode.baseUrl = overrides.opencodeUrl;
     }
 
+    if (overrides.agentBackend) {
+      merged.opencode = { ...merged.opencode, backend: overrides.agentBackend };
+    }
+
     if (overrides.discordWebhook) {
       merged.discord.webhookUrl = overrides.discordWebhook;
     }
@@ -136,6 +155,13 @@ export class ConfigManager {
       merged.discord.webhookUrl = null;
     }
 
+    // Offline run: file-based tracker, and no reviewer to approve the plan
+    // unless execution.autoApprove is explicitly false
+    if (overrides.local) {
+      merged.tracker = { ...merged.tracker, type: 'local' };
+      merged.execution = { ...merged.execution, autoApprove: merged.execution?.autoApprove ?? true };
+    }
+
     return merged;
   }
 
@@ -156,6 +182,26 @@ export class ConfigManager {
       throw new Error('Missing required config: github.repoPath (local path to the repository)');
     }
 
+    // Validate repositories list (service mode, one entry per repository)
+    if (this.config.repositories !== undefined) {
+      if (!Array.isArray(this.config.repositories)) {
+        throw new Error('Invalid config: repositories must be a list');
+      }
+
+      const seen = new Set();
+      for (const [index, repository] of this.config.repositories.entries()) {
+        if (!repository?.owner || !repository?.repo || !repository?.repoPath) {
+          throw new Error(`Missing required config: repositories[${index}] needs owner, repo and repoPath`);
+        }
+
+        const key = `${repository.owner}/${repository.repo}`;
+        if (seen.has(key)) {
+          throw new Error(`Duplicate repository in config: ${key}`);
+        }
+        seen.add(key);
+      }
+    }
+
     // Validate agent configs
     const requiredAgents = ['architect', 'sculptor', 'sentinel', 'craftsman', 'validator'];
     for (const agent of requiredAgents) {
@@ -164,6 +210,60 @@ export class ConfigManager {
       }
     }
 
+    // Validate agent runtimes
+    const runtimes = this.config.runtimes || {};
+    for (const [name, runtime] of Object.entries(runtimes)) {
+      if (!RUNTIME_TYPES.includes(runtime?.type)) {
+        throw new Error(`Invalid config: runtimes.${name}.type must be one of ${RUNTIME_TYPES.join(', ')}`);
+      }
+      if (runtime.type === 'cli' && !runtime.command) {
+        throw new Error(`Missing required config: runtimes.${name}.command`);
+      }
+    }
+
+    for (const [agent, agentConfig] of Object.entries(this.config.agents)) {
+      if (agentConfig?.runtime && !runtimes[agentConfig.runtime]) {
+        throw new Error(`Invalid config: agents.${agent}.runtime names an unknown runtime (${agentConfig.runtime})`);
+      }
+    }
+
+    // Validate the test command
+    const testing = this.config.execution?.testing || {};
+    if (testing.command !== undefined && (typeof testing.command !== 'string' || !testing.command.trim())) {
+      throw new Error('Invalid config: execution.testing.command must be a shell command');
+    }
+    if (testing.format !== undefined && !REPORT_FORMATS.includes(testing.format)) {
+      throw new Error(`Invalid config: execution.testing.format must be one of ${REPORT_FORMATS.join(', ')}`);
+    }
+    if (testing.onRegression !== undefined && !REGRESSION_ACTIONS.includes(testing.onRegression)) {
+      throw new Error(`Invalid config: execution.testing.onRegression must be one of ${REGRESSION_ACTIONS.join(', ')}`);
+    }
+    if (testing.maxParallelFixes !== undefined && !(Number.isInteger(testing.maxParallelFixes) && testing.maxParallelFixes >= 1)) {
+      throw new Error('Invalid config: execution.testing.maxParallelFixes must be a whole number of at least 1');
+    }
+
+    // Validate the verification checks
+    const verification = this.config.execution?.verification || {};
+    for (const check of ['build', 'lint', 'typecheck']) {
+      if (verification[check] !== undefined && (typeof verification[check] !== 'string' || !verification[check].trim())) {
+        throw new Error(`Invalid config: execution.verification.${check} must be a shell command`);
+      }
+    }
+    if (verification.tests === true && !testing.command) {
+      throw new Error('Invalid config: execution.verification.tests: true needs execution.testing.command');
+    }
+    if (verification.tests !== undefined && typeof verification.tests !== 'boolean' && (typeof verification.tests !== 'string' || !verification.tests.trim())) {
+      throw new Error('Invalid config: execution.verification.tests must be true or a shell command');
+    }
+    for (const [index, check] of (verification.commands || []).entries()) {
+      if (!check?.name || typeof check.command !== 'string' || !check.command.trim()) {
+        throw new Error(`Invalid config: execution.verification.commands[${index}] needs a name and a command`);
+      }
+    }
+    if (verification.maxFixAttempts !== undefined && !(Number.isInteger(verification.maxFixAttempts) && verification.maxFixAttempts >= 0)) {
+      throw new Error('Invalid config: execution.verification.maxFixAttempts must be a whole number');
+    }
+
     return true;
   }
 
@@ -192,6 +292,74 @@ export class ConfigManager {
     return this.config.github.repoPath;
   }
 
+  /**
+   * Get a config manager per repository
+   *
+   * Each entry in `repositories` inherits the top-level config and overrides
+   * the GitHub repo, base branch, repo path, worktree base path, agents and
+   * queue label. Without a `repositories` list this is just the `github` repo.
+   */
+  getRepositories() {
+    const repositories = this.config.repositories?.length
+      ? this.config.repositories
+      : [null];
+
+    return repositories.map(repository => {
+      const manager = new ConfigManager(this.configPath);
+      manager.config = repository ? this.buildRepositoryConfig(repository) : this.config;
+      return manager;
+    });
+  }
+
+  /**
+   * Build the full config for one entry of the repositories list
+   */
+  buildRepositoryConfig(repository) {
+    const { repositories, ...base } = this.config;
+    const config = structuredClone(base);
+
+    config.github = {
+      ...config.github,
+      owner: repository.owner,
+      repo: repository.repo,
+      repoPath: repository.repoPath,
+      baseBranch: repository.baseBranch || config.github?.baseBranch || 'main'
+    };
+
+    if (repository.worktreeBasePath) {
+      config.worktree = { ...config.worktree, basePath: repository.worktreeBasePath };
+    }
+
+    if (repository.queueLabel) {
+      config.service = { ...config.service, queueLabel: repository.queueLabel };
+    }
+
+    if (repository.tracker) {
+      config.tracker = { ...config.tracker, ...repository.tracker };
+    }
+
+    for (const [agentName, overrides] of Object.entries(repository.agents || {})) {
+      const agentConfig = config.agents?.[agentName] || {};
+      config.agents = {
+        ...config.agents,
+        [agentName]: {
+          ...agentConfig,
+          ...overrides,
+          model: { ...agentConfig.model, ...overrides.model }
+        }
+      };
+    }
+
+    // The repository named in `github` keeps the default state dir, so the
+    // single-repo commands (start, resume, status, ...) see the service's state
+    const isPrimary = base.github?.owner === repository.owner && base.github?.repo === repository.repo;
+    config.stateDir = isPrimary
+      ? '.oc-ralph'
+      : path.join('.oc-ralph', 'repos', `${repository.owner}__${repository.repo}`);
+
+    return config;
+  }
+
   /**
    * Generate example config
    */
@@ -203,6 +371,16 @@ opencode:
   timeout: 300
   retries: 3
   pollInterval: 2000
+  maxConcurrentSessions: 8  # OpenCode sessions across all orchestrations (service mode)
+  maxSessionsPerRepo: 4     # OpenCode sessions per repository (service mode)
+  # backend: opencode         # opencode, record (save sessions as fixtures), replay (fixtures, no server) or mock
+  # client: sdk               # OpenCode client: sdk (@opencode-ai/sdk) or occlient (sibling checkout)
+  # hangDetection:            # Abort sessions that go quiet (sdk client)
+  #   sessionIdleSeconds: 300
+  #   toolIdleSeconds: 900    # While a tool (build, test run) is running
+  # permissionResponse: once  # Answer to tool permission requests: once, always or reject
+  # fixturesDir: .oc-ralph/fixtures  # Where record writes and replay reads agent sessions
+  # script: agent-script.yaml # Steps for the mock backend's scripted agents
 
 agents:
   # Configure AI models for each agent type
@@ -240,6 +418,20 @@ agents:
       modelID: gpt-5.2-codex
     agent: NightMutyur
     timeout: 300
+    # runtime: codex            # Run on one of the runtimes below instead of OpenCode
+
+# Agent runtimes besides OpenCode (optional), picked per agent with agents.<name>.runtime
+# runtimes:
+#   codex:
+#     type: cli                 # A coding-agent command, run in the task's worktree
+#     command: codex
+#     args: [exec, --full-auto, '{{prompt}}']  # Without {{prompt}} the prompt goes to stdin
+#     idleSeconds: 600          # Abort when the command prints nothing for this long
+#   planner:
+#     type: openai              # An OpenAI-compatible chat endpoint (no tools - planning agents)
+#     baseUrl: https://api.openai.com/v1
+#     apiKeyEnv: OPENAI_API_KEY
+#     model: gpt-4.1            # Defaults to the agent's modelID
 
 github:
   owner: YOUR_GITHUB_ORG       # GitHub organization or username
@@ -250,6 +442,19 @@ github:
   createPR: true
   autoMergePR: false
   closeSubIssuesOnCompletion: true
+  # transport: rest             # rest (token), gh (gh CLI login) or mock (in-memory, for tests)
+  # token: ghp_...              # Defaults to GITHUB_TOKEN / GH_TOKEN; without a token the gh CLI is used
+  # apiUrl: https://api.github.com  # GitHub Enterprise: https://HOST/api/v3
+  # cacheTtl: 3000              # Reuse identical GET responses for this many ms (0 disables)
+
+# Issue tracker (optional, defaults to GitHub). For GitLab and Gitea/Forgejo,
+# github.owner/repo name the group (or user) and project, and webhooks are not
+# available - the service polls.
+# tracker:
+#   type: gitlab                # github, gitlab, gitea, forgejo or local
+#   url: https://gitlab.com     # Server URL (required for gitea/forgejo)
+#   token: glpat-...            # Defaults to GITLAB_TOKEN / GITEA_TOKEN
+#   (local keeps issues as files under .oc-ralph/local/, as start --local does)
 
 worktree:
   basePath: /tmp/oc-ralph-worktrees  # Directory for git worktrees
@@ -271,6 +476,23 @@ execution:
     initialDelayMs: 1000
   testing:
     continueOnFailure: true  # Continue running tests after failures
+    # command: npx mocha --reporter json  # Run by oc-ralph in the worktree after each test agent - its result decides pass/fail
+    # format: auto                        # Report format: auto, junit, tap, jest (also Vitest), mocha, pytest or exit-code
+    # reportFile: test-results.json       # Read the report from this file (relative to the worktree) instead of stdout
+    # timeoutSeconds: 900
+    # onRegression: revert                # A fix that breaks other tests: revert it and retry, or keep it and fix those tests too
+    # maxParallelFixes: 3                 # Independent failures fixed at once in scratch worktrees (1: one at a time)
+  # verification:                         # Final checks after testing - the PR is opened once they pass
+  #   build: npm run build
+  #   lint: npm run lint
+  #   typecheck: npx tsc --noEmit
+  #   tests: true                         # The full suite with testing.command, or a command of its own
+  #   commands:                           # Any other checks
+  #     - name: docs
+  #       command: npm run docs:check
+  #   timeoutSeconds: 900                 # Per check
+  #   maxFixAttempts: 3                   # Craftsman fix attempts before the orchestration fails
+  interruptCheckIntervalSeconds: 15  # How often a running orchestration checks for oc-ralph:paused/cancelled labels
 
 statusTable:
   updateIntervalSeconds: 60  # Status table update frequency
@@ -280,9 +502,31 @@ statusTable:
 logging:
   level: info        # Options: debug, info, warn, error
   debugMode: false   # Enable verbose occlient logging
+  transcripts: true  # Save agent sessions to .oc-ralph/transcripts/ for the web UI
   logDir: ./logs
   debugLogDir: ./logs/debug
 
+# Serve several repositories from one service (optional). Each entry inherits
+# the settings above and can override the values shown; without this list the
+# service watches only the github repo.
+# repositories:
+#   - owner: YOUR_GITHUB_ORG
+#     repo: YOUR_REPO_NAME
+#     repoPath: /path/to/your-repo
+#     baseBranch: main
+#   - owner: YOUR_GITHUB_ORG
+#     repo: ANOTHER_REPO
+#     repoPath: /path/to/another-repo
+#     baseBranch: develop
+#     worktreeBasePath: /tmp/oc-ralph-worktrees/another-repo
+#     queueLabel: "oc-ralph:queue"
+#     tracker:                  # Repository on another tracker
+#       type: gitea
+#       url: https://gitea.example.com
+#     agents:
+#       craftsman:
+#         timeout: 900
+
 # Web service configuration (for 'oc-ralph service' command)
 service:
   enabled: true                # Enable web UI and service mode
@@ -290,8 +534,20 @@ service:
   host: 0.0.0.0                # Listen on all interfaces (use 127.0.0.1 for localhost only)
   pollInterval: 60000          # GitHub polling interval in milliseconds (60s)
   queueLabel: "oc-ralph:queue" # Label to identify queued issues
+  maxConcurrentOrchestrations: 1 # Issues orchestrated in parallel, each in its own worktree
   maxBufferSize: 10000         # Maximum log entries to buffer for streaming
 
+# GitHub webhooks (optional, service mode). Point a repository webhook at
+# http://<host>:<port>/api/webhooks/github with content type application/json
+# and the events: Issues, Issue comments, Pull requests.
+# webhooks:
+#   secret: YOUR_WEBHOOK_SECRET   # Enables the receiver; deliveries must be signed with it
+#   fallbackPollInterval: 300000  # With webhooks, GitHub is only polled this often (ms) as a safety net
+
+# Slash commands on master issue comments (/ralph approve, /ralph status, ...)
+commands:
+  allowedUsers: []  # GitHub users allowed to issue commands (empty: only the user gh is authenticated as)
+
 cron:
   enabled: false  # Set to true if running from cron
 `;
@@ -0,0 +1,89 @@
+/**
+ * Issue events - wakes waits on an issue when a GitHub webhook reports a change
+ *
+ * ApprovalMonitor, TaskPoller and GitHubPoller poll GitHub on a timer. When a
+ * webhook secret is configured the webhook receiver notifies this bus, waits
+ * wake up immediately, and the timers only run as a slow safety net.
+ */
+export class IssueEvents {
+  constructor(config, logger) {
+    this.logger = logger;
+    this.active = !!config.webhooks?.secret;
+    this.fallbackPollIntervalMs = parseInt(config.webhooks?.fallbackPollInterval) || 300000;
+    this.listeners = new Map(); // owner/repo#number -> Set of listeners
+  }
+
+  /**
+   * Get the poll interval to use (the slow fallback when webhooks deliver changes)
+   */
+  pollInterval(defaultMs) {
+    return this.active ? Math.max(defaultMs, this.fallbackPollIntervalMs) : defaultMs;
+  }
+
+  /**
+   * Listen for changes to an issue
+   *
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(repo, issueNumber, listener) {
+    const key = `${repo}#${issueNumber}`;
+
+    if (!this.listeners.has(key)) {
+      this.listeners.set(key, new Set());
+    }
+    this.listeners.get(key).add(listener);
+
+    return () => {
+      const listeners = this.listeners.get(key);
+      listeners?.delete(listener);
+      if (listeners?.size === 0) {
+        this.listeners.delete(key);
+      }
+    };
+  }
+
+  /**
+   * Report a change to an issue (from a webhook delivery)
+   *
+   * @returns {number} Number of waits woken
+   */
+  notify(repo, issueNumber, event = {}) {
+    const listeners = [...(this.listeners.get(`${repo}#${issueNumber}`) || [])];
+
+    for (const listener of listeners) {
+      try {
+        listener(event);
+      } catch (error) {
+        this.logger.error('Issue event listener failed', { repo, issueNumber, error: error.message });
+      }
+    }
+
+    if (listeners.length > 0) {
+      this.logger.debug('Woke waits on issue', { repo, issueNumber, event: event.type, waits: listeners.length });
+    }
+
+    return listeners.length;
+  }
+
+  /**
+   * Wait until the issue changes, the time is up or the signal is requested
+   *
+   * Always resolves; the caller re-checks the issue either way.
+   */
+  wait(repo, issueNumber, timeoutMs, signal = null) {
+    return new Promise(resolve => {
+      let unsubscribeSignal = null;
+
+      const done = () => {
+        clearTimeout(timer);
+        unsubscribe();
+        unsubscribeSignal?.();
+        resolve();
+      };
+
+      const timer = setTimeout(done, timeoutMs);
+      const unsubscribe = this.subscribe(repo, issueNumber, done);
+      unsubscribeSignal = signal?.onRequest(done) || null;
+    });
+  }
+}
@@ -0,0 +1,183 @@
+/**
+ * Orchestration journal - append-only local event log per master issue
+ *
+ * Every stage transition, agent execution, retry, failover and fix attempt
+ * is appended to .oc-ralph/runs/<issue>.jsonl. The journal can be replayed
+ * to rebuild the current orchestration state without a GitHub round trip.
+ */
+import fs from 'fs';
+import path from 'path';
+
+export class OrchestrationJournal {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.runsDir = path.join(config.stateDir || '.oc-ralph', 'runs');
+  }
+
+  /**
+   * Get journal file path for issue
+   */
+  getJournalFile(issueNumber) {
+    return path.join(this.runsDir, `${issueNumber}.jsonl`);
+  }
+
+  /**
+   * Append an entry to the journal
+   *
+   * Journal writes never fail the orchestration - errors are logged and swallowed.
+   */
+  append(issueNumber, type, data = {}) {
+    if (issueNumber === undefined || issueNumber === null) {
+      return null;
+    }
+
+    const entry = {
+      timestamp: new Date().toISOString(),
+      issueNumber: parseInt(issueNumber),
+      type,
+      data
+    };
+
+    try {
+      if (!fs.existsSync(this.runsDir)) {
+        fs.mkdirSync(this.runsDir, { recursive: true });
+      }
+
+      fs.appendFileSync(this.getJournalFile(issueNumber), JSON.stringify(entry) + '\n', 'utf-8');
+    } catch (error) {
+      this.logger.warn('Failed to write journal entry', { issueNumber, type, error: error.message });
+    }
+
+    return entry;
+  }
+
+  /**
+   * Read all entries for issue (malformed lines are skipped)
+   */
+  read(issueNumber) {
+    const file = this.getJournalFile(issueNumber);
+
+    if (!fs.existsSync(file)) {
+      return [];
+    }
+
+    const entries = [];
+    const lines = fs.readFileSync(file, 'utf-8').split('\n');
+
+    for (const line of lines) {
+      if (!line.trim()) continue;
+
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        this.logger.warn('Skipping malformed journal line', { issueNumber });
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * List issue numbers that have a journal
+   */
+  listRuns() {
+    if (!fs.existsSync(this.runsDir)) {
+      return [];
+    }
+
+    return fs.readdirSync(this.runsDir)
+      .filter(file => file.endsWith('.jsonl'))
+      .map(file => parseInt(path.basename(file, '.jsonl')))
+      .filter(n => !isNaN(n))
+      .sort((a, b) => a - b);
+  }
+
+  /**
+   * Rebuild orchestration state by replaying the journal
+   */
+  replay(issueNumber) {
+    const entries = this.read(issueNumber);
+
+    const state = {
+      issueNumber: parseInt(issueNumber),
+      state: null,
+      transitions: [],
+      agentRuns: 0,
+      agentFailures: 0,
+      retries: 0,
+      failovers: 0,
+      completedTasks: [],
+      failedTasks: [],
+      fixAttempts: {},
+      regressions: [],
+      commands: [],
+      startedAt: entries[0]?.timestamp || null,
+      updatedAt: entries[entries.length - 1]?.timestamp || null,
+      entryCount: entries.length
+    };
+
+    for (const entry of entries) {
+      const data = entry.data || {};
+
+      switch (entry.type) {
+        case 'state-transition':
+          state.state = data.to;
+          state.transitions.push({ from: data.from, to: data.to, timestamp: entry.timestamp });
+          break;
+
+        case 'agent-completed':
+          state.agentRuns++;
+          break;
+
+        case 'agent-failed':
+          state.agentRuns++;
+          state.agentFailures++;
+          break;
+
+        case 'retry':
+          state.retries++;
+          break;
+
+        case 'model-failover':
+          state.failovers++;
+          break;
+
+        case 'task-completed':
+          if (!state.completedTasks.includes(data.taskIssueNumber)) {
+            state.completedTasks.push(data.taskIssueNumber);
+          }
+          state.failedTasks = state.failedTasks.filter(n => n !== data.taskIssueNumber);
+          break;
+
+        case 'task-failed':
+          if (!state.failedTasks.includes(data.taskIssueNumber)) {
+            state.failedTasks.push(data.taskIssueNumber);
+          }
+          break;
+
+        case 'fix-attempt':
+          state.fixAttempts[data.testIssue] = Math.max(
+            state.fixAttempts[data.testIssue] || 0,
+            data.attemptNumber
+          );
+          break;
+
+        case 'regression':
+          state.regressions.push({ ...data, timestamp: entry.timestamp });
+          break;
+
+        case 'command':
+          state.commands.push({
+            command: data.command,
+            author: data.author,
+            outcome: data.outcome,
+            timestamp: entry.timestamp
+          });
+          break;
+      }
+    }
+
+    return state;
+  }
+}
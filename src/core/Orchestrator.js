@@ -2,6 +2,9 @@
  * Main orchestrator - coordinates all stages
  */
 import { ApprovalMonitor } from './ApprovalMonitor.js';
+import { CommentCommandWatcher } from './CommentCommandWatcher.js';
+import { PlanStore } from './PlanStore.js';
+import { CancellationSignal, OrchestrationInterruptedError } from './CancellationSignal.js';
 
 export class Orchestrator {
   constructor(
@@ -11,11 +14,13 @@ export class Orchestrator {
     planningStage,
     implementationStage,
     testingStage,
+    verificationStage,
     completionStage,
     issueBodyManager,
     statusTable,
     statusUpdater,
-    logger
+    logger,
+    issueEvents = null
   ) {
     this.configManager = configManager;
     this.stateManager = stateManager;
@@ -23,15 +28,21 @@ export class Orchestrator {
     this.planningStage = planningStage;
     this.implementationStage = implementationStage;
     this.testingStage = testingStage;
+    this.verificationStage = verificationStage;
     this.completionStage = completionStage;
     this.issueBodyManager = issueBodyManager;
     this.statusTable = statusTable;
     this.statusUpdater = statusUpdater;
     this.logger = logger;
+    this.issueEvents = issueEvents;
     this.config = configManager.config;
     this.currentPlan = null;
     this.implResult = null;
     this.testResult = null;
+    this.verificationResult = null;
+    this.planStore = new PlanStore(this.config, this.logger);
+    this.signal = null;
+    this.interruptWatcher = null;
   }
 
   /**
@@ -48,7 +59,7 @@ export class Orchestrator {
       // Send orchestration-started event
       await this.statusUpdater.onEvent('orchestration-started', {
         masterIssueNumber: issueNumber,
-        issueUrl: `https://github.com/${repo}/issues/${issueNumber}`
+        issueUrl: this.stateManager.issueOps.getIssueUrl(repo, issueNumber)
       });
 
       // Create worktree
@@ -77,7 +88,7 @@ export class Orchestrator {
       // Send awaiting-approval event
       await this.statusUpdater.onEvent('awaiting-approval', {
         masterIssueNumber: issueNumber,
-        issueUrl: `https://github.com/${repo}/issues/${issueNumber}`
+        issueUrl: this.stateManager.issueOps.getIssueUrl(repo, issueNumber)
       });
 
       this.logger.info('Orchestration initialized, awaiting approval', { issueNumber });
@@ -89,6 +100,10 @@ export class Orchestrator {
         return { success: false, issueNumber, status: 'rejected' };
       }
 
+      if (approvalResult.interrupted) {
+        return { success: false, issueNumber, status: approvalResult.status };
+      }
+
       // If approved, implementation and testing stages will be added here in Sprint 2 & 3
       // For now, return success
       return { success: true, issueNumber, status: 'approved' };
@@ -104,7 +119,7 @@ export class Orchestrator {
       const repo = this.configManager.getGitHubRepo();
       await this.statusUpdater.onEvent('orchestration-failed', {
         masterIssueNumber: issueNumber,
-        issueUrl: `https://github.com/${repo}/issues/${issueNumber}`,
+        issueUrl: this.stateManager.issueOps.getIssueUrl(repo, issueNumber),
         error: error.message
       });
 
@@ -148,6 +163,9 @@ export class Orchestrator {
     this.currentPlan = plan;
     this.statusUpdater.updatePlan(plan);
     
+    // Keep a local copy of the plan for resume
+    this.planStore.save(issueNumber, plan);
+    
     // Fetch current issue
     const issue = await this.stateManager.issueOps.getIssue(repo, issueNumber);
     
@@ -207,11 +225,25 @@ export class Orchestrator {
     const approvalMonitor = new ApprovalMonitor(
       this.stateManager.issueOps,
       this.config,
-      this.logger
+      this.logger,
+      new CommentCommandWatcher(this.stateManager.issueOps, this.config, this.logger, this.stateManager.journal),
+      this.issueEvents
     );
     
     try {
-      const result = await approvalMonitor.waitForApproval(repo, issueNumber);
+      // Only reviewer comments posted after the plan was presented count as feedback
+      let result = await approvalMonitor.waitForApproval(
+        repo, issueNumber, 5000, null, this.getAwaitingApprovalSince(issueNumber)
+      );
+      
+      // Revise and re-present the plan until it is approved or rejected
+      while (result.revise) {
+        await this.revisePlan(issueNumber, result.feedback, result.scope);
+        
+        result = await approvalMonitor.waitForApproval(
+          repo, issueNumber, 5000, null, this.getAwaitingApprovalSince(issueNumber)
+        );
+      }
       
       if (result.approved) {
         this.logger.info('Plan approved, continuing to implementation', { issueNumber });
@@ -219,19 +251,17 @@ export class Orchestrator {
         // Get worktree path
         const worktreePath = await this.worktreeManager.getWorktree(issueNumber);
         
-        // Run implementation stage
-        this.implResult = await this.runImplementation(issueNumber, worktreePath, this.currentPlan);
+        // Run implementation, testing and completion stages
+        const result = await this.continueFromStage(issueNumber, worktreePath, 'implementing');
         
-        // Run testing stage
-        this.testResult = await this.runTesting(issueNumber, worktreePath);
-        
-        // Run completion stage
-        await this.runCompletion(issueNumber, worktreePath);
+        if (result.interrupted) {
+          return { approved: true, rejected: false, interrupted: true, status: result.status };
+        }
         
         return { approved: true, rejected: false };
         
       } else if (result.rejected) {
-        this.logger.info('Plan rejected, cleaning up', { issueNumber });
+        this.logger.info('Plan rejected, cleaning up', { issueNumber, reason: result.reason });
         await this.cleanup(issueNumber);
         return { approved: false, rejected: true };
       }
@@ -245,6 +275,245 @@ export class Orchestrator {
     }
   }
 
+  /**
+   * Get when the plan was last presented for approval (from the journal)
+   */
+  getAwaitingApprovalSince(issueNumber) {
+    const { transitions } = this.stateManager.journal.replay(issueNumber);
+    const presented = transitions.filter(t => t.to === 'oc-ralph:awaiting-approval');
+    
+    if (presented.length === 0) {
+      return new Date();
+    }
+    
+    return new Date(presented[presented.length - 1].timestamp);
+  }
+
+  /**
+   * Revise the plan from reviewer feedback and present it for approval again
+   * 
+   * @param {number} issueNumber - Master issue number
+   * @param {string} feedback - Reviewer feedback
+   * @param {string} scope - 'all', 'spec', 'tasks' or 'tests'
+   */
+  async revisePlan(issueNumber, feedback, scope = 'all') {
+    const repo = this.configManager.getGitHubRepo();
+    
+    this.logger.info('Revising plan', { issueNumber, scope });
+    
+    if (!this.currentPlan) {
+      this.currentPlan = await this.loadPlan(issueNumber);
+    }
+    
+    // Consume the revise request so it isn't picked up again
+    const labels = await this.stateManager.labelOps.getLabels(repo, issueNumber);
+    if (labels.includes('oc-ralph:revise')) {
+      await this.stateManager.labelOps.removeLabel(repo, issueNumber, 'oc-ralph:revise');
+    }
+    
+    await this.stateManager.transitionTo(issueNumber, 'oc-ralph:planning');
+    
+    const worktreePath = await this.worktreeManager.getWorktree(issueNumber);
+    
+    const { plan, diff } = await this.planningStage.revise(
+      issueNumber,
+      worktreePath,
+      this.currentPlan,
+      feedback,
+      scope
+    );
+    
+    await this.updateMasterIssueWithPlan(issueNumber, plan);
+    
+    this.stateManager.recordEvent(issueNumber, 'plan-revised', {
+      scope,
+      specChanged: diff.specChanged,
+      implementation: this.summarizeTaskDiff(diff.implementation),
+      tests: this.summarizeTaskDiff(diff.tests)
+    });
+    
+    await this.stateManager.transitionTo(issueNumber, 'oc-ralph:awaiting-approval');
+    
+    await this.statusUpdater.onEvent('awaiting-approval', {
+      masterIssueNumber: issueNumber,
+      issueUrl: this.stateManager.issueOps.getIssueUrl(repo, issueNumber)
+    });
+    
+    this.logger.info('Plan revised, awaiting approval', { issueNumber });
+  }
+
+  /**
+   * Reduce a task diff to task ids for the journal
+   */
+  summarizeTaskDiff(taskDiff) {
+    return {
+      added: taskDiff.added.map(t => t.id),
+      removed: taskDiff.removed.map(t => t.id),
+      changed: taskDiff.changed.map(t => t.id)
+    };
+  }
+
+  /**
+   * Run the remaining post-approval stages starting at the given stage
+   * 
+   * @param {number} issueNumber - Master issue number
+   * @param {string} worktreePath - Path to worktree
+   * @param {string} fromStage - 'implementing', 'testing', 'verifying' or 'completing'
+   * @param {Object} options - Stage options
+   * @param {boolean} options.resume - Pick up work left behind by an interrupted run
+   * @returns {Promise<Object>} Completion result, or { interrupted, status } when paused or cancelled
+   */
+  async continueFromStage(issueNumber, worktreePath, fromStage, options = {}) {
+    const stages = ['implementing', 'testing', 'verifying', 'completing'];
+    const startIndex = stages.indexOf(fromStage);
+    
+    if (startIndex === -1) {
+      throw new Error(`Cannot continue from unknown stage: ${fromStage}`);
+    }
+    
+    // Stages check the signal between tasks and batches
+    this.signal = new CancellationSignal(issueNumber);
+    const stageOptions = { ...options, signal: this.signal };
+    this.startInterruptWatcher(issueNumber);
+    
+    try {
+      if (startIndex <= 0) {
+        this.implResult = await this.runImplementation(issueNumber, worktreePath, this.currentPlan, stageOptions);
+      } else if (!this.implResult) {
+        // Implementation finished in an earlier run - every task is complete
+        const total = this.currentPlan?.implementationIssues?.length || 0;
+        this.implResult = { completed: total, failed: 0, total };
+      }
+      
+      await this.checkForInterruption(issueNumber);
+      
+      if (startIndex <= 1) {
+        this.testResult = await this.runTesting(issueNumber, worktreePath, stageOptions);
+      } else if (!this.testResult) {
+        // Testing finished in an earlier run - rebuild the summary from the test sub-issues
+        this.testResult = await this.testingStage.summarize(issueNumber);
+      }
+      
+      await this.checkForInterruption(issueNumber);
+      
+      if (startIndex <= 2) {
+        this.verificationResult = await this.runVerification(issueNumber, worktreePath, stageOptions);
+      } else if (!this.verificationResult && this.verificationStage.isEnabled()) {
+        // Verification passed in an earlier run - its result is on the master issue
+        this.verificationResult = await this.verificationStage.summarize(issueNumber);
+      }
+      
+      // Completion (push and pull request) is not interrupted once started
+      await this.checkForInterruption(issueNumber);
+      
+      return await this.runCompletion(issueNumber, worktreePath, options);
+      
+    } catch (error) {
+      if (error instanceof OrchestrationInterruptedError) {
+        return await this.handleInterruption(issueNumber, error);
+      }
+      throw error;
+      
+    } finally {
+      this.stopInterruptWatcher();
+    }
+  }
+
+  /**
+   * Pause the running orchestration after the current task (resumable)
+   */
+  async pause(issueNumber) {
+    await this.interrupt(issueNumber, 'pause');
+  }
+
+  /**
+   * Cancel the running orchestration (the worktree is left intact)
+   */
+  async cancel(issueNumber) {
+    await this.interrupt(issueNumber, 'cancel');
+  }
+
+  /**
+   * Set the paused/cancelled label and signal the running stages
+   */
+  async interrupt(issueNumber, reason) {
+    const label = reason === 'cancel' ? 'oc-ralph:cancelled' : 'oc-ralph:paused';
+    
+    this.logger.info('Interrupt requested', { issueNumber, reason });
+    
+    if (await this.stateManager.getCurrentState(issueNumber) !== label) {
+      await this.stateManager.transitionTo(issueNumber, label);
+    }
+    
+    if (this.signal?.issueNumber === issueNumber) {
+      this.signal.request(reason);
+    }
+  }
+
+  /**
+   * Signal the stages if the issue was labelled paused or cancelled
+   * (by the CLI, a slash command or by hand)
+   */
+  async checkForInterruption(issueNumber) {
+    // Labels added by hand sit next to the current state label, so check them directly
+    const labels = await this.stateManager.labelOps.getLabels(this.stateManager.repo, issueNumber);
+    
+    if (labels.includes('oc-ralph:cancelled')) {
+      this.signal.request('cancel');
+    } else if (labels.includes('oc-ralph:paused')) {
+      this.signal.request('pause');
+    }
+    
+    this.signal.throwIfRequested();
+  }
+
+  /**
+   * Poll the state label while stages run so pauses from other processes are honoured
+   */
+  startInterruptWatcher(issueNumber) {
+    this.stopInterruptWatcher();
+    
+    const intervalMs = (this.config.execution?.interruptCheckIntervalSeconds || 15) * 1000;
+    
+    this.interruptWatcher = setInterval(() => {
+      this.checkForInterruption(issueNumber).catch(error => {
+        if (!(error instanceof OrchestrationInterruptedError)) {
+          this.logger.warn('Interrupt check failed', { issueNumber, error: error.message });
+        }
+      });
+    }, intervalMs);
+  }
+
+  /**
+   * Stop polling for pause/cancel labels
+   */
+  stopInterruptWatcher() {
+    if (this.interruptWatcher) {
+      clearInterval(this.interruptWatcher);
+      this.interruptWatcher = null;
+    }
+  }
+
+  /**
+   * Settle a paused or cancelled run - the worktree and sub-issues are left as they are
+   */
+  async handleInterruption(issueNumber, error) {
+    const status = error.reason === 'cancel' ? 'cancelled' : 'paused';
+    const label = `oc-ralph:${status}`;
+    
+    if (await this.stateManager.getCurrentState(issueNumber) !== label) {
+      await this.stateManager.transitionTo(issueNumber, label);
+    }
+    
+    this.stateManager.recordEvent(issueNumber, `orchestration-${status}`, {});
+    
+    await this.statusUpdater.stop();
+    
+    this.logger.info(`Orchestration ${status}`, { issueNumber });
+    
+    return { interrupted: true, status };
+  }
+
   /**
    * Cleanup after rejection or failure
    */
@@ -277,7 +546,7 @@ export class Orchestrator {
   /**
    * Run implementation stage
    */
-  async runImplementation(issueNumber, worktreePath, plan) {
+  async runImplementation(issueNumber, worktreePath, plan, options = {}) {
     const repo = this.configManager.getGitHubRepo();
     
     try {
@@ -287,7 +556,7 @@ export class Orchestrator {
       // Send Discord notification
       await this.statusUpdater.onEvent('implementation-started', {
         masterIssueNumber: issueNumber,
-        issueUrl: `https://github.com/${repo}/issues/${issueNumber}`
+        issueUrl: this.stateManager.issueOps.getIssueUrl(repo, issueNumber)
       });
       
       this.logger.info('Starting implementation stage', { issueNumber });
@@ -296,7 +565,8 @@ export class Orchestrator {
       const result = await this.implementationStage.execute(
         issueNumber,
         worktreePath,
-        plan
+        plan,
+        options
       );
       
       if (result.failed > 0) {
@@ -308,6 +578,11 @@ export class Orchestrator {
       return result;
       
     } catch (error) {
+      // Paused or cancelled - settled by continueFromStage, not a failure
+      if (error instanceof OrchestrationInterruptedError) {
+        throw error;
+      }
+      
       this.logger.error('Implementation stage failed', {
         issueNumber,
         error: error.message
@@ -316,7 +591,7 @@ export class Orchestrator {
       // Send failure event
       await this.statusUpdater.onEvent('orchestration-failed', {
         masterIssueNumber: issueNumber,
-        issueUrl: `https://github.com/${repo}/issues/${issueNumber}`,
+        issueUrl: this.stateManager.issueOps.getIssueUrl(repo, issueNumber),
         error: error.message
       });
       
@@ -328,7 +603,7 @@ export class Orchestrator {
   /**
    * Run testing stage with automatic failure recovery
    */
-  async runTesting(issueNumber, worktreePath) {
+  async runTesting(issueNumber, worktreePath, options = {}) {
     const repo = this.configManager.getGitHubRepo();
     
     try {
@@ -338,13 +613,13 @@ export class Orchestrator {
       // Send Discord notification
       await this.statusUpdater.onEvent('testing-started', {
         masterIssueNumber: issueNumber,
-        issueUrl: `https://github.com/${repo}/issues/${issueNumber}`
+        issueUrl: this.stateManager.issueOps.getIssueUrl(repo, issueNumber)
       });
       
       this.logger.info('Starting testing stage', { issueNumber });
       
       // Execute testing stage
-      const result = await this.testingStage.execute(issueNumber, worktreePath);
+      const result = await this.testingStage.execute(issueNumber, worktreePath, options);
       
       if (result.failed > 0) {
         throw new Error(`Testing failed: ${result.failed} test(s) could not be fixed`);
@@ -355,6 +630,11 @@ export class Orchestrator {
       return result;
       
     } catch (error) {
+      // Paused or cancelled - settled by continueFromStage, not a failure
+      if (error instanceof OrchestrationInterruptedError) {
+        throw error;
+      }
+      
       this.logger.error('Testing stage failed', {
         issueNumber,
         error: error.message
@@ -363,7 +643,57 @@ export class Orchestrator {
       // Send failure event
       await this.statusUpdater.onEvent('orchestration-failed', {
         masterIssueNumber: issueNumber,
-        issueUrl: `https://github.com/${repo}/issues/${issueNumber}`,
+        issueUrl: this.stateManager.issueOps.getIssueUrl(repo, issueNumber),
+        error: error.message
+      });
+      
+      await this.stateManager.transitionTo(issueNumber, 'oc-ralph:failed');
+      throw error;
+    }
+  }
+
+  /**
+   * Run verification stage - final checks before the PR, with fix attempts
+   * 
+   * @returns {Promise<Object|null>} Verification result, null when no checks are configured
+   */
+  async runVerification(issueNumber, worktreePath, options = {}) {
+    if (!this.verificationStage.isEnabled()) {
+      return null;
+    }
+    
+    const repo = this.configManager.getGitHubRepo();
+    
+    try {
+      await this.stateManager.transitionTo(issueNumber, 'oc-ralph:verifying');
+      
+      await this.statusUpdater.onEvent('verification-started', {
+        masterIssueNumber: issueNumber,
+        issueUrl: this.stateManager.issueOps.getIssueUrl(repo, issueNumber)
+      });
+      
+      this.logger.info('Starting verification stage', { issueNumber });
+      
+      const result = await this.verificationStage.execute(issueNumber, worktreePath, options);
+      
+      this.logger.info('Verification stage completed', { issueNumber, fixAttempts: result.fixAttempts });
+      
+      return result;
+      
+    } catch (error) {
+      // Paused or cancelled - settled by continueFromStage, not a failure
+      if (error instanceof OrchestrationInterruptedError) {
+        throw error;
+      }
+      
+      this.logger.error('Verification stage failed', {
+        issueNumber,
+        error: error.message
+      });
+      
+      await this.statusUpdater.onEvent('orchestration-failed', {
+        masterIssueNumber: issueNumber,
+        issueUrl: this.stateManager.issueOps.getIssueUrl(repo, issueNumber),
         error: error.message
       });
       
@@ -375,7 +705,7 @@ export class Orchestrator {
   /**
    * Run completion stage - create PR and finalize
    */
-  async runCompletion(issueNumber, worktreePath) {
+  async runCompletion(issueNumber, worktreePath, options = {}) {
     const repo = this.configManager.getGitHubRepo();
     
     try {
@@ -390,7 +720,9 @@ export class Orchestrator {
         worktreePath,
         this.currentPlan,
         this.implResult,
-        this.testResult
+        this.testResult,
+        this.verificationResult,
+        options
       );
       
       // Transition to completed
@@ -413,7 +745,7 @@ export class Orchestrator {
       // Send failure event
       await this.statusUpdater.onEvent('orchestration-failed', {
         masterIssueNumber: issueNumber,
-        issueUrl: `https://github.com/${repo}/issues/${issueNumber}`,
+        issueUrl: this.stateManager.issueOps.getIssueUrl(repo, issueNumber),
         error: error.message
       });
       
@@ -426,15 +758,25 @@ export class Orchestrator {
    * Resume orchestration from current state
    */
   async resume(issueNumber) {
-    const repo = this.configManager.getGitHubRepo();
-    const currentState = await this.stateManager.getCurrentState(issueNumber);
+    let currentState = await this.stateManager.getCurrentState(issueNumber);
     
     this.logger.info('Resuming orchestration', { issueNumber, currentState });
     
     try {
-      // Load plan from sub-issues if we don't have it
+      // Paused while queued - nothing ran yet, so start from the beginning
+      if (currentState === 'oc-ralph:paused' && this.stateManager.wasPausedBeforeStart(issueNumber)) {
+        this.logger.info('Starting orchestration paused before it started', { issueNumber });
+        return await this.start(issueNumber);
+      }
+      
+      // A paused orchestration continues from the state it was paused in
+      if (currentState === 'oc-ralph:paused') {
+        currentState = await this.restorePausedState(issueNumber);
+      }
+      
+      // Restore the stored plan if we don't have it
       if (!this.currentPlan) {
-        this.currentPlan = await this.loadPlanFromSubIssues(issueNumber);
+        this.currentPlan = await this.loadPlan(issueNumber);
       }
       
       if (currentState === 'oc-ralph:awaiting-approval') {
@@ -445,12 +787,51 @@ export class Orchestrator {
           return { success: false, issueNumber, status: 'rejected' };
         }
         
+        if (approvalResult.interrupted) {
+          return { success: false, issueNumber, status: approvalResult.status };
+        }
+        
         return { success: true, issueNumber, status: 'approved' };
       }
       
-      // For other states, return current status
-      // Will be extended in later sprints
-      return { success: true, issueNumber, status: currentState.replace('oc-ralph:', '') };
+      const resumeStages = {
+        'oc-ralph:approved': 'implementing',
+        'oc-ralph:implementing': 'implementing',
+        'oc-ralph:testing': 'testing',
+        'oc-ralph:verifying': 'verifying',
+        'oc-ralph:completing': 'completing'
+      };
+      
+      const fromStage = resumeStages[currentState];
+      
+      if (!fromStage) {
+        // Nothing to pick up (planning restarts from scratch, terminal states are final)
+        return { success: true, issueNumber, status: currentState ? currentState.replace('oc-ralph:', '') : 'not-started' };
+      }
+      
+      const worktreePath = await this.worktreeManager.getWorktree(issueNumber);
+      
+      this.logger.info('Resuming post-approval stages', { issueNumber, fromStage, worktreePath });
+      
+      // Restart live status updates for the loaded plan
+      this.statusUpdater.updatePlan(this.currentPlan);
+      this.statusUpdater.start(issueNumber, this.currentPlan, {
+        architectComplete: true,
+        sculptorComplete: true,
+        sentinelComplete: true,
+        implTaskCount: this.currentPlan.implementationTasks.length,
+        testTaskCount: this.currentPlan.testTasks.length,
+        completedCount: 3,
+        allComplete: true
+      });
+      
+      const result = await this.continueFromStage(issueNumber, worktreePath, fromStage, { resume: true });
+      
+      if (result.interrupted) {
+        return { success: false, issueNumber, status: result.status };
+      }
+      
+      return { success: true, issueNumber, status: 'completed', prNumber: result.prNumber, prUrl: result.prUrl };
       
     } catch (error) {
       this.logger.error('Resume failed', {
@@ -463,40 +844,111 @@ export class Orchestrator {
   }
   
   /**
-   * Load plan from sub-issues (for resume)
+   * Put a paused orchestration back into the state it was paused in
+   */
+  async restorePausedState(issueNumber) {
+    const previousState = this.stateManager.getPreviousState(issueNumber, 'oc-ralph:paused');
+    
+    if (!previousState || previousState === 'oc-ralph:paused') {
+      throw new Error('Cannot tell which state the orchestration was paused in');
+    }
+    
+    this.logger.info('Restoring paused orchestration', { issueNumber, previousState });
+    await this.stateManager.transitionTo(issueNumber, previousState);
+    
+    return previousState;
+  }
+  
+  /**
+   * Load the plan for resume
+   * 
+   * Tries, in order: the local copy under .oc-ralph/plans, the plan record
+   * embedded in the master issue body, and finally the sub-issues themselves.
+   */
+  async loadPlan(masterIssueNumber) {
+    const storedPlan = this.planStore.load(masterIssueNumber);
+    
+    if (storedPlan) {
+      this.logger.info('Plan loaded from local store', { masterIssueNumber });
+      return storedPlan;
+    }
+    
+    const repo = this.configManager.getGitHubRepo();
+    const issue = await this.stateManager.issueOps.getIssue(repo, masterIssueNumber);
+    const embeddedPlan = this.issueBodyManager.extractPlan(issue.body);
+    
+    if (embeddedPlan) {
+      this.logger.info('Plan loaded from master issue body', { masterIssueNumber });
+      this.planStore.save(masterIssueNumber, embeddedPlan);
+      return embeddedPlan;
+    }
+    
+    this.logger.warn('No stored plan found, rebuilding from sub-issues', { masterIssueNumber });
+    return await this.loadPlanFromSubIssues(masterIssueNumber);
+  }
+
+  /**
+   * Load plan from sub-issues (fallback for resume)
    */
   async loadPlanFromSubIssues(masterIssueNumber) {
     this.logger.info('Loading plan from sub-issues', { masterIssueNumber });
     
     const repo = `${this.config.github.owner}/${this.config.github.repo}`;
     
-    // Query sub-issues via gh CLI
-    const GitHubClient = (await import('../github/GitHubClient.js')).GitHubClient;
-    const github = new GitHubClient(this.logger);
+    const issueOps = this.stateManager.issueOps;
     
-    const subIssuesJson = await github.execJSON(
-      `issue list --repo ${repo} --label "oc-ralph:sub-issue" --json number,title,body,labels --limit 1000`
-    );
+    let subIssuesJson = await issueOps.listIssues(repo, { label: `oc-ralph:master-${masterIssueNumber}`, state: 'all' });
+    
+    // Sub-issues created before master labels existed only reference their parent in the body
+    if (subIssuesJson.length === 0) {
+      subIssuesJson = await issueOps.listIssues(repo, { label: 'oc-ralph:sub-issue', state: 'all' });
+    }
+    
+    // Fix attempts are created during testing and are not part of the plan
+    subIssuesJson = subIssuesJson
+      .filter(issue => !issue.labels.some(l => l.name === 'oc-ralph:fix-attempt'))
+      .sort((a, b) => a.number - b.number);
     
     const implementationTasks = [];
     const testTasks = [];
+    const implementationIssues = [];
+    const testIssues = [];
     
     for (const issue of subIssuesJson) {
+      const body = issue.body || '';
+      
+      // Only sub-issues created for this master issue
+      const parentMatch = body.match(/\*\*Parent Issue:\*\*\s*#(\d+)/);
+      if (!parentMatch || parseInt(parentMatch[1]) !== parseInt(masterIssueNumber)) {
+        continue;
+      }
+      
       const isImpl = issue.labels.some(l => l.name === 'oc-ralph:implementation');
       const isTest = issue.labels.some(l => l.name === 'oc-ralph:test');
       
       // Extract task info from issue body or title
+      const taskIdMatch = body.match(/\*\*Task ID:\*\*\s*(\S+)/);
       const task = {
+        id: taskIdMatch ? taskIdMatch[1] : null,
         title: issue.title.replace(/^\[Implementation\]\s*/, '').replace(/^\[Test\]\s*/, ''),
         issueNumber: issue.number,
-        estimated_complexity: 'medium', // Default
-        dependencies: [] // Will need to parse from body if stored
+        estimated_complexity: 'medium', // Not recorded in the sub-issue body
+        dependencies: [...body.matchAll(/^- Depends on: (.+)$/gm)].map(m => m[1].trim())
+      };
+      
+      const issueRef = {
+        taskId: task.id || task.title,
+        issueNumber: issue.number,
+        title: task.title,
+        dependencies: task.dependencies
       };
       
       if (isImpl) {
         implementationTasks.push(task);
+        implementationIssues.push(issueRef);
       } else if (isTest) {
         testTasks.push(task);
+        testIssues.push(issueRef);
       }
     }
     
@@ -507,7 +959,9 @@ export class Orchestrator {
     
     return {
       implementationTasks,
-      testTasks
+      testTasks,
+      implementationIssues,
+      testIssues
     };
   }
 }
@@ -0,0 +1,95 @@
+/**
+ * Plan store - durable local copy of orchestration plans
+ *
+ * Stores the spec, task ids, dependency edges and sub-issue mappings
+ * under .oc-ralph/plans/<issue>.json so resume can restore the exact
+ * plan the DependencyResolver originally saw.
+ */
+import fs from 'fs';
+import path from 'path';
+
+export const PLAN_RECORD_VERSION = 1;
+
+export class PlanStore {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.plansDir = path.join(config.stateDir || '.oc-ralph', 'plans');
+  }
+
+  /**
+   * Build a serializable plan record
+   */
+  static toRecord(masterIssueNumber, plan) {
+    return {
+      version: PLAN_RECORD_VERSION,
+      masterIssueNumber: masterIssueNumber ? parseInt(masterIssueNumber) : null,
+      savedAt: new Date().toISOString(),
+      spec: plan.spec || null,
+      implementationTasks: plan.implementationTasks || [],
+      testTasks: plan.testTasks || [],
+      implementationIssues: plan.implementationIssues || [],
+      testIssues: plan.testIssues || []
+    };
+  }
+
+  /**
+   * Restore a plan object from a record
+   */
+  static fromRecord(record) {
+    if (!record || record.version !== PLAN_RECORD_VERSION) {
+      return null;
+    }
+
+    return {
+      spec: record.spec,
+      implementationTasks: record.implementationTasks,
+      testTasks: record.testTasks,
+      implementationIssues: record.implementationIssues,
+      testIssues: record.testIssues
+    };
+  }
+
+  /**
+   * Get plan file path for issue
+   */
+  getPlanFile(masterIssueNumber) {
+    return path.join(this.plansDir, `${masterIssueNumber}.json`);
+  }
+
+  /**
+   * Save plan for issue
+   */
+  save(masterIssueNumber, plan) {
+    const record = PlanStore.toRecord(masterIssueNumber, plan);
+
+    if (!fs.existsSync(this.plansDir)) {
+      fs.mkdirSync(this.plansDir, { recursive: true });
+    }
+
+    fs.writeFileSync(this.getPlanFile(masterIssueNumber), JSON.stringify(record, null, 2), 'utf-8');
+
+    this.logger.debug('Plan saved', { masterIssueNumber, file: this.getPlanFile(masterIssueNumber) });
+
+    return record;
+  }
+
+  /**
+   * Load plan for issue (null if missing or unreadable)
+   */
+  load(masterIssueNumber) {
+    const file = this.getPlanFile(masterIssueNumber);
+
+    if (!fs.existsSync(file)) {
+      return null;
+    }
+
+    try {
+      const record = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      return PlanStore.fromRecord(record);
+    } catch (error) {
+      this.logger.warn('Failed to load stored plan', { masterIssueNumber, error: error.message });
+      return null;
+    }
+  }
+}
@@ -1,6 +1,8 @@
 /**
- * State manager using GitHub labels
+ * State manager using issue tracker labels, backed by a local orchestration journal
  */
+import { OrchestrationJournal } from './OrchestrationJournal.js';
+
 export class StateManager {
   constructor(labelOps, issueOps, config, logger) {
     this.labelOps = labelOps;
@@ -8,6 +10,7 @@ export class StateManager {
     this.config = config;
     this.logger = logger;
     this.repo = `${config.github.owner}/${config.github.repo}`;
+    this.journal = new OrchestrationJournal(config, logger);
   }
 
   /**
@@ -22,12 +25,14 @@ export class StateManager {
       'oc-ralph:approved',
       'oc-ralph:implementing',
       'oc-ralph:testing',
+      'oc-ralph:verifying',
       'oc-ralph:completing',
       'oc-ralph:completed',
       'oc-ralph:pr-created',
       'oc-ralph:failed',
       'oc-ralph:rejected',
-      'oc-ralph:paused'
+      'oc-ralph:paused',
+      'oc-ralph:cancelled'
     ];
     
     for (const stateLabel of stateLabels) {
@@ -55,6 +60,8 @@ export class StateManager {
     // Add new state label
     await this.labelOps.addLabel(this.repo, issueNumber, newState);
     
+    this.journal.append(issueNumber, 'state-transition', { from: currentState, to: newState });
+    
     this.logger.info('State transitioned', {
       issueNumber,
       from: currentState,
@@ -62,6 +69,79 @@ export class StateManager {
     });
   }
 
+  /**
+   * Record an event in the orchestration journal
+   */
+  recordEvent(issueNumber, type, data = {}) {
+    return this.journal.append(issueNumber, type, data);
+  }
+
+  /**
+   * Get state rebuilt from the local journal (no tracker round trip)
+   */
+  getJournaledState(issueNumber) {
+    return this.journal.replay(issueNumber).state;
+  }
+
+  /**
+   * Get the state before the current one (from the local journal)
+   * 
+   * If the current label was set outside oc-ralph, the last journaled state is the previous one.
+   */
+  getPreviousState(issueNumber, currentState = null) {
+    const { state, transitions } = this.journal.replay(issueNumber);
+    
+    if (currentState && state && state !== currentState) {
+      return state;
+    }
+    
+    return transitions.length > 0 ? transitions[transitions.length - 1].from : null;
+  }
+
+  /**
+   * Whether the orchestration was paused while still queued, before it had a state
+   */
+  wasPausedBeforeStart(issueNumber) {
+    const { state, transitions } = this.journal.replay(issueNumber);
+    
+    return state === 'oc-ralph:paused' && transitions.length > 0 && transitions[transitions.length - 1].from === null;
+  }
+
+  /**
+   * Reconcile journal state against tracker labels and report drift
+   */
+  async reconcile(issueNumber) {
+    const labelState = await this.getCurrentState(issueNumber);
+    const journal = this.journal.replay(issueNumber);
+    const journalState = journal.state;
+    
+    const drift = [];
+    
+    if (journal.entryCount === 0) {
+      drift.push('No local journal for this issue');
+    } else if (labelState !== journalState) {
+      drift.push(`Labels say ${labelState || 'none'}, journal says ${journalState || 'none'}`);
+    }
+    
+    const report = {
+      issueNumber,
+      labelState,
+      journalState,
+      inSync: drift.length === 0,
+      drift
+    };
+    
+    if (!report.inSync) {
+      this.logger.warn('State drift detected', report);
+      
+      if (journal.entryCount > 0) {
+        this.journal.append(issueNumber, 'drift-detected', { labelState, journalState });
+      }
+    }
+    
+    return report;
+  }
+
   /**
    * Check if can resume orchestration
    */
@@ -74,7 +154,9 @@ export class StateManager {
       'oc-ralph:approved',
       'oc-ralph:implementing',
       'oc-ralph:testing',
-      'oc-ralph:completing'
+      'oc-ralph:verifying',
+      'oc-ralph:completing',
+      'oc-ralph:paused'
     ];
     
     return resumableStates.includes(state);
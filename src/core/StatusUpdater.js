@@ -33,11 +33,7 @@ export class StatusUpdater {
     
     this.stop(); // Clear any existing interval
     
-    const intervalMs = this.config.statusTable.updateIntervalSeconds * 1000;
-    this.intervalId = setInterval(
-      () => this.updateStatusTable(),
-      intervalMs
-    );
+    this.scheduleNextUpdate();
     
     this.logger.info('Status updater started', { 
       masterIssueNumber, 
@@ -48,12 +44,31 @@ export class StatusUpdater {
     this.updateStatusTable();
   }
   
+  /**
+   * Schedule the next background update (spaced out as the API budget shrinks)
+   */
+  scheduleNextUpdate() {
+    const intervalMs = this.issueOps.client.governor.adjustInterval(
+      this.config.statusTable.updateIntervalSeconds * 1000
+    );
+    
+    const timer = setTimeout(async () => {
+      await this.updateStatusTable();
+      
+      if (this.intervalId === timer) {
+        this.scheduleNextUpdate();
+      }
+    }, intervalMs);
+    
+    this.intervalId = timer;
+  }
+  
   /**
    * Stop background updates
    */
   stop() {
     if (this.intervalId) {
-      clearInterval(this.intervalId);
+      clearTimeout(this.intervalId);
       this.intervalId = null;
       this.logger.info('Status updater stopped');
     }
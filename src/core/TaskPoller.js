@@ -1,18 +1,22 @@
 /**
  * TaskPoller - Poll sub-issues for completion labels
+ * With issue events (webhooks) a completion label wakes the wait immediately.
  */
 export class TaskPoller {
-  constructor(issueOps, logger) {
+  constructor(issueOps, logger, issueEvents = null) {
     this.issueOps = issueOps;
     this.logger = logger;
+    this.issueEvents = issueEvents;
   }
 
   /**
    * Wait for task completion
+   * 
+   * Stops early (rejecting with the interruption error) when the signal is requested.
    */
-  async waitForCompletion(repo, issueNumber, timeoutMs) {
+  async waitForCompletion(repo, issueNumber, timeoutMs, signal = null) {
     const startTime = Date.now();
-    const pollIntervalMs = 2000; // 2 seconds
+    const pollIntervalMs = this.issueEvents ? this.issueEvents.pollInterval(2000) : 2000; // 2 seconds without webhooks
     
     this.logger.info('Waiting for task completion', { issueNumber, timeoutMs });
     
@@ -21,6 +25,13 @@ export class TaskPoller {
         try {
           const elapsed = Date.now() - startTime;
           
+          // Stop waiting when the orchestration is paused or cancelled
+          if (signal?.requested) {
+            this.logger.info('Stopped waiting for task', { issueNumber, reason: signal.reason });
+            reject(signal.toError());
+            return;
+          }
+          
           // Check for timeout
           if (elapsed >= timeoutMs) {
             this.logger.error('Task completion timeout', { issueNumber, elapsed });
@@ -40,8 +51,13 @@ export class TaskPoller {
           // Log progress at debug level
           this.logger.debug('Task still in progress', { issueNumber, elapsed });
           
-          // Continue polling
-          setTimeout(checkCompletion, pollIntervalMs);
+          // Continue polling (or wake on a webhook for this issue), slower as the API budget shrinks
+          const delayMs = this.issueOps.client.governor.adjustInterval(pollIntervalMs);
+          if (this.issueEvents) {
+            this.issueEvents.wait(repo, issueNumber, delayMs, signal).then(checkCompletion);
+          } else {
+            setTimeout(checkCompletion, delayMs);
+          }
           
         } catch (error) {
           this.logger.error('Task polling failed', {
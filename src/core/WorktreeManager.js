@@ -11,7 +11,20 @@ export class WorktreeManager {
     this.config = config;
     this.logger = logger;
     this.basePath = config.worktree.basePath;
-    this.stateFile = '.oc-ralph/worktrees.json';
+    this.stateFile = path.join(config.stateDir || '.oc-ralph', 'worktrees.json');
+    this.gitLock = Promise.resolve();
+  }
+
+  /**
+   * Run git worktree operations one at a time
+   * 
+   * Concurrent orchestrations share this manager; git locks refs and the
+   * worktree list, so parallel fetch/branch/worktree commands would fail.
+   */
+  withGitLock(fn) {
+    const run = this.gitLock.then(fn);
+    this.gitLock = run.catch(() => {});
+    return run;
   }
 
   /**
@@ -101,11 +114,17 @@ export class WorktreeManager {
       worktreePath 
     });
 
-    // Create branch from base
-    await this.gitOps.createBranch(branchName, baseBranch);
+    await this.withGitLock(async () => {
+      // Create branch from base (the local one when running offline)
+      if (this.config.tracker?.type === 'local') {
+        await this.gitOps.createLocalBranch(branchName, baseBranch);
+      } else {
+        await this.gitOps.createBranch(branchName, baseBranch);
+      }
 
-    // Add worktree
-    await this.gitOps.addWorktree(worktreePath, branchName);
+      // Add worktree
+      await this.gitOps.addWorktree(worktreePath, branchName);
+    });
 
     // Store worktree path in local state file
     this.storeWorktreePath(issueNumber, worktreePath, branchName);
@@ -119,6 +138,66 @@ export class WorktreeManager {
     return { branchName, worktreePath };
   }
 
+  /**
+   * Create a scratch worktree on a new branch from the issue's branch
+   * (for work merged back later, e.g. parallel test fixes)
+   *
+   * @param {number} issueNumber - Master issue number
+   * @param {string} name - Suffix for the branch and directory, unique per issue
+   * @returns {Promise<Object>} { branchName, worktreePath }
+   */
+  async createScratchWorktree(issueNumber, name) {
+    this.ensureBasePath();
+
+    const branchName = `${this.getBranchName(issueNumber)}-${name}`;
+    const worktreePath = path.join(
+      this.basePath,
+      `${this.config.github.repo}-${issueNumber}-${name}`
+    );
+
+    this.logger.info('Creating scratch worktree', { issueNumber, branchName, worktreePath });
+
+    await this.withGitLock(async () => {
+      await this.gitOps.createLocalBranch(branchName, this.getBranchName(issueNumber));
+      await this.gitOps.addWorktree(worktreePath, branchName);
+    });
+
+    return { branchName, worktreePath };
+  }
+
+  /**
+   * Merge a scratch worktree's branch into the issue's worktree
+   * (throws on conflicts, the merge is aborted)
+   */
+  async mergeScratchWorktree(issueNumber, scratch) {
+    const worktreePath = this.getWorktreePath(issueNumber);
+
+    this.logger.info('Merging scratch worktree', { issueNumber, branchName: scratch.branchName });
+
+    await this.withGitLock(() => this.gitOps.mergeBranch(worktreePath, scratch.branchName));
+  }
+
+  /**
+   * Remove a scratch worktree and its branch
+   */
+  async removeScratchWorktree(scratch) {
+    try {
+      await this.withGitLock(async () => {
+        await this.gitOps.removeWorktree(scratch.worktreePath);
+        await this.gitOps.deleteBranch(scratch.branchName);
+      });
+
+      if (fs.existsSync(scratch.worktreePath)) {
+        fs.rmSync(scratch.worktreePath, { recursive: true, force: true });
+      }
+    } catch (error) {
+      this.logger.error('Failed to remove scratch worktree', {
+        branchName: scratch.branchName,
+        error: error.message
+      });
+    }
+  }
+
   /**
    * Get worktree path from local state
    */
@@ -143,7 +222,7 @@ export class WorktreeManager {
       this.logger.info('Cleaning up worktree', { issueNumber, worktreePath });
       
       // Remove worktree
-      await this.gitOps.removeWorktree(worktreePath);
+      await this.withGitLock(() => this.gitOps.removeWorktree(worktreePath));
       
       // Remove from local state
       this.removeWorktreePath(issueNumber);
@@ -20,6 +20,62 @@ export class DependencyResolver {
     return this.resolveBatches(tasksWithIds, graph);
   }
 
+  /**
+   * Resolve sub-issues into execution batches
+   *
+   * Task IDs and dependencies are read from the sub-issue bodies
+   * (**Task ID:** and "- Depends on:" lines). Dependencies on tasks outside
+   * the given issues (e.g. a test depending on an implementation task) are
+   * already satisfied and ignored.
+   *
+   * @returns {Array<Array<Object>>} Batches of issues
+   */
+  createBatches(issues) {
+    const tasks = this.tasksFromIssues(issues);
+    const ids = new Set(tasks.map(t => t.id));
+    const batches = this.resolve(tasks.map(task => ({
+      ...task,
+      dependencies: task.dependencies.filter(dep => ids.has(dep))
+    })));
+
+    return batches.map(batch => batch.map(task => task.issue));
+  }
+
+  /**
+   * Map each sub-issue to the sub-issues it depends on
+   *
+   * @returns {Object} issueNumber -> [issueNumber]
+   */
+  resolveDependencies(issues) {
+    const tasks = this.tasksFromIssues(issues);
+    const numbers = new Map(tasks.map(t => [t.id, t.issue.number]));
+    const dependencies = {};
+
+    for (const task of tasks) {
+      dependencies[task.issue.number] = task.dependencies
+        .filter(dep => numbers.has(dep))
+        .map(dep => numbers.get(dep));
+    }
+
+    return dependencies;
+  }
+
+  /**
+   * Task ID and dependencies of each sub-issue
+   */
+  tasksFromIssues(issues) {
+    return issues.map(issue => {
+      const body = issue.body || '';
+      const taskId = body.match(/\*\*Task ID:\*\*\s*(\S+)/);
+
+      return {
+        id: taskId ? taskId[1] : `issue-${issue.number}`,
+        dependencies: [...body.matchAll(/^- Depends on: (.+)$/gm)].map(m => m[1].trim()),
+        issue
+      };
+    });
+  }
+
   /**
    * Build dependency graph from tasks
    */
@@ -0,0 +1,405 @@
+/**
+ * Parallel fix coordinator - fixes independent test failures at the same time
+ *
+ * Failed tests are clustered by what they touch: the files in the stack
+ * traces of their failures (the failing modules), else the implementation
+ * tasks they test. Tests sharing a file or task, or depending on each other,
+ * land in one cluster; tests without either share a cluster too.
+ *
+ * Each cluster gets a scratch worktree branched from the feature branch and
+ * runs the usual fix loop there. Finished clusters are merged back one at a
+ * time, then every test runs again on the merged branch. A cluster whose
+ * merge conflicts is dropped; its tests, and tests failing after the merge,
+ * are left to the sequential fix loop.
+ *
+ * With a test command every run covers the whole suite. A failing test case
+ * belongs to the test whose run reported it first, and tests are clustered
+ * by the files their cases failed in (failure locations and stack traces).
+ * Each scratch worktree runs the command itself, leaving the other clusters'
+ * cases out of its verdicts. After the merge the command runs once more, and
+ * each test is judged by the cases it owns.
+ *
+ *   execution:
+ *     testing:
+ *       maxParallelFixes: 3        # clusters fixed at once, 1 fixes one test at a time
+ */
+import { OrchestrationInterruptedError } from '../core/CancellationSignal.js';
+import { TestCommandRunner } from './TestCommandRunner.js';
+
+// path/to/file.ext:line in failure locations and stack traces
+const FILE_LOCATION = /(?<![\w:/.-])((?:\/|\.{1,2}\/)?[\w@.-]+(?:\/[\w@.-]+)*\.[A-Za-z]\w*):\d+/g;
+
+export class ParallelFixCoordinator {
+  constructor(
+    testRetryCoordinator,
+    testFailureHandler,
+    dependencyResolver,
+    worktreeManager,
+    issueOps,
+    testCommandRunner,
+    journal,
+    config,
+    logger
+  ) {
+    this.testRetryCoordinator = testRetryCoordinator;
+    this.testFailureHandler = testFailureHandler;
+    this.dependencyResolver = dependencyResolver;
+    this.worktreeManager = worktreeManager;
+    this.issueOps = issueOps;
+    this.testCommandRunner = testCommandRunner;
+    this.journal = journal;
+    this.config = config;
+    this.logger = logger;
+  }
+
+  /**
+   * Clusters fixed at once (1 disables parallel fixing)
+   */
+  get maxParallelFixes() {
+    return this.config.execution?.testing?.maxParallelFixes ?? 3;
+  }
+
+  /**
+   * Whether failures may be fixed in parallel
+   */
+  isEnabled() {
+    return this.maxParallelFixes > 1;
+  }
+
+  /**
+   * Group failed tests into clusters that can be fixed independently
+   *
+   * @param {Array} failedTests - Failed test issues
+   * @param {Array} allTests - All test issues (for dependencies between tests)
+   * @returns {Promise<Array<Array<Object>>>} Clusters of test issues, in the order of failedTests
+   */
+  async clusterFailures(failedTests, allTests) {
+    const dependencies = this.dependencyResolver.resolveDependencies(allTests);
+    const failedNumbers = new Set(failedTests.map(t => t.number));
+
+    // Union-find over test issue numbers
+    const parents = new Map(failedTests.map(t => [t.number, t.number]));
+    const find = number => {
+      while (parents.get(number) !== number) {
+        number = parents.get(number);
+      }
+      return number;
+    };
+    const union = (a, b) => parents.set(find(a), find(b));
+
+    const owners = new Map(); // footprint key -> first test touching it
+    const cases = this.testCommandRunner?.isEnabled() ? await this.attributeFailures(failedTests) : null;
+
+    for (const test of failedTests) {
+      const footprint = await this.getFootprint(test, cases?.get(test.number));
+      const keys = footprint.length > 0 ? footprint : ['unknown'];
+
+      this.logger.debug('Failure footprint', { testIssue: test.number, keys });
+
+      for (const key of keys) {
+        if (owners.has(key)) {
+          union(test.number, owners.get(key));
+        } else {
+          owners.set(key, test.number);
+        }
+      }
+
+      for (const dependency of dependencies[test.number] || []) {
+        if (failedNumbers.has(dependency)) {
+          union(test.number, dependency);
+        }
+      }
+    }
+
+    const clusters = new Map();
+    for (const test of failedTests) {
+      const root = find(test.number);
+      clusters.set(root, [...(clusters.get(root) || []), test]);
+    }
+
+    return [...clusters.values()];
+  }
+
+  /**
+   * What a failed test touches: files in its stack trace (or, with a test
+   * command, where its test cases failed), else the implementation tasks it
+   * tests
+   *
+   * @param {Object} testIssue - Failed test issue
+   * @param {Array} failures - Its failing test cases, from attributeFailures()
+   * @returns {Promise<Array<string>>} Keys ('file:<path>' or 'task:<id>')
+   */
+  async getFootprint(testIssue, failures = null) {
+    const files = new Set(failures
+      ? failures.flatMap(failure => [
+        ...(failure.file ? [failure.file.replace(/^\.\//, '')] : []),
+        ...this.extractFiles(failure.stack)
+      ])
+      : this.extractFiles((await this.testFailureHandler.parseFailureDetails(testIssue)).stackTrace));
+
+    if (files.size > 0) {
+      return [...files].map(file => `file:${file}`);
+    }
+
+    const [task] = this.dependencyResolver.tasksFromIssues([testIssue]);
+    return task.dependencies.map(id => `task:${id}`);
+  }
+
+  /**
+   * Failing test cases of each failed test, from their latest test command
+   * runs - a case belongs to the test whose run reported it first
+   *
+   * @returns {Promise<Map>} test issue number -> [{ name, file, line, stack }]
+   */
+  async attributeFailures(failedTests) {
+    const repoPath = `${this.config.github.owner}/${this.config.github.repo}`;
+    const runs = [];
+
+    for (const test of failedTests) {
+      const run = TestCommandRunner.findLatestResult(await this.issueOps.getComments(repoPath, test.number));
+      if (run?.counts) {
+        runs.push({ test, run });
+      }
+    }
+
+    runs.sort((a, b) => a.run.finishedAt.localeCompare(b.run.finishedAt));
+
+    const owned = new Set();
+    const cases = new Map(failedTests.map(test => [test.number, []]));
+
+    for (const { test, run } of runs) {
+      for (const name of run.failingCases || run.failures.map(failure => failure.name)) {
+        if (!owned.has(name)) {
+          owned.add(name);
+          cases.get(test.number).push(run.failures.find(failure => failure.name === name) || { name });
+        }
+      }
+    }
+
+    return cases;
+  }
+
+  /**
+   * Project files named in a stack trace (dependencies and runtime internals left out)
+   */
+  extractFiles(text) {
+    if (!text) return [];
+
+    return [...text.matchAll(FILE_LOCATION)]
+      .map(match => match[1].replace(/^\.\//, ''))
+      .filter(file => !file.includes('node_modules/') && !file.startsWith('internal/'));
+  }
+
+  /**
+   * Fix clusters in scratch worktrees, merge them back and run the tests again
+   *
+   * @param {Object} repo - Repository info
+   * @param {Array<Array<Object>>} clusters - From clusterFailures()
+   * @param {Array} allTests - All test issues
+   * @param {string} worktreePath - The feature branch's worktree
+   * @param {number} masterIssueNumber - Master issue number
+   * @param {Function} fixTests - (tests, worktreePath, scopeTests) => fix results, the sequential fix loop
+   * @param {Object} options - Fix loop options
+   * @param {CancellationSignal} options.signal - Checked before each cluster starts
+   * @returns {Promise<Array>} Fix results of the clusters' tests (the re-run decides which still fail)
+   */
+  async fixClusters(repo, clusters, allTests, worktreePath, masterIssueNumber, fixTests, options = {}) {
+    this.logger.info(`Fixing ${clusters.length} failure clusters in parallel`, {
+      clusters: clusters.map(cluster => cluster.map(t => t.number)),
+      maxParallelFixes: this.maxParallelFixes
+    });
+
+    this.journal.append(masterIssueNumber, 'parallel-fix', {
+      clusters: clusters.map(cluster => cluster.map(t => t.number))
+    });
+
+    const cases = this.testCommandRunner?.isEnabled()
+      ? await this.attributeFailures(clusters.flat())
+      : null;
+
+    const finished = [];
+    const executing = new Set();
+    let interruption = null; // fixCluster only rejects when paused or cancelled
+
+    for (const cluster of clusters) {
+      if (options.signal?.requested || interruption) {
+        break;
+      }
+
+      const promise = this.fixCluster(repo, masterIssueNumber, cluster, clusters, allTests, fixTests, cases)
+        .then(outcome => finished.push(outcome), error => { interruption = error; })
+        .finally(() => executing.delete(promise));
+      executing.add(promise);
+
+      if (executing.size >= this.maxParallelFixes) {
+        await Promise.race(executing);
+      }
+    }
+
+    await Promise.allSettled(executing);
+
+    try {
+      if (interruption) {
+        throw interruption;
+      }
+      options.signal?.throwIfRequested();
+
+      // Merge in cluster order, so the history does not depend on which finished first
+      const results = [];
+
+      for (const cluster of clusters) {
+        const outcome = finished.find(o => o.cluster === cluster);
+        const numbers = cluster.map(t => t.number);
+
+        if (!outcome?.scratch) {
+          continue;
+        }
+
+        results.push(...outcome.results);
+
+        try {
+          await this.worktreeManager.mergeScratchWorktree(masterIssueNumber, outcome.scratch);
+          this.journal.append(masterIssueNumber, 'parallel-fix-merge', {
+            tests: numbers,
+            branchName: outcome.scratch.branchName,
+            outcome: 'merged'
+          });
+        } catch (error) {
+          this.logger.warn('Fix cluster did not merge, fixing it sequentially', {
+            tests: numbers,
+            branchName: outcome.scratch.branchName,
+            error: error.message
+          });
+
+          this.journal.append(masterIssueNumber, 'parallel-fix-merge', {
+            tests: numbers,
+            branchName: outcome.scratch.branchName,
+            outcome: 'conflict'
+          });
+
+          await this.noteConflict(repo, cluster, outcome.scratch.branchName);
+        }
+      }
+
+      // The merged branch is what counts
+      await this.rerunSuite(repo, allTests, worktreePath);
+
+      return results;
+    } finally {
+      for (const outcome of finished) {
+        if (outcome.scratch) {
+          await this.removeScratch(outcome.scratch);
+        }
+      }
+    }
+  }
+
+  /**
+   * Fix one cluster in its own scratch worktree
+   *
+   * Regression checks there only cover tests outside the other clusters -
+   * those are being fixed at the same time. With a test command, the other
+   * clusters' test cases are left out of the verdicts there for the same
+   * reason, and the command runs first to give the fix loop the cluster's
+   * own failures.
+   *
+   * @param {Map} cases - Failing test cases per test, from attributeFailures() (with a test command)
+   */
+  async fixCluster(repo, masterIssueNumber, cluster, clusters, allTests, fixTests, cases = null) {
+    const others = new Set(clusters.filter(c => c !== cluster).flat().map(t => t.number));
+    const scopeTests = allTests.filter(t => !others.has(t.number));
+
+    let scratch = null;
+
+    try {
+      scratch = await this.worktreeManager.createScratchWorktree(masterIssueNumber, `fix-${cluster[0].number}`);
+
+      if (cases) {
+        const ignored = [...others].flatMap(number => cases.get(number).map(failure => failure.name));
+        this.testCommandRunner.ignoreCases(scratch.worktreePath, ignored);
+
+        const run = await this.testCommandRunner.run(scratch.worktreePath);
+        for (const test of cluster) {
+          await this.testCommandRunner.report(`${repo.owner}/${repo.repo}`, test, run);
+        }
+
+        if (run.passed) {
+          return { cluster, scratch, results: cluster.map(t => ({ testIssue: t.number, success: true, attempts: 0 })) };
+        }
+      }
+
+      const results = await fixTests(cluster, scratch.worktreePath, scopeTests);
+
+      return { cluster, scratch, results };
+    } catch (error) {
+      if (error instanceof OrchestrationInterruptedError) {
+        if (scratch) {
+          await this.removeScratch(scratch);
+        }
+        throw error;
+      }
+
+      this.logger.error('Fix cluster failed', {
+        tests: cluster.map(t => t.number),
+        error: error.message
+      });
+
+      if (scratch) {
+        await this.removeScratch(scratch);
+      }
+
+      return { cluster, scratch: null, results: [] };
+    }
+  }
+
+  async removeScratch(scratch) {
+    this.testCommandRunner?.clearIgnoredCases(scratch.worktreePath);
+    await this.worktreeManager.removeScratchWorktree(scratch);
+  }
+
+  /**
+   * Tell a dropped cluster's tests why their fix is gone
+   */
+  async noteConflict(repo, cluster, branchName) {
+    for (const test of cluster) {
+      await this.issueOps.addComment(
+        `${repo.owner}/${repo.repo}`,
+        test.number,
+        `⚠️ The fix from \`${branchName}\` conflicted with other fixes when merging. Fixing again on the feature branch.`
+      );
+    }
+  }
+
+  /**
+   * Run every test on the merged feature branch (in dependency order)
+   *
+   * A test command runs once for all of them. Each test is judged by the
+   * failing cases it owned before; cases no test reported yet count for the
+   * first test, so a failure the merge brought in still fails the suite.
+   */
+  async rerunSuite(repo, allTests, worktreePath) {
+    this.logger.info('Re-running all tests after merging fix clusters', { count: allTests.length });
+
+    if (this.testCommandRunner?.isEnabled()) {
+      const owners = new Map(); // test case -> test issue number
+      for (const [number, failures] of await this.attributeFailures(allTests)) {
+        failures.forEach(failure => owners.set(failure.name, number));
+      }
+
+      const run = await this.testCommandRunner.run(worktreePath);
+
+      for (const test of allTests) {
+        const others = run.failures
+          .map(failure => failure.name)
+          .filter(name => (owners.get(name) ?? allTests[0].number) !== test.number);
+
+        await this.testCommandRunner.report(`${repo.owner}/${repo.repo}`, test, this.testCommandRunner.leaveOut(run, others));
+      }
+      return;
+    }
+
+    for (const test of this.dependencyResolver.createBatches(allTests).flat()) {
+      await this.testRetryCoordinator.rerunTest(repo, test, worktreePath);
+    }
+  }
+}
@@ -0,0 +1,134 @@
+/**
+ * Regression detector - tracks the pass/fail matrix of all tests across fix
+ * attempts and finds what a fix broke
+ *
+ * Before each fix attempt the matrix is captured; after it, compared:
+ * - a test that passed before and fails now was broken by the fix
+ * - with a test command configured, a test case failing now that passed in
+ *   the run before the fix was broken by it
+ *
+ *   execution:
+ *     testing:
+ *       onRegression: revert         # revert the fix's commits and retry, or keep them and fix the broken tests too
+ */
+import { TestCommandRunner } from './TestCommandRunner.js';
+
+export const REGRESSION_ACTIONS = ['revert', 'keep'];
+
+export class RegressionDetector {
+  constructor(gitOps, issueOps, testCommandRunner, config, logger) {
+    this.gitOps = gitOps;
+    this.issueOps = issueOps;
+    this.testCommandRunner = testCommandRunner;
+    this.config = config;
+    this.logger = logger;
+  }
+
+  /**
+   * What to do with a fix that broke other tests ('revert' or 'keep')
+   */
+  get action() {
+    return this.config.execution?.testing?.onRegression || 'revert';
+  }
+
+  /**
+   * Pass/fail state of every test, plus the failing test cases of the
+   * latest test command run on the test being fixed
+   *
+   * @param {string} repoPath - owner/repo
+   * @param {Array} tests - All test issues
+   * @param {Object} testIssue - Test being fixed
+   * @returns {Promise<Object>} { tests: { [number]: 'passed'|'failed' }, failingCases: Array|null }
+   */
+  async captureMatrix(repoPath, tests, testIssue) {
+    const issues = await this.issueOps.getIssues(repoPath, tests.map(test => test.number));
+    const matrix = { tests: {}, failingCases: null };
+
+    for (const test of tests) {
+      const labels = issues.get(test.number)?.labels || [];
+      const failed = labels.some(l => l.name === 'oc-ralph:test-failed' || l.name === 'oc-ralph:failed');
+      matrix.tests[test.number] = failed ? 'failed' : 'passed';
+    }
+
+    // Only parsed reports name their test cases (runs stored without the full list are skipped);
+    // cases left out as other tests' still failed in the suite
+    if (this.testCommandRunner?.isEnabled()) {
+      const comments = await this.issueOps.getComments(repoPath, testIssue.number);
+      const run = TestCommandRunner.findLatestResult(comments);
+      if (run?.counts && run.failingCases) {
+        matrix.failingCases = [...run.failingCases, ...(run.ignoredCases || [])];
+      }
+    }
+
+    return matrix;
+  }
+
+  /**
+   * Tests and test cases that passed before a fix and fail after it
+   *
+   * @returns {Object|null} { brokenTests, brokenCases }, null without regressions
+   */
+  compare(before, after) {
+    const brokenTests = Object.keys(after.tests)
+      .filter(number => before.tests[number] === 'passed' && after.tests[number] === 'failed')
+      .map(number => parseInt(number, 10));
+
+    const brokenCases = before.failingCases && after.failingCases
+      ? after.failingCases.filter(name => !before.failingCases.includes(name))
+      : [];
+
+    if (brokenTests.length === 0 && brokenCases.length === 0) {
+      return null;
+    }
+
+    return { brokenTests, brokenCases };
+  }
+
+  /**
+   * Commit at the head of the worktree
+   */
+  async getHead(worktreePath) {
+    return await this.gitOps.getHead(worktreePath);
+  }
+
+  /**
+   * Revert the commits made since fromCommit
+   *
+   * @returns {Promise<boolean>} False when there was nothing to revert or the revert failed
+   */
+  async revert(worktreePath, fromCommit) {
+    const head = await this.gitOps.getHead(worktreePath);
+    if (head === fromCommit) {
+      return false;
+    }
+
+    try {
+      await this.gitOps.revertCommits(worktreePath, fromCommit);
+      return true;
+    } catch (error) {
+      this.logger.error('Failed to revert fix commits', {
+        error: error.message,
+        fromCommit,
+        worktreePath
+      });
+      return false;
+    }
+  }
+
+  /**
+   * What a regression broke, for comments and tables
+   */
+  static describe(regression) {
+    const parts = [];
+
+    if (regression.brokenTests.length > 0) {
+      parts.push(regression.brokenTests.map(number => `#${number}`).join(', '));
+    }
+
+    if (regression.brokenCases.length > 0) {
+      parts.push(`${regression.brokenCases.length === 1 ? 'test case' : 'test cases'} ${regression.brokenCases.map(name => `\`${name}\``).join(', ')}`);
+    }
+
+    return parts.join('; ');
+  }
+}
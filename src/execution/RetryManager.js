@@ -1,6 +1,8 @@
 /**
  * Retry manager with exponential backoff
  */
+import { OrchestrationInterruptedError } from '../core/CancellationSignal.js';
+
 export class RetryManager {
   constructor(config, logger) {
     this.config = config.execution.retry;
@@ -9,6 +11,8 @@ export class RetryManager {
 
   /**
    * Execute function with retry logic
+   * 
+   * context.onRetry(attempt, error, delayMs) is called before each retry.
    */
   async executeWithRetry(fn, context = {}) {
     const maxAttempts = context.maxRetries || this.config.maxAttempts;
@@ -32,6 +36,11 @@ export class RetryManager {
         return result;
 
       } catch (error) {
+        // Pause/cancel stops the task, it is not a failure
+        if (error instanceof OrchestrationInterruptedError) {
+          throw error;
+        }
+
         lastError = error;
         
         this.logger.warn('Execution failed', {
@@ -62,6 +71,10 @@ export class RetryManager {
           delayMs: delay
         });
 
+        if (context.onRetry) {
+          await context.onRetry(attempt + 1, error, delay);
+        }
+
         await this.sleep(delay);
       }
     }
@@ -0,0 +1,112 @@
+/**
+ * Session limiter - caps concurrent OpenCode sessions globally and per repository
+ *
+ * Shared by every orchestration in service mode so parallel runs queue for a
+ * session slot instead of starving each other (and the OpenCode server).
+ */
+export class SessionLimiter {
+  constructor(config, logger) {
+    this.maxSessions = parseInt(config.opencode?.maxConcurrentSessions) || Infinity;
+    this.maxSessionsPerRepo = parseInt(config.opencode?.maxSessionsPerRepo) || Infinity;
+    this.logger = logger;
+    this.active = 0;
+    this.activeByRepo = new Map();
+    this.waiting = [];
+  }
+
+  /**
+   * Wait for a session slot for the repository
+   *
+   * Waiters are served in arrival order, skipping those whose repository is at
+   * its own limit. A pause/cancel on the signal rejects a waiting acquire.
+   *
+   * @param {string} repo - Repository (owner/repo)
+   * @param {CancellationSignal} signal - Optional pause/cancel signal
+   * @returns {Promise<Function>} Release function (safe to call more than once)
+   */
+  acquire(repo, signal = null) {
+    signal?.throwIfRequested();
+
+    return new Promise((resolve, reject) => {
+      const waiter = { repo, resolve, reject, unsubscribe: null };
+
+      if (signal) {
+        waiter.unsubscribe = signal.onRequest(() => {
+          const index = this.waiting.indexOf(waiter);
+
+          if (index !== -1) {
+            this.waiting.splice(index, 1);
+            reject(signal.toError());
+          }
+        });
+      }
+
+      this.waiting.push(waiter);
+      this.grant();
+
+      if (this.waiting.includes(waiter)) {
+        this.logger.info('Waiting for an OpenCode session slot', {
+          repo,
+          active: this.active,
+          activeForRepo: this.activeByRepo.get(repo) || 0,
+          waiting: this.waiting.length
+        });
+      }
+    });
+  }
+
+  /**
+   * Hand free slots to waiters
+   */
+  grant() {
+    for (let i = 0; i < this.waiting.length && this.active < this.maxSessions; i++) {
+      const waiter = this.waiting[i];
+
+      if ((this.activeByRepo.get(waiter.repo) || 0) >= this.maxSessionsPerRepo) {
+        continue;
+      }
+
+      this.waiting.splice(i--, 1);
+      waiter.unsubscribe?.();
+
+      this.active++;
+      this.activeByRepo.set(waiter.repo, (this.activeByRepo.get(waiter.repo) || 0) + 1);
+
+      let released = false;
+      waiter.resolve(() => {
+        if (released) return;
+        released = true;
+        this.release(waiter.repo);
+      });
+    }
+  }
+
+  /**
+   * Free a slot and wake the next waiter
+   */
+  release(repo) {
+    this.active--;
+
+    const activeForRepo = (this.activeByRepo.get(repo) || 1) - 1;
+    if (activeForRepo > 0) {
+      this.activeByRepo.set(repo, activeForRepo);
+    } else {
+      this.activeByRepo.delete(repo);
+    }
+
+    this.grant();
+  }
+
+  /**
+   * Get limiter status for API/UI
+   */
+  getStatus() {
+    return {
+      active: this.active,
+      waiting: this.waiting.length,
+      maxSessions: Number.isFinite(this.maxSessions) ? this.maxSessions : null,
+      maxSessionsPerRepo: Number.isFinite(this.maxSessionsPerRepo) ? this.maxSessionsPerRepo : null,
+      byRepo: Object.fromEntries(this.activeByRepo)
+    };
+  }
+}
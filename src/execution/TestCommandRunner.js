@@ -0,0 +1,316 @@
+/**
+ * Test command runner - runs the project's test command in the worktree and
+ * turns its result into the verdict for a test sub-issue
+ *
+ * With execution.testing.command set, the Validator agent only writes and
+ * fixes tests: oc-ralph runs the command itself, posts the results on the
+ * test sub-issue and sets oc-ralph:test-failed from them, whatever the agent
+ * reported.
+ *
+ *   execution:
+ *     testing:
+ *       command: npx vitest run --reporter=junit --outputFile=report.xml
+ *       format: auto                 # auto, junit, tap, jest, mocha, pytest or exit-code
+ *       reportFile: report.json      # optional, else the report is read from stdout
+ *       timeoutSeconds: 900
+ */
+import fs from 'fs';
+import path from 'path';
+import { spawn } from 'child_process';
+import { TestReportParser, formatFailures } from './TestReportParser.js';
+
+// Output kept from a run - the report is parsed from it when there is no report file
+const MAX_OUTPUT_LENGTH = 5 * 1024 * 1024;
+// Lines of output shown on the test sub-issue
+const OUTPUT_TAIL_LINES = 60;
+// Failures listed on the test sub-issue
+const MAX_LISTED_FAILURES = 20;
+
+const RESULT_MARKER = /<!-- oc-ralph-test-run\n([\s\S]*?)\n-->/;
+
+export class TestCommandRunner {
+  constructor(issueOps, config, logger) {
+    this.issueOps = issueOps;
+    this.config = config;
+    this.logger = logger;
+    this.settings = config.execution?.testing || {};
+    this.runs = new Map(); // worktree -> last run, runs in one worktree take turns
+    this.ignored = new Map(); // worktree -> test case names left out of its verdicts
+  }
+
+  /**
+   * Whether a test command is configured
+   */
+  isEnabled() {
+    return !!this.settings.command;
+  }
+
+  /**
+   * Run the test command and post the verdict on the test sub-issue
+   *
+   * @param {string} repoPath - owner/repo
+   * @param {Object} testIssue - Test sub-issue
+   * @param {string} worktreePath - Worktree to run in
+   * @returns {Promise<Object>} Test run result
+   */
+  async verify(repoPath, testIssue, worktreePath) {
+    return await this.report(repoPath, testIssue, await this.run(worktreePath));
+  }
+
+  /**
+   * Post a test run's verdict on a test sub-issue
+   *
+   * @returns {Promise<Object>} The test run result
+   */
+  async report(repoPath, testIssue, result) {
+    this.logger.info('Test command verdict', {
+      testIssue: testIssue.number,
+      passed: result.passed,
+      exitCode: result.exitCode,
+      counts: result.counts
+    });
+
+    await this.issueOps.addComment(repoPath, testIssue.number, this.formatComment(result));
+
+    if (result.passed) {
+      await this.issueOps.removeLabels(repoPath, testIssue.number, ['oc-ralph:test-failed', 'oc-ralph:failed']);
+    } else {
+      await this.issueOps.addLabels(repoPath, testIssue.number, ['oc-ralph:test-failed']);
+    }
+
+    return result;
+  }
+
+  /**
+   * Run the test command in a worktree
+   *
+   * @returns {Promise<Object>} { command, passed, exitCode, timedOut, durationMs, finishedAt, counts, failures, output, error }
+   */
+  async run(worktreePath) {
+    const previous = this.runs.get(worktreePath) || Promise.resolve();
+    const current = previous.catch(() => {}).then(() => this.execute(worktreePath));
+    this.runs.set(worktreePath, current);
+
+    try {
+      return this.leaveOutIgnored(worktreePath, await current);
+    } finally {
+      if (this.runs.get(worktreePath) === current) {
+        this.runs.delete(worktreePath);
+      }
+    }
+  }
+
+  /**
+   * Leave failures of these test cases out of the verdicts in a worktree
+   * (a scratch worktree whose other failures are being fixed elsewhere)
+   */
+  ignoreCases(worktreePath, names) {
+    this.ignored.set(worktreePath, new Set(names));
+  }
+
+  clearIgnoredCases(worktreePath) {
+    this.ignored.delete(worktreePath);
+  }
+
+  leaveOutIgnored(worktreePath, result) {
+    const ignored = this.ignored.get(worktreePath);
+    return ignored ? this.leaveOut(result, ignored) : result;
+  }
+
+  /**
+   * Judge a run without the given test cases (only parsed reports name them)
+   *
+   * @param {Object} result - From run()
+   * @param {Iterable<string>} names - Failing test cases that belong to other tests
+   */
+  leaveOut(result, names) {
+    const left = new Set(names);
+    if (!result.counts) {
+      return result;
+    }
+
+    const failures = result.failures.filter(failure => !left.has(failure.name));
+    if (failures.length === result.failures.length) {
+      return result;
+    }
+
+    return {
+      ...result,
+      failures,
+      ignoredCases: result.failures.filter(failure => left.has(failure.name)).map(failure => failure.name),
+      passed: !result.error && failures.length === 0 && result.counts.failed === result.failures.length
+    };
+  }
+
+  async execute(worktreePath) {
+    const { command, format = 'auto', reportFile, timeoutSeconds = 900 } = this.settings;
+    const startTime = Date.now();
+
+    this.logger.info('Running test command', { command, worktreePath });
+
+    const reportPath = reportFile ? path.resolve(worktreePath, reportFile) : null;
+    if (reportPath) {
+      fs.rmSync(reportPath, { force: true });
+    }
+
+    const { exitCode, timedOut, stdout, stderr, error } = await this.spawn(command, worktreePath, timeoutSeconds);
+    const result = {
+      command,
+      exitCode,
+      timedOut,
+      durationMs: Date.now() - startTime,
+      finishedAt: new Date().toISOString(),
+      counts: null,
+      failures: [],
+      output: tail(`${stdout}${stderr ? `\n${stderr}` : ''}`),
+      error: error || (timedOut ? `Test command timed out after ${timeoutSeconds}s` : null)
+    };
+
+    if (!error && !timedOut) {
+      try {
+        const report = TestReportParser.parse(format, reportPath ? fs.readFileSync(reportPath, 'utf-8') : stdout);
+        if (report) {
+          result.counts = report.counts;
+          result.failures = report.failures.map(failure => ({
+            ...failure,
+            file: failure.file && path.isAbsolute(failure.file) ? path.relative(worktreePath, failure.file) : failure.file
+          }));
+        }
+      } catch (parseError) {
+        this.logger.warn('Could not parse test report, using the exit code', {
+          format,
+          reportFile,
+          error: parseError.message
+        });
+      }
+    }
+
+    result.passed = !result.error && exitCode === 0 && (!result.counts || result.counts.failed === 0);
+
+    this.logger.info('Test command finished', {
+      command,
+      exitCode,
+      passed: result.passed,
+      counts: result.counts,
+      duration: `${(result.durationMs / 1000).toFixed(1)}s`
+    });
+
+    return result;
+  }
+
+  /**
+   * Run a shell command in its own process group
+   *
+   * @returns {Promise<Object>} { exitCode, timedOut, stdout, stderr, error }
+   */
+  spawn(command, cwd, timeoutSeconds, env = this.settings.env) {
+    return new Promise(resolve => {
+      let stdout = '';
+      let stderr = '';
+      let timedOut = false;
+      let error = null;
+
+      // Own process group, so a timeout also stops what the command started
+      const child = spawn(command, {
+        cwd,
+        shell: true,
+        detached: true,
+        env: { ...process.env, CI: 'true', ...env },
+        stdio: ['ignore', 'pipe', 'pipe']
+      });
+
+      const timer = setTimeout(() => {
+        timedOut = true;
+        try {
+          process.kill(-child.pid, 'SIGKILL');
+        } catch {
+          child.kill('SIGKILL');
+        }
+      }, timeoutSeconds * 1000);
+
+      child.stdout.on('data', chunk => {
+        stdout = (stdout + chunk).slice(-MAX_OUTPUT_LENGTH);
+      });
+      child.stderr.on('data', chunk => {
+        stderr = (stderr + chunk).slice(-MAX_OUTPUT_LENGTH);
+      });
+
+      child.on('error', spawnError => {
+        error = `Failed to start test command: ${spawnError.message}`;
+      });
+
+      child.on('close', code => {
+        clearTimeout(timer);
+        resolve({ exitCode: code, timedOut, stdout, stderr, error });
+      });
+    });
+  }
+
+  /**
+   * Test run comment for the test sub-issue (with the result for later readers)
+   */
+  formatComment(result) {
+    const lines = [
+      `## ${result.passed ? '✅ Test Run Passed' : '❌ Test Run Failed'}`,
+      '',
+      `\`${result.command}\` ${result.timedOut ? 'timed out' : `exited with code ${result.exitCode}`} after ${(result.durationMs / 1000).toFixed(1)}s`
+    ];
+
+    if (result.counts) {
+      const { total, passed, failed, skipped } = result.counts;
+      lines.push(`**Results:** ${passed} passed, ${failed} failed, ${skipped} skipped (${total} total)`);
+    }
+
+    if (result.ignoredCases?.length > 0) {
+      lines.push(`**Left out:** ${result.ignoredCases.length} failing test case(s) of other tests`);
+    }
+
+    if (result.error) {
+      lines.push('', `**Error:** ${result.error}`);
+    }
+
+    if (result.failures.length > 0) {
+      lines.push('', '### Failures', formatFailures(result.failures, MAX_LISTED_FAILURES));
+    }
+
+    if (result.output) {
+      lines.push('', `<details><summary>Output (last ${OUTPUT_TAIL_LINES} lines)</summary>`, '', '```', result.output, '```', '</details>');
+    }
+
+    // Details for the first failures only, but every failing case by name
+    const stored = {
+      ...result,
+      failures: result.failures.slice(0, MAX_LISTED_FAILURES),
+      failingCases: result.failures.map(failure => failure.name)
+    };
+    lines.push('', `<!-- oc-ralph-test-run\n${JSON.stringify(stored).replace(/-->/g, '--\\u003e')}\n-->`);
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Latest test run posted on a test sub-issue
+   *
+   * @param {Array} comments - Issue comments, oldest first
+   * @param {RegExp} marker - Hidden marker holding the result
+   * @returns {Object|null} Test run result
+   */
+  static findLatestResult(comments, marker = RESULT_MARKER) {
+    for (let i = comments.length - 1; i >= 0; i--) {
+      const match = comments[i].body?.match(marker);
+      if (match) {
+        try {
+          return JSON.parse(match[1]);
+        } catch {
+          return null;
+        }
+      }
+    }
+
+    return null;
+  }
+}
+
+function tail(output) {
+  return output.trim().split('\n').slice(-OUTPUT_TAIL_LINES).join('\n');
+}
@@ -1,4 +1,7 @@
 import { IssueTemplateManager } from '../github/IssueTemplateManager.js';
+import { TestCommandRunner } from './TestCommandRunner.js';
+import { formatFailures } from './TestReportParser.js';
+import { RegressionDetector } from './RegressionDetector.js';
 
 /**
  * Handles test failures by creating fix sub-issues with detailed context
@@ -25,9 +28,10 @@ export class TestFailureHandler {
    * @param {Object} testIssue - The failing test sub-issue
    * @param {string} worktreePath - Path to the worktree
    * @param {number} attemptNumber - Current attempt number (1-10)
+   * @param {Array} regressions - Earlier fixes that broke tests (journal 'regression' entries)
    * @returns {Promise<Object>} Created fix sub-issue
    */
-  async handleTestFailure(repo, testIssue, worktreePath, attemptNumber) {
+  async handleTestFailure(repo, testIssue, worktreePath, attemptNumber, regressions = []) {
     this.logger.info('Handling test failure', {
       testIssue: testIssue.number,
       attemptNumber
@@ -50,7 +54,8 @@ export class TestFailureHandler {
         testIssue,
         failureDetails,
         recentCommits,
-        attemptNumber
+        attemptNumber,
+        regressions
       );
       
       this.logger.info('Created fix sub-issue', {
@@ -74,6 +79,7 @@ export class TestFailureHandler {
    * Parse failure details from test sub-issue
    * 
    * Looks for failure information in:
+   * - The latest test command run posted on the issue
    * - Issue comments (agent output)
    * - Issue body (test description)
    * 
@@ -87,12 +93,17 @@ export class TestFailureHandler {
 
     try {
       // Get all comments on the test issue
-      const comments = await this.issueOps.getIssueComments(
-        this.config.github.owner,
-        this.config.github.repo,
+      const comments = await this.issueOps.getComments(
+        `${this.config.github.owner}/${this.config.github.repo}`,
         testIssue.number
       );
 
+      // The test command's results are authoritative
+      const testRun = TestCommandRunner.findLatestResult(comments);
+      if (testRun && !testRun.passed) {
+        return this.describeTestRun(testRun, testIssue);
+      }
+
       // Look for failure information in comments
       let errorMessage = '';
       let stackTrace = '';
@@ -139,6 +150,34 @@ export class TestFailureHandler {
     }
   }
 
+  /**
+   * Failure details from a test command run
+   */
+  describeTestRun(testRun, testIssue) {
+    const [first] = testRun.failures;
+    const counts = testRun.counts
+      ? ` (${testRun.counts.failed} of ${testRun.counts.total} failed)`
+      : '';
+
+    const error = first
+      ? `${first.name}: ${first.message}`
+      : testRun.error || `\`${testRun.command}\` exited with code ${testRun.exitCode}`;
+
+    const others = testRun.failures.slice(1)
+      .map(failure => `- ${failure.name}: ${failure.message.split('\n')[0]}`);
+
+    return {
+      error: `${error}${counts}`,
+      stackTrace: first?.stack || 'No stack trace available',
+      logs: [
+        others.length > 0 ? `Other failing tests:\n${others.join('\n')}` : '',
+        testRun.output ? `Output of \`${testRun.command}\`:\n\`\`\`\n${testRun.output}\n\`\`\`` : ''
+      ].filter(Boolean).join('\n\n') || 'No additional logs available',
+      testRequirements: testIssue.body || 'See parent test issue for requirements',
+      failures: testRun.failures
+    };
+  }
+
   /**
    * Extract error message from text
    */
@@ -247,9 +286,10 @@ export class TestFailureHandler {
    * @param {Object} failureDetails - Parsed failure details
    * @param {Array} recentCommits - Recent commits
    * @param {number} attemptNumber - Current attempt (1-10)
+   * @param {Array} regressions - Earlier fixes that broke tests
    * @returns {Promise<Object>} Created fix issue
    */
-  async createFixSubIssue(repo, masterIssueNumber, testIssue, failureDetails, recentCommits, attemptNumber) {
+  async createFixSubIssue(repo, masterIssueNumber, testIssue, failureDetails, recentCommits, attemptNumber, regressions = []) {
     this.logger.info('Creating fix sub-issue', {
       testIssue: testIssue.number,
       masterIssueNumber,
@@ -265,16 +305,15 @@ export class TestFailureHandler {
       testIssue,
       failureDetails,
       recentCommits,
-      attemptNumber
+      attemptNumber,
+      regressions
     );
 
     // Create the fix sub-issue
-    const fixIssue = await this.issueOps.createIssue(
-      repo.owner,
-      repo.repo,
+    const fixIssue = await this.issueOps.createIssue(`${repo.owner}/${repo.repo}`, {
       title,
       body,
-      [
+      labels: [
         'oc-ralph:sub-issue',
         'oc-ralph:fix-attempt',
         'oc-ralph:implementation',
@@ -282,27 +321,38 @@ export class TestFailureHandler {
         `oc-ralph:test-${testIssue.number}`,
         `oc-ralph:attempt-${attemptNumber}`
       ]
-    );
+    });
 
     // Add comment to test issue linking to fix
-    await this.issueOps.createComment(
-      repo.owner,
-      repo.repo,
+    await this.issueOps.addComment(
+      `${repo.owner}/${repo.repo}`,
       testIssue.number,
       `🔧 Fix attempt ${attemptNumber}/10 created: #${fixIssue.number}`
     );
 
-    return fixIssue;
+    return { ...fixIssue, title, failures: failureDetails.failures || [] };
   }
 
   /**
    * Build fix issue body with comprehensive context
    */
-  buildFixIssueBody(masterIssueNumber, testIssue, failureDetails, recentCommits, attemptNumber) {
+  buildFixIssueBody(masterIssueNumber, testIssue, failureDetails, recentCommits, attemptNumber, regressions = []) {
     const commitsSection = recentCommits.length > 0
       ? recentCommits.map(c => `- \`${c.hash}\`: ${c.message}`).join('\n')
       : 'No recent commits available';
 
+    const failingTests = failureDetails.failures?.length > 0
+      ? `### Failing Tests\n${formatFailures(failureDetails.failures)}\n\n`
+      : '';
+
+    const regressionSection = regressions.length > 0
+      ? `## Regression History
+Earlier fixes broke other tests. Avoid repeating these changes:
+${regressions.map(r => `- Fix #${r.fixIssue} (attempt ${r.attemptNumber} for test #${r.testIssue}) broke ${RegressionDetector.describe(r)} - ${r.action}`).join('\n')}
+
+`
+      : '';
+
     return `# Fix Test Failure - Attempt ${attemptNumber}/10
 
 ## Parent Test Issue
@@ -313,7 +363,7 @@ ${failureDetails.testRequirements}
 
 ## Failure Details
 
-### Error Message
+${failingTests}### Error Message
 \`\`\`
 ${failureDetails.error}
 \`\`\`
@@ -329,7 +379,7 @@ ${failureDetails.logs}
 ## Recent Commits
 ${commitsSection}
 
-## Your Task
+${regressionSection}## Your Task
 
 Fix the failing test by modifying the implementation code. After your fix:
 
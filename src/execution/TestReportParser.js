@@ -0,0 +1,569 @@
+/**
+ * Test report parser - reads the results of a test command
+ *
+ * Formats:
+ * - junit: JUnit XML (pytest --junitxml, jest-junit, vitest --reporter=junit, Maven, Go, ...)
+ * - tap: TAP (node --test, tap, tape, prove)
+ * - jest: Jest or Vitest JSON (--json / --reporter=json)
+ * - mocha: the mocha JSON reporter (--reporter json)
+ * - pytest: pytest-json-report, or pytest's own terminal summary (-rA)
+ * - auto: whichever of the above the report looks like
+ * - exit-code: no report, the exit code alone decides
+ *
+ * A parsed report is { format, counts: { total, passed, failed, skipped }, failures },
+ * each failure { name, file, line, message, expected, actual, stack, stdout }
+ * with null for what the report does not say.
+ */
+export const REPORT_FORMATS = ['auto', 'junit', 'tap', 'jest', 'mocha', 'pytest', 'exit-code'];
+
+// Characters of captured output and stack kept per failure
+const MAX_DETAIL_LENGTH = 4000;
+
+export class TestReportParser {
+  /**
+   * Parse a report
+   *
+   * @param {string} format - One of REPORT_FORMATS
+   * @param {string} text - Report file contents or the command's output
+   * @returns {Object|null} Parsed report, null for exit-code
+   */
+  static parse(format, text) {
+    switch (format) {
+      case 'auto':
+        return TestReportParser.parse(detectFormat(text), text);
+
+      case 'junit':
+        return parseJUnit(text);
+
+      case 'tap':
+        return parseTap(text);
+
+      case 'jest':
+        return parseJest(text);
+
+      case 'mocha':
+        return parseMocha(text);
+
+      case 'pytest':
+        return parsePytest(text);
+
+      case 'exit-code':
+        return null;
+
+      default:
+        throw new Error(`Unknown test report format: ${format} (expected ${REPORT_FORMATS.join(', ')})`);
+    }
+  }
+}
+
+/**
+ * Markdown list of failing tests, for test sub-issues, fix issues and the Craftsman prompt
+ *
+ * @param {Array} failures - Parsed failures
+ * @param {number} limit - Failures listed in full
+ */
+export function formatFailures(failures, limit = 20) {
+  const lines = [];
+
+  for (const failure of failures.slice(0, limit)) {
+    const location = failure.file ? ` (\`${failure.file}${failure.line ? `:${failure.line}` : ''}\`)` : '';
+    lines.push(`- **${failure.name}**${location}`);
+    lines.push('  ```', ...indent(failure.message, 20), '  ```');
+
+    if (failure.expected !== null && failure.expected !== undefined) {
+      lines.push(`  - Expected: \`${oneLine(failure.expected)}\``);
+      lines.push(`  - Actual: \`${oneLine(failure.actual)}\``);
+    }
+
+    if (failure.stdout) {
+      lines.push('  - Captured output:', '    ```', ...indent(failure.stdout, 20, '    '), '    ```');
+    }
+  }
+
+  if (failures.length > limit) {
+    lines.push(`- ...and ${failures.length - limit} more`);
+  }
+
+  return lines.join('\n');
+}
+
+function detectFormat(text) {
+  const trimmed = text.trim();
+
+  if (/<testsuites?\b|<testcase\b/.test(trimmed)) return 'junit';
+  if (/^TAP version \d+/m.test(trimmed) || /^\s*(not )?ok \d+/m.test(trimmed)) return 'tap';
+
+  if (/^\s*\{/m.test(trimmed)) {
+    const report = extractJson(text);
+    if (report.numTotalTests !== undefined || Array.isArray(report.testResults)) return 'jest';
+    if (report.stats && Array.isArray(report.failures)) return 'mocha';
+    if (report.summary && Array.isArray(report.tests)) return 'pytest';
+  }
+
+  if (/^=+ .*\b(passed|failed|error|errors|skipped)\b.* in [\d.]+s/m.test(trimmed)) return 'pytest';
+
+  throw new Error('Unrecognised test report (expected JUnit XML, TAP, Jest, mocha or pytest output)');
+}
+
+function parseJUnit(text) {
+  const counts = { total: 0, passed: 0, failed: 0, skipped: 0 };
+  const failures = [];
+  const testcase = /<testcase\b([^>]*?)(?:\/>|>([\s\S]*?)<\/testcase>)/g;
+  let match;
+
+  while ((match = testcase.exec(text))) {
+    const attributes = parseAttributes(match[1]);
+    const body = match[2] || '';
+    const problem = body.match(/<(failure|error)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/);
+
+    counts.total++;
+
+    if (problem) {
+      counts.failed++;
+      const problemAttributes = parseAttributes(problem[2]);
+      const details = decodeXml(problem[3] || '');
+      const message = problemAttributes.message || details.split('\n')[0] || `Test ${problem[1]}`;
+      const location = findLocation(details);
+      const name = attributes.classname && !attributes.name?.includes(attributes.classname)
+        ? `${attributes.classname}.${attributes.name}`
+        : attributes.name;
+
+      failures.push(failure({
+        name,
+        file: attributes.file || location.file,
+        line: attributes.line || location.line,
+        message,
+        ...expectation(problemAttributes.message ? `${message}\n${details}` : details),
+        stack: details || null,
+        stdout: elementText(body, 'system-out')
+      }));
+    } else if (/<skipped\b/.test(body)) {
+      counts.skipped++;
+    } else {
+      counts.passed++;
+    }
+  }
+
+  if (counts.total === 0 && !/<testsuites?\b/.test(text)) {
+    throw new Error('Not a JUnit XML report (no testsuite or testcase elements)');
+  }
+
+  return { format: 'junit', counts, failures };
+}
+
+function parseTap(text) {
+  const counts = { total: 0, passed: 0, failed: 0, skipped: 0 };
+  const failures = [];
+  const lines = text.split('\n');
+  let previousIndent = -1;
+
+  for (let i = 0; i < lines.length; i++) {
+    const point = lines[i].match(/^(\s*)(not ok|ok)\b\s*(\d+)?\s*(?:-\s*)?([^#]*?)\s*(?:#\s*(.*))?$/);
+    if (!point) continue;
+
+    const indent = point[1].length;
+    const { block, end } = readYamlBlock(lines, i + 1, indent);
+    i = end;
+
+    // A point right after deeper points closes a parent (node --test subtests)
+    const isParent = previousIndent > indent;
+    previousIndent = indent;
+    if (isParent) continue;
+
+    const directive = (point[5] || '').toLowerCase();
+    counts.total++;
+
+    if (directive.startsWith('skip') || directive.startsWith('todo')) {
+      counts.skipped++;
+    } else if (point[2] === 'ok') {
+      counts.passed++;
+    } else {
+      counts.failed++;
+      const location = block.location ? parseLocation(block.location) : findLocation(block.stack || block.at || '');
+      const message = block.error || block.message || point[4] || 'Test failed';
+
+      failures.push(failure({
+        name: point[4] || `test ${point[3]}`,
+        file: location.file,
+        line: location.line,
+        message,
+        expected: block.expected ?? block.wanted ?? null,
+        actual: block.actual ?? block.found ?? null,
+        stack: block.stack || null,
+        stdout: null,
+        ...(block.expected === undefined && block.wanted === undefined ? expectation(message) : {})
+      }));
+    }
+  }
+
+  if (counts.total === 0) {
+    throw new Error('Not a TAP report (no test points)');
+  }
+
+  return { format: 'tap', counts, failures };
+}
+
+function parseJest(text) {
+  const report = extractJson(text);
+
+  if (!Array.isArray(report.testResults)) {
+    throw new Error('Not a Jest/Vitest JSON report (expected testResults)');
+  }
+
+  const failures = [];
+
+  for (const file of report.testResults) {
+    for (const assertion of file.assertionResults || []) {
+      if (assertion.status !== 'failed') continue;
+
+      const message = stripAnsi((assertion.failureMessages || []).join('\n')) || 'Test failed';
+      const matcher = (assertion.failureDetails || []).find(detail => detail?.matcherResult)?.matcherResult;
+      const location = findLocation(message, file.name);
+
+      failures.push(failure({
+        name: assertion.fullName || [...(assertion.ancestorTitles || []), assertion.title].join(' '),
+        file: relativeFile(file.name),
+        line: assertion.location?.line || location.line,
+        message: message.split('\n    at ')[0].trim(),
+        ...(matcher && matcher.expected !== undefined
+          ? { expected: matcher.expected, actual: matcher.actual }
+          : expectation(message)),
+        stack: message,
+        stdout: null
+      }));
+    }
+
+    // A file that failed to load (syntax error, missing module) has no assertions
+    if (file.status === 'failed' && !(file.assertionResults || []).some(a => a.status === 'failed') && file.message) {
+      failures.push(failure({
+        name: relativeFile(file.name),
+        file: relativeFile(file.name),
+        message: stripAnsi(file.message).trim(),
+        stack: stripAnsi(file.message)
+      }));
+    }
+  }
+
+  const total = report.numTotalTests ?? failures.length;
+  const failed = Math.max(report.numFailedTests ?? 0, failures.length);
+
+  return {
+    format: 'jest',
+    counts: {
+      total,
+      passed: report.numPassedTests ?? total - failed,
+      failed,
+      skipped: (report.numPendingTests || 0) + (report.numTodoTests || 0)
+    },
+    failures
+  };
+}
+
+function parseMocha(text) {
+  const report = extractJson(text);
+
+  if (!report?.stats || !Array.isArray(report.failures)) {
+    throw new Error('Not a mocha JSON report (expected stats and failures)');
+  }
+
+  const { tests = 0, passes = 0, failures = 0, pending = 0 } = report.stats;
+
+  return {
+    format: 'mocha',
+    counts: { total: tests, passed: passes, failed: failures, skipped: pending },
+    failures: report.failures.map(entry => {
+      const stack = entry.err?.stack || null;
+      const location = findLocation(stack || '', entry.file);
+      return failure({
+        name: entry.fullTitle || entry.title,
+        file: relativeFile(entry.file) || location.file,
+        line: location.line,
+        message: entry.err?.message || 'Test failed',
+        ...(entry.err?.expected !== undefined
+          ? { expected: entry.err.expected, actual: entry.err.actual }
+          : expectation(entry.err?.message || '')),
+        stack,
+        stdout: null
+      });
+    })
+  };
+}
+
+function parsePytest(text) {
+  if (/^\s*\{/m.test(text)) {
+    const report = extractJson(text);
+    if (report.summary && Array.isArray(report.tests)) {
+      return parsePytestJson(report);
+    }
+  }
+
+  return parsePytestSummary(text);
+}
+
+/**
+ * pytest-json-report (pytest --json-report)
+ */
+function parsePytestJson(report) {
+  const { summary } = report;
+  const failures = [];
+
+  for (const test of report.tests) {
+    if (test.outcome !== 'failed' && test.outcome !== 'error') continue;
+
+    // The phase that failed: setup and teardown errors have no call
+    const phase = [test.setup, test.call, test.teardown].find(p => p && p.outcome !== 'passed' && p.outcome !== 'skipped') || test.call || {};
+    const longrepr = phase.longrepr || '';
+    const message = phase.crash?.message || longrepr.split('\n').find(line => /^E\s/.test(line))?.replace(/^E\s+/, '') || `Test ${test.outcome}`;
+
+    failures.push(failure({
+      name: test.nodeid,
+      file: phase.crash?.path ? relativeFile(phase.crash.path) : test.nodeid.split('::')[0],
+      line: phase.crash?.lineno || test.lineno || null,
+      message,
+      ...expectation(longrepr || message),
+      stack: longrepr || null,
+      stdout: phase.stdout || null
+    }));
+  }
+
+  const failed = (summary.failed || 0) + (summary.error || 0);
+  return {
+    format: 'pytest',
+    counts: {
+      total: summary.total ?? summary.collected ?? report.tests.length,
+      passed: summary.passed || 0,
+      failed,
+      skipped: (summary.skipped || 0) + (summary.xfailed || 0)
+    },
+    failures
+  };
+}
+
+/**
+ * pytest's terminal output: the short test summary (-rA or -rf) and the final counts line
+ */
+function parsePytestSummary(text) {
+  const output = stripAnsi(text);
+  const totals = output.match(/^=+ (.*\b(?:passed|failed|error|errors|skipped|no tests ran)\b.*) in [\d.]+s.*=+\s*$/m);
+
+  if (!totals) {
+    throw new Error('Not pytest output (no summary line)');
+  }
+
+  const count = (...words) => words.reduce((sum, word) => {
+    const match = totals[1].match(new RegExp(`(\\d+) ${word}\\b`));
+    return sum + (match ? Number(match[1]) : 0);
+  }, 0);
+
+  const passed = count('passed', 'xpassed');
+  const failed = count('failed', 'error', 'errors');
+  const skipped = count('skipped', 'xfailed');
+
+  const failures = [];
+  const summaryLine = /^(FAILED|ERROR) (\S+?)(?: - (.*))?$/gm;
+  let match;
+
+  while ((match = summaryLine.exec(output))) {
+    const [file] = match[2].split('::');
+    const line = output.match(new RegExp(`^${escapeRegExp(file)}:(\\d+): `, 'm'));
+    const message = match[3] || `Test ${match[1] === 'ERROR' ? 'errored' : 'failed'}`;
+
+    failures.push(failure({
+      name: match[2],
+      file,
+      line: line ? Number(line[1]) : null,
+      message,
+      ...expectation(message),
+      stack: sectionFor(output, match[2]),
+      stdout: capturedStdout(output, match[2])
+    }));
+  }
+
+  return {
+    format: 'pytest',
+    counts: { total: passed + failed + skipped, passed, failed, skipped },
+    failures
+  };
+}
+
+/**
+ * The traceback section pytest prints for a failing test (`____ test_name ____`)
+ */
+function sectionFor(output, nodeid) {
+  const name = nodeid.split('::').slice(1).join('.');
+  const start = output.search(new RegExp(`^_+ ${escapeRegExp(name)} _+$`, 'm'));
+  if (start < 0) return null;
+
+  const rest = output.slice(start).split('\n').slice(1);
+  const end = rest.findIndex(line => /^(_{3,} |={3,} |-{3,} Captured)/.test(line));
+  return rest.slice(0, end < 0 ? undefined : end).join('\n').trim() || null;
+}
+
+function capturedStdout(output, nodeid) {
+  const name = nodeid.split('::').slice(1).join('.');
+  const start = output.search(new RegExp(`^_+ ${escapeRegExp(name)} _+$`, 'm'));
+  if (start < 0) return null;
+
+  const captured = output.slice(start).match(/^-+ Captured stdout call -+\n([\s\S]*?)(?=^(?:_{3,}|={3,}|-{3,}) )/m);
+  return captured ? captured[1].trim() : null;
+}
+
+function failure(fields) {
+  return {
+    name: fields.name || 'unnamed test',
+    file: fields.file || null,
+    line: fields.line ? Number(fields.line) : null,
+    message: String(fields.message || 'Test failed').trim(),
+    expected: fields.expected ?? null,
+    actual: fields.actual ?? null,
+    stack: truncate(fields.stack),
+    stdout: truncate(fields.stdout)
+  };
+}
+
+/**
+ * Expected and actual values stated in an assertion message
+ */
+function expectation(message) {
+  const text = stripAnsi(String(message || ''));
+  const patterns = [
+    // Jest / Vitest: Expected: 3 \n Received: 2
+    [/Expected(?: value)?:\s*(.+)\n\s*Received(?: value)?:\s*(.+)/, 1, 2],
+    // chai: expected 2 to equal 3
+    [/expected (.+?) to (?:deeply |strictly )?(?:equal|be|eql) (.+?)(?:\n|$)/, 2, 1],
+    // node:assert: 2 !== 3 / 2 == 3
+    [/^\s*(.+?) !==? (.+)$/m, 2, 1],
+    // pytest: assert 2 == 3
+    [/assert (.+?) == (.+?)(?:\n|$)/, 2, 1]
+  ];
+
+  for (const [pattern, expectedGroup, actualGroup] of patterns) {
+    const match = text.match(pattern);
+    if (match) {
+      return { expected: match[expectedGroup].trim(), actual: match[actualGroup].trim() };
+    }
+  }
+
+  return { expected: null, actual: null };
+}
+
+/**
+ * First source location in a stack trace or traceback, skipping dependencies
+ */
+function findLocation(text, preferredFile = null) {
+  const preferred = relativeFile(preferredFile);
+  const frames = [...String(text || '').matchAll(/(?:\(|at |^|\s)((?:file:\/\/)?[^\s():]+\.[a-z]+):(\d+)(?::\d+)?/gm)]
+    .map(match => ({ file: relativeFile(match[1]), line: Number(match[2]) }))
+    .filter(frame => !/node_modules|^node:|^internal\//.test(frame.file));
+
+  return frames.find(frame => preferred && frame.file.endsWith(preferred))
+    || frames[0]
+    || { file: preferred, line: null };
+}
+
+function parseLocation(location) {
+  const match = String(location).match(/^(?:file:\/\/)?(.+?):(\d+)(?::\d+)?$/);
+  return match ? { file: relativeFile(match[1]), line: Number(match[2]) } : { file: relativeFile(location), line: null };
+}
+
+function relativeFile(file) {
+  return file ? String(file).replace(/^file:\/\//, '') : null;
+}
+
+/**
+ * The YAML diagnostic block after a TAP test point (flat keys and block scalars)
+ */
+function readYamlBlock(lines, start, pointIndent) {
+  if (!/^\s*---\s*$/.test(lines[start] || '') || indentOf(lines[start]) <= pointIndent - 1) {
+    return { block: {}, end: start - 1 };
+  }
+
+  const block = {};
+  const blockIndent = indentOf(lines[start]);
+  let i = start + 1;
+  let key = null;
+
+  for (; i < lines.length; i++) {
+    const line = lines[i];
+    if (/^\s*\.\.\.\s*$/.test(line) && indentOf(line) === blockIndent) break;
+
+    const entry = line.match(new RegExp(`^\\s{${blockIndent}}([\\w-]+):\\s*(.*)$`));
+    if (entry) {
+      key = entry[1];
+      block[key] = /^[|>][-+]?$/.test(entry[2]) ? '' : unquote(entry[2]);
+    } else if (key && indentOf(line) > blockIndent) {
+      block[key] += (block[key] ? '\n' : '') + line.slice(blockIndent + 2);
+    }
+  }
+
+  return { block, end: i };
+}
+
+function indentOf(line) {
+  return line.match(/^\s*/)[0].length;
+}
+
+function unquote(value) {
+  const match = value.match(/^(['"])(.*)\1$/);
+  return match ? match[2].replace(/''/g, "'") : value;
+}
+
+function parseAttributes(text) {
+  const attributes = {};
+  for (const [, name, value] of String(text || '').matchAll(/([\w:-]+)\s*=\s*"([^"]*)"/g)) {
+    attributes[name] = decodeXml(value);
+  }
+  return attributes;
+}
+
+function elementText(body, name) {
+  const match = body.match(new RegExp(`<${name}\\b[^>]*>([\\s\\S]*?)</${name}>`));
+  return match ? decodeXml(match[1]).trim() || null : null;
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (entity, code) => String.fromCharCode(Number(code)))
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * The JSON document in a command's output (npm and friends print a header first)
+ */
+function extractJson(text) {
+  const start = text.search(/^\s*\{/m);
+  if (start < 0) {
+    throw new Error('No JSON report in the test output');
+  }
+
+  const end = text.lastIndexOf('}');
+  return JSON.parse(text.slice(start, end + 1));
+}
+
+function stripAnsi(text) {
+  return String(text).replace(/\u001b\[[0-9;]*m/g, '');
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function truncate(text) {
+  if (!text) return null;
+  const value = String(text);
+  return value.length > MAX_DETAIL_LENGTH ? `${value.slice(0, MAX_DETAIL_LENGTH)}\n...` : value;
+}
+
+function oneLine(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return String(text).replace(/\s*\n\s*/g, ' ').replace(/`/g, "'").slice(0, 300);
+}
+
+function indent(text, maxLines, prefix = '  ') {
+  return String(text).split('\n').slice(0, maxLines).map(line => `${prefix}${line}`);
+}
@@ -1,8 +1,11 @@
+import { TestCommandRunner } from './TestCommandRunner.js';
+
 /**
  * Aggregates test results from all test sub-issues
  * 
  * Responsibilities:
  * - Collect pass/fail status from all test sub-issues
+ * - Collect test case counts from test command runs
  * - Generate comprehensive summary
  * - Count fix attempts per test
  */
@@ -26,15 +29,17 @@ export class TestResultAggregator {
 
     let passed = 0;
     let failed = 0;
+    let latestRun = null;
     const details = [];
 
+    // Fresh issue data for all tests in one batched query
+    const freshIssues = await this.issueOps.getIssues(
+      `${repo.owner}/${repo.repo}`,
+      testIssues.map(issue => issue.number)
+    );
+
     for (const testIssue of testIssues) {
-      // Fetch fresh issue data
-      const freshIssue = await this.issueOps.getIssue(
-        repo.owner,
-        repo.repo,
-        testIssue.number
-      );
+      const freshIssue = freshIssues.get(testIssue.number) || testIssue;
 
       // Determine test status
       const status = await this.determineTestStatus(repo, freshIssue);
@@ -45,12 +50,20 @@ export class TestResultAggregator {
         failed++;
       }
 
+      // The command runs the whole suite, so the newest run counts for all tests
+      const testRun = await this.getLatestTestRun(repo, freshIssue.number);
+      if (testRun?.counts && (!latestRun || testRun.finishedAt > latestRun.finishedAt)) {
+        latestRun = testRun;
+      }
+
       details.push({
         issueNumber: freshIssue.number,
         title: freshIssue.title,
         passed: status.passed,
         fixAttempts: status.fixAttempts,
-        maxAttemptsReached: status.maxAttemptsReached
+        maxAttemptsReached: status.maxAttemptsReached,
+        cases: testRun?.counts || null,
+        failingCases: testRun?.failingCases || testRun?.failures?.map(failure => failure.name) || []
       });
     }
 
@@ -59,6 +72,7 @@ export class TestResultAggregator {
       failed,
       total: testIssues.length,
       passRate: testIssues.length > 0 ? (passed / testIssues.length * 100).toFixed(1) : 0,
+      cases: latestRun?.counts || null,
       details
     };
 
@@ -97,6 +111,26 @@ export class TestResultAggregator {
     };
   }
 
+  /**
+   * Latest test command run posted on a test sub-issue
+   *
+   * @param {Object} repo - Repository info
+   * @param {number} testIssueNumber - Test issue number
+   * @returns {Promise<Object|null>} Test run result
+   */
+  async getLatestTestRun(repo, testIssueNumber) {
+    try {
+      const comments = await this.issueOps.getComments(`${repo.owner}/${repo.repo}`, testIssueNumber);
+      return TestCommandRunner.findLatestResult(comments);
+    } catch (error) {
+      this.logger.error('Failed to read test runs', {
+        error: error.message,
+        testIssueNumber
+      });
+      return null;
+    }
+  }
+
   /**
    * Count how many fix attempts were made for a test
    * 
@@ -106,19 +140,15 @@ export class TestResultAggregator {
    */
   async countFixAttempts(repo, testIssueNumber) {
     try {
-      // Find all fix sub-issues for this test
-      const allIssues = await this.issueOps.getIssuesByLabel(
-        repo.owner,
-        repo.repo,
-        `oc-ralph:test-${testIssueNumber}`
-      );
-
-      // Filter for fix attempts
-      const fixIssues = allIssues.filter(issue =>
-        issue.labels.some(l => l.name === 'oc-ralph:fix-attempt')
-      );
-
-      return fixIssues.length;
+      // All fix sub-issues in one list - repeated calls share the cached response
+      const fixIssues = await this.issueOps.listIssues(`${repo.owner}/${repo.repo}`, {
+        label: 'oc-ralph:fix-attempt',
+        state: 'all'
+      });
+
+      return fixIssues.filter(issue =>
+        issue.labels.some(l => l.name === `oc-ralph:test-${testIssueNumber}`)
+      ).length;
     } catch (error) {
       this.logger.error('Failed to count fix attempts', {
         error: error.message,
@@ -143,6 +173,10 @@ export class TestResultAggregator {
 
     let message = `Test Results: ${passed}/${total} passed (${passRate}%)`;
 
+    if (results.cases) {
+      message += `\nTest Cases: ${results.cases.passed}/${results.cases.total} passed, ${results.cases.failed} failed, ${results.cases.skipped} skipped`;
+    }
+
     if (failed > 0) {
       message += `\n❌ ${failed} test(s) failed`;
       
@@ -158,6 +192,10 @@ export class TestResultAggregator {
         if (test.maxAttemptsReached) {
           message += ` - MAX ATTEMPTS REACHED`;
         }
+
+        for (const name of test.failingCases || []) {
+          message += `\n    - ${name}`;
+        }
       }
     } else {
       message += '\n✅ All tests passed!';
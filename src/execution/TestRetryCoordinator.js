@@ -6,13 +6,19 @@
  * - Sequential fixing of failed tests (one at a time)
  * - Track fix attempts per test (max 10)
  * - Re-run tests after fixes
- * - Re-run dependent tests after each fix
+ * - Check the pass/fail matrix of all tests after each fix and revert
+ *   fixes that broke other tests (regressions)
  * - Send Discord notifications for each step
  * 
  * Self-Healing Loop:
  * Test Fails → Create Fix Sub-Issue → Run Craftsman Agent → Re-run Test
+ * → Broke Other Tests? → Revert Fix → Repeat
  * → Still Fails? → Repeat (max 10 times) → Max Attempts? → Fail Orchestration
  */
+import { OrchestrationInterruptedError } from '../core/CancellationSignal.js';
+import { formatFailures } from './TestReportParser.js';
+import { RegressionDetector } from './RegressionDetector.js';
+
 export class TestRetryCoordinator {
   constructor(
     testFailureHandler,
@@ -22,6 +28,9 @@ export class TestRetryCoordinator {
     dependencyResolver,
     statusUpdater,
     discordNotifier,
+    journal,
+    testCommandRunner,
+    regressionDetector,
     config,
     logger
   ) {
@@ -32,6 +41,9 @@ export class TestRetryCoordinator {
     this.dependencyResolver = dependencyResolver;
     this.statusUpdater = statusUpdater;
     this.discordNotifier = discordNotifier;
+    this.journal = journal;
+    this.testCommandRunner = testCommandRunner;
+    this.regressionDetector = regressionDetector;
     this.config = config;
     this.logger = logger;
     this.maxAttempts = 10;
@@ -43,14 +55,19 @@ export class TestRetryCoordinator {
    * @param {Object} repo - Repository info
    * @param {Object} testIssue - Failed test issue
    * @param {string} worktreePath - Path to worktree
-   * @param {Array} allTests - All test issues (for dependency checks)
+   * @param {Array} allTests - All test issues (for the regression check)
    * @param {number} masterIssueNumber - Master issue number
-   * @returns {Promise<Object>} Result {success: boolean, attempts: number}
+   * @param {Object} options - Fix loop options
+   * @param {number} options.startAttempt - Attempt number to start from (when resuming)
+   * @param {CancellationSignal} options.signal - Checked before each fix attempt
+   * @returns {Promise<Object>} Result {success: boolean, attempts: number, regressed: number[]}
+   *   regressed - tests broken by a kept fix (onRegression: keep), they need fixing too
    */
-  async coordinateTestFix(repo, testIssue, worktreePath, allTests, masterIssueNumber) {
+  async coordinateTestFix(repo, testIssue, worktreePath, allTests, masterIssueNumber, options = {}) {
     this.logger.info('Starting test fix coordination', {
       testIssue: testIssue.number,
-      testTitle: testIssue.title
+      testTitle: testIssue.title,
+      startAttempt: options.startAttempt || 1
     });
 
     // Send initial failure notification
@@ -58,41 +75,76 @@ export class TestRetryCoordinator {
       masterIssueNumber,
       testIssue: testIssue.number,
       testTitle: testIssue.title,
-      repo: `${repo.owner}/${repo.repo}`
+      repo: `${repo.owner}/${repo.repo}`,
+      testIssueUrl: this.issueOps.getIssueUrl(`${repo.owner}/${repo.repo}`, testIssue.number)
     });
 
-    let attemptNumber = 1;
+    const repoPath = `${repo.owner}/${repo.repo}`;
+    let attemptNumber = options.startAttempt || 1;
     let testPassed = false;
+    const regressed = [];
 
     // Attempt fixing up to maxAttempts times
     while (attemptNumber <= this.maxAttempts && !testPassed) {
+      options.signal?.throwIfRequested();
+
       this.logger.info(`Fix attempt ${attemptNumber}/${this.maxAttempts}`, {
         testIssue: testIssue.number
       });
 
       try {
-        // Step 1: Create fix sub-issue with failure context
+        // Step 1: Create fix sub-issue with failure context and earlier regressions
         const fixIssue = await this.createFixIssue(
           repo,
           testIssue,
           worktreePath,
-          attemptNumber
+          attemptNumber,
+          this.getRegressionHistory(masterIssueNumber, testIssue)
         );
 
-        // Step 2: Run Craftsman agent on fix sub-issue
-        await this.runFixAgent(repo, fixIssue, worktreePath, masterIssueNumber);
+        // Step 2: Run Craftsman agent on fix sub-issue, remembering where it started
+        const before = await this.regressionDetector.captureMatrix(repoPath, allTests, testIssue);
+        const startCommit = await this.regressionDetector.getHead(worktreePath);
+
+        await this.runFixAgent(repo, fixIssue, worktreePath, masterIssueNumber, options.signal);
 
         // Step 3: Re-run the original test
         testPassed = await this.rerunTest(repo, testIssue, worktreePath);
 
+        // Step 4: Check that the fix broke no other test
+        const after = await this.checkTestMatrix(repo, testIssue, worktreePath, allTests, before, testPassed);
+        const regression = this.regressionDetector.compare(before, after);
+
+        let outcome = testPassed ? 'passed' : 'failed';
+
+        if (regression) {
+          const action = await this.handleRegression(
+            repo, testIssue, fixIssue, worktreePath, allTests, attemptNumber, masterIssueNumber, regression, startCommit
+          );
+
+          if (action === 'reverted') {
+            testPassed = false;
+            outcome = 'reverted';
+          } else {
+            regressed.push(...regression.brokenTests.filter(number => !regressed.includes(number)));
+          }
+        }
+
+        this.journal.append(masterIssueNumber, 'fix-attempt', {
+          testIssue: testIssue.number,
+          fixIssue: fixIssue.number,
+          attemptNumber,
+          outcome,
+          matrix: after.tests
+        });
+
         if (testPassed) {
           // Test passed! Close fix issue as successful
           await this.handleSuccessfulFix(repo, testIssue, fixIssue, attemptNumber, masterIssueNumber);
           
-          // Re-run dependent tests to ensure nothing broke
-          await this.rerunDependentTests(repo, testIssue, worktreePath, allTests, masterIssueNumber);
-          
-          return { success: true, attempts: attemptNumber };
+          return { success: true, attempts: attemptNumber, regressed };
+        } else if (outcome === 'reverted') {
+          attemptNumber++;
         } else {
           // Test still failing
           this.logger.warn(`Test still failing after attempt ${attemptNumber}`, {
@@ -100,9 +152,8 @@ export class TestRetryCoordinator {
           });
 
           // Leave fix issue open for audit trail
-          await this.issueOps.createComment(
-            repo.owner,
-            repo.repo,
+          await this.issueOps.addComment(
+            `${repo.owner}/${repo.repo}`,
             fixIssue.number,
             `❌ Test still failing after this fix attempt. Moving to attempt ${attemptNumber + 1}/${this.maxAttempts}`
           );
@@ -110,25 +161,37 @@ export class TestRetryCoordinator {
           attemptNumber++;
         }
       } catch (error) {
+        // Paused or cancelled - the attempt is neither a success nor a failure
+        if (error instanceof OrchestrationInterruptedError) {
+          throw error;
+        }
+
         this.logger.error(`Fix attempt ${attemptNumber} failed with error`, {
           error: error.message,
           stack: error.stack,
           testIssue: testIssue.number
         });
 
+        this.journal.append(masterIssueNumber, 'fix-attempt', {
+          testIssue: testIssue.number,
+          attemptNumber,
+          outcome: 'error',
+          error: error.message
+        });
+
         attemptNumber++;
       }
     }
 
     // Max attempts reached without success
     await this.handleMaxAttemptsReached(repo, testIssue, masterIssueNumber);
-    return { success: false, attempts: this.maxAttempts };
+    return { success: false, attempts: this.maxAttempts, regressed };
   }
 
   /**
    * Create fix sub-issue with comprehensive context
    */
-  async createFixIssue(repo, testIssue, worktreePath, attemptNumber) {
+  async createFixIssue(repo, testIssue, worktreePath, attemptNumber, regressions = []) {
     this.logger.info('Creating fix sub-issue', {
       testIssue: testIssue.number,
       attemptNumber
@@ -138,7 +201,8 @@ export class TestRetryCoordinator {
       repo,
       testIssue,
       worktreePath,
-      attemptNumber
+      attemptNumber,
+      regressions
     );
 
     // Notify Discord
@@ -148,11 +212,12 @@ export class TestRetryCoordinator {
       fixIssue: fixIssue.number,
       attemptNumber,
       maxAttempts: this.maxAttempts,
-      repo: `${repo.owner}/${repo.repo}`
+      repo: `${repo.owner}/${repo.repo}`,
+      fixIssueUrl: this.issueOps.getIssueUrl(`${repo.owner}/${repo.repo}`, fixIssue.number)
     });
 
     // Update status table
-    await this.statusUpdater.notifyTaskUpdate();
+    await this.statusUpdater.updateStatusTable();
 
     return fixIssue;
   }
@@ -160,34 +225,39 @@ export class TestRetryCoordinator {
   /**
    * Run Craftsman agent on fix sub-issue
    */
-  async runFixAgent(repo, fixIssue, worktreePath, masterIssueNumber) {
+  async runFixAgent(repo, fixIssue, worktreePath, masterIssueNumber, signal = null) {
     this.logger.info('Running Craftsman agent on fix sub-issue', {
       fixIssue: fixIssue.number
     });
 
     try {
       // Execute Craftsman agent
+      // With parsed test results the Craftsman gets the failing tests up front
+      const failures = fixIssue.failures || [];
       await this.agentExecutor.executeAgent(
         'craftsman',
         {
           issueNumber: fixIssue.number,
           worktreePath,
-          masterIssueNumber
+          masterIssueNumber,
+          taskTitle: fixIssue.title,
+          taskId: `#${fixIssue.number}`,
+          ...(failures.length > 0 && {
+            template: 'craftsman-fix',
+            failingTests: formatFailures(failures)
+          }),
+          signal
         }
       );
 
-      // Poll for completion
-      const result = await this.taskPoller.pollForCompletion(
-        repo.owner,
-        repo.repo,
+      // Poll for completion (rejects on timeout)
+      await this.taskPoller.waitForCompletion(
+        `${repo.owner}/${repo.repo}`,
         fixIssue.number,
-        this.config.agents.craftsman.timeout * 1000
+        this.config.agents.craftsman.timeout * 1000,
+        signal
       );
 
-      if (result.timedOut) {
-        throw new Error(`Fix agent timed out after ${this.config.agents.craftsman.timeout}s`);
-      }
-
       this.logger.info('Fix agent completed', {
         fixIssue: fixIssue.number
       });
@@ -196,7 +266,8 @@ export class TestRetryCoordinator {
       await this.discordNotifier.notify('test-fix-completed', {
         masterIssueNumber,
         fixIssue: fixIssue.number,
-        repo: `${repo.owner}/${repo.repo}`
+        repo: `${repo.owner}/${repo.repo}`,
+        fixIssueUrl: this.issueOps.getIssueUrl(`${repo.owner}/${repo.repo}`, fixIssue.number)
       });
     } catch (error) {
       this.logger.error('Fix agent execution failed', {
@@ -209,6 +280,9 @@ export class TestRetryCoordinator {
 
   /**
    * Re-run the original test to check if fix worked
+   *
+   * With a test command configured the command is run again; the Validator
+   * already wrote the tests.
    * 
    * @returns {Promise<boolean>} True if test passed
    */
@@ -217,40 +291,26 @@ export class TestRetryCoordinator {
       testIssue: testIssue.number
     });
 
-    try {
-      // Remove completion label if present
-      await this.issueOps.removeLabel(
-        repo.owner,
-        repo.repo,
-        testIssue.number,
-        'oc-ralph:agent-complete'
-      );
+    const repoPath = `${repo.owner}/${repo.repo}`;
 
-      // Remove any previous failure markers
-      const labels = await this.issueOps.getIssueLabels(
-        repo.owner,
-        repo.repo,
-        testIssue.number
-      );
-      
-      const failureLabels = labels.filter(l => 
-        l.name === 'oc-ralph:test-failed' || l.name === 'oc-ralph:failed'
-      );
-      
-      for (const label of failureLabels) {
-        await this.issueOps.removeLabel(
-          repo.owner,
-          repo.repo,
-          testIssue.number,
-          label.name
-        );
+    try {
+      if (this.testCommandRunner?.isEnabled()) {
+        const result = await this.testCommandRunner.verify(repoPath, testIssue, worktreePath);
+        return result.passed;
       }
 
-      // Re-run Janos test agent
+      // Remove the completion label and any previous failure markers
+      await this.issueOps.removeLabels(repoPath, testIssue.number, [
+        'oc-ralph:agent-complete',
+        'oc-ralph:test-failed',
+        'oc-ralph:failed'
+      ]);
+
+      // Re-run Validator test agent
       const masterIssueNumber = this.extractMasterIssueNumber(testIssue);
       
       await this.agentExecutor.executeAgent(
-        'janos',
+        'validator',
         {
           issueNumber: testIssue.number,
           worktreePath,
@@ -258,24 +318,15 @@ export class TestRetryCoordinator {
         }
       );
 
-      // Poll for completion
-      const result = await this.taskPoller.pollForCompletion(
-        repo.owner,
-        repo.repo,
+      // Poll for completion (rejects on timeout)
+      await this.taskPoller.waitForCompletion(
+        repoPath,
         testIssue.number,
-        this.config.agents.janos.timeout * 1000
+        this.config.agents.validator.timeout * 1000
       );
 
-      if (result.timedOut) {
-        throw new Error(`Test re-run timed out after ${this.config.agents.janos.timeout}s`);
-      }
-
       // Check if test passed
-      const updatedLabels = await this.issueOps.getIssueLabels(
-        repo.owner,
-        repo.repo,
-        testIssue.number
-      );
+      const { labels: updatedLabels } = await this.issueOps.getIssue(repoPath, testIssue.number);
 
       const testPassed = !updatedLabels.some(l => 
         l.name === 'oc-ralph:test-failed' || l.name === 'oc-ralph:failed'
@@ -307,23 +358,15 @@ export class TestRetryCoordinator {
     });
 
     // Close fix issue with success comment
-    await this.issueOps.createComment(
-      repo.owner,
-      repo.repo,
+    await this.issueOps.closeIssue(
+      `${repo.owner}/${repo.repo}`,
       fixIssue.number,
       `✅ Test passed after this fix! Attempt ${attemptNumber}/${this.maxAttempts} was successful.`
     );
 
-    await this.issueOps.closeIssue(
-      repo.owner,
-      repo.repo,
-      fixIssue.number
-    );
-
     // Add success comment to test issue
-    await this.issueOps.createComment(
-      repo.owner,
-      repo.repo,
+    await this.issueOps.addComment(
+      `${repo.owner}/${repo.repo}`,
       testIssue.number,
       `✅ Test fixed successfully after ${attemptNumber} attempt(s)!`
     );
@@ -334,64 +377,124 @@ export class TestRetryCoordinator {
       testIssue: testIssue.number,
       fixIssue: fixIssue.number,
       attemptNumber,
-      repo: `${repo.owner}/${repo.repo}`
+      repo: `${repo.owner}/${repo.repo}`,
+      testIssueUrl: this.issueOps.getIssueUrl(`${repo.owner}/${repo.repo}`, testIssue.number)
     });
 
     // Update status table
-    await this.statusUpdater.notifyTaskUpdate();
+    await this.statusUpdater.updateStatusTable();
   }
 
   /**
-   * Re-run dependent tests to ensure fix didn't break anything
+   * Pass/fail matrix after a fix attempt
+   *
+   * With a test command the re-run of the fixed test already ran the whole
+   * suite. Otherwise, once the fixed test passes, every other test that
+   * passed before the fix runs again (in dependency order).
+   *
+   * @returns {Promise<Object>} Matrix from RegressionDetector.captureMatrix
    */
-  async rerunDependentTests(repo, testIssue, worktreePath, allTests, masterIssueNumber) {
-    this.logger.info('Checking for dependent tests to re-run', {
-      testIssue: testIssue.number
-    });
+  async checkTestMatrix(repo, testIssue, worktreePath, allTests, before, testPassed) {
+    const repoPath = `${repo.owner}/${repo.repo}`;
 
-    try {
-      // Get test dependencies
-      const dependencies = this.dependencyResolver.resolveDependencies(allTests);
-      
-      // Find tests that depend on this test
-      const dependentTests = allTests.filter(t => {
-        const testDeps = dependencies[t.number] || [];
-        return testDeps.includes(testIssue.number);
+    if (!this.testCommandRunner?.isEnabled() && testPassed) {
+      const passingTests = this.dependencyResolver.createBatches(allTests).flat()
+        .filter(t => t.number !== testIssue.number && before.tests[t.number] === 'passed');
+
+      this.logger.info(`Re-running ${passingTests.length} passing test(s) to check for regressions`, {
+        testIssue: testIssue.number
       });
 
-      if (dependentTests.length === 0) {
-        this.logger.info('No dependent tests to re-run');
-        return;
+      for (const test of passingTests) {
+        await this.rerunTest(repo, test, worktreePath);
       }
+    }
 
-      this.logger.info(`Re-running ${dependentTests.length} dependent test(s)`, {
-        dependentTests: dependentTests.map(t => t.number)
-      });
+    return await this.regressionDetector.captureMatrix(repoPath, allTests, testIssue);
+  }
 
-      // Re-run each dependent test
-      for (const depTest of dependentTests) {
-        const passed = await this.rerunTest(repo, depTest, worktreePath);
-        
-        if (!passed) {
-          this.logger.warn('Dependent test failed after fix', {
-            testIssue: testIssue.number,
-            dependentTest: depTest.number
-          });
-          
-          throw new Error(
-            `Fix for test #${testIssue.number} broke dependent test #${depTest.number}`
-          );
-        }
-      }
+  /**
+   * Handle a fix that broke other tests - revert it (onRegression: revert)
+   * or keep it so the broken tests get fixed too (onRegression: keep)
+   *
+   * @returns {Promise<string>} 'reverted' or 'kept'
+   */
+  async handleRegression(repo, testIssue, fixIssue, worktreePath, allTests, attemptNumber, masterIssueNumber, regression, startCommit) {
+    const repoPath = `${repo.owner}/${repo.repo}`;
+    const endCommit = await this.regressionDetector.getHead(worktreePath);
+    const broke = RegressionDetector.describe(regression);
 
-      this.logger.info('All dependent tests still passing');
-    } catch (error) {
-      this.logger.error('Failed to re-run dependent tests', {
-        error: error.message,
-        testIssue: testIssue.number
-      });
-      throw error;
+    this.logger.warn('Fix broke other tests', {
+      testIssue: testIssue.number,
+      fixIssue: fixIssue.number,
+      ...regression
+    });
+
+    const reverted = this.regressionDetector.action === 'revert' &&
+      await this.regressionDetector.revert(worktreePath, startCommit);
+    const action = reverted ? 'reverted' : 'kept';
+
+    this.journal.append(masterIssueNumber, 'regression', {
+      testIssue: testIssue.number,
+      fixIssue: fixIssue.number,
+      attemptNumber,
+      brokenTests: regression.brokenTests,
+      brokenCases: regression.brokenCases,
+      action,
+      commits: `${startCommit}..${endCommit}`
+    });
+
+    await this.issueOps.addLabels(repoPath, fixIssue.number, ['oc-ralph:regression']);
+    await this.issueOps.addComment(
+      repoPath,
+      fixIssue.number,
+      reverted
+        ? `⚠️ Regression: this fix broke ${broke}. Its commits were reverted, moving to attempt ${attemptNumber + 1}/${this.maxAttempts}.`
+        : `⚠️ Regression: this fix broke ${broke}. Its commits were kept${regression.brokenTests.length > 0 ? ', the broken tests get fixed after this one' : ''}.`
+    );
+
+    await this.discordNotifier.notify('test-regression', {
+      masterIssueNumber,
+      testIssue: testIssue.number,
+      fixIssue: fixIssue.number,
+      broke,
+      action,
+      repo: repoPath,
+      fixIssueUrl: this.issueOps.getIssueUrl(repoPath, fixIssue.number)
+    });
+
+    if (reverted) {
+      await this.restoreVerdicts(repo, testIssue, worktreePath, allTests, regression);
     }
+
+    await this.statusUpdater.updateStatusTable();
+
+    return action;
+  }
+
+  /**
+   * Bring test labels back in line with the reverted worktree
+   */
+  async restoreVerdicts(repo, testIssue, worktreePath, allTests, regression) {
+    if (this.testCommandRunner?.isEnabled()) {
+      await this.rerunTest(repo, testIssue, worktreePath);
+      return;
+    }
+
+    for (const test of allTests.filter(t => regression.brokenTests.includes(t.number))) {
+      await this.rerunTest(repo, test, worktreePath);
+    }
+
+    await this.issueOps.addLabels(`${repo.owner}/${repo.repo}`, testIssue.number, ['oc-ralph:test-failed']);
+  }
+
+  /**
+   * Regressions recorded for a test - caused by its fixes or breaking it
+   */
+  getRegressionHistory(masterIssueNumber, testIssue) {
+    return this.journal.replay(masterIssueNumber).regressions.filter(regression =>
+      regression.testIssue === testIssue.number || regression.brokenTests.includes(testIssue.number)
+    );
   }
 
   /**
@@ -405,16 +508,14 @@ export class TestRetryCoordinator {
 
     // Add permanent failure label
     await this.issueOps.addLabels(
-      repo.owner,
-      repo.repo,
+      `${repo.owner}/${repo.repo}`,
       testIssue.number,
       ['oc-ralph:max-attempts-reached', 'oc-ralph:test-failed']
     );
 
     // Add comment
-    await this.issueOps.createComment(
-      repo.owner,
-      repo.repo,
+    await this.issueOps.addComment(
+      `${repo.owner}/${repo.repo}`,
       testIssue.number,
       `❌ Maximum fix attempts (${this.maxAttempts}) reached. Test could not be fixed automatically.`
     );
@@ -424,11 +525,12 @@ export class TestRetryCoordinator {
       masterIssueNumber,
       testIssue: testIssue.number,
       maxAttempts: this.maxAttempts,
-      repo: `${repo.owner}/${repo.repo}`
+      repo: `${repo.owner}/${repo.repo}`,
+      testIssueUrl: this.issueOps.getIssueUrl(`${repo.owner}/${repo.repo}`, testIssue.number)
     });
 
     // Update status table
-    await this.statusUpdater.notifyTaskUpdate();
+    await this.statusUpdater.updateStatusTable();
   }
 
   /**
@@ -0,0 +1,195 @@
+/**
+ * Verification runner - runs the final checks on the finished worktree
+ *
+ *   execution:
+ *     verification:
+ *       build: npm run build
+ *       lint: npm run lint
+ *       typecheck: npx tsc --noEmit
+ *       tests: true                  # the full suite with execution.testing.command, or a command of its own
+ *       commands:                    # any other checks
+ *         - name: docs
+ *           command: npm run docs:check
+ *       timeoutSeconds: 900          # per check
+ *       maxFixAttempts: 3
+ *
+ * Checks run in that order, all of them, so one fix attempt sees every problem.
+ */
+import path from 'path';
+import { TestCommandRunner } from './TestCommandRunner.js';
+
+// Lines of output kept per check
+const OUTPUT_TAIL_LINES = 60;
+
+const RESULT_MARKER = /<!-- oc-ralph-verification\n([\s\S]*?)\n-->/;
+
+const BUILT_IN_CHECKS = ['build', 'lint', 'typecheck', 'tests'];
+
+export class VerificationRunner {
+  constructor(testCommandRunner, config, logger) {
+    this.testCommandRunner = testCommandRunner;
+    this.config = config;
+    this.logger = logger;
+    this.settings = config.execution?.verification || {};
+  }
+
+  /**
+   * Configured checks, in the order they run
+   *
+   * @returns {Array} [{ name, command, suite }] - suite checks run the test command with its report parsing
+   */
+  getChecks() {
+    const checks = [];
+
+    for (const name of BUILT_IN_CHECKS) {
+      const value = this.settings[name];
+      if (!value) continue;
+
+      if (name === 'tests' && value === true) {
+        checks.push({ name, command: this.config.execution.testing.command, suite: true });
+      } else {
+        checks.push({ name, command: value, suite: false });
+      }
+    }
+
+    for (const { name, command } of this.settings.commands || []) {
+      checks.push({ name, command, suite: false });
+    }
+
+    return checks;
+  }
+
+  /**
+   * Whether any check is configured
+   */
+  isEnabled() {
+    return this.getChecks().length > 0;
+  }
+
+  get maxFixAttempts() {
+    return this.settings.maxFixAttempts ?? 3;
+  }
+
+  /**
+   * Run every check in the worktree
+   *
+   * @param {string} worktreePath - Worktree to run in
+   * @returns {Promise<Object>} { passed, checks: [{ name, command, passed, exitCode, timedOut, durationMs, output, error, counts, failures }], finishedAt }
+   */
+  async runAll(worktreePath) {
+    const checks = [];
+
+    for (const check of this.getChecks()) {
+      this.logger.info('Running verification check', { check: check.name, command: check.command });
+
+      const result = check.suite
+        ? await this.testCommandRunner.run(worktreePath)
+        : await this.runCommand(check.command, worktreePath);
+
+      checks.push({
+        name: check.name,
+        command: check.command,
+        passed: result.passed,
+        exitCode: result.exitCode,
+        timedOut: result.timedOut,
+        durationMs: result.durationMs,
+        output: result.output,
+        error: result.error,
+        counts: result.counts || null,
+        failures: result.failures || []
+      });
+
+      this.logger.info('Verification check finished', {
+        check: check.name,
+        passed: result.passed,
+        exitCode: result.exitCode
+      });
+    }
+
+    return {
+      passed: checks.every(check => check.passed),
+      checks,
+      finishedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Run a plain check - the exit code decides
+   */
+  async runCommand(command, worktreePath) {
+    const timeoutSeconds = this.settings.timeoutSeconds || 900;
+    const startTime = Date.now();
+
+    const { exitCode, timedOut, stdout, stderr, error } = await this.testCommandRunner.spawn(
+      command,
+      path.resolve(worktreePath),
+      timeoutSeconds,
+      this.settings.env
+    );
+
+    const failure = error || (timedOut ? `Timed out after ${timeoutSeconds}s` : null);
+
+    return {
+      passed: !failure && exitCode === 0,
+      exitCode,
+      timedOut,
+      durationMs: Date.now() - startTime,
+      output: `${stdout}${stderr ? `\n${stderr}` : ''}`.trim().split('\n').slice(-OUTPUT_TAIL_LINES).join('\n'),
+      error: failure
+    };
+  }
+
+  /**
+   * Verification comment for the master issue (with the result for later readers)
+   *
+   * @param {Object} result - runAll result
+   * @param {number} attemptNumber - Fix attempts made before this run
+   */
+  formatComment(result, attemptNumber = 0) {
+    const lines = [
+      `## ${result.passed ? '✅ Verification Passed' : '❌ Verification Failed'}`,
+      '',
+      attemptNumber > 0 ? `After fix attempt ${attemptNumber}/${this.maxFixAttempts}.` : 'Final checks on the finished branch.',
+      '',
+      VerificationRunner.formatTable(result)
+    ];
+
+    for (const check of result.checks.filter(c => !c.passed)) {
+      lines.push('', `<details><summary>${check.name}: output (last ${OUTPUT_TAIL_LINES} lines)</summary>`, '', '```', check.output || check.error || '(no output)', '```', '</details>');
+    }
+
+    const stored = {
+      ...result,
+      attemptNumber,
+      checks: result.checks.map(check => ({ ...check, failures: check.failures.slice(0, 20) }))
+    };
+    lines.push('', `<!-- oc-ralph-verification\n${JSON.stringify(stored).replace(/-->/g, '--\\u003e')}\n-->`);
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Markdown table of check results (master issue comment and PR body)
+   */
+  static formatTable(result) {
+    const rows = result.checks.map(check => {
+      const outcome = check.passed ? '✅' : '❌';
+      const detail = check.counts
+        ? `${check.counts.passed}/${check.counts.total} tests passed`
+        : check.error || `exit code ${check.exitCode}`;
+      return `| ${outcome} | ${check.name} | \`${check.command}\` | ${detail} | ${(check.durationMs / 1000).toFixed(1)}s |`;
+    });
+
+    return ['| | Check | Command | Result | Duration |', '|---|---|---|---|---|', ...rows].join('\n');
+  }
+
+  /**
+   * Latest verification posted on the master issue
+   *
+   * @param {Array} comments - Issue comments, oldest first
+   * @returns {Object|null} Verification result
+   */
+  static findLatestResult(comments) {
+    return TestCommandRunner.findLatestResult(comments, RESULT_MARKER);
+  }
+}
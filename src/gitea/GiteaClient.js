@@ -0,0 +1,85 @@
+/**
+ * Gitea / Forgejo API client
+ *
+ * Gitea's REST API (/api/v1) follows GitHub's for issues, comments, labels
+ * and pull requests, so this reuses the GitHub client over a token-auth
+ * transport. The differences live in the Gitea operations: labels are added
+ * and removed by ID, and there is no GraphQL API.
+ */
+import { GitHubClient } from '../github/GitHubClient.js';
+import { RestTransport } from '../github/RestTransport.js';
+
+export class GiteaClient extends GitHubClient {
+  /**
+   * @param {Object} logger
+   * @param {Object} options - The `tracker` config section
+   * @param {string} options.url - Server URL, e.g. https://gitea.example.com
+   * @param {string} options.token - Access token (defaults to GITEA_TOKEN)
+   * @param {Object} options.transport - Transport instance (replaces HTTPS)
+   * @param {number} options.cacheTtl - How long GET responses are reused, in ms
+   */
+  constructor(logger, options = {}) {
+    if (!options.url) {
+      throw new Error('tracker.url is required for Gitea (e.g. https://gitea.example.com)');
+    }
+
+    const url = options.url.replace(/\/$/, '');
+    const apiUrl = `${url}/api/v1`;
+
+    super(logger, {
+      transport: options.transport || new RestTransport({
+        token: options.token || process.env.GITEA_TOKEN,
+        apiUrl,
+        authScheme: 'token'
+      }),
+      apiUrl,
+      cacheTtl: options.cacheTtl
+    });
+
+    this.webUrl = url;
+  }
+
+  async graphql() {
+    throw new Error('Gitea has no GraphQL API');
+  }
+
+  async getRateLimit() {
+    return null;
+  }
+
+  /**
+   * Fetch every page of a list endpoint (Gitea pages with `limit`)
+   */
+  async paginate(route, params = {}) {
+    return await super.paginate(route, { limit: 50, ...params });
+  }
+
+  /**
+   * Resolve label names to repository label IDs
+   *
+   * @param {boolean} create - Create labels that do not exist yet (GitHub does this implicitly)
+   * @returns {Promise<Array<number>>} IDs, in order (missing labels are left out unless created)
+   */
+  async getLabelIds(repo, names, create = true) {
+    const labels = await this.paginate('GET /repos/{owner}/{repo}/labels', GitHubClient.repoParams(repo));
+    const ids = [];
+
+    for (const name of names) {
+      let label = labels.find(l => l.name === name);
+
+      if (!label && create) {
+        ({ data: label } = await this.request('POST /repos/{owner}/{repo}/labels', {
+          ...GitHubClient.repoParams(repo),
+          name,
+          color: '#ededed'
+        }));
+      }
+
+      if (label) {
+        ids.push(label.id);
+      }
+    }
+
+    return ids;
+  }
+}
@@ -0,0 +1,101 @@
+/**
+ * Gitea / Forgejo issue operations
+ *
+ * Same interface and issue shapes as the GitHub IssueOperations; only the
+ * labels (by ID, on new issues too) and batch lookups (no GraphQL) differ.
+ */
+import { IssueOperations, normalizeIssue } from '../github/IssueOperations.js';
+import { GitHubClient } from '../github/GitHubClient.js';
+import { GitHubNotFoundError } from '../github/GitHubErrors.js';
+
+export class GiteaIssueOperations extends IssueOperations {
+  /**
+   * Get several issues (one request each, sent together)
+   *
+   * @returns {Promise<Map>} issueNumber -> issue (missing issues are left out)
+   */
+  async getIssues(repo, issueNumbers) {
+    const numbers = [...new Set(issueNumbers.map(n => parseInt(n)))];
+    const issues = new Map();
+
+    this.logger.debug('Getting issues in batch', { repo, count: numbers.length });
+
+    const results = await Promise.all(numbers.map(async issueNumber => {
+      try {
+        const { data } = await this.client.request('GET /repos/{owner}/{repo}/issues/{issue_number}', {
+          ...GitHubClient.repoParams(repo),
+          issue_number: issueNumber
+        });
+        return normalizeIssue(data);
+      } catch (error) {
+        if (error instanceof GitHubNotFoundError) return null;
+        throw error;
+      }
+    }));
+
+    for (const issue of results.filter(Boolean)) {
+      issues.set(issue.number, issue);
+    }
+
+    return issues;
+  }
+
+  /**
+   * Create new issue (labels by ID)
+   */
+  async createIssue(repo, options) {
+    this.logger.info('Creating issue', { repo, title: options.title });
+
+    const { data } = await this.client.request('POST /repos/{owner}/{repo}/issues', {
+      ...GitHubClient.repoParams(repo),
+      title: options.title,
+      body: options.body || '',
+      labels: options.labels?.length ? await this.client.getLabelIds(repo, options.labels) : []
+    });
+
+    this.logger.info('Issue created', { repo, issueNumber: data.number });
+
+    return { number: data.number, url: data.html_url };
+  }
+
+  /**
+   * Add labels to issue
+   */
+  async addLabels(repo, issueNumber, labels) {
+    if (!labels || labels.length === 0) return;
+
+    this.logger.debug('Adding labels to issue', { repo, issueNumber, labels });
+
+    await this.client.request('POST /repos/{owner}/{repo}/issues/{issue_number}/labels', {
+      ...GitHubClient.repoParams(repo),
+      issue_number: issueNumber,
+      labels: await this.client.getLabelIds(repo, labels)
+    });
+
+    this.logger.debug('Labels added', { repo, issueNumber });
+  }
+
+  /**
+   * Remove labels from issue
+   */
+  async removeLabels(repo, issueNumber, labels) {
+    if (!labels || labels.length === 0) return;
+
+    this.logger.debug('Removing labels from issue', { repo, issueNumber, labels });
+
+    for (const id of await this.client.getLabelIds(repo, labels, false)) {
+      try {
+        await this.client.request('DELETE /repos/{owner}/{repo}/issues/{issue_number}/labels/{id}', {
+          ...GitHubClient.repoParams(repo),
+          issue_number: issueNumber,
+          id
+        });
+      } catch (error) {
+        // Label was not on the issue
+        if (!(error instanceof GitHubNotFoundError)) throw error;
+      }
+    }
+
+    this.logger.debug('Labels removed', { repo, issueNumber });
+  }
+}
@@ -0,0 +1,60 @@
+/**
+ * Gitea / Forgejo label operations
+ *
+ * Issue labels are added and removed by ID and label colors carry a '#'.
+ */
+import { LabelOperations } from '../github/LabelOperations.js';
+import { GitHubClient } from '../github/GitHubClient.js';
+import { GitHubNotFoundError } from '../github/GitHubErrors.js';
+
+export class GiteaLabelOperations extends LabelOperations {
+  /**
+   * Add label to issue (created first if the repository does not have it)
+   */
+  async addLabel(repo, issueNumber, label) {
+    this.logger.debug('Adding label', { repo, issueNumber, label });
+
+    // For dynamic labels (like worktree labels), ensure they exist with their color first
+    if (label.startsWith('oc-ralph:worktree:')) {
+      await this.ensureLabelExists(repo, label);
+    }
+
+    await this.client.request('POST /repos/{owner}/{repo}/issues/{issue_number}/labels', {
+      ...GitHubClient.repoParams(repo),
+      issue_number: issueNumber,
+      labels: await this.client.getLabelIds(repo, [label])
+    });
+
+    this.logger.debug('Label added', { repo, issueNumber, label });
+  }
+
+  /**
+   * Remove label from issue
+   */
+  async removeLabel(repo, issueNumber, label) {
+    this.logger.debug('Removing label', { repo, issueNumber, label });
+
+    const [id] = await this.client.getLabelIds(repo, [label], false);
+    if (id === undefined) return;
+
+    try {
+      await this.client.request('DELETE /repos/{owner}/{repo}/issues/{issue_number}/labels/{id}', {
+        ...GitHubClient.repoParams(repo),
+        issue_number: issueNumber,
+        id
+      });
+    } catch (error) {
+      // Label was not on the issue
+      if (!(error instanceof GitHubNotFoundError)) throw error;
+    }
+
+    this.logger.debug('Label removed', { repo, issueNumber, label });
+  }
+
+  /**
+   * Create a label
+   */
+  async createLabel(repo, label) {
+    await super.createLabel(repo, { ...label, color: `#${label.color.replace(/^#/, '')}` });
+  }
+}
@@ -0,0 +1,61 @@
+/**
+ * Gitea / Forgejo pull request operations
+ *
+ * Gitea marks drafts with a "WIP:" title prefix, cannot filter pull requests
+ * by head branch and adds labels by ID.
+ */
+import { PullRequestOperations } from '../github/PullRequestOperations.js';
+
+export class GiteaPullRequestOperations extends PullRequestOperations {
+  /**
+   * Create a pull request
+   */
+  async createPullRequest(owner, repo, prData) {
+    return await super.createPullRequest(owner, repo, {
+      ...prData,
+      title: prData.draft ? `WIP: ${prData.title}` : prData.title,
+      draft: false
+    });
+  }
+
+  /**
+   * Find an open pull request for a head branch
+   */
+  async findOpenPullRequest(owner, repo, head) {
+    this.logger.debug('Looking up open pull request', { owner, repo, head });
+
+    try {
+      const prs = await this.githubClient.paginate('GET /repos/{owner}/{repo}/pulls', {
+        owner,
+        repo,
+        state: 'open'
+      });
+
+      const pr = prs.find(p => p.head?.ref === head);
+      if (!pr) {
+        return null;
+      }
+
+      return {
+        number: pr.number,
+        url: pr.html_url,
+        title: pr.title,
+        state: pr.state,
+        html_url: pr.html_url
+      };
+    } catch (error) {
+      this.logger.error('Failed to look up pull request', {
+        error: error.message,
+        head
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Add labels to pull request
+   */
+  async addLabels(owner, repo, prNumber, labels) {
+    return await super.addLabels(owner, repo, prNumber, await this.githubClient.getLabelIds(`${owner}/${repo}`, labels));
+  }
+}
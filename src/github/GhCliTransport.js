@@ -0,0 +1,93 @@
+/**
+ * gh CLI transport - sends API requests through `gh api`
+ *
+ * Uses the gh CLI's own authentication. Arguments are passed without a shell
+ * and request bodies go through stdin, so titles and bodies with quotes or
+ * newlines arrive intact.
+ */
+import { spawn } from 'child_process';
+import { parseBody } from './RestTransport.js';
+
+export class GhCliTransport {
+  constructor(options = {}) {
+    this.name = 'gh';
+    this.command = options.command || 'gh';
+  }
+
+  /**
+   * Send a request
+   */
+  request({ method, url, headers = {}, body }) {
+    const args = ['api', url.replace(/^\//, ''), '--method', method, '--include'];
+
+    for (const [name, value] of Object.entries(headers)) {
+      args.push('-H', `${name}: ${value}`);
+    }
+
+    if (body !== undefined) {
+      args.push('--input', '-');
+    }
+
+    return new Promise((resolve, reject) => {
+      const child = spawn(this.command, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+      let stdout = '';
+      let stderr = '';
+
+      child.stdout.on('data', chunk => { stdout += chunk; });
+      child.stderr.on('data', chunk => { stderr += chunk; });
+
+      child.on('error', error => reject(new Error(`GitHub CLI error: ${error.message}`)));
+
+      // gh exits non-zero on HTTP errors but still prints the response with --include
+      child.on('close', code => {
+        const response = this.parseResponse(stdout);
+
+        if (!response) {
+          reject(new Error(`GitHub CLI error: ${stderr.trim() || `gh exited with code ${code}`}`));
+          return;
+        }
+
+        resolve(response);
+      });
+
+      child.stdin.end(body !== undefined ? JSON.stringify(body) : undefined);
+    });
+  }
+
+  /**
+   * Whether the gh CLI is logged in (`gh auth status`)
+   */
+  checkAuth() {
+    return new Promise(resolve => {
+      const child = spawn(this.command, ['auth', 'status'], { stdio: 'ignore' });
+
+      child.on('error', () => resolve(false));
+      child.on('close', code => resolve(code === 0));
+    });
+  }
+
+  /**
+   * Parse `gh api --include` output (status line, headers, blank line, body)
+   */
+  parseResponse(output) {
+    const match = output.match(/^HTTP\/[\d.]+ (\d{3})[^\r\n]*\r?\n([\s\S]*?)(?:\r?\n\r?\n([\s\S]*))?$/);
+
+    if (!match) {
+      return null;
+    }
+
+    const headers = {};
+    for (const line of match[2].split(/\r?\n/)) {
+      const separator = line.indexOf(':');
+      if (separator > 0) {
+        headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+      }
+    }
+
+    return {
+      status: parseInt(match[1]),
+      headers,
+      data: parseBody((match[3] || '').trim())
+    };
+  }
+}
@@ -1,61 +1,114 @@
 /**
- * GitHub CLI wrapper
+ * GitHub API client
+ *
+ * Sends REST and GraphQL requests through a pluggable transport:
+ * - rest: HTTPS with a token (github.token, GITHUB_TOKEN or GH_TOKEN)
+ * - gh:   the gh CLI's `gh api`, using its stored login
+ * - mock: an in-memory GitHub (tests, offline runs)
+ *
+ * Whatever the transport, responses carry typed errors and requests share
+ * ApiClient's cache and rate limit governor.
  */
-import { exec } from 'child_process';
-import { promisify } from 'util';
+import { ApiClient } from '../trackers/ApiClient.js';
+import { RestTransport } from './RestTransport.js';
+import { GhCliTransport } from './GhCliTransport.js';
+import { MockTransport } from './MockTransport.js';
+import { GitHubError, GitHubGraphQLError, GitHubRateLimitError } from './GitHubErrors.js';
 
-const execAsync = promisify(exec);
-
-export class GitHubClient {
-  constructor(logger) {
-    this.logger = logger;
+export class GitHubClient extends ApiClient {
+  /**
+   * @param {Object} logger
+   * @param {Object} options - The `github` config section
+   * @param {string|Object} options.transport - 'rest', 'gh', 'mock' or a transport instance
+   * @param {string} options.token - API token (defaults to GITHUB_TOKEN / GH_TOKEN)
+   * @param {string} options.apiUrl - API base URL (GitHub Enterprise)
+   * @param {number} options.cacheTtl - How long GET responses are reused, in ms (0 disables)
+   */
+  constructor(logger, options = {}) {
+    super(logger, GitHubClient.createTransport(options), options);
+    this.webUrl = options.apiUrl ? options.apiUrl.replace(/\/api\/v3\/?$/, '') : 'https://github.com';
   }
 
   /**
-   * Execute gh CLI command
+   * Build the configured transport
    */
-  async exec(command) {
-    try {
-      this.logger.debug(`Executing: gh ${command}`);
-      const { stdout, stderr } = await execAsync(`gh ${command}`);
-      
-      if (stderr && !stderr.includes('warning')) {
-        this.logger.warn('gh CLI stderr', { stderr });
-      }
-      
-      return stdout.trim();
-    } catch (error) {
-      this.logger.error('gh CLI command failed', {
-        command,
-        error: error.message,
-        stderr: error.stderr
-      });
-      throw new Error(`GitHub CLI error: ${error.message}`);
+  static createTransport(options = {}) {
+    if (options.transport && typeof options.transport === 'object') {
+      return options.transport;
+    }
+
+    const token = options.token || process.env.GITHUB_TOKEN || process.env.GH_TOKEN;
+    const type = options.transport || (token ? 'rest' : 'gh');
+
+    switch (type) {
+      case 'rest':
+        return new RestTransport({ token, apiUrl: options.apiUrl });
+      case 'gh':
+        return new GhCliTransport();
+      case 'mock':
+        return new MockTransport();
+      default:
+        throw new Error(`Unknown GitHub transport: ${type} (expected rest, gh or mock)`);
     }
   }
 
   /**
-   * Execute gh CLI command and parse JSON response
+   * Split 'owner/repo' into request params
    */
-  async execJSON(command) {
-    const output = await this.exec(command);
-    try {
-      return JSON.parse(output);
-    } catch (error) {
-      this.logger.error('Failed to parse JSON from gh CLI', { output });
-      throw new Error(`Invalid JSON response from gh CLI: ${error.message}`);
+  static repoParams(repo) {
+    const [owner, name] = repo.split('/');
+    return { owner, repo: name };
+  }
+
+  /**
+   * Send a GraphQL query
+   *
+   * Queries only - they bypass the request cache and do not invalidate it.
+   *
+   * @returns {Promise<Object>} The `data` of the response
+   */
+  async graphql(query, variables = {}) {
+    const response = await this.dispatch('POST', '/graphql', { query, variables }, {}, 'POST /graphql');
+
+    if (response.data?.errors?.length) {
+      throw new GitHubGraphQLError(response.data.errors, { status: response.status, route: 'POST /graphql', data: response.data });
     }
+
+    return response.data?.data;
   }
 
   /**
-   * Check if gh CLI is authenticated
+   * Login of the authenticated user
+   */
+  async getAuthenticatedUser() {
+    const { data } = await this.request('GET /user');
+    return data.login;
+  }
+
+  /**
+   * Current core rate limit ({ limit, remaining, reset })
+   */
+  async getRateLimit() {
+    const { data } = await this.request('GET /rate_limit');
+    return data.resources?.core || data.rate;
+  }
+
+  createError(route, response) {
+    return GitHubError.fromResponse(route, response);
+  }
+
+  isRateLimitError(error) {
+    return error instanceof GitHubRateLimitError;
+  }
+
+  /**
+   * Check that the transport can reach GitHub with valid credentials
    */
   async checkAuth() {
-    try {
-      await execAsync('gh auth status');
-      return true;
-    } catch (error) {
-      return false;
+    if (this.transport.name === 'gh') {
+      return await this.transport.checkAuth();
     }
+
+    return await super.checkAuth();
   }
 }
@@ -0,0 +1,114 @@
+/**
+ * Typed GitHub API errors
+ *
+ * GitHubClient.request throws one of these for any non-2xx response, so
+ * callers can tell a missing issue (404) from a permission problem (403) or
+ * an exhausted rate limit without parsing messages.
+ */
+export class GitHubError extends Error {
+  constructor(message, { status = null, route = null, headers = {}, data = null } = {}) {
+    super(message);
+    this.name = 'GitHubError';
+    this.status = status;
+    this.route = route;
+    this.headers = headers;
+    this.data = data;
+  }
+
+  /**
+   * Build the error matching a failed response
+   */
+  static fromResponse(route, response) {
+    const { status, headers = {}, data } = response;
+    const detail = data?.message || (typeof data === 'string' ? data : '') || `HTTP ${status}`;
+    const message = `GitHub API error: ${route} → ${status} ${detail}`;
+    const options = { status, route, headers, data };
+
+    const rateLimited = status === 429 ||
+      (status === 403 && (headers['x-ratelimit-remaining'] === '0' || /rate limit/i.test(detail)));
+
+    if (rateLimited) {
+      return new GitHubRateLimitError(message, options);
+    }
+
+    switch (status) {
+      case 401:
+        return new GitHubAuthError(message, options);
+      case 403:
+        return new GitHubForbiddenError(message, options);
+      case 404:
+        return new GitHubNotFoundError(message, options);
+      case 422:
+        return new GitHubValidationError(message, options);
+      default:
+        return new GitHubError(message, options);
+    }
+  }
+}
+
+/**
+ * 401 - missing or invalid token
+ */
+export class GitHubAuthError extends GitHubError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'GitHubAuthError';
+  }
+}
+
+/**
+ * 403 - token lacks access to the resource
+ */
+export class GitHubForbiddenError extends GitHubError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'GitHubForbiddenError';
+  }
+}
+
+/**
+ * 404 - repository, issue, label or pull request not found
+ */
+export class GitHubNotFoundError extends GitHubError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'GitHubNotFoundError';
+  }
+}
+
+/**
+ * 422 - request rejected (e.g. label already exists, PR already open)
+ */
+export class GitHubValidationError extends GitHubError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'GitHubValidationError';
+  }
+}
+
+/**
+ * 403/429 - primary or secondary rate limit hit
+ */
+export class GitHubRateLimitError extends GitHubError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'GitHubRateLimitError';
+
+    const reset = parseInt(this.headers['x-ratelimit-reset']);
+    const retryAfter = parseInt(this.headers['retry-after']);
+
+    this.resetAt = reset ? new Date(reset * 1000) : null;
+    this.retryAfterMs = retryAfter ? retryAfter * 1000 : null;
+  }
+}
+
+/**
+ * GraphQL response carrying `errors`
+ */
+export class GitHubGraphQLError extends GitHubError {
+  constructor(errors, options = {}) {
+    super(`GitHub GraphQL error: ${errors.map(e => e.message).join('; ')}`, options);
+    this.name = 'GitHubGraphQLError';
+    this.errors = errors;
+  }
+}
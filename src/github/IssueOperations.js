@@ -1,9 +1,17 @@
 /**
  * GitHub Issue operations
+ *
+ * Issues and comments are returned in the gh CLI's shape (uppercase state,
+ * `author.login`, `createdAt`) that the rest of oc-ralph reads.
  */
+import { GitHubClient } from './GitHubClient.js';
+import { GitHubNotFoundError, GitHubGraphQLError } from './GitHubErrors.js';
+
+const BATCH_SIZE = 50;
+
 export class IssueOperations {
-  constructor(github, logger) {
-    this.github = github;
+  constructor(client, logger) {
+    this.client = client;
     this.logger = logger;
   }
 
@@ -12,43 +20,73 @@ export class IssueOperations {
    */
   async getIssue(repo, issueNumber) {
     this.logger.debug('Getting issue', { repo, issueNumber });
-    
-    const issue = await this.github.execJSON(
-      `issue view ${issueNumber} --repo ${repo} --json number,title,body,state,labels,comments`
+
+    const { data } = await this.client.request(
+      'GET /repos/{owner}/{repo}/issues/{issue_number}',
+      { ...GitHubClient.repoParams(repo), issue_number: issueNumber }
     );
-    
+
+    const issue = normalizeIssue(data);
+    issue.comments = data.comments > 0 ? await this.listComments(repo, issueNumber) : [];
+
     return issue;
   }
 
+  /**
+   * Get several issues in one GraphQL query per 50 issues (labels, title,
+   * body and state - no comments)
+   *
+   * @returns {Promise<Map>} issueNumber -> issue (missing issues are left out)
+   */
+  async getIssues(repo, issueNumbers) {
+    const numbers = [...new Set(issueNumbers.map(n => parseInt(n)))];
+    const { owner, repo: name } = GitHubClient.repoParams(repo);
+    const issues = new Map();
+
+    this.logger.debug('Getting issues in batch', { repo, count: numbers.length });
+
+    for (let i = 0; i < numbers.length; i += BATCH_SIZE) {
+      const batch = numbers.slice(i, i + BATCH_SIZE);
+      const fields = batch.map(n =>
+        `i${n}: issue(number: ${n}) { number title body state updatedAt url labels(first: 100) { nodes { name color description } } }`
+      ).join('\n    ');
+      const query = `query($owner: String!, $name: String!) {\n  repository(owner: $owner, name: $name) {\n    ${fields}\n  }\n}`;
+
+      let data;
+      try {
+        data = await this.client.graphql(query, { owner, name });
+      } catch (error) {
+        // Missing issues come back as errors next to the ones that exist
+        if (!(error instanceof GitHubGraphQLError) || !error.data?.data?.repository) throw error;
+        data = error.data.data;
+      }
+
+      for (const node of Object.values(data?.repository || {})) {
+        if (node) {
+          issues.set(node.number, normalizeIssue({ ...node, labels: node.labels.nodes }));
+        }
+      }
+    }
+
+    return issues;
+  }
+
   /**
    * Create new issue
    */
   async createIssue(repo, options) {
     this.logger.info('Creating issue', { repo, title: options.title });
-    
-    let command = `issue create --repo ${repo} --title "${options.title}"`;
-    
-    if (options.body) {
-      // Escape body for shell
-      const bodyFile = `/tmp/oc-ralph-issue-${Date.now()}.md`;
-      const fs = await import('fs');
-      fs.writeFileSync(bodyFile, options.body);
-      command += ` --body-file "${bodyFile}"`;
-    }
-    
-    if (options.labels && options.labels.length > 0) {
-      command += ` --label "${options.labels.join(',')}"`;
-    }
-    
-    const output = await this.github.exec(command);
-    
-    // Extract issue number from URL
-    const urlMatch = output.match(/\/issues\/(\d+)/);
-    const issueNumber = urlMatch ? parseInt(urlMatch[1]) : null;
-    
-    this.logger.info('Issue created', { repo, issueNumber });
-    
-    return { number: issueNumber, url: output };
+
+    const { data } = await this.client.request('POST /repos/{owner}/{repo}/issues', {
+      ...GitHubClient.repoParams(repo),
+      title: options.title,
+      body: options.body || '',
+      labels: options.labels || []
+    });
+
+    this.logger.info('Issue created', { repo, issueNumber: data.number });
+
+    return { number: data.number, url: data.html_url };
   }
 
   /**
@@ -56,22 +94,23 @@ export class IssueOperations {
    */
   async updateIssue(repo, issueNumber, updates) {
     this.logger.debug('Updating issue', { repo, issueNumber });
-    
-    let command = `issue edit ${issueNumber} --repo ${repo}`;
-    
+
+    const fields = {};
+
     if (updates.title) {
-      command += ` --title "${updates.title}"`;
+      fields.title = updates.title;
     }
-    
+
     if (updates.body) {
-      const bodyFile = `/tmp/oc-ralph-issue-update-${Date.now()}.md`;
-      const fs = await import('fs');
-      fs.writeFileSync(bodyFile, updates.body);
-      command += ` --body-file "${bodyFile}"`;
+      fields.body = updates.body;
     }
-    
-    await this.github.exec(command);
-    
+
+    await this.client.request('PATCH /repos/{owner}/{repo}/issues/{issue_number}', {
+      ...GitHubClient.repoParams(repo),
+      issue_number: issueNumber,
+      ...fields
+    });
+
     this.logger.debug('Issue updated', { repo, issueNumber });
   }
 
@@ -80,13 +119,17 @@ export class IssueOperations {
    */
   async closeIssue(repo, issueNumber, comment = null) {
     this.logger.info('Closing issue', { repo, issueNumber });
-    
+
     if (comment) {
       await this.addComment(repo, issueNumber, comment);
     }
-    
-    await this.github.exec(`issue close ${issueNumber} --repo ${repo}`);
-    
+
+    await this.client.request('PATCH /repos/{owner}/{repo}/issues/{issue_number}', {
+      ...GitHubClient.repoParams(repo),
+      issue_number: issueNumber,
+      state: 'closed'
+    });
+
     this.logger.info('Issue closed', { repo, issueNumber });
   }
 
@@ -95,15 +138,13 @@ export class IssueOperations {
    */
   async addComment(repo, issueNumber, body) {
     this.logger.debug('Adding comment to issue', { repo, issueNumber });
-    
-    const bodyFile = `/tmp/oc-ralph-comment-${Date.now()}.md`;
-    const fs = await import('fs');
-    fs.writeFileSync(bodyFile, body);
-    
-    await this.github.exec(
-      `issue comment ${issueNumber} --repo ${repo} --body-file "${bodyFile}"`
-    );
-    
+
+    await this.client.request('POST /repos/{owner}/{repo}/issues/{issue_number}/comments', {
+      ...GitHubClient.repoParams(repo),
+      issue_number: issueNumber,
+      body
+    });
+
     this.logger.debug('Comment added', { repo, issueNumber });
   }
 
@@ -112,14 +153,15 @@ export class IssueOperations {
    */
   async addLabels(repo, issueNumber, labels) {
     if (!labels || labels.length === 0) return;
-    
+
     this.logger.debug('Adding labels to issue', { repo, issueNumber, labels });
-    
-    const labelStr = labels.join(',');
-    await this.github.exec(
-      `issue edit ${issueNumber} --repo ${repo} --add-label "${labelStr}"`
-    );
-    
+
+    await this.client.request('POST /repos/{owner}/{repo}/issues/{issue_number}/labels', {
+      ...GitHubClient.repoParams(repo),
+      issue_number: issueNumber,
+      labels
+    });
+
     this.logger.debug('Labels added', { repo, issueNumber });
   }
 
@@ -128,14 +170,22 @@ export class IssueOperations {
    */
   async removeLabels(repo, issueNumber, labels) {
     if (!labels || labels.length === 0) return;
-    
+
     this.logger.debug('Removing labels from issue', { repo, issueNumber, labels });
-    
-    const labelStr = labels.join(',');
-    await this.github.exec(
-      `issue edit ${issueNumber} --repo ${repo} --remove-label "${labelStr}"`
-    );
-    
+
+    for (const label of labels) {
+      try {
+        await this.client.request('DELETE /repos/{owner}/{repo}/issues/{issue_number}/labels/{name}', {
+          ...GitHubClient.repoParams(repo),
+          issue_number: issueNumber,
+          name: label
+        });
+      } catch (error) {
+        // Label was not on the issue
+        if (!(error instanceof GitHubNotFoundError)) throw error;
+      }
+    }
+
     this.logger.debug('Labels removed', { repo, issueNumber });
   }
 
@@ -144,29 +194,46 @@ export class IssueOperations {
    */
   async getComments(repo, issueNumber) {
     this.logger.debug('Getting comments', { repo, issueNumber });
-    
-    const issue = await this.getIssue(repo, issueNumber);
-    return issue.comments || [];
+
+    return await this.listComments(repo, issueNumber);
+  }
+
+  /**
+   * Fetch all comments on an issue
+   */
+  async listComments(repo, issueNumber) {
+    const comments = await this.client.paginate('GET /repos/{owner}/{repo}/issues/{issue_number}/comments', {
+      ...GitHubClient.repoParams(repo),
+      issue_number: issueNumber
+    });
+
+    return comments.map(normalizeComment);
   }
 
   /**
    * List issues with filters
+   *
+   * @param {string} repo - owner/repo
+   * @param {Object} filters - { label, state: open|closed|all }
    */
   async listIssues(repo, filters = {}) {
     this.logger.debug('Listing issues', { repo, filters });
-    
-    let command = `issue list --repo ${repo} --json number,title,state,labels --limit 100`;
-    
-    if (filters.label) {
-      command += ` --label "${filters.label}"`;
-    }
-    
-    if (filters.state) {
-      command += ` --state ${filters.state}`;
-    }
-    
-    const issues = await this.github.execJSON(command);
-    return issues;
+
+    const issues = await this.client.paginate('GET /repos/{owner}/{repo}/issues', {
+      ...GitHubClient.repoParams(repo),
+      labels: filters.label,
+      state: filters.state || 'open'
+    });
+
+    // The issues endpoint also returns pull requests
+    return issues.filter(issue => !issue.pull_request).map(normalizeIssue);
+  }
+
+  /**
+   * Web URL of an issue
+   */
+  getIssueUrl(repo, issueNumber) {
+    return `${this.client.webUrl}/${repo}/issues/${issueNumber}`;
   }
 
   /**
@@ -174,10 +241,45 @@ export class IssueOperations {
    */
   async getIssuesByLabel(owner, repo, label) {
     this.logger.debug('Getting issues by label', { owner, repo, label });
-    
+
     const repoPath = `${owner}/${repo}`;
     const issues = await this.listIssues(repoPath, { label });
-    
+
     return issues;
   }
 }
+
+/**
+ * REST issue -> gh CLI issue shape
+ */
+export function normalizeIssue(issue) {
+  return {
+    number: issue.number,
+    title: issue.title,
+    body: issue.body || '',
+    state: (issue.state || '').toUpperCase(),
+    updatedAt: issue.updated_at || issue.updatedAt || null,
+    labels: (issue.labels || []).map(label => ({
+      name: typeof label === 'string' ? label : label.name,
+      color: label.color,
+      description: label.description
+    })),
+    url: issue.html_url || issue.url
+  };
+}
+
+/**
+ * REST comment -> gh CLI comment shape
+ *
+ * `id` is the node ID, as gh reports it, so command IDs journaled before the
+ * switch to the REST API still match.
+ */
+export function normalizeComment(comment) {
+  return {
+    id: comment.node_id || String(comment.id),
+    author: { login: comment.user?.login || null },
+    body: comment.body || '',
+    createdAt: comment.created_at,
+    url: comment.html_url
+  };
+}
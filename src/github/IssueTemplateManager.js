@@ -16,7 +16,46 @@ export class IssueTemplateManager {
    * Create implementation sub-issue
    */
   async createImplementationIssue(masterIssueNumber, task, worktreePath) {
-    const body = `## Implementation Task
+    const body = this.buildImplementationBody(masterIssueNumber, task, worktreePath);
+
+    const issue = await this.issueOps.createIssue(this.repo, {
+      title: `[Implementation] ${task.title}`,
+      body,
+      labels: ['oc-ralph:sub-issue', 'oc-ralph:implementation', 'oc-ralph:pending', `oc-ralph:master-${masterIssueNumber}`]
+    });
+
+    this.logger.info('Implementation sub-issue created', {
+      issueNumber: issue.number,
+      taskId: task.id,
+      title: task.title
+    });
+
+    return issue.number;
+  }
+
+  /**
+   * Update existing implementation sub-issue after a plan revision
+   */
+  async updateImplementationIssue(issueNumber, masterIssueNumber, task, worktreePath) {
+    await this.issueOps.updateIssue(this.repo, issueNumber, {
+      title: `[Implementation] ${task.title}`,
+      body: this.buildImplementationBody(masterIssueNumber, task, worktreePath)
+    });
+
+    this.logger.info('Implementation sub-issue updated', {
+      issueNumber,
+      taskId: task.id,
+      title: task.title
+    });
+
+    return issueNumber;
+  }
+
+  /**
+   * Build implementation sub-issue body
+   */
+  buildImplementationBody(masterIssueNumber, task, worktreePath) {
+    return `## Implementation Task
 
 **Parent Issue:** #${masterIssueNumber}
 **Task ID:** ${task.id}
@@ -62,27 +101,52 @@ Review the parent issue #${masterIssueNumber} for overall context.
 🔄 **Status:** Awaiting agent execution
 📅 **Created:** ${new Date().toISOString()}
 `;
+  }
+
+  /**
+   * Create test sub-issue
+   */
+  async createTestIssue(masterIssueNumber, testTask, worktreePath) {
+    const body = this.buildTestBody(masterIssueNumber, testTask, worktreePath);
 
     const issue = await this.issueOps.createIssue(this.repo, {
-      title: `[Implementation] ${task.title}`,
+      title: `[Test] ${testTask.title}`,
       body,
-      labels: ['oc-ralph:sub-issue', 'oc-ralph:implementation', 'oc-ralph:pending']
+      labels: ['oc-ralph:sub-issue', 'oc-ralph:test', 'oc-ralph:pending', `oc-ralph:master-${masterIssueNumber}`]
     });
 
-    this.logger.info('Implementation sub-issue created', {
+    this.logger.info('Test sub-issue created', {
       issueNumber: issue.number,
-      taskId: task.id,
-      title: task.title
+      taskId: testTask.id,
+      title: testTask.title
     });
 
     return issue.number;
   }
 
   /**
-   * Create test sub-issue
+   * Update existing test sub-issue after a plan revision
    */
-  async createTestIssue(masterIssueNumber, testTask, worktreePath) {
-    const body = `## Test Task
+  async updateTestIssue(issueNumber, masterIssueNumber, testTask, worktreePath) {
+    await this.issueOps.updateIssue(this.repo, issueNumber, {
+      title: `[Test] ${testTask.title}`,
+      body: this.buildTestBody(masterIssueNumber, testTask, worktreePath)
+    });
+
+    this.logger.info('Test sub-issue updated', {
+      issueNumber,
+      taskId: testTask.id,
+      title: testTask.title
+    });
+
+    return issueNumber;
+  }
+
+  /**
+   * Build test sub-issue body
+   */
+  buildTestBody(masterIssueNumber, testTask, worktreePath) {
+    return `## Test Task
 
 **Parent Issue:** #${masterIssueNumber}
 **Task ID:** ${testTask.id}
@@ -129,20 +193,6 @@ Review the parent issue #${masterIssueNumber} for overall context.
 🔄 **Status:** Awaiting agent execution
 📅 **Created:** ${new Date().toISOString()}
 `;
-
-    const issue = await this.issueOps.createIssue(this.repo, {
-      title: `[Test] ${testTask.title}`,
-      body,
-      labels: ['oc-ralph:sub-issue', 'oc-ralph:test', 'oc-ralph:pending']
-    });
-
-    this.logger.info('Test sub-issue created', {
-      issueNumber: issue.number,
-      taskId: testTask.id,
-      title: testTask.title
-    });
-
-    return issue.number;
   }
 
   /**
@@ -1,9 +1,12 @@
 /**
  * GitHub Label operations
  */
+import { GitHubClient } from './GitHubClient.js';
+import { GitHubNotFoundError } from './GitHubErrors.js';
+
 export class LabelOperations {
-  constructor(github, logger) {
-    this.github = github;
+  constructor(client, logger) {
+    this.client = client;
     this.logger = logger;
   }
 
@@ -11,10 +14,11 @@ export class LabelOperations {
    * Get all labels for an issue
    */
   async getLabels(repo, issueNumber) {
-    const issue = await this.github.execJSON(
-      `issue view ${issueNumber} --repo ${repo} --json labels`
-    );
-    return issue.labels.map(l => l.name);
+    const labels = await this.client.paginate('GET /repos/{owner}/{repo}/issues/{issue_number}/labels', {
+      ...GitHubClient.repoParams(repo),
+      issue_number: issueNumber
+    });
+    return labels.map(l => l.name);
   }
 
   /**
@@ -28,9 +32,11 @@ export class LabelOperations {
       await this.ensureLabelExists(repo, label);
     }
     
-    await this.github.exec(
-      `issue edit ${issueNumber} --repo ${repo} --add-label "${label}"`
-    );
+    await this.client.request('POST /repos/{owner}/{repo}/issues/{issue_number}/labels', {
+      ...GitHubClient.repoParams(repo),
+      issue_number: issueNumber,
+      labels: [label]
+    });
     
     this.logger.debug('Label added', { repo, issueNumber, label });
   }
@@ -52,6 +58,9 @@ export class LabelOperations {
       if (labelName.startsWith('oc-ralph:worktree:')) {
         color = 'C5DEF5'; // light blue
         description = 'oc-ralph: Worktree path (auto-generated)';
+      } else if (labelName.startsWith('oc-ralph:master-')) {
+        color = 'D4C5F9'; // light purple
+        description = 'oc-ralph: Sub-issue of master issue (auto-generated)';
       }
       
       await this.createLabel(repo, { name: labelName, color, description });
@@ -64,9 +73,16 @@ export class LabelOperations {
   async removeLabel(repo, issueNumber, label) {
     this.logger.debug('Removing label', { repo, issueNumber, label });
     
-    await this.github.exec(
-      `issue edit ${issueNumber} --repo ${repo} --remove-label "${label}"`
-    );
+    try {
+      await this.client.request('DELETE /repos/{owner}/{repo}/issues/{issue_number}/labels/{name}', {
+        ...GitHubClient.repoParams(repo),
+        issue_number: issueNumber,
+        name: label
+      });
+    } catch (error) {
+      // Label was not on the issue
+      if (!(error instanceof GitHubNotFoundError)) throw error;
+    }
     
     this.logger.debug('Label removed', { repo, issueNumber, label });
   }
@@ -75,10 +91,8 @@ export class LabelOperations {
    * List all labels in repository
    */
   async listLabels(repo) {
-    const labels = await this.github.execJSON(
-      `label list --repo ${repo} --json name,color,description --limit 1000`
-    );
-    return labels;
+    const labels = await this.client.paginate('GET /repos/{owner}/{repo}/labels', GitHubClient.repoParams(repo));
+    return labels.map(({ name, color, description }) => ({ name, color, description }));
   }
 
   /**
@@ -87,9 +101,12 @@ export class LabelOperations {
   async createLabel(repo, label) {
     this.logger.debug('Creating label', { repo, label: label.name });
     
-    await this.github.exec(
-      `label create "${label.name}" --repo ${repo} --color ${label.color} --description "${label.description}"`
-    );
+    await this.client.request('POST /repos/{owner}/{repo}/labels', {
+      ...GitHubClient.repoParams(repo),
+      name: label.name,
+      color: label.color,
+      description: label.description
+    });
     
     this.logger.debug('Label created', { repo, label: label.name });
   }
@@ -151,22 +168,30 @@ export class LabelOperations {
       { name: 'oc-ralph:awaiting-approval', color: 'FBCA04', description: 'oc-ralph: Plan ready, awaiting user approval' },
       { name: 'oc-ralph:approved', color: '0E8A16', description: 'oc-ralph: Plan approved by user' },
       { name: 'oc-ralph:rejected', color: 'D93F0B', description: 'oc-ralph: Plan rejected by user' },
+      { name: 'oc-ralph:revise', color: 'FBCA04', description: 'oc-ralph: Revise plan using reviewer comments' },
       { name: 'oc-ralph:implementing', color: '1D76DB', description: 'oc-ralph: Implementation stage in progress' },
       { name: 'oc-ralph:testing', color: '5319E7', description: 'oc-ralph: Testing stage in progress' },
+      { name: 'oc-ralph:verifying', color: '5319E7', description: 'oc-ralph: Final checks before the pull request' },
       { name: 'oc-ralph:completing', color: '1D76DB', description: 'oc-ralph: Creating pull request' },
       { name: 'oc-ralph:completed', color: '0E8A16', description: 'oc-ralph: Orchestration completed successfully' },
       { name: 'oc-ralph:pr-created', color: '0E8A16', description: 'oc-ralph: Pull request created' },
       { name: 'oc-ralph:failed', color: 'D93F0B', description: 'oc-ralph: Orchestration failed' },
       { name: 'oc-ralph:paused', color: 'FBCA04', description: 'oc-ralph: Paused, manual intervention required' },
+      { name: 'oc-ralph:cancelled', color: 'B60205', description: 'oc-ralph: Cancelled, worktree left intact' },
       { name: 'oc-ralph:sub-issue', color: 'C5DEF5', description: 'oc-ralph: Sub-issue created by orchestrator' },
       { name: 'oc-ralph:implementation', color: '1D76DB', description: 'oc-ralph: Implementation task' },
       { name: 'oc-ralph:test', color: '5319E7', description: 'oc-ralph: Test task' },
       { name: 'oc-ralph:fix-attempt', color: 'FBCA04', description: 'oc-ralph: Test fix attempt' },
+      { name: 'oc-ralph:verification', color: 'FBCA04', description: 'oc-ralph: Fix for failed verification checks' },
+      { name: 'oc-ralph:regression', color: 'D93F0B', description: 'oc-ralph: Test fix that broke other tests' },
       { name: 'oc-ralph:test-failed', color: 'D93F0B', description: 'oc-ralph: Test failed' },
       { name: 'oc-ralph:max-attempts-reached', color: 'B60205', description: 'oc-ralph: Test failed after max fix attempts' },
       { name: 'oc-ralph:pending', color: 'EDEDED', description: 'oc-ralph: Task pending execution' },
       { name: 'oc-ralph:in-progress', color: 'FEF2C0', description: 'oc-ralph: Task currently being executed' },
       { name: 'oc-ralph:agent-complete', color: '0E8A16', description: 'oc-ralph: Agent finished working on this issue' },
+      { name: 'oc-ralph:skipped', color: 'EDEDED', description: 'oc-ralph: Task skipped by /ralph skip' },
+      { name: 'oc-ralph:priority-high', color: 'B60205', description: 'oc-ralph: Queue ahead of normal priority issues' },
+      { name: 'oc-ralph:priority-low', color: 'C5DEF5', description: 'oc-ralph: Queue behind normal priority issues' },
       { name: 'oc-ralph:orchestrated', color: '1D76DB', description: 'oc-ralph: PR created by orchestrator' }
     ];
   }
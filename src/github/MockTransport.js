@@ -0,0 +1,381 @@
+/**
+ * Mock transport - an in-memory GitHub for tests and offline runs
+ *
+ * Implements the slice of the API oc-ralph uses (issues, comments, labels,
+ * pull requests, the authenticated user, batched issue GraphQL queries) with
+ * GitHub's response shapes, ETags and Link pagination. Every request is
+ * recorded in `requests`; routes can be overridden with on().
+ */
+import crypto from 'crypto';
+
+const NOT_FOUND = { status: 404, data: { message: 'Not Found' } };
+
+export class MockTransport {
+  constructor(options = {}) {
+    this.name = 'mock';
+    this.user = { login: options.login || 'oc-ralph-bot', id: 1, type: 'User' };
+    this.repos = new Map(); // owner/repo -> { issues, comments, labels, pulls, nextNumber }
+    this.handlers = [];
+    this.requests = [];
+    this.nextId = 1;
+    this.rateLimit = { limit: 5000, remaining: 5000, reset: Math.floor(Date.now() / 1000) + 3600 };
+  }
+
+  /**
+   * Override a route, e.g. on('GET /repos/{owner}/{repo}/issues/{n}', handler)
+   *
+   * The handler gets ({ method, url, params, query, body, headers }) and
+   * returns { status, headers?, data }; returning undefined falls through
+   * to the built-in behaviour.
+   */
+  on(route, handler) {
+    const [method, template] = route.split(' ');
+    const pattern = new RegExp('^' + template.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{(\w+)\}/g, '(?<$1>[^/]+)') + '$');
+    this.handlers.push({ method, pattern, handler });
+    return this;
+  }
+
+  /**
+   * Seed a repository with issues and labels
+   */
+  seed(repo, { issues = [], labels = [] } = {}) {
+    const store = this.getRepo(repo);
+
+    for (const label of labels) {
+      this.addRepoLabel(store, typeof label === 'string' ? { name: label } : label);
+    }
+
+    for (const issue of issues) {
+      const created = this.createIssue(repo, store, issue);
+      for (const comment of issue.comments || []) {
+        this.createComment(repo, store, created.number, comment);
+      }
+      if (issue.state) {
+        created.state = issue.state.toLowerCase();
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * Handle a request
+   */
+  async request({ method, url, headers = {}, body }) {
+    const [pathname, search = ''] = url.split('?');
+    const query = Object.fromEntries(new URLSearchParams(search));
+
+    this.requests.push({ method, url, headers, body });
+
+    let response = null;
+
+    for (const { method: handlerMethod, pattern, handler } of this.handlers) {
+      const match = handlerMethod === method && pathname.match(pattern);
+      if (match) {
+        response = await handler({ method, url, params: match.groups || {}, query, body, headers });
+        if (response) break;
+      }
+    }
+
+    response = response || this.route(method, pathname, query, body) || NOT_FOUND;
+    this.rateLimit.remaining = Math.max(0, this.rateLimit.remaining - 1);
+
+    // Copies, so responses held by callers do not change with the store
+    const data = response.data === undefined || response.data === null ? null : structuredClone(response.data);
+    const responseHeaders = {
+      'x-ratelimit-limit': String(this.rateLimit.limit),
+      'x-ratelimit-remaining': String(this.rateLimit.remaining),
+      'x-ratelimit-reset': String(this.rateLimit.reset),
+      ...response.headers
+    };
+
+    if (method === 'GET' && response.status === 200) {
+      const etag = `"${crypto.createHash('sha1').update(JSON.stringify(data)).digest('hex')}"`;
+      responseHeaders.etag = etag;
+
+      if (headers['If-None-Match'] === etag) {
+        return { status: 304, headers: responseHeaders, data: null };
+      }
+    }
+
+    return { status: response.status, headers: responseHeaders, data };
+  }
+
+  /**
+   * Built-in routes
+   */
+  route(method, pathname, query, body) {
+    if (pathname === '/user' && method === 'GET') {
+      return { status: 200, data: this.user };
+    }
+
+    if (pathname === '/rate_limit' && method === 'GET') {
+      return { status: 200, data: { resources: { core: this.rateLimit }, rate: this.rateLimit } };
+    }
+
+    if (pathname === '/graphql' && method === 'POST') {
+      return this.graphql(body);
+    }
+
+    const match = pathname.match(/^\/repos\/([^/]+)\/([^/]+)(\/.*)?$/);
+    if (!match) {
+      return null;
+    }
+
+    const repo = `${decodeURIComponent(match[1])}/${decodeURIComponent(match[2])}`;
+    const store = this.getRepo(repo);
+    const parts = (match[3] || '').split('/').filter(Boolean).map(decodeURIComponent);
+    const [resource, id, sub, subId] = parts;
+    const number = parseInt(id);
+
+    if (resource === 'labels' && !id) {
+      if (method === 'GET') return this.page([...store.labels.values()], query, pathname);
+      if (method === 'POST') {
+        if (store.labels.has(body.name)) {
+          return { status: 422, data: { message: 'Validation Failed', errors: [{ code: 'already_exists' }] } };
+        }
+        return { status: 201, data: this.addRepoLabel(store, body) };
+      }
+    }
+
+    if (resource === 'issues' && !id) {
+      if (method === 'GET') return this.page(this.filterIssues(store, query), query, pathname);
+      if (method === 'POST') return { status: 201, data: this.createIssue(repo, store, body) };
+    }
+
+    if (resource === 'issues' && id) {
+      const issue = store.issues.get(number);
+      if (!issue) return null;
+
+      if (!sub) {
+        if (method === 'GET') return { status: 200, data: issue };
+        if (method === 'PATCH') {
+          for (const key of ['title', 'body', 'state']) {
+            if (body[key] !== undefined) issue[key] = body[key];
+          }
+          if (body.labels) issue.labels = body.labels.map(name => this.addRepoLabel(store, { name }));
+          issue.updated_at = new Date().toISOString();
+          return { status: 200, data: issue };
+        }
+      }
+
+      if (sub === 'comments') {
+        if (method === 'GET') return this.page(store.comments.get(number) || [], query, pathname);
+        if (method === 'POST') return { status: 201, data: this.createComment(repo, store, number, body) };
+      }
+
+      if (sub === 'labels') {
+        if (method === 'GET' && !subId) return this.page(issue.labels, query, pathname);
+        if (method === 'POST' && !subId) {
+          for (const name of body.labels || []) {
+            if (!issue.labels.some(l => l.name === name)) {
+              issue.labels.push(this.addRepoLabel(store, { name }));
+            }
+          }
+          return { status: 200, data: issue.labels };
+        }
+        if (method === 'DELETE' && subId) {
+          if (!issue.labels.some(l => l.name === subId)) {
+            return { status: 404, data: { message: 'Label does not exist' } };
+          }
+          issue.labels = issue.labels.filter(l => l.name !== subId);
+          return { status: 200, data: issue.labels };
+        }
+      }
+    }
+
+    if (resource === 'pulls' && !id) {
+      if (method === 'GET') {
+        const pulls = [...store.pulls.values()].filter(pr =>
+          (!query.state || query.state === 'all' || pr.state === query.state) &&
+          (!query.head || `${pr.head.user.login}:${pr.head.ref}` === query.head)
+        );
+        return this.page(pulls, query, pathname);
+      }
+      if (method === 'POST') {
+        const open = [...store.pulls.values()].some(pr => pr.state === 'open' && pr.head.ref === body.head);
+        if (open) {
+          return { status: 422, data: { message: `A pull request already exists for ${body.head}.` } };
+        }
+        return { status: 201, data: this.createPull(repo, store, body) };
+      }
+    }
+
+    if (resource === 'pulls' && id) {
+      const pull = store.pulls.get(number);
+      if (!pull) return null;
+
+      if (!sub && method === 'GET') return { status: 200, data: pull };
+      if (!sub && method === 'PATCH') {
+        for (const key of ['title', 'body', 'state']) {
+          if (body[key] !== undefined) pull[key] = body[key];
+        }
+        return { status: 200, data: pull };
+      }
+      if (sub === 'commits' && method === 'GET') return this.page([], query, pathname);
+      if (sub === 'files' && method === 'GET') return this.page([], query, pathname);
+    }
+
+    return null;
+  }
+
+  /**
+   * Answer `repository { alias: issue(number: N) { ... } }` queries
+   */
+  graphql({ query = '', variables = {} }) {
+    const store = this.repos.get(`${variables.owner}/${variables.name}`);
+
+    if (!store || !/repository\(/.test(query)) {
+      return { status: 200, data: { data: null, errors: [{ type: 'NOT_FOUND', message: 'Could not resolve to a Repository' }] } };
+    }
+
+    const repository = {};
+    const errors = [];
+
+    for (const [, alias, number] of query.matchAll(/(\w+):\s*issue\(number:\s*(\d+)\)/g)) {
+      const issue = store.issues.get(parseInt(number));
+
+      if (!issue || issue.pull_request) {
+        repository[alias] = null;
+        errors.push({ type: 'NOT_FOUND', path: ['repository', alias], message: `Could not resolve to an Issue with the number of ${number}.` });
+        continue;
+      }
+
+      repository[alias] = {
+        number: issue.number,
+        title: issue.title,
+        body: issue.body,
+        state: issue.state.toUpperCase(),
+        updatedAt: issue.updated_at,
+        url: issue.html_url,
+        labels: { nodes: issue.labels.map(({ name, color, description }) => ({ name, color, description })) }
+      };
+    }
+
+    return { status: 200, data: errors.length > 0 ? { data: { repository }, errors } : { data: { repository } } };
+  }
+
+  /**
+   * Repository store, created on first use
+   */
+  getRepo(repo) {
+    if (!this.repos.has(repo)) {
+      this.repos.set(repo, { issues: new Map(), comments: new Map(), labels: new Map(), pulls: new Map(), nextNumber: 1 });
+    }
+    return this.repos.get(repo);
+  }
+
+  addRepoLabel(store, { name, color = 'EDEDED', description = null }) {
+    if (!store.labels.has(name)) {
+      store.labels.set(name, { id: this.nextId++, name, color, description });
+    }
+    return store.labels.get(name);
+  }
+
+  createIssue(repo, store, { title, body = null, labels = [] }) {
+    const number = store.nextNumber++;
+    const now = new Date().toISOString();
+    const issue = {
+      id: this.nextId++,
+      node_id: `I_mock${number}`,
+      number,
+      title,
+      body,
+      state: 'open',
+      labels: labels.map(label => this.addRepoLabel(store, typeof label === 'string' ? { name: label } : label)),
+      comments: 0,
+      user: this.user,
+      html_url: `https://github.com/${repo}/issues/${number}`,
+      created_at: now,
+      updated_at: now
+    };
+
+    store.issues.set(number, issue);
+    return issue;
+  }
+
+  createComment(repo, store, issueNumber, { body, author }) {
+    const id = this.nextId++;
+    const comment = {
+      id,
+      node_id: `IC_mock${id}`,
+      body,
+      user: author ? { login: author, type: 'User' } : this.user,
+      html_url: `https://github.com/${repo}/issues/${issueNumber}#issuecomment-${id}`,
+      created_at: new Date().toISOString()
+    };
+
+    const comments = store.comments.get(issueNumber) || [];
+    comments.push(comment);
+    store.comments.set(issueNumber, comments);
+    store.issues.get(issueNumber).comments = comments.length;
+
+    return comment;
+  }
+
+  createPull(repo, store, { title, body = null, head, base, draft = false }) {
+    const number = store.nextNumber++;
+    const [owner] = repo.split('/');
+    const pull = {
+      id: this.nextId++,
+      number,
+      title,
+      body,
+      state: 'open',
+      draft,
+      merged: false,
+      mergeable: true,
+      head: { ref: head, user: { login: owner } },
+      base: { ref: base },
+      html_url: `https://github.com/${repo}/pull/${number}`
+    };
+
+    store.pulls.set(number, pull);
+    // Pull requests share the issue number space and show up in issue lists
+    store.issues.set(number, { ...this.createIssueShape(repo, number, title, body), pull_request: { url: pull.html_url } });
+
+    return pull;
+  }
+
+  createIssueShape(repo, number, title, body) {
+    return {
+      id: this.nextId++,
+      node_id: `PR_mock${number}`,
+      number,
+      title,
+      body,
+      state: 'open',
+      labels: [],
+      comments: 0,
+      user: this.user,
+      html_url: `https://github.com/${repo}/pull/${number}`
+    };
+  }
+
+  filterIssues(store, query) {
+    const state = query.state || 'open';
+    const labels = query.labels ? query.labels.split(',') : [];
+
+    return [...store.issues.values()].filter(issue =>
+      (state === 'all' || issue.state === state) &&
+      labels.every(name => issue.labels.some(l => l.name === name))
+    );
+  }
+
+  /**
+   * Slice a list the way GitHub pages it, with a Link header
+   */
+  page(items, query, pathname) {
+    const perPage = parseInt(query.per_page) || 30;
+    const page = parseInt(query.page) || 1;
+    const data = items.slice((page - 1) * perPage, page * perPage);
+    const headers = {};
+
+    if (page * perPage < items.length) {
+      const next = new URLSearchParams({ ...query, page: String(page + 1) });
+      headers.link = `<https://api.github.com${pathname}?${next}>; rel="next"`;
+    }
+
+    return { status: 200, headers, data };
+  }
+}
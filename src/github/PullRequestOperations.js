@@ -36,33 +36,30 @@ export class PullRequestOperations {
     });
 
     try {
-      // Use gh CLI to create PR
-      const command = [
-        'pr create',
-        `--repo ${owner}/${repo}`,
-        `--title "${prData.title.replace(/"/g, '\\"')}"`,
-        `--body "${prData.body.replace(/"/g, '\\"')}"`,
-        `--base ${prData.base}`,
-        `--head ${prData.head}`,
-        prData.draft ? '--draft' : ''
-      ].filter(Boolean).join(' ');
-      
-      const prUrl = await this.githubClient.exec(command);
-
-      // Extract PR number from URL
-      const prNumber = parseInt(prUrl.split('/').pop());
+      const response = await this.githubClient.request(
+        'POST /repos/{owner}/{repo}/pulls',
+        {
+          owner,
+          repo,
+          title: prData.title,
+          body: prData.body,
+          head: prData.head,
+          base: prData.base,
+          draft: !!prData.draft
+        }
+      );
 
       this.logger.info('Pull request created', {
-        prNumber,
-        url: prUrl
+        prNumber: response.data.number,
+        url: response.data.html_url
       });
 
       return {
-        number: prNumber,
-        url: prUrl,
-        title: prData.title,
-        state: 'open',
-        html_url: prUrl
+        number: response.data.number,
+        url: response.data.html_url,
+        title: response.data.title,
+        state: response.data.state,
+        html_url: response.data.html_url
       };
     } catch (error) {
       this.logger.error('Failed to create pull request', {
@@ -117,6 +114,50 @@ export class PullRequestOperations {
     }
   }
 
+  /**
+   * Find an open pull request for a head branch
+   * 
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} head - Branch to merge from
+   * @returns {Promise<Object|null>} PR data, or null if none is open
+   */
+  async findOpenPullRequest(owner, repo, head) {
+    this.logger.debug('Looking up open pull request', { owner, repo, head });
+
+    try {
+      const response = await this.githubClient.request(
+        'GET /repos/{owner}/{repo}/pulls',
+        {
+          owner,
+          repo,
+          head: `${owner}:${head}`,
+          state: 'open'
+        }
+      );
+
+      if (!response.data || response.data.length === 0) {
+        return null;
+      }
+
+      const [pr] = response.data;
+
+      return {
+        number: pr.number,
+        url: pr.html_url,
+        title: pr.title,
+        state: pr.state,
+        html_url: pr.html_url
+      };
+    } catch (error) {
+      this.logger.error('Failed to look up pull request', {
+        error: error.message,
+        head
+      });
+      throw error;
+    }
+  }
+
   /**
    * Update pull request
    * 
@@ -243,7 +284,7 @@ export class PullRequestOperations {
     this.logger.debug('Getting PR commits', { prNumber });
 
     try {
-      const response = await this.githubClient.request(
+      const commits = await this.githubClient.paginate(
         'GET /repos/{owner}/{repo}/pulls/{pull_number}/commits',
         {
           owner,
@@ -252,7 +293,7 @@ export class PullRequestOperations {
         }
       );
 
-      return response.data.map(commit => ({
+      return commits.map(commit => ({
         sha: commit.sha,
         message: commit.commit.message,
         author: commit.commit.author.name,
@@ -279,7 +320,7 @@ export class PullRequestOperations {
     this.logger.debug('Getting PR files', { prNumber });
 
     try {
-      const response = await this.githubClient.request(
+      const files = await this.githubClient.paginate(
         'GET /repos/{owner}/{repo}/pulls/{pull_number}/files',
         {
           owner,
@@ -288,7 +329,7 @@ export class PullRequestOperations {
         }
       );
 
-      return response.data.map(file => ({
+      return files.map(file => ({
         filename: file.filename,
         status: file.status,
         additions: file.additions,
@@ -318,10 +359,20 @@ export class PullRequestOperations {
       testTaskCount,
       implResult,
       testResult,
+      verificationResult,
       commitCount,
       filesChanged
     } = data;
 
+    const verificationSection = verificationResult?.checks ? `
+## Verification
+
+Final checks on the branch${verificationResult.fixAttempts > 0 ? ` (passed after ${verificationResult.fixAttempts} fix attempt(s))` : ''}:
+${verificationResult.checks.map(check =>
+  `- ${check.passed ? '✅' : '❌'} **${check.name}**: \`${check.command}\`${check.counts ? ` - ${check.counts.passed}/${check.counts.total} tests passed` : ''} (${(check.durationMs / 1000).toFixed(1)}s)`
+).join('\n')}
+` : '';
+
     return `# Orchestrated Implementation - Issue #${masterIssueNumber}
 
 ## Summary
@@ -335,7 +386,8 @@ ${spec}
 ## Implementation Summary
 
 - **Implementation Tasks Completed**: ${implTaskCount} (${implResult?.completed || 0} completed, ${implResult?.failed || 0} failed)
-- **Tests Passed**: ${testResult?.passed || 0}/${testResult?.total || 0} (${testResult?.passRate || 0}%)
+- **Tests Passed**: ${testResult?.passed || 0}/${testResult?.total || 0} (${testResult?.passRate || 0}%)${testResult?.cases ? `
+- **Test Cases**: ${testResult.cases.passed}/${testResult.cases.total} passed (${testResult.cases.failed} failed, ${testResult.cases.skipped} skipped)` : ''}
 - **Commits**: ${commitCount || 0}
 - **Files Changed**: ${filesChanged || 0}
 
@@ -352,7 +404,7 @@ All tests have been executed and verified:
 ${testResult?.details ? testResult.details.map(t => 
   `- ${t.passed ? '✅' : '❌'} #${t.issueNumber}: ${t.title}${t.fixAttempts > 0 ? ` (fixed after ${t.fixAttempts} attempt(s))` : ''}`
 ).join('\n') : '- No test details available'}
-
+${verificationSection}
 ## Related Issues
 
 Closes #${masterIssueNumber}
@@ -0,0 +1,60 @@
+/**
+ * REST transport - talks to the GitHub API over HTTPS with token auth
+ * (other trackers pass their own `authScheme` and default `headers`)
+ *
+ * Transports take { method, url, headers, body } and resolve to
+ * { status, headers, data } for every HTTP response (errors included);
+ * GitHubClient turns failed statuses into typed errors.
+ */
+export class RestTransport {
+  constructor(options = {}) {
+    this.name = 'rest';
+    this.token = options.token || null;
+    this.authScheme = options.authScheme || 'Bearer';
+    this.baseUrl = (options.apiUrl || 'https://api.github.com').replace(/\/$/, '');
+    this.headers = options.headers || {
+      Accept: 'application/vnd.github+json',
+      'X-GitHub-Api-Version': '2022-11-28'
+    };
+  }
+
+  /**
+   * Send a request
+   */
+  async request({ method, url, headers = {}, body }) {
+    const response = await fetch(`${this.baseUrl}${url}`, {
+      method,
+      headers: {
+        ...this.headers,
+        'User-Agent': 'oc-ralph',
+        ...(this.token ? { Authorization: `${this.authScheme} ${this.token}` } : {}),
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...headers
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+
+    const text = await response.text();
+
+    return {
+      status: response.status,
+      headers: Object.fromEntries(response.headers),
+      data: parseBody(text)
+    };
+  }
+}
+
+/**
+ * Parse a response body (JSON when possible, null when empty)
+ */
+export function parseBody(text) {
+  if (!text) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+}
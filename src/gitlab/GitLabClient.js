@@ -0,0 +1,61 @@
+/**
+ * GitLab API client
+ *
+ * Sends GitLab REST (/api/v4) requests through ApiClient, so GitLab shares the
+ * request cache, ETag revalidation, Link pagination and rate limit governor
+ * with the other trackers. Projects are addressed by their URL-encoded path
+ * ('group/project'), which is what oc-ralph calls the repository.
+ */
+import { ApiClient } from '../trackers/ApiClient.js';
+import { RestTransport } from '../github/RestTransport.js';
+
+export class GitLabClient extends ApiClient {
+  /**
+   * @param {Object} logger
+   * @param {Object} options - The `tracker` config section
+   * @param {string} options.url - Server URL (default https://gitlab.com)
+   * @param {string} options.token - Access token (defaults to GITLAB_TOKEN)
+   * @param {Object} options.transport - Transport instance (replaces HTTPS)
+   * @param {number} options.cacheTtl - How long GET responses are reused, in ms
+   */
+  constructor(logger, options = {}) {
+    const url = (options.url || 'https://gitlab.com').replace(/\/$/, '');
+    const apiUrl = `${url}/api/v4`;
+
+    super(logger, options.transport || new RestTransport({
+      token: options.token || process.env.GITLAB_TOKEN,
+      apiUrl,
+      headers: { Accept: 'application/json' }
+    }), { apiUrl, cacheTtl: options.cacheTtl });
+
+    this.webUrl = url;
+  }
+
+  /**
+   * Login (username) of the authenticated user
+   */
+  async getAuthenticatedUser() {
+    const { data } = await this.request('GET /user');
+    return data.username;
+  }
+
+  createError(route, response) {
+    const error = super.createError(route, response);
+    const message = response.data?.message || response.data?.error;
+
+    if (message) {
+      error.message = `GitLab API error: ${route} → ${response.status} ${typeof message === 'string' ? message : JSON.stringify(message)}`;
+    }
+
+    return error;
+  }
+
+  repoScope(repo) {
+    return `/projects/${encodeURIComponent(repo)}/`;
+  }
+
+  cacheScope(url) {
+    const match = url.match(/^\/projects\/[^/?]+/);
+    return match ? `${match[0]}/` : '';
+  }
+}
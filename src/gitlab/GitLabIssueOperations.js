@@ -0,0 +1,238 @@
+/**
+ * GitLab issue operations
+ *
+ * Same interface as the GitHub IssueOperations. Issues are addressed by their
+ * project IID and returned in the same (gh CLI) shape: `number` is the IID,
+ * the description becomes `body` and opened/closed become OPEN/CLOSED.
+ * System notes (label changes and the like) are not reported as comments.
+ */
+import { IssueOperations } from '../github/IssueOperations.js';
+
+const BATCH_SIZE = 100;
+
+export class GitLabIssueOperations extends IssueOperations {
+  /**
+   * Get issue by number (IID)
+   */
+  async getIssue(repo, issueNumber) {
+    this.logger.debug('Getting issue', { repo, issueNumber });
+
+    const { data } = await this.client.request('GET /projects/{id}/issues/{iid}', {
+      id: repo,
+      iid: issueNumber,
+      with_labels_details: true
+    });
+
+    const issue = normalizeIssue(data);
+    issue.comments = data.user_notes_count > 0 ? await this.listComments(repo, issueNumber) : [];
+
+    return issue;
+  }
+
+  /**
+   * Get several issues, one request per 100 issues (no comments)
+   *
+   * @returns {Promise<Map>} issueNumber -> issue (missing issues are left out)
+   */
+  async getIssues(repo, issueNumbers) {
+    const numbers = [...new Set(issueNumbers.map(n => parseInt(n)))];
+    const issues = new Map();
+
+    this.logger.debug('Getting issues in batch', { repo, count: numbers.length });
+
+    for (let i = 0; i < numbers.length; i += BATCH_SIZE) {
+      const batch = await this.client.paginate('GET /projects/{id}/issues', {
+        id: repo,
+        iids: numbers.slice(i, i + BATCH_SIZE),
+        scope: 'all',
+        with_labels_details: true
+      });
+
+      for (const data of batch) {
+        issues.set(data.iid, normalizeIssue(data));
+      }
+    }
+
+    return issues;
+  }
+
+  /**
+   * Create new issue
+   */
+  async createIssue(repo, options) {
+    this.logger.info('Creating issue', { repo, title: options.title });
+
+    const { data } = await this.client.request('POST /projects/{id}/issues', {
+      id: repo,
+      title: options.title,
+      description: options.body || '',
+      labels: (options.labels || []).join(',')
+    });
+
+    this.logger.info('Issue created', { repo, issueNumber: data.iid });
+
+    return { number: data.iid, url: data.web_url };
+  }
+
+  /**
+   * Update issue
+   */
+  async updateIssue(repo, issueNumber, updates) {
+    this.logger.debug('Updating issue', { repo, issueNumber });
+
+    const fields = {};
+
+    if (updates.title) {
+      fields.title = updates.title;
+    }
+
+    if (updates.body) {
+      fields.description = updates.body;
+    }
+
+    await this.client.request('PUT /projects/{id}/issues/{iid}', {
+      id: repo,
+      iid: issueNumber,
+      ...fields
+    });
+
+    this.logger.debug('Issue updated', { repo, issueNumber });
+  }
+
+  /**
+   * Close issue
+   */
+  async closeIssue(repo, issueNumber, comment = null) {
+    this.logger.info('Closing issue', { repo, issueNumber });
+
+    if (comment) {
+      await this.addComment(repo, issueNumber, comment);
+    }
+
+    await this.client.request('PUT /projects/{id}/issues/{iid}', {
+      id: repo,
+      iid: issueNumber,
+      state_event: 'close'
+    });
+
+    this.logger.info('Issue closed', { repo, issueNumber });
+  }
+
+  /**
+   * Add comment (note) to issue
+   */
+  async addComment(repo, issueNumber, body) {
+    this.logger.debug('Adding comment to issue', { repo, issueNumber });
+
+    await this.client.request('POST /projects/{id}/issues/{iid}/notes', {
+      id: repo,
+      iid: issueNumber,
+      body
+    });
+
+    this.logger.debug('Comment added', { repo, issueNumber });
+  }
+
+  /**
+   * Add labels to issue (GitLab creates labels the project does not have)
+   */
+  async addLabels(repo, issueNumber, labels) {
+    if (!labels || labels.length === 0) return;
+
+    this.logger.debug('Adding labels to issue', { repo, issueNumber, labels });
+
+    await this.client.request('PUT /projects/{id}/issues/{iid}', {
+      id: repo,
+      iid: issueNumber,
+      add_labels: labels.join(',')
+    });
+
+    this.logger.debug('Labels added', { repo, issueNumber });
+  }
+
+  /**
+   * Remove labels from issue
+   */
+  async removeLabels(repo, issueNumber, labels) {
+    if (!labels || labels.length === 0) return;
+
+    this.logger.debug('Removing labels from issue', { repo, issueNumber, labels });
+
+    await this.client.request('PUT /projects/{id}/issues/{iid}', {
+      id: repo,
+      iid: issueNumber,
+      remove_labels: labels.join(',')
+    });
+
+    this.logger.debug('Labels removed', { repo, issueNumber });
+  }
+
+  /**
+   * Fetch all user comments on an issue, oldest first
+   */
+  async listComments(repo, issueNumber) {
+    const notes = await this.client.paginate('GET /projects/{id}/issues/{iid}/notes', {
+      id: repo,
+      iid: issueNumber,
+      sort: 'asc',
+      order_by: 'created_at'
+    });
+
+    const issueUrl = this.getIssueUrl(repo, issueNumber);
+
+    return notes
+      .filter(note => !note.system)
+      .map(note => ({
+        id: String(note.id),
+        author: { login: note.author?.username || null },
+        body: note.body || '',
+        createdAt: note.created_at,
+        url: `${issueUrl}#note_${note.id}`
+      }));
+  }
+
+  /**
+   * List issues with filters
+   *
+   * @param {string} repo - group/project
+   * @param {Object} filters - { label, state: open|closed|all }
+   */
+  async listIssues(repo, filters = {}) {
+    this.logger.debug('Listing issues', { repo, filters });
+
+    const states = { open: 'opened', closed: 'closed', all: undefined };
+    const issues = await this.client.paginate('GET /projects/{id}/issues', {
+      id: repo,
+      labels: filters.label,
+      state: states[filters.state || 'open'],
+      scope: 'all',
+      with_labels_details: true
+    });
+
+    return issues.map(normalizeIssue);
+  }
+
+  /**
+   * Web URL of an issue
+   */
+  getIssueUrl(repo, issueNumber) {
+    return `${this.client.webUrl}/${repo}/-/issues/${issueNumber}`;
+  }
+}
+
+/**
+ * GitLab issue -> gh CLI issue shape
+ */
+export function normalizeIssue(issue) {
+  return {
+    number: issue.iid,
+    title: issue.title,
+    body: issue.description || '',
+    state: issue.state === 'opened' ? 'OPEN' : 'CLOSED',
+    updatedAt: issue.updated_at || null,
+    labels: (issue.labels || []).map(label => typeof label === 'string'
+      ? { name: label }
+      : { name: label.name, color: (label.color || '').replace(/^#/, ''), description: label.description }),
+    url: issue.web_url
+  };
+}
@@ -0,0 +1,83 @@
+/**
+ * GitLab label operations
+ *
+ * Labels are set through the issue's add_labels / remove_labels fields, which
+ * also create labels the project does not have yet. Colors carry a '#'.
+ */
+import { LabelOperations } from '../github/LabelOperations.js';
+
+export class GitLabLabelOperations extends LabelOperations {
+  /**
+   * Get all labels for an issue
+   */
+  async getLabels(repo, issueNumber) {
+    const { data } = await this.client.request('GET /projects/{id}/issues/{iid}', {
+      id: repo,
+      iid: issueNumber
+    });
+    return data.labels || [];
+  }
+
+  /**
+   * Add label to issue
+   */
+  async addLabel(repo, issueNumber, label) {
+    this.logger.debug('Adding label', { repo, issueNumber, label });
+
+    // For dynamic labels (like worktree labels), ensure they exist with their color first
+    if (label.startsWith('oc-ralph:worktree:')) {
+      await this.ensureLabelExists(repo, label);
+    }
+
+    await this.client.request('PUT /projects/{id}/issues/{iid}', {
+      id: repo,
+      iid: issueNumber,
+      add_labels: label
+    });
+
+    this.logger.debug('Label added', { repo, issueNumber, label });
+  }
+
+  /**
+   * Remove label from issue
+   */
+  async removeLabel(repo, issueNumber, label) {
+    this.logger.debug('Removing label', { repo, issueNumber, label });
+
+    await this.client.request('PUT /projects/{id}/issues/{iid}', {
+      id: repo,
+      iid: issueNumber,
+      remove_labels: label
+    });
+
+    this.logger.debug('Label removed', { repo, issueNumber, label });
+  }
+
+  /**
+   * List all labels in project
+   */
+  async listLabels(repo) {
+    const labels = await this.client.paginate('GET /projects/{id}/labels', { id: repo });
+    return labels.map(({ name, color, description }) => ({
+      name,
+      color: (color || '').replace(/^#/, ''),
+      description
+    }));
+  }
+
+  /**
+   * Create a label
+   */
+  async createLabel(repo, label) {
+    this.logger.debug('Creating label', { repo, label: label.name });
+
+    await this.client.request('POST /projects/{id}/labels', {
+      id: repo,
+      name: label.name,
+      color: `#${label.color.replace(/^#/, '')}`,
+      description: label.description
+    });
+
+    this.logger.debug('Label created', { repo, label: label.name });
+  }
+}
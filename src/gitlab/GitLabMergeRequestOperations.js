@@ -0,0 +1,238 @@
+/**
+ * Merge Request Operations - GitLab's pull requests
+ *
+ * Same interface and return shapes as PullRequestOperations (`number` is the
+ * merge request IID), so the completion stage works unchanged. Drafts use
+ * GitLab's "Draft:" title prefix.
+ */
+import { PullRequestOperations } from '../github/PullRequestOperations.js';
+
+export class GitLabMergeRequestOperations extends PullRequestOperations {
+  /**
+   * Create a merge request
+   */
+  async createPullRequest(owner, repo, prData) {
+    this.logger.info('Creating merge request', {
+      owner,
+      repo,
+      head: prData.head,
+      base: prData.base,
+      title: prData.title
+    });
+
+    try {
+      const { data } = await this.githubClient.request('POST /projects/{id}/merge_requests', {
+        id: `${owner}/${repo}`,
+        title: prData.draft ? `Draft: ${prData.title}` : prData.title,
+        description: prData.body,
+        source_branch: prData.head,
+        target_branch: prData.base
+      });
+
+      this.logger.info('Merge request created', {
+        prNumber: data.iid,
+        url: data.web_url
+      });
+
+      return toPullRequest(data);
+    } catch (error) {
+      this.logger.error('Failed to create merge request', {
+        error: error.message,
+        owner,
+        repo,
+        head: prData.head
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get merge request by number (IID)
+   */
+  async getPullRequest(owner, repo, prNumber) {
+    this.logger.debug('Getting merge request', { owner, repo, prNumber });
+
+    try {
+      const { data } = await this.githubClient.request('GET /projects/{id}/merge_requests/{iid}', {
+        id: `${owner}/${repo}`,
+        iid: prNumber
+      });
+
+      return {
+        number: data.iid,
+        title: data.title,
+        body: data.description || '',
+        state: data.state,
+        draft: !!data.draft,
+        url: data.web_url,
+        head: data.source_branch,
+        base: data.target_branch,
+        mergeable: data.detailed_merge_status === 'mergeable' || data.merge_status === 'can_be_merged',
+        merged: data.state === 'merged'
+      };
+    } catch (error) {
+      this.logger.error('Failed to get merge request', {
+        error: error.message,
+        prNumber
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Find an open merge request for a source branch
+   */
+  async findOpenPullRequest(owner, repo, head) {
+    this.logger.debug('Looking up open merge request', { owner, repo, head });
+
+    try {
+      const { data } = await this.githubClient.request('GET /projects/{id}/merge_requests', {
+        id: `${owner}/${repo}`,
+        source_branch: head,
+        state: 'opened'
+      });
+
+      return data.length > 0 ? toPullRequest(data[0]) : null;
+    } catch (error) {
+      this.logger.error('Failed to look up merge request', {
+        error: error.message,
+        head
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Update merge request (title, body, state: open|closed)
+   */
+  async updatePullRequest(owner, repo, prNumber, updates) {
+    this.logger.info('Updating merge request', { owner, repo, prNumber });
+
+    const fields = {};
+    if (updates.title) fields.title = updates.title;
+    if (updates.body !== undefined) fields.description = updates.body;
+    if (updates.base) fields.target_branch = updates.base;
+    if (updates.state) fields.state_event = updates.state === 'closed' ? 'close' : 'reopen';
+
+    try {
+      const { data } = await this.githubClient.request('PUT /projects/{id}/merge_requests/{iid}', {
+        id: `${owner}/${repo}`,
+        iid: prNumber,
+        ...fields
+      });
+
+      this.logger.info('Merge request updated', { prNumber });
+
+      return {
+        number: data.iid,
+        title: data.title,
+        body: data.description || '',
+        state: data.state,
+        url: data.web_url
+      };
+    } catch (error) {
+      this.logger.error('Failed to update merge request', {
+        error: error.message,
+        prNumber
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Add labels to merge request
+   */
+  async addLabels(owner, repo, prNumber, labels) {
+    this.logger.info('Adding labels to merge request', { prNumber, labels });
+
+    try {
+      await this.githubClient.request('PUT /projects/{id}/merge_requests/{iid}', {
+        id: `${owner}/${repo}`,
+        iid: prNumber,
+        add_labels: labels.join(',')
+      });
+
+      this.logger.info('Labels added to merge request', { prNumber });
+    } catch (error) {
+      this.logger.error('Failed to add labels to merge request', {
+        error: error.message,
+        prNumber
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get commits in merge request
+   */
+  async getPRCommits(owner, repo, prNumber) {
+    this.logger.debug('Getting merge request commits', { prNumber });
+
+    try {
+      const commits = await this.githubClient.paginate('GET /projects/{id}/merge_requests/{iid}/commits', {
+        id: `${owner}/${repo}`,
+        iid: prNumber
+      });
+
+      return commits.map(commit => ({
+        sha: commit.id,
+        message: commit.message,
+        author: commit.author_name,
+        date: commit.authored_date
+      }));
+    } catch (error) {
+      this.logger.error('Failed to get merge request commits', {
+        error: error.message,
+        prNumber
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get files changed in merge request
+   */
+  async getPRFiles(owner, repo, prNumber) {
+    this.logger.debug('Getting merge request files', { prNumber });
+
+    try {
+      const diffs = await this.githubClient.paginate('GET /projects/{id}/merge_requests/{iid}/diffs', {
+        id: `${owner}/${repo}`,
+        iid: prNumber
+      });
+
+      return diffs.map(diff => {
+        const lines = (diff.diff || '').split('\n');
+        const additions = lines.filter(line => line.startsWith('+') && !line.startsWith('+++')).length;
+        const deletions = lines.filter(line => line.startsWith('-') && !line.startsWith('---')).length;
+
+        return {
+          filename: diff.new_path,
+          status: diff.new_file ? 'added' : diff.deleted_file ? 'removed' : diff.renamed_file ? 'renamed' : 'modified',
+          additions,
+          deletions,
+          changes: additions + deletions
+        };
+      });
+    } catch (error) {
+      this.logger.error('Failed to get merge request files', {
+        error: error.message,
+        prNumber
+      });
+      throw error;
+    }
+  }
+}
+
+/**
+ * GitLab merge request -> PullRequestOperations result shape
+ */
+function toPullRequest(data) {
+  return {
+    number: data.iid,
+    url: data.web_url,
+    title: data.title,
+    state: data.state,
+    html_url: data.web_url
+  };
+}
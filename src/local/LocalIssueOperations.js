@@ -0,0 +1,215 @@
+/**
+ * Local issue operations - IssueOperations over the file-based store
+ *
+ * Same interface and issue shapes as the tracker backends.
+ */
+import path from 'path';
+import { IssueOperations } from '../github/IssueOperations.js';
+
+export class LocalIssueOperations extends IssueOperations {
+  /**
+   * Get issue by number
+   */
+  async getIssue(repo, issueNumber) {
+    this.logger.debug('Getting issue', { repo, issueNumber });
+
+    const issue = this.readIssue(issueNumber);
+    return { ...this.normalize(issue), comments: issue.comments.map(comment => ({ ...comment })) };
+  }
+
+  /**
+   * Get several issues (no comments)
+   *
+   * @returns {Promise<Map>} issueNumber -> issue (missing issues are left out)
+   */
+  async getIssues(repo, issueNumbers) {
+    const issues = new Map();
+
+    for (const number of new Set(issueNumbers.map(n => parseInt(n)))) {
+      const issue = this.client.readIssue(number);
+      if (issue) {
+        issues.set(number, this.normalize(issue));
+      }
+    }
+
+    return issues;
+  }
+
+  /**
+   * Create new issue
+   */
+  async createIssue(repo, options) {
+    this.logger.info('Creating issue', { repo, title: options.title });
+
+    const number = this.client.nextNumber();
+    const labels = options.labels || [];
+    labels.forEach(name => this.client.ensureLabel(name));
+
+    this.client.writeIssue({
+      number,
+      title: options.title,
+      body: options.body || '',
+      state: 'open',
+      labels,
+      comments: [],
+      createdAt: new Date().toISOString()
+    });
+
+    this.logger.info('Issue created', { repo, issueNumber: number });
+
+    return { number, url: this.getIssueUrl(repo, number) };
+  }
+
+  /**
+   * Update issue
+   */
+  async updateIssue(repo, issueNumber, updates) {
+    this.logger.debug('Updating issue', { repo, issueNumber });
+
+    const issue = this.readIssue(issueNumber);
+
+    if (updates.title) {
+      issue.title = updates.title;
+    }
+
+    if (updates.body) {
+      issue.body = updates.body;
+    }
+
+    this.client.writeIssue(issue);
+
+    this.logger.debug('Issue updated', { repo, issueNumber });
+  }
+
+  /**
+   * Close issue
+   */
+  async closeIssue(repo, issueNumber, comment = null) {
+    this.logger.info('Closing issue', { repo, issueNumber });
+
+    if (comment) {
+      await this.addComment(repo, issueNumber, comment);
+    }
+
+    const issue = this.readIssue(issueNumber);
+    issue.state = 'closed';
+    this.client.writeIssue(issue);
+
+    this.logger.info('Issue closed', { repo, issueNumber });
+  }
+
+  /**
+   * Add comment to issue
+   */
+  async addComment(repo, issueNumber, body) {
+    this.logger.debug('Adding comment to issue', { repo, issueNumber });
+
+    const issue = this.readIssue(issueNumber);
+    const id = `local-${issueNumber}-${issue.comments.length + 1}`;
+    issue.comments.push({
+      id,
+      author: { login: this.client.user },
+      body,
+      createdAt: new Date().toISOString(),
+      url: `${this.getIssueUrl(repo, issueNumber)}#${id}`
+    });
+    this.client.writeIssue(issue);
+
+    this.logger.debug('Comment added', { repo, issueNumber });
+  }
+
+  /**
+   * Add labels to issue
+   */
+  async addLabels(repo, issueNumber, labels) {
+    if (!labels || labels.length === 0) return;
+
+    this.logger.debug('Adding labels to issue', { repo, issueNumber, labels });
+
+    const issue = this.readIssue(issueNumber);
+    for (const name of labels) {
+      this.client.ensureLabel(name);
+      if (!issue.labels.includes(name)) {
+        issue.labels.push(name);
+      }
+    }
+    this.client.writeIssue(issue);
+
+    this.logger.debug('Labels added', { repo, issueNumber });
+  }
+
+  /**
+   * Remove labels from issue
+   */
+  async removeLabels(repo, issueNumber, labels) {
+    if (!labels || labels.length === 0) return;
+
+    this.logger.debug('Removing labels from issue', { repo, issueNumber, labels });
+
+    const issue = this.readIssue(issueNumber);
+    issue.labels = issue.labels.filter(name => !labels.includes(name));
+    this.client.writeIssue(issue);
+
+    this.logger.debug('Labels removed', { repo, issueNumber });
+  }
+
+  /**
+   * Fetch all comments on an issue
+   */
+  async listComments(repo, issueNumber) {
+    return this.readIssue(issueNumber).comments.map(comment => ({ ...comment }));
+  }
+
+  /**
+   * List issues with filters
+   *
+   * @param {string} repo - owner/repo
+   * @param {Object} filters - { label, state: open|closed|all }
+   */
+  async listIssues(repo, filters = {}) {
+    this.logger.debug('Listing issues', { repo, filters });
+
+    const state = filters.state || 'open';
+    const labels = filters.label ? filters.label.split(',') : [];
+
+    return this.client.listIssues()
+      .filter(issue => (state === 'all' || issue.state === state) && labels.every(name => issue.labels.includes(name)))
+      .map(issue => this.normalize(issue));
+  }
+
+  /**
+   * Path of an issue's file (there is no web UI)
+   */
+  getIssueUrl(repo, issueNumber) {
+    return path.resolve(this.client.issueFile(issueNumber));
+  }
+
+  readIssue(issueNumber) {
+    const issue = this.client.readIssue(issueNumber);
+    if (!issue) {
+      throw new Error(`Local issue #${issueNumber} not found in ${this.client.dir}`);
+    }
+    return issue;
+  }
+
+  /**
+   * Stored issue -> gh CLI issue shape
+   */
+  normalize(issue) {
+    const definitions = new Map(this.client.readLabels().map(label => [label.name, label]));
+
+    return {
+      number: issue.number,
+      title: issue.title,
+      body: issue.body || '',
+      state: issue.state.toUpperCase(),
+      updatedAt: issue.updatedAt || null,
+      labels: issue.labels.map(name => ({
+        name,
+        color: definitions.get(name)?.color,
+        description: definitions.get(name)?.description
+      })),
+      url: this.getIssueUrl(null, issue.number)
+    };
+  }
+}
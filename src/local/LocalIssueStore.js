@@ -0,0 +1,182 @@
+/**
+ * LocalIssueStore - a file-based issue tracker for offline runs
+ *
+ * Keeps issues, labels and pull requests under .oc-ralph/local/:
+ *
+ *   issues/<n>.json   master issues and sub-issues, with their labels and comments
+ *   labels.json       the label definitions
+ *   pulls/<n>.json    pull requests (the completion stage's local branch)
+ *   pulls/<n>.md      the pull request description, ready to paste into a PR
+ *
+ * Files are re-read on every call, so labels or comments added by hand (or
+ * by an agent, e.g. oc-ralph:agent-complete) are picked up by the pollers.
+ * Issues and pull requests share one number space, as on GitHub.
+ *
+ * Also plays the tracker client role (authenticated user, budget, cache
+ * invalidation) for the local operations.
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { RateLimitGovernor } from '../trackers/RateLimitGovernor.js';
+
+export class LocalIssueStore {
+  /**
+   * @param {Object} logger
+   * @param {Object} options
+   * @param {string} options.dir - Store directory (default .oc-ralph/local)
+   * @param {string} options.user - Login recorded as comment author (default: OS user)
+   */
+  constructor(logger, options = {}) {
+    this.logger = logger;
+    this.dir = options.dir || path.join('.oc-ralph', 'local');
+    this.user = options.user || safeUsername();
+    // Never throttles - there is no API budget - but the pollers ask it for intervals
+    this.governor = new RateLimitGovernor(logger);
+  }
+
+  issueFile(number) {
+    return path.join(this.dir, 'issues', `${number}.json`);
+  }
+
+  pullFile(number, extension = 'json') {
+    return path.join(this.dir, 'pulls', `${number}.${extension}`);
+  }
+
+  /**
+   * Read an issue (null if it does not exist)
+   */
+  readIssue(number) {
+    return readJSON(this.issueFile(parseInt(number)));
+  }
+
+  writeIssue(issue) {
+    issue.updatedAt = new Date().toISOString();
+    writeJSON(this.issueFile(issue.number), issue);
+    return issue;
+  }
+
+  /**
+   * All issues, by number
+   */
+  listIssues() {
+    return this.listNumbers('issues').map(number => this.readIssue(number)).filter(Boolean);
+  }
+
+  readPull(number) {
+    return readJSON(this.pullFile(parseInt(number)));
+  }
+
+  /**
+   * Save a pull request and render its description markdown next to it
+   */
+  writePull(pull) {
+    pull.updatedAt = new Date().toISOString();
+    writeJSON(this.pullFile(pull.number), pull);
+    writeText(this.pullFile(pull.number, 'md'), renderPull(pull));
+    return pull;
+  }
+
+  listPulls() {
+    return this.listNumbers('pulls').map(number => this.readPull(number)).filter(Boolean);
+  }
+
+  /**
+   * Next free issue / pull request number
+   */
+  nextNumber() {
+    const numbers = [...this.listNumbers('issues'), ...this.listNumbers('pulls')];
+    return numbers.length > 0 ? Math.max(...numbers) + 1 : 1;
+  }
+
+  listNumbers(kind) {
+    const dir = path.join(this.dir, kind);
+    if (!fs.existsSync(dir)) {
+      return [];
+    }
+
+    return fs.readdirSync(dir)
+      .map(file => file.match(/^(\d+)\.json$/))
+      .filter(Boolean)
+      .map(match => parseInt(match[1]))
+      .sort((a, b) => a - b);
+  }
+
+  readLabels() {
+    return readJSON(path.join(this.dir, 'labels.json')) || [];
+  }
+
+  writeLabels(labels) {
+    writeJSON(path.join(this.dir, 'labels.json'), labels);
+  }
+
+  /**
+   * Label definition, created on first use
+   */
+  ensureLabel(name) {
+    const labels = this.readLabels();
+    let label = labels.find(l => l.name === name);
+
+    if (!label) {
+      label = { name, color: 'EDEDED', description: null };
+      this.writeLabels([...labels, label]);
+    }
+
+    return label;
+  }
+
+  async getAuthenticatedUser() {
+    return this.user;
+  }
+
+  async checkAuth() {
+    return true;
+  }
+
+  invalidate() {}
+
+  getBudget() {
+    return { local: true, dir: this.dir };
+  }
+}
+
+function safeUsername() {
+  try {
+    return os.userInfo().username;
+  } catch (error) {
+    return 'local';
+  }
+}
+
+function readJSON(file) {
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+function writeJSON(file, data) {
+  writeText(file, JSON.stringify(data, null, 2));
+}
+
+// Write then rename so a crash (or a reader) never sees a truncated file
+function writeText(file, text) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(`${file}.tmp`, text, 'utf-8');
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+/**
+ * Pull request description markdown
+ */
+function renderPull(pull) {
+  return [
+    `# ${pull.title}`,
+    '',
+    `- Branch: \`${pull.head}\` → \`${pull.base}\``,
+    `- State: ${pull.state}${pull.draft ? ' (draft)' : ''}`,
+    pull.labels?.length ? `- Labels: ${pull.labels.join(', ')}` : null,
+    '',
+    pull.body || ''
+  ].filter(line => line !== null).join('\n') + '\n';
+}
@@ -0,0 +1,71 @@
+/**
+ * Local label operations - LabelOperations over the file-based store
+ */
+import { LabelOperations } from '../github/LabelOperations.js';
+
+export class LocalLabelOperations extends LabelOperations {
+  /**
+   * Get all labels for an issue
+   */
+  async getLabels(repo, issueNumber) {
+    const issue = this.client.readIssue(issueNumber);
+    if (!issue) {
+      throw new Error(`Local issue #${issueNumber} not found in ${this.client.dir}`);
+    }
+    return [...issue.labels];
+  }
+
+  /**
+   * Add label to issue
+   */
+  async addLabel(repo, issueNumber, label) {
+    this.logger.debug('Adding label', { repo, issueNumber, label });
+
+    if (label.startsWith('oc-ralph:worktree:')) {
+      await this.ensureLabelExists(repo, label);
+    }
+
+    const issue = this.client.readIssue(issueNumber);
+    this.client.ensureLabel(label);
+    if (!issue.labels.includes(label)) {
+      issue.labels.push(label);
+      this.client.writeIssue(issue);
+    }
+
+    this.logger.debug('Label added', { repo, issueNumber, label });
+  }
+
+  /**
+   * Remove label from issue
+   */
+  async removeLabel(repo, issueNumber, label) {
+    this.logger.debug('Removing label', { repo, issueNumber, label });
+
+    const issue = this.client.readIssue(issueNumber);
+    if (issue?.labels.includes(label)) {
+      issue.labels = issue.labels.filter(name => name !== label);
+      this.client.writeIssue(issue);
+    }
+
+    this.logger.debug('Label removed', { repo, issueNumber, label });
+  }
+
+  /**
+   * List all labels
+   */
+  async listLabels() {
+    return this.client.readLabels();
+  }
+
+  /**
+   * Create a label
+   */
+  async createLabel(repo, label) {
+    this.logger.debug('Creating label', { repo, label: label.name });
+
+    const labels = this.client.readLabels().filter(l => l.name !== label.name);
+    this.client.writeLabels([...labels, { name: label.name, color: label.color, description: label.description || null }]);
+
+    this.logger.debug('Label created', { repo, label: label.name });
+  }
+}
@@ -0,0 +1,133 @@
+/**
+ * Local pull request operations
+ *
+ * Instead of opening a pull request, records one in the local store: the
+ * branch stays local and the description is written to
+ * .oc-ralph/local/pulls/<n>.md, ready to paste into a real PR.
+ */
+import path from 'path';
+import { PullRequestOperations } from '../github/PullRequestOperations.js';
+
+export class LocalPullRequestOperations extends PullRequestOperations {
+  /**
+   * Record a pull request and write its description file
+   */
+  async createPullRequest(owner, repo, prData) {
+    this.logger.info('Recording local pull request', {
+      owner,
+      repo,
+      head: prData.head,
+      base: prData.base,
+      title: prData.title
+    });
+
+    if (await this.findOpenPullRequest(owner, repo, prData.head)) {
+      throw new Error(`A pull request already exists for ${prData.head}.`);
+    }
+
+    const pull = this.githubClient.writePull({
+      number: this.githubClient.nextNumber(),
+      title: prData.title,
+      body: prData.body || '',
+      head: prData.head,
+      base: prData.base,
+      draft: !!prData.draft,
+      state: 'open',
+      labels: [],
+      createdAt: new Date().toISOString()
+    });
+
+    const description = this.descriptionFile(pull.number);
+    this.logger.info('Pull request description written', { prNumber: pull.number, file: description });
+
+    return toPullRequest(pull, description);
+  }
+
+  /**
+   * Get pull request by number
+   */
+  async getPullRequest(owner, repo, prNumber) {
+    const pull = this.readPull(prNumber);
+
+    return {
+      number: pull.number,
+      title: pull.title,
+      body: pull.body,
+      state: pull.state,
+      draft: pull.draft,
+      url: this.descriptionFile(pull.number),
+      head: pull.head,
+      base: pull.base,
+      mergeable: true,
+      merged: false
+    };
+  }
+
+  /**
+   * Find an open pull request for a head branch
+   */
+  async findOpenPullRequest(owner, repo, head) {
+    const pull = this.githubClient.listPulls().find(p => p.state === 'open' && p.head === head);
+    return pull ? toPullRequest(pull, this.descriptionFile(pull.number)) : null;
+  }
+
+  /**
+   * Update pull request (and its description file)
+   */
+  async updatePullRequest(owner, repo, prNumber, updates) {
+    this.logger.info('Updating local pull request', { prNumber });
+
+    const pull = this.readPull(prNumber);
+    for (const key of ['title', 'body', 'state', 'base']) {
+      if (updates[key] !== undefined) pull[key] = updates[key];
+    }
+    this.githubClient.writePull(pull);
+
+    return {
+      number: pull.number,
+      title: pull.title,
+      body: pull.body,
+      state: pull.state,
+      url: this.descriptionFile(pull.number)
+    };
+  }
+
+  /**
+   * Add labels to pull request
+   */
+  async addLabels(owner, repo, prNumber, labels) {
+    const pull = this.readPull(prNumber);
+    pull.labels = [...new Set([...pull.labels, ...labels])];
+    this.githubClient.writePull(pull);
+  }
+
+  async getPRCommits() {
+    return [];
+  }
+
+  async getPRFiles() {
+    return [];
+  }
+
+  readPull(prNumber) {
+    const pull = this.githubClient.readPull(prNumber);
+    if (!pull) {
+      throw new Error(`Local pull request #${prNumber} not found in ${this.githubClient.dir}`);
+    }
+    return pull;
+  }
+
+  descriptionFile(prNumber) {
+    return path.resolve(this.githubClient.pullFile(prNumber, 'md'));
+  }
+}
+
+function toPullRequest(pull, description) {
+  return {
+    number: pull.number,
+    url: description,
+    title: pull.title,
+    state: pull.state,
+    html_url: description
+  };
+}
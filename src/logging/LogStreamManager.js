@@ -1,6 +1,9 @@
 /**
  * LogStreamManager - In-memory ring buffer for log streaming
  * Manages log buffer and WebSocket subscriptions for real-time streaming
+ *
+ * Agent transcripts are streamed too, but only to clients watching the run
+ * (subscribeTranscript) - they are saved per run, not kept in the buffer.
  */
 
 export class LogStreamManager {
@@ -8,6 +11,7 @@ export class LogStreamManager {
     this.buffer = [];
     this.maxSize = maxBufferSize;
     this.subscribers = new Set(); // WebSocket clients
+    this.transcriptSubscribers = new Map(); // WebSocket client -> { run, repo }
   }
 
   /**
@@ -59,6 +63,44 @@ export class LogStreamManager {
     }
   }
 
+  /**
+   * Send a transcript entry to the clients watching its run
+   */
+  onTranscript(entry) {
+    if (!entry || typeof entry !== 'object') {
+      return;
+    }
+
+    const message = JSON.stringify({ type: 'transcript', entry });
+
+    for (const [ws, { run, repo }] of this.transcriptSubscribers) {
+      if (entry.run !== run || (repo && entry.repo !== repo)) {
+        continue;
+      }
+
+      try {
+        if (ws.readyState === 1) {
+          ws.send(message);
+        } else {
+          this.transcriptSubscribers.delete(ws);
+        }
+      } catch (error) {
+        this.transcriptSubscribers.delete(ws);
+      }
+    }
+  }
+
+  /**
+   * Watch the transcripts of a run (replaces the client's previous run)
+   */
+  subscribeTranscript(ws, run, repo = null) {
+    this.transcriptSubscribers.set(ws, { run, repo });
+  }
+
+  unsubscribeTranscript(ws) {
+    this.transcriptSubscribers.delete(ws);
+  }
+
   /**
    * Subscribe WebSocket client to log stream
    */
@@ -82,6 +124,7 @@ export class LogStreamManager {
    */
   unsubscribe(ws) {
     this.subscribers.delete(ws);
+    this.transcriptSubscribers.delete(ws);
   }
 
   /**
@@ -108,6 +151,13 @@ export class LogStreamManager {
     );
   }
 
+  /**
+   * Get logs filtered by repository (owner/repo)
+   */
+  getLogsByRepo(repo) {
+    return this.buffer.filter(log => log.repo === repo || log.context?.repo === repo);
+  }
+
   /**
    * Get logs filtered by level
    */
@@ -137,6 +187,7 @@ export class LogStreamManager {
       totalLogs: this.buffer.length,
       maxSize: this.maxSize,
       subscribers: this.subscribers.size,
+      transcriptSubscribers: this.transcriptSubscribers.size,
       utilizationPercent: Math.round((this.buffer.length / this.maxSize) * 100)
     };
   }
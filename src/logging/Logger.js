@@ -33,6 +33,15 @@ export class Logger {
     this.streamManager = streamManager;
   }
 
+  /**
+   * Create a logger that adds context (e.g. { repo }) to every entry
+   */
+  child(context) {
+    const child = Object.create(this);
+    child.log = (level, message, entryContext = {}) => this.log(level, message, { ...context, ...entryContext });
+    return child;
+  }
+
   ensureLogDir() {
     if (!fs.existsSync(this.logDir)) {
       fs.mkdirSync(this.logDir, { recursive: true });
@@ -0,0 +1,142 @@
+/**
+ * Transcript recorder - turns one agent execution's progress events into
+ * transcript entries, saved to the run's transcript and streamed live
+ *
+ * Runtimes report what they can: the OpenCode SDK client sends message
+ * deltas per part and tool calls with their input and output, simpler
+ * runtimes whole messages and bare tool counts.
+ */
+export class TranscriptRecorder {
+  /**
+   * @param {TranscriptStore} store
+   * @param {LogStreamManager} streamManager - Live subscribers (optional)
+   * @param {Object} session - { run, repo, agentName, issueNumber, model, runtime, prompt }
+   */
+  constructor(store, streamManager, session) {
+    this.store = store;
+    this.streamManager = streamManager;
+    this.session = session;
+    this.sessionId = null;
+    this.toolCalls = new Set();
+    this.seq = 0; // entry order within the session, lets viewers merge live and saved entries
+    this.startTime = Date.now();
+  }
+
+  /**
+   * Record a progress event
+   */
+  onEvent(event) {
+    const data = event.data || {};
+
+    if (event.type === 'session-created' || (event.sessionId && !this.sessionId)) {
+      this.start(event.sessionId);
+      if (event.type === 'session-created') return;
+    }
+
+    if (!this.sessionId) return;
+
+    switch (event.type) {
+      case 'message-received':
+        if (typeof data.content !== 'string') return;
+        if (data.partId) {
+          this.record('message', data.delta !== undefined
+            ? { partId: data.partId, delta: data.delta }
+            : { partId: data.partId, text: data.content });
+        } else {
+          this.record('message', { text: data.content });
+        }
+        break;
+
+      case 'tool-started':
+        this.recordToolCall(data);
+        break;
+
+      case 'tool-completed':
+        if (!data.callId || !this.toolCalls.has(data.callId)) {
+          this.recordToolCall(data);
+        }
+        this.record('tool-output', {
+          callId: data.callId || null,
+          tool: data.tool || 'tool',
+          status: data.status || 'completed',
+          output: stringify(data.output ?? data.result),
+          error: data.error
+        });
+        break;
+
+      case 'retry':
+        this.record('notice', {
+          event: 'retry',
+          message: `Retry ${data.attemptNumber || ''}${data.message ? `: ${data.message}` : ''}`.trim()
+        });
+        break;
+
+      case 'hang-detected':
+        this.record('notice', {
+          event: 'hang-detected',
+          message: `No ${data.type || 'session'} activity for ${data.idleTime}s`
+        });
+        break;
+    }
+  }
+
+  /**
+   * Record the end of the session (no-op when it never started)
+   */
+  end(status, error = null) {
+    if (!this.sessionId) return;
+
+    this.record('session-end', {
+      status,
+      error: error ? error.message : undefined,
+      durationMs: Date.now() - this.startTime
+    });
+    this.sessionId = null;
+  }
+
+  start(sessionId) {
+    const { model, runtime, prompt } = this.session;
+    this.sessionId = sessionId;
+    this.seq = 0;
+    this.record('session-start', {
+      model: model ? `${model.providerID}/${model.modelID}` : undefined,
+      runtime
+    });
+    this.record('prompt', { text: prompt });
+  }
+
+  recordToolCall(data) {
+    if (data.callId) {
+      this.toolCalls.add(data.callId);
+    }
+    this.record('tool-call', {
+      callId: data.callId || null,
+      tool: data.tool || 'tool',
+      input: data.input
+    });
+  }
+
+  record(kind, fields) {
+    const { run, repo, agentName, issueNumber } = this.session;
+    const entry = this.store.append({
+      timestamp: new Date().toISOString(),
+      run,
+      repo,
+      sessionId: this.sessionId,
+      seq: ++this.seq,
+      agentName,
+      issueNumber,
+      kind,
+      ...fields
+    });
+
+    if (entry && this.streamManager) {
+      this.streamManager.onTranscript(entry);
+    }
+  }
+}
+
+function stringify(value) {
+  if (value === undefined || value === null) return undefined;
+  return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+}
@@ -0,0 +1,143 @@
+/**
+ * Transcript store - full agent session transcripts, one file per run
+ *
+ * Every agent session of an orchestration (prompt, messages, tool calls and
+ * tool outputs) is appended to .oc-ralph/transcripts/<master issue>.jsonl,
+ * each entry tagged with its session id. Message text arrives as deltas
+ * keyed by partId; entries without a partId are whole messages.
+ *
+ * Entry kinds: session-start, prompt, message, tool-call, tool-output,
+ * notice (retry, hang), session-end.
+ */
+import fs from 'fs';
+import path from 'path';
+
+// Tool output kept per call - builds and test runs can print megabytes
+const MAX_OUTPUT_LENGTH = 20000;
+
+export class TranscriptStore {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.transcriptsDir = path.join(config.stateDir || '.oc-ralph', 'transcripts');
+  }
+
+  /**
+   * Get transcript file path for a run
+   */
+  getTranscriptFile(runIssueNumber) {
+    return path.join(this.transcriptsDir, `${runIssueNumber}.jsonl`);
+  }
+
+  /**
+   * Append an entry to a run's transcript
+   *
+   * Transcript writes never fail the agent - errors are logged and swallowed.
+   */
+  append(entry) {
+    if (entry.run === undefined || entry.run === null) {
+      return null;
+    }
+
+    const stored = typeof entry.output === 'string' && entry.output.length > MAX_OUTPUT_LENGTH
+      ? { ...entry, output: entry.output.slice(0, MAX_OUTPUT_LENGTH), outputTruncated: entry.output.length }
+      : entry;
+
+    try {
+      if (!fs.existsSync(this.transcriptsDir)) {
+        fs.mkdirSync(this.transcriptsDir, { recursive: true });
+      }
+
+      fs.appendFileSync(this.getTranscriptFile(entry.run), JSON.stringify(stored) + '\n', 'utf-8');
+    } catch (error) {
+      this.logger.warn('Failed to write transcript entry', { run: entry.run, sessionId: entry.sessionId, error: error.message });
+    }
+
+    return stored;
+  }
+
+  /**
+   * Read a run's transcript, optionally one session (malformed lines are skipped)
+   */
+  read(runIssueNumber, sessionId = null) {
+    const file = this.getTranscriptFile(runIssueNumber);
+
+    if (!fs.existsSync(file)) {
+      return [];
+    }
+
+    const entries = [];
+    for (const line of fs.readFileSync(file, 'utf-8').split('\n')) {
+      if (!line.trim()) continue;
+
+      try {
+        const entry = JSON.parse(line);
+        if (!sessionId || entry.sessionId === sessionId) {
+          entries.push(entry);
+        }
+      } catch (error) {
+        this.logger.warn('Skipping malformed transcript line', { run: runIssueNumber });
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Sessions of a run in start order, with their agent, issue, outcome and size
+   */
+  listSessions(runIssueNumber) {
+    const sessions = new Map();
+    const parts = new Set(); // message parts already counted
+
+    for (const entry of this.read(runIssueNumber)) {
+      if (!sessions.has(entry.sessionId)) {
+        sessions.set(entry.sessionId, {
+          sessionId: entry.sessionId,
+          agentName: entry.agentName,
+          issueNumber: entry.issueNumber,
+          startedAt: entry.timestamp,
+          endedAt: null,
+          status: 'running',
+          messages: 0,
+          toolCalls: 0
+        });
+      }
+
+      const session = sessions.get(entry.sessionId);
+      if (entry.kind === 'session-start') {
+        session.model = entry.model;
+        session.runtime = entry.runtime;
+      } else if (entry.kind === 'message') {
+        const part = entry.partId ? `${entry.sessionId}/${entry.partId}` : null;
+        if (!part || !parts.has(part)) {
+          session.messages++;
+          if (part) parts.add(part);
+        }
+      } else if (entry.kind === 'tool-call') {
+        session.toolCalls++;
+      } else if (entry.kind === 'session-end') {
+        session.endedAt = entry.timestamp;
+        session.status = entry.status;
+        session.error = entry.error;
+      }
+    }
+
+    return [...sessions.values()];
+  }
+
+  /**
+   * List runs with a transcript
+   */
+  listRuns() {
+    if (!fs.existsSync(this.transcriptsDir)) {
+      return [];
+    }
+
+    return fs.readdirSync(this.transcriptsDir)
+      .filter(file => file.endsWith('.jsonl'))
+      .map(file => parseInt(path.basename(file, '.jsonl')))
+      .filter(issueNumber => !isNaN(issueNumber))
+      .sort((a, b) => a - b);
+  }
+}
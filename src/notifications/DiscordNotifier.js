@@ -46,13 +46,15 @@ export class DiscordNotifier {
    */
   shouldNotify(event) {
     const levels = {
-      'errors-only': ['orchestration-failed', 'task-failed', 'test-failed', 'test-max-attempts-reached'],
+      'errors-only': ['orchestration-failed', 'task-failed', 'test-failed', 'test-max-attempts-reached',
+                      'verification-failed'],
       'stage-transitions': ['orchestration-started', 'planning-complete', 'implementation-started', 
-                           'testing-started', 'orchestration-complete', 'orchestration-failed'],
+                           'testing-started', 'verification-started', 'orchestration-complete', 'orchestration-failed'],
       'all-major-events': ['orchestration-started', 'planning-complete', 'awaiting-approval',
                           'approved', 'implementation-started', 'task-completed', 
                           'testing-started', 'test-failed', 'test-fix-started', 'test-fix-completed',
-                          'test-passed-after-fix', 'test-max-attempts-reached',
+                          'test-passed-after-fix', 'test-max-attempts-reached', 'test-regression',
+                          'verification-started', 'verification-failed',
                           'orchestration-complete', 'orchestration-failed', 'task-failed', 'critical-error']
     };
     
@@ -110,6 +112,18 @@ export class DiscordNotifier {
         color: 10181046, // purple
         url: issueUrl
       },
+      'verification-started': {
+        title: '🔍 Verification Started',
+        description: `Running the final checks for issue #${masterIssueNumber}`,
+        color: 10181046, // purple
+        url: issueUrl
+      },
+      'verification-failed': {
+        title: '🚫 Verification Failed',
+        description: `Final checks still failing for issue #${masterIssueNumber} after ${data.maxAttempts} fix attempt(s)\n\n**Failed Checks**: ${data.failedChecks}\n\nOrchestration will fail.`,
+        color: 10038562, // dark red
+        url: issueUrl
+      },
       'orchestration-complete': {
         title: '🎉 Orchestration Complete',
         description: `Successfully completed orchestration for issue #${masterIssueNumber}\n\n**Pull Request**: #${data.prNumber}\n**Implementation Tasks**: ${data.implTaskCount}\n**Tests Passed**: ${data.testsPassed}/${data.testsTotal}\n**Commits**: ${data.commitCount}\n**Files Changed**: ${data.filesChanged}\n\n[View PR](${data.prUrl})`,
@@ -132,31 +146,37 @@ export class DiscordNotifier {
         title: '❌ Test Failed',
         description: `Test failed: **${data.testTitle}**\n\nTest Issue: #${data.testIssue}\nStarting automatic fix attempts...`,
         color: 15158332, // red
-        url: `https://github.com/${data.repo}/issues/${data.testIssue}`
+        url: data.testIssueUrl
       },
       'test-fix-started': {
         title: '🔧 Test Fix Started',
         description: `Attempting to fix test #${data.testIssue}\n\n**Fix Attempt**: ${data.attemptNumber}/${data.maxAttempts}\n**Fix Issue**: #${data.fixIssue}`,
         color: 16776960, // yellow
-        url: `https://github.com/${data.repo}/issues/${data.fixIssue}`
+        url: data.fixIssueUrl
       },
       'test-fix-completed': {
         title: '✅ Fix Applied',
         description: `Fix applied for test #${data.testIssue}\n\n**Fix Issue**: #${data.fixIssue}\nRe-running test...`,
         color: 3447003, // blue
-        url: `https://github.com/${data.repo}/issues/${data.fixIssue}`
+        url: data.fixIssueUrl
       },
       'test-passed-after-fix': {
         title: '🎉 Test Fixed Successfully',
         description: `Test #${data.testIssue} now passing!\n\n**Fix Attempts**: ${data.attemptNumber}\n**Fix Issue**: #${data.fixIssue}`,
         color: 5763719, // green
-        url: `https://github.com/${data.repo}/issues/${data.testIssue}`
+        url: data.testIssueUrl
+      },
+      'test-regression': {
+        title: '⚠️ Fix Broke Other Tests',
+        description: `Fix #${data.fixIssue} for test #${data.testIssue} broke ${data.broke}\n\n**Action**: ${data.action === 'reverted' ? 'Reverted, retrying the fix' : 'Kept, fixing the broken tests too'}`,
+        color: 16753920, // orange
+        url: data.fixIssueUrl
       },
       'test-max-attempts-reached': {
         title: '🚫 Max Fix Attempts Reached',
         description: `Test #${data.testIssue} could not be fixed after ${data.maxAttempts} attempts.\n\nOrchestration will fail.`,
         color: 10038562, // dark red
-        url: `https://github.com/${data.repo}/issues/${data.testIssue}`
+        url: data.testIssueUrl
       },
       'critical-error': {
         title: `🚨 ${data.errorType || 'Critical Error'}`,
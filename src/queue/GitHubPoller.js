@@ -1,20 +1,54 @@
 /**
  * GitHubPoller - Polls GitHub for issues with specific label
- * Automatically enqueues new issues for orchestration
+ * Automatically enqueues new issues for orchestration and handles
+ * slash commands on issues being processed. With webhooks configured the
+ * receiver drives the same per-issue handlers and polling is a slow fallback.
+ * Works against any issue tracker (GitLab and Gitea only through polling).
  */
 
+const RESUMABLE_STATES = [
+  'oc-ralph:awaiting-approval',
+  'oc-ralph:approved',
+  'oc-ralph:implementing',
+  'oc-ralph:testing',
+  'oc-ralph:verifying',
+  'oc-ralph:completing'
+];
+
+const PRIORITY_LABELS = {
+  'oc-ralph:priority-high': 'high',
+  'oc-ralph:priority-low': 'low'
+};
+
+const INACTIVE_STATES = [
+  'oc-ralph:paused',
+  'oc-ralph:completed',
+  'oc-ralph:pr-created',
+  'oc-ralph:failed',
+  'oc-ralph:rejected',
+  'oc-ralph:cancelled'
+];
+
 export class GitHubPoller {
-  constructor(issueOps, queue, config, logger) {
+  constructor(issueOps, queue, config, logger, stateManager = null, commandWatcher = null, issueEvents = null) {
     this.issueOps = issueOps;
     this.queue = queue;
     this.config = config;
     this.logger = logger;
+    this.stateManager = stateManager;
+    this.commandWatcher = commandWatcher;
+    this.startedAt = new Date();
     this.interval = null;
     this.pollInterval = config.service?.pollInterval || 60000; // 60s default
+    if (issueEvents) {
+      this.pollInterval = issueEvents.pollInterval(this.pollInterval);
+    }
     this.queueLabel = config.service?.queueLabel || 'oc-ralph:queue';
     this.processingLabel = 'oc-ralph:processing';
     this.repo = `${config.github.owner}/${config.github.repo}`;
     this.isPolling = false;
+    this.claiming = new Set(); // issues being moved from the queue label to processing
+    this.commandRuns = new Map(); // issueNumber -> pending command processing
   }
 
   /**
@@ -31,13 +65,26 @@ export class GitHubPoller {
     await this.poll();
 
     // Schedule recurring polls
-    this.interval = setInterval(() => {
-      this.poll().catch(error => {
+    this.scheduleNextPoll();
+
+    this.logger.info('GitHub poller started');
+  }
+
+  /**
+   * Schedule the next poll (spaced out as the API budget shrinks)
+   */
+  scheduleNextPoll() {
+    const timer = setTimeout(async () => {
+      await this.poll().catch(error => {
         this.logger.error('Scheduled poll failed', { error: error.message });
       });
-    }, this.pollInterval);
 
-    this.logger.info('GitHub poller started');
+      if (this.interval === timer) {
+        this.scheduleNextPoll();
+      }
+    }, this.issueOps.client.governor.adjustInterval(this.pollInterval));
+
+    this.interval = timer;
   }
 
   /**
@@ -54,67 +101,426 @@ export class GitHubPoller {
     try {
       this.logger.debug('Polling GitHub for queued issues');
 
-      // Query issues with queue label using gh CLI
-      const issuesJson = await this.issueOps.github.execJSON(
-        `issue list --repo ${this.repo} --label "${this.queueLabel}" --state open --json number,title,labels --limit 100`
-      );
+      const issuesJson = await this.issueOps.listIssues(this.repo, { label: this.queueLabel, state: 'open' });
 
       this.logger.debug('Polled GitHub', { 
         issuesFound: issuesJson.length 
       });
 
       for (const issue of issuesJson) {
-        const issueNumber = issue.number;
+        await this.enqueueIssue(issue);
+      }
 
-        // Check if already queued or running
-        if (this.queue.contains(issueNumber)) {
-          this.logger.debug('Issue already in queue, skipping', { issueNumber });
-          continue;
-        }
+      // Slash commands on issues the service is processing
+      if (this.commandWatcher) {
+        await this.pollCommands();
+      }
+
+    } catch (error) {
+      this.logger.error('Polling failed', { 
+        error: error.message,
+        stack: error.stack
+      });
+    } finally {
+      this.isPolling = false;
+    }
+  }
 
-        this.logger.info('New issue detected', { 
-          issueNumber,
-          title: issue.title 
-        });
+  /**
+   * Move a queue-labelled issue to processing and enqueue it
+   * 
+   * @param {Object} issue - Issue ({ number, title, labels })
+   * @returns {Promise<boolean>} Whether the issue was enqueued
+   */
+  async enqueueIssue(issue) {
+    const issueNumber = issue.number;
 
-        try {
-          // Remove queue label
-          await this.issueOps.removeLabel(this.repo, issueNumber, this.queueLabel);
-          this.logger.debug('Removed queue label', { issueNumber });
+    // Check if already queued or running (or being claimed by a webhook delivery or poll)
+    if (this.queue.contains(issueNumber, this.repo) || this.claiming.has(issueNumber)) {
+      this.logger.debug('Issue already in queue, skipping', { issueNumber });
+      return false;
+    }
+
+    this.logger.info('New issue detected', { 
+      issueNumber,
+      title: issue.title 
+    });
 
-          // Add processing label
-          await this.issueOps.addLabels(this.repo, issueNumber, [this.processingLabel]);
-          this.logger.debug('Added processing label', { issueNumber });
+    this.claiming.add(issueNumber);
 
-          // Enqueue for orchestration
-          this.queue.enqueue(issueNumber);
+    try {
+      // Remove queue label
+      await this.issueOps.removeLabels(this.repo, issueNumber, [this.queueLabel]);
+      this.logger.debug('Removed queue label', { issueNumber });
+
+      // Add processing label
+      await this.issueOps.addLabels(this.repo, issueNumber, [this.processingLabel]);
+      this.logger.debug('Added processing label', { issueNumber });
+
+      // Enqueue for orchestration
+      const priority = this.getPriority(issue.labels);
+      this.queue.enqueue(issueNumber, { priority, repo: this.repo });
 
-          this.logger.info('Issue enqueued for orchestration', { issueNumber });
+      this.logger.info('Issue enqueued for orchestration', { issueNumber, priority });
+      return true;
 
+    } catch (error) {
+      this.logger.error('Failed to process issue', { 
+        issueNumber,
+        error: error.message 
+      });
+      return false;
+    } finally {
+      this.claiming.delete(issueNumber);
+    }
+  }
+
+  /**
+   * Reconcile the restored queue with GitHub after a restart
+   * 
+   * Orchestrations that were running when the service stopped, and issues
+   * left labelled oc-ralph:processing, are resumed if their state allows it
+   * or started if they never got going. Paused, failed and finished runs are
+   * left alone; planning can't be resumed, so an interrupted plan is failed.
+   * 
+   * @param {Array} interrupted - Entries that were running ({ repo, issueNumber, priority }); other repositories' entries are ignored
+   * @returns {Promise<Object>} { resumed, started, failed }
+   */
+  async reconcile(interrupted = []) {
+    const report = { resumed: [], started: [], failed: [] };
+
+    try {
+      const processing = await this.issueOps.listIssues(this.repo, { label: this.processingLabel, state: 'open' });
+
+      const candidates = new Map(processing.map(issue => [issue.number, this.getPriority(issue.labels)]));
+      for (const entry of interrupted.filter(e => (e.repo || this.repo) === this.repo)) {
+        if (!candidates.has(entry.issueNumber)) {
+          candidates.set(entry.issueNumber, entry.priority || null);
+        }
+      }
+
+      for (const [issueNumber, knownPriority] of candidates) {
+        if (this.queue.contains(issueNumber, this.repo)) continue;
+
+        try {
+          const state = await this.stateManager.getCurrentState(issueNumber);
+          const priority = knownPriority || await this.getIssuePriority(issueNumber);
+
+          if (RESUMABLE_STATES.includes(state)) {
+            this.queue.enqueue(issueNumber, { resume: true, priority, repo: this.repo });
+            report.resumed.push(issueNumber);
+          } else if (!state) {
+            this.queue.enqueue(issueNumber, { priority, repo: this.repo });
+            report.started.push(issueNumber);
+          } else if (state === 'oc-ralph:planning') {
+            await this.stateManager.transitionTo(issueNumber, 'oc-ralph:failed');
+            this.stateManager.recordEvent(issueNumber, 'planning-interrupted', { reason: 'service-restart' });
+            await this.issueOps.addComment(
+              this.repo,
+              issueNumber,
+              '⚠️ The oc-ralph service restarted while this plan was being written, so planning did not finish. Close any partial sub-issues and start a new orchestration.'
+            );
+            report.failed.push(issueNumber);
+          }
         } catch (error) {
-          this.logger.error('Failed to process issue', { 
-            issueNumber,
-            error: error.message 
-          });
+          this.logger.error('Failed to reconcile issue', { issueNumber, error: error.message });
         }
       }
 
+      this.logger.info('Queue reconciled with GitHub', { repo: this.repo, ...report });
+
     } catch (error) {
-      this.logger.error('Polling failed', { 
-        error: error.message,
-        stack: error.stack
-      });
+      this.logger.error('Queue reconciliation failed', { error: error.message });
+    }
+
+    return report;
+  }
+
+  /**
+   * Handle slash commands on issues the service is processing
+   */
+  async pollCommands() {
+    const issues = await this.issueOps.listIssues(this.repo, { label: this.processingLabel, state: 'open' });
+
+    for (const { number: issueNumber } of issues) {
+      await this.processIssueCommands(issueNumber);
+    }
+  }
+
+  /**
+   * Handle slash commands on one issue the service is processing
+   * 
+   * Runs for the same issue (poll loop and webhook deliveries) take turns so
+   * a command is never handled twice.
+   */
+  async processIssueCommands(issueNumber) {
+    const previous = this.commandRuns.get(issueNumber) || Promise.resolve();
+    const run = previous.then(() => this.runIssueCommands(issueNumber));
+    this.commandRuns.set(issueNumber, run);
+
+    try {
+      await run;
     } finally {
-      this.isPolling = false;
+      if (this.commandRuns.get(issueNumber) === run) {
+        this.commandRuns.delete(issueNumber);
+      }
     }
   }
 
+  /**
+   * Process pending slash commands on an issue (errors are logged)
+   */
+  async runIssueCommands(issueNumber) {
+    try {
+      const state = await this.stateManager.getCurrentState(issueNumber);
+
+      // Only commands posted during this run count
+      const since = this.stateManager.journal.replay(issueNumber).startedAt || this.startedAt;
+
+      await this.commandWatcher.processCommands(
+        this.repo,
+        issueNumber,
+        this.getCommandHandlers(issueNumber, state),
+        { since }
+      );
+    } catch (error) {
+      this.logger.error('Failed to process commands', {
+        issueNumber,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get command handlers for an issue in the given state
+   */
+  getCommandHandlers(issueNumber, state) {
+    const handlers = {
+      status: () => this.handleStatus(issueNumber, state),
+      pause: () => this.handlePause(issueNumber, state),
+      resume: () => this.handleResume(issueNumber, state),
+      retry: command => this.handleRetry(issueNumber, state, command),
+      skip: command => this.handleSkip(issueNumber, command)
+    };
+
+    // While awaiting approval the orchestration's ApprovalMonitor owns these
+    if (state !== 'oc-ralph:awaiting-approval') {
+      const notAwaitingApproval = async () => ({
+        outcome: 'ignored',
+        message: `ℹ️ The plan is not awaiting approval (current state: \`${state || 'none'}\`).`
+      });
+
+      handlers.approve = notAwaitingApproval;
+      handlers.reject = notAwaitingApproval;
+      handlers.revise = notAwaitingApproval;
+    }
+
+    return handlers;
+  }
+
+  /**
+   * /ralph status - reply with state and journal summary
+   */
+  async handleStatus(issueNumber, state) {
+    const history = this.stateManager.journal.replay(issueNumber);
+    const { queued } = this.queue.getStatus();
+
+    const position = queued.findIndex(e => e.repo === this.repo && e.issueNumber === issueNumber);
+    const serviceStatus = this.queue.isRunning(issueNumber, this.repo)
+      ? 'running'
+      : position !== -1 ? `queued (position ${position + 1})` : 'idle';
+
+    const lines = [
+      '📊 **Orchestration status**',
+      '',
+      `- **State:** \`${state || 'none'}\``,
+      `- **Service:** ${serviceStatus}`,
+      `- **Tasks:** ${history.completedTasks.length} completed, ${history.failedTasks.length} failed`,
+      `- **Agent runs:** ${history.agentRuns} (${history.agentFailures} failed), ${history.retries} retries`
+    ];
+
+    const fixAttempts = Object.entries(history.fixAttempts);
+    if (fixAttempts.length > 0) {
+      lines.push(`- **Fix attempts:** ${fixAttempts.map(([test, n]) => `#${test}: ${n}`).join(', ')}`);
+    }
+
+    if (history.regressions.length > 0) {
+      lines.push(`- **Regressions:** ${history.regressions.map(r => `fix #${r.fixIssue} ${r.action}`).join(', ')}`);
+    }
+
+    lines.push(`- **Last event:** ${history.updatedAt || 'none'}`);
+
+    return { message: lines.join('\n') };
+  }
+
+  /**
+   * /ralph pause - mark the orchestration as paused
+   */
+  async handlePause(issueNumber, state) {
+    if (!state || INACTIVE_STATES.includes(state)) {
+      return {
+        outcome: 'ignored',
+        message: `ℹ️ Nothing to pause (current state: \`${state || 'none'}\`).`
+      };
+    }
+
+    // A running orchestration stops after aborting its in-flight agent sessions
+    if (this.queue.contains(issueNumber, this.repo)) {
+      await this.queue.pause(issueNumber, this.repo);
+    } else {
+      await this.stateManager.transitionTo(issueNumber, 'oc-ralph:paused');
+    }
+
+    return { message: '⏸️ Orchestration paused. Comment `/ralph resume` to continue.' };
+  }
+
+  /**
+   * /ralph resume - queue a paused, failed or orphaned orchestration to resume
+   */
+  async handleResume(issueNumber, state) {
+    if (this.queue.contains(issueNumber, this.repo)) {
+      return {
+        outcome: 'ignored',
+        message: 'ℹ️ This orchestration is already running or queued.'
+      };
+    }
+
+    const resumeState = await this.restoreResumableState(issueNumber, state);
+    this.queue.enqueue(issueNumber, { resume: true, priority: await this.getIssuePriority(issueNumber), repo: this.repo });
+
+    if (!resumeState) {
+      return { message: '▶️ Orchestration queued to start (it was paused before it started).' };
+    }
+
+    return { message: `▶️ Orchestration queued to resume from \`${resumeState}\`.` };
+  }
+
+  /**
+   * /ralph retry #N - reset a sub-issue to pending and resume if nothing is running
+   */
+  async handleRetry(issueNumber, state, command) {
+    const subIssue = await this.getSubIssue(issueNumber, command.targetIssue);
+
+    await this.issueOps.removeLabels(this.repo, subIssue.number, subIssue.labels.filter(l => [
+      'oc-ralph:failed',
+      'oc-ralph:test-failed',
+      'oc-ralph:max-attempts-reached',
+      'oc-ralph:in-progress',
+      'oc-ralph:agent-complete',
+      'oc-ralph:skipped'
+    ].includes(l)));
+    await this.issueOps.addLabels(this.repo, subIssue.number, ['oc-ralph:pending']);
+
+    if (this.queue.contains(issueNumber, this.repo)) {
+      return { message: `🔁 #${subIssue.number} reset to pending. It runs again the next time this orchestration is resumed.` };
+    }
+
+    const resumeState = await this.restoreResumableState(issueNumber, state);
+    this.queue.enqueue(issueNumber, { resume: true, priority: await this.getIssuePriority(issueNumber), repo: this.repo });
+
+    return { message: `🔁 #${subIssue.number} reset to pending and the orchestration was queued to resume from \`${resumeState}\`.` };
+  }
+
+  /**
+   * /ralph skip #N - mark a sub-issue complete without running it
+   */
+  async handleSkip(issueNumber, command) {
+    const subIssue = await this.getSubIssue(issueNumber, command.targetIssue);
+
+    await this.issueOps.removeLabels(this.repo, subIssue.number, subIssue.labels.filter(l => [
+      'oc-ralph:pending',
+      'oc-ralph:in-progress',
+      'oc-ralph:failed',
+      'oc-ralph:test-failed'
+    ].includes(l)));
+    await this.issueOps.addLabels(this.repo, subIssue.number, ['oc-ralph:agent-complete', 'oc-ralph:skipped']);
+    await this.issueOps.addComment(
+      this.repo,
+      subIssue.number,
+      `⏭️ Skipped by @${command.author} via \`/ralph skip\` on #${issueNumber}.`
+    );
+
+    return { message: `⏭️ #${subIssue.number} skipped - it counts as complete for the rest of this run.` };
+  }
+
+  /**
+   * Get a sub-issue of the master issue (throws if it belongs elsewhere)
+   */
+  async getSubIssue(masterIssueNumber, subIssueNumber) {
+    if (!subIssueNumber) {
+      throw new Error('expected a sub-issue number, e.g. `#123`');
+    }
+
+    const issue = await this.issueOps.getIssue(this.repo, subIssueNumber);
+    const labels = issue.labels.map(l => typeof l === 'string' ? l : l.name);
+
+    const belongsToMaster = labels.includes(`oc-ralph:master-${masterIssueNumber}`) ||
+      (issue.body || '').includes(`**Parent Issue:** #${masterIssueNumber}`);
+
+    if (!belongsToMaster) {
+      throw new Error(`#${subIssueNumber} is not a sub-issue of #${masterIssueNumber}`);
+    }
+
+    return { number: subIssueNumber, labels };
+  }
+
+  /**
+   * Get queue priority from oc-ralph:priority-high|low labels (normal otherwise)
+   */
+  getPriority(labels = []) {
+    const names = labels.map(l => typeof l === 'string' ? l : l.name);
+
+    // High wins if both are set
+    for (const [label, priority] of Object.entries(PRIORITY_LABELS)) {
+      if (names.includes(label)) {
+        return priority;
+      }
+    }
+
+    return 'normal';
+  }
+
+  /**
+   * Get queue priority for an issue from its current labels
+   */
+  async getIssuePriority(issueNumber) {
+    const issue = await this.issueOps.getIssue(this.repo, issueNumber);
+    return this.getPriority(issue.labels);
+  }
+
+  /**
+   * Put a paused or failed orchestration back into the state it stopped in
+   * 
+   * @returns {Promise<string|null>} The restored state (null if it was paused before it started)
+   */
+  async restoreResumableState(issueNumber, state) {
+    if (RESUMABLE_STATES.includes(state)) {
+      return state;
+    }
+
+    // Orchestrator.resume() starts it from scratch
+    if (state === 'oc-ralph:paused' && this.stateManager.wasPausedBeforeStart(issueNumber)) {
+      return null;
+    }
+
+    if (state === 'oc-ralph:paused' || state === 'oc-ralph:failed') {
+      const previousState = this.stateManager.getPreviousState(issueNumber, state);
+
+      if (RESUMABLE_STATES.includes(previousState)) {
+        await this.stateManager.transitionTo(issueNumber, previousState);
+        return previousState;
+      }
+    }
+
+    throw new Error(`cannot resume from \`${state || 'none'}\``);
+  }
+
   /**
    * Stop polling
    */
   stop() {
     if (this.interval) {
-      clearInterval(this.interval);
+      clearTimeout(this.interval);
       this.interval = null;
       this.logger.info('GitHub poller stopped');
     }
@@ -1,12 +1,29 @@
 /**
- * OrchestrationQueue - FIFO queue for processing GitHub issues sequentially
- * Handles one orchestration at a time to avoid resource conflicts
+ * OrchestrationQueue - Priority queue feeding a pool of orchestration workers
+ * Runs up to maxConcurrent orchestrations at once (one by default), each
+ * with its own orchestrator instance and worktree. The next pick is the
+ * highest priority, then the oldest entry, unless reordered by hand.
+ * Entries are keyed by owner/repo#number so one queue can serve several
+ * repositories; the repo argument defaults to options.defaultRepo.
  */
 
+export const PRIORITIES = ['high', 'normal', 'low'];
+
+/**
+ * Get the queue key for an issue (owner/repo#number)
+ */
+export function queueKey(repo, issueNumber) {
+  return `${repo}#${issueNumber}`;
+}
+
 export class OrchestrationQueue {
-  constructor(orchestratorFactory, logger) {
-    this.queue = [];
-    this.running = null;
+  constructor(orchestratorFactory, logger, options = {}) {
+    this.queue = []; // { key, repo, issueNumber, priority, enqueuedAt, resume }
+    this.store = options.store || null;
+    this.defaultRepo = options.defaultRepo || null;
+    this.running = new Map(); // key -> { repo, issueNumber, orchestrator, startTime, priority, resume }
+    this.maxConcurrent = Math.max(1, parseInt(options.maxConcurrent) || 1);
+    this.sessionLimiter = options.sessionLimiter || null;
     this.completed = [];
     this.failed = [];
     this.orchestratorFactory = orchestratorFactory;
@@ -17,118 +34,359 @@ export class OrchestrationQueue {
 
   /**
    * Add issue to queue
+   * 
+   * @param {number} issueNumber - Master issue number
+   * @param {Object} options - Queue options
+   * @param {boolean} options.resume - Resume an existing orchestration instead of starting
+   * @param {string} options.priority - 'high', 'normal' (default) or 'low'
+   * @param {string} options.repo - Repository (owner/repo)
    */
-  enqueue(issueNumber) {
-    if (this.contains(issueNumber)) {
-      throw new Error(`Issue #${issueNumber} already in queue or running`);
+  enqueue(issueNumber, options = {}) {
+    const repo = this.resolveRepo(options.repo);
+
+    if (this.contains(issueNumber, repo)) {
+      throw new Error(`Issue ${queueKey(repo, issueNumber)} already in queue or running`);
+    }
+
+    const entry = {
+      key: queueKey(repo, issueNumber),
+      repo,
+      issueNumber,
+      priority: this.normalizePriority(options.priority),
+      enqueuedAt: new Date().toISOString(),
+      resume: !!options.resume
+    };
+
+    // Behind every entry of the same or higher priority (priority, then age)
+    const rank = PRIORITIES.indexOf(entry.priority);
+    const index = this.queue.findIndex(e => PRIORITIES.indexOf(e.priority) > rank);
+
+    if (index === -1) {
+      this.queue.push(entry);
+    } else {
+      this.queue.splice(index, 0, entry);
     }
 
-    this.queue.push(issueNumber);
+    const position = this.indexOf(issueNumber, repo) + 1;
+
+    this.persist();
     this.logger.info('Issue enqueued', { 
+      repo,
       issueNumber, 
-      position: this.queue.length,
+      priority: entry.priority,
+      position,
       queueLength: this.queue.length
     });
 
-    // Start processing if not already running
-    if (!this.processing) {
-      // Use setImmediate to avoid blocking
-      setImmediate(() => this.processQueue());
-    }
+    this.scheduleProcessing();
 
     return {
+      key: entry.key,
+      repo,
       issueNumber,
-      position: this.queue.length,
+      priority: entry.priority,
+      position,
       status: 'queued'
     };
   }
 
   /**
-   * Process queue sequentially
+   * Restore state saved before a restart
+   * 
+   * Re-queues queued entries in their saved order and brings back the
+   * history. Orchestrations that were running when the service stopped are
+   * returned as `interrupted` - the caller reconciles them with GitHub.
+   * Entries saved before multi-repository support belong to the default repo.
+   * 
+   * @returns {{ restored: Array<string>, interrupted: Array<Object> }}
+   */
+  restore() {
+    if (!this.store) {
+      return { restored: [], interrupted: [] };
+    }
+
+    const saved = this.store.load();
+    const restored = [];
+
+    const withRepo = entry => {
+      const repo = entry.repo || this.defaultRepo;
+      return { ...entry, repo, key: queueKey(repo, entry.issueNumber) };
+    };
+
+    this.completed = saved.completed.slice(-this.maxHistorySize).map(withRepo);
+    this.failed = saved.failed.slice(-this.maxHistorySize).map(withRepo);
+
+    for (const entry of saved.queued.filter(e => e?.issueNumber).map(withRepo)) {
+      if (this.contains(entry.issueNumber, entry.repo)) continue;
+
+      this.queue.push({
+        key: entry.key,
+        repo: entry.repo,
+        issueNumber: entry.issueNumber,
+        priority: PRIORITIES.includes(entry.priority) ? entry.priority : 'normal',
+        enqueuedAt: entry.enqueuedAt || new Date().toISOString(),
+        resume: !!entry.resume
+      });
+      restored.push(entry.key);
+    }
+
+    const interrupted = saved.running
+      .filter(entry => entry?.issueNumber)
+      .map(withRepo)
+      .filter(entry => !this.contains(entry.issueNumber, entry.repo));
+
+    if (restored.length > 0 || interrupted.length > 0) {
+      this.logger.info('Restored queue', {
+        issues: restored,
+        interrupted: interrupted.map(e => e.key)
+      });
+    }
+
+    this.persist();
+
+    if (restored.length > 0) {
+      this.scheduleProcessing();
+    }
+
+    return { restored, interrupted };
+  }
+
+  /**
+   * Move a queued issue ('up', 'down', 'top' or 'bottom')
+   * 
+   * Running orchestrations are never preempted - this only changes which
+   * queued issue is picked next.
+   */
+  move(issueNumber, direction, repo = this.defaultRepo) {
+    const index = this.indexOf(issueNumber, repo);
+    if (index === -1) {
+      throw new Error(`Issue ${queueKey(repo, issueNumber)} not in queue`);
+    }
+
+    const targets = {
+      up: Math.max(0, index - 1),
+      down: Math.min(this.queue.length - 1, index + 1),
+      top: 0,
+      bottom: this.queue.length - 1
+    };
+
+    if (!(direction in targets)) {
+      throw new Error(`Unknown direction: ${direction} (expected up, down, top or bottom)`);
+    }
+
+    const [entry] = this.queue.splice(index, 1);
+    this.queue.splice(targets[direction], 0, entry);
+
+    this.persist();
+    this.logger.info('Queued issue moved', { repo, issueNumber, direction, position: targets[direction] + 1 });
+
+    return { success: true, key: entry.key, repo, issueNumber, position: targets[direction] + 1 };
+  }
+
+  /**
+   * Validate a priority (defaults to 'normal')
+   */
+  normalizePriority(priority) {
+    if (!priority) {
+      return 'normal';
+    }
+
+    const normalized = String(priority).toLowerCase();
+    if (!PRIORITIES.includes(normalized)) {
+      throw new Error(`Unknown priority: ${priority} (expected ${PRIORITIES.join(', ')})`);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Get the repository for an entry (throws if none is given and there is no default)
+   */
+  resolveRepo(repo) {
+    const resolved = repo || this.defaultRepo;
+    if (!resolved) {
+      throw new Error('repo is required (owner/repo)');
+    }
+    return resolved;
+  }
+
+  /**
+   * Get the queue index of an issue (-1 if not queued)
+   */
+  indexOf(issueNumber, repo = this.defaultRepo) {
+    const key = queueKey(repo, issueNumber);
+    return this.queue.findIndex(e => e.key === key);
+  }
+
+  /**
+   * Save queue, running orchestrations and history (if a store is configured)
    */
-  async processQueue() {
-    if (this.processing) {
+  persist() {
+    if (!this.store) {
       return;
     }
 
-    this.processing = true;
-    this.logger.info('Starting queue processing');
+    try {
+      this.store.save({
+        queued: this.queue,
+        running: [...this.running.values()].map(worker => ({
+          repo: worker.repo,
+          issueNumber: worker.issueNumber,
+          priority: worker.priority,
+          resume: worker.resume,
+          startedAt: new Date(worker.startTime).toISOString()
+        })),
+        completed: this.completed,
+        failed: this.failed.map(({ stack, ...entry }) => entry)
+      });
+    } catch (error) {
+      this.logger.error('Failed to save queue', { error: error.message });
+    }
+  }
 
-    while (this.queue.length > 0) {
-      const issueNumber = this.queue.shift();
-      this.running = issueNumber;
+  /**
+   * Start processing on the next tick if a worker slot is free
+   */
+  scheduleProcessing() {
+    if (this.running.size < this.maxConcurrent) {
+      // Use setImmediate to avoid blocking
+      setImmediate(() => this.processQueue());
+    }
+  }
 
-      this.logger.info('Starting orchestration', { 
+  /**
+   * Start queued orchestrations while worker slots are free
+   */
+  processQueue() {
+    while (this.queue.length > 0 && this.running.size < this.maxConcurrent) {
+      const { key, repo, issueNumber, priority, resume } = this.queue.shift();
+
+      if (!this.processing) {
+        this.processing = true;
+        this.logger.info('Starting queue processing', { maxConcurrent: this.maxConcurrent });
+      }
+
+      this.running.set(key, { repo, issueNumber, orchestrator: null, startTime: Date.now(), priority, resume });
+      this.persist();
+
+      this.logger.info(resume ? 'Resuming orchestration' : 'Starting orchestration', { 
+        repo,
         issueNumber,
+        priority,
+        running: this.running.size,
         remaining: this.queue.length 
       });
 
-      const startTime = Date.now();
+      this.runOrchestration(key).finally(() => {
+        this.running.delete(key);
+        this.persist();
 
-      try {
-        // Create fresh orchestrator instance
-        const orchestrator = await this.orchestratorFactory();
-        
-        // Run orchestration
-        await orchestrator.start(issueNumber);
+        // Hand the free slot to the next queued issue
+        this.processQueue();
+
+        if (this.running.size === 0 && this.queue.length === 0) {
+          this.processing = false;
+          this.logger.info('Queue empty, waiting for new issues');
+        }
+      });
+    }
+  }
 
-        const duration = Date.now() - startTime;
+  /**
+   * Run one orchestration in a worker slot and record its outcome
+   */
+  async runOrchestration(key) {
+    const worker = this.running.get(key);
+    const { repo, issueNumber, resume } = worker;
 
-        // Record success
-        this.completed.push({
-          issueNumber,
-          timestamp: new Date().toISOString(),
-          duration,
-          success: true
-        });
+    try {
+      // Create fresh orchestrator instance for the issue's repository
+      const orchestrator = await this.orchestratorFactory(repo);
+      worker.orchestrator = orchestrator;
+      
+      // Run orchestration
+      const result = resume
+        ? await orchestrator.resume(issueNumber)
+        : await orchestrator.start(issueNumber);
 
-        // Trim history
-        if (this.completed.length > this.maxHistorySize) {
-          this.completed.shift();
-        }
+      const duration = Date.now() - worker.startTime;
 
-        this.logger.info('Orchestration completed', { 
-          issueNumber,
-          duration: `${(duration / 1000).toFixed(2)}s`
-        });
-
-      } catch (error) {
-        const duration = Date.now() - startTime;
-
-        // Record failure
-        this.failed.push({
-          issueNumber,
-          timestamp: new Date().toISOString(),
-          duration,
-          error: error.message,
-          stack: error.stack
-        });
-
-        // Trim history
-        if (this.failed.length > this.maxHistorySize) {
-          this.failed.shift();
-        }
+      // Record success (paused and cancelled runs keep their status)
+      this.completed.push({
+        key,
+        repo,
+        issueNumber,
+        timestamp: new Date().toISOString(),
+        duration,
+        success: true,
+        status: result?.status
+      });
 
-        this.logger.error('Orchestration failed', { 
-          issueNumber,
-          error: error.message,
-          duration: `${(duration / 1000).toFixed(2)}s`
-        });
+      // Trim history
+      if (this.completed.length > this.maxHistorySize) {
+        this.completed.shift();
       }
 
-      this.running = null;
-    }
+      this.logger.info('Orchestration completed', { 
+        repo,
+        issueNumber,
+        duration: `${(duration / 1000).toFixed(2)}s`
+      });
 
-    this.processing = false;
-    this.logger.info('Queue empty, waiting for new issues');
+    } catch (error) {
+      const duration = Date.now() - worker.startTime;
+
+      // Record failure
+      this.failed.push({
+        key,
+        repo,
+        issueNumber,
+        timestamp: new Date().toISOString(),
+        duration,
+        error: error.message,
+        stack: error.stack
+      });
+
+      // Trim history
+      if (this.failed.length > this.maxHistorySize) {
+        this.failed.shift();
+      }
+
+      this.logger.error('Orchestration failed', { 
+        repo,
+        issueNumber,
+        error: error.message,
+        duration: `${(duration / 1000).toFixed(2)}s`
+      });
+    }
   }
 
   /**
    * Check if issue is in queue or running
    */
-  contains(issueNumber) {
-    return this.running === issueNumber || 
-           this.queue.includes(issueNumber);
+  contains(issueNumber, repo = this.defaultRepo) {
+    return this.isRunning(issueNumber, repo) || 
+           this.indexOf(issueNumber, repo) !== -1;
+  }
+
+  /**
+   * Check if issue is running (not just queued)
+   */
+  isRunning(issueNumber, repo = this.defaultRepo) {
+    return this.running.has(queueKey(repo, issueNumber));
+  }
+
+  /**
+   * Get running orchestrations for API/UI
+   */
+  getRunning() {
+    return [...this.running].map(([key, worker]) => ({
+      key,
+      repo: worker.repo,
+      issueNumber: worker.issueNumber,
+      priority: worker.priority,
+      startedAt: new Date(worker.startTime).toISOString()
+    }));
   }
 
   /**
@@ -136,8 +394,9 @@ export class OrchestrationQueue {
    */
   getStatus() {
     return {
-      running: this.running,
-      queued: [...this.queue],
+      running: this.getRunning(),
+      maxConcurrent: this.maxConcurrent,
+      queued: this.queue.map(e => ({ ...e })),
       queueLength: this.queue.length,
       completed: this.completed.slice(-10), // Last 10
       failed: this.failed.slice(-10), // Last 10
@@ -158,41 +417,93 @@ export class OrchestrationQueue {
 
     return {
       queueLength: this.queue.length,
-      running: this.running,
+      running: [...this.running.keys()],
+      maxConcurrent: this.maxConcurrent,
       totalCompleted: this.completed.length,
       totalFailed: this.failed.length,
       successRate: this.completed.length + this.failed.length > 0
         ? (this.completed.length / (this.completed.length + this.failed.length) * 100).toFixed(2) + '%'
         : 'N/A',
-      averageDuration: avgDuration > 0 ? `${(avgDuration / 1000).toFixed(2)}s` : 'N/A'
+      averageDuration: avgDuration > 0 ? `${(avgDuration / 1000).toFixed(2)}s` : 'N/A',
+      sessions: this.sessionLimiter ? this.sessionLimiter.getStatus() : null
     };
   }
 
   /**
    * Remove issue from queue (if not running)
    */
-  remove(issueNumber) {
-    if (this.running === issueNumber) {
-      throw new Error(`Cannot remove issue #${issueNumber} - currently running`);
+  remove(issueNumber, repo = this.defaultRepo) {
+    const key = queueKey(repo, issueNumber);
+
+    if (this.running.has(key)) {
+      throw new Error(`Cannot remove issue ${key} - currently running`);
     }
 
-    const index = this.queue.indexOf(issueNumber);
+    const index = this.indexOf(issueNumber, repo);
     if (index === -1) {
-      throw new Error(`Issue #${issueNumber} not in queue`);
+      throw new Error(`Issue ${key} not in queue`);
     }
 
     this.queue.splice(index, 1);
-    this.logger.info('Issue removed from queue', { issueNumber });
+    this.persist();
+    this.logger.info('Issue removed from queue', { repo, issueNumber });
+
+    return { success: true, key, repo, issueNumber };
+  }
+
+  /**
+   * Pause a running or queued orchestration
+   * 
+   * The running orchestration stops after aborting its in-flight agent
+   * sessions; a queued one is taken off the queue. Both can be resumed.
+   */
+  async pause(issueNumber, repo = this.defaultRepo) {
+    return await this.interrupt(issueNumber, 'pause', repo);
+  }
+
+  /**
+   * Cancel a running or queued orchestration (the worktree is left intact)
+   */
+  async cancel(issueNumber, repo = this.defaultRepo) {
+    return await this.interrupt(issueNumber, 'cancel', repo);
+  }
+
+  /**
+   * Label the orchestration paused/cancelled and signal it if it is running
+   */
+  async interrupt(issueNumber, reason, repo = this.defaultRepo) {
+    const key = queueKey(repo, issueNumber);
+    const isRunning = this.running.has(key);
+
+    if (!isRunning && this.indexOf(issueNumber, repo) === -1) {
+      throw new Error(`Issue ${key} is not running or queued`);
+    }
+
+    if (!isRunning) {
+      this.remove(issueNumber, repo);
+    }
+
+    // Before its orchestrator exists, a running issue picks the label up on its first check.
+    // A queued issue that never started is paused from no state - resuming it starts it.
+    const orchestrator = isRunning && this.running.get(key).orchestrator
+      ? this.running.get(key).orchestrator
+      : await this.orchestratorFactory(repo);
+
+    await orchestrator.interrupt(issueNumber, reason);
+
+    const status = reason === 'cancel' ? 'cancelled' : 'paused';
+    this.logger.info(`Orchestration ${status} via queue`, { repo, issueNumber, wasRunning: isRunning });
 
-    return { success: true, issueNumber };
+    return { success: true, key, repo, issueNumber, status };
   }
 
   /**
-   * Clear queue (does not affect running orchestration)
+   * Clear queue (does not affect running orchestrations)
    */
   clear() {
     const cleared = this.queue.length;
     this.queue = [];
+    this.persist();
     this.logger.info('Queue cleared', { clearedCount: cleared });
     return { clearedCount: cleared };
   }
@@ -0,0 +1,75 @@
+/**
+ * Queue store - durable copy of the service queue
+ *
+ * Keeps queued entries (issue, priority, enqueue time, manual order), the
+ * orchestrations that were running and the recent history in
+ * .oc-ralph/queue.json so none of it is lost when the service restarts.
+ */
+import fs from 'fs';
+import path from 'path';
+
+export const QUEUE_RECORD_VERSION = 1;
+
+export class QueueStore {
+  constructor(logger, file = '.oc-ralph/queue.json') {
+    this.logger = logger;
+    this.file = file;
+  }
+
+  /**
+   * Save queue state ({ queued, running, completed, failed })
+   */
+  save(state) {
+    const record = {
+      version: QUEUE_RECORD_VERSION,
+      savedAt: new Date().toISOString(),
+      queued: state.queued || [],
+      running: state.running || [],
+      completed: state.completed || [],
+      failed: state.failed || []
+    };
+
+    const dir = path.dirname(this.file);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    // Write then rename so a crash mid-write never leaves a truncated file
+    fs.writeFileSync(`${this.file}.tmp`, JSON.stringify(record, null, 2), 'utf-8');
+    fs.renameSync(`${this.file}.tmp`, this.file);
+
+    this.logger.debug('Queue saved', { file: this.file, queued: record.queued.length, running: record.running.length });
+
+    return record;
+  }
+
+  /**
+   * Load queue state (empty if missing or unreadable)
+   */
+  load() {
+    const empty = { queued: [], running: [], completed: [], failed: [] };
+
+    if (!fs.existsSync(this.file)) {
+      return empty;
+    }
+
+    try {
+      const record = JSON.parse(fs.readFileSync(this.file, 'utf-8'));
+
+      if (record.version !== QUEUE_RECORD_VERSION || !Array.isArray(record.queued)) {
+        this.logger.warn('Ignoring stored queue with unknown format', { file: this.file });
+        return empty;
+      }
+
+      return {
+        queued: record.queued,
+        running: record.running || [],
+        completed: record.completed || [],
+        failed: record.failed || []
+      };
+    } catch (error) {
+      this.logger.warn('Failed to load stored queue', { file: this.file, error: error.message });
+      return empty;
+    }
+  }
+}
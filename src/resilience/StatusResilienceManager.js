@@ -23,12 +23,14 @@ export class StatusResilienceManager {
    * @param {Object} config.occlient - OpenCode client instance
    * @param {Object} config.statusResilience - Resilience configuration
    * @param {Object} config.fullConfig - Full oc-ralph configuration (for model failover)
+   * @param {Object} [config.journal] - Orchestration journal (every event is appended)
    * @param {Object} logger - Logger instance
    */
-  constructor({ github, discord, occlient, statusResilience, fullConfig }, logger) {
+  constructor({ github, discord, occlient, statusResilience, fullConfig, journal }, logger) {
     this.github = github;
     this.discord = discord;
     this.occlient = occlient;
+    this.journal = journal || null;
     this.config = statusResilience || {};
     this.fullConfig = fullConfig; // Store full config for model failover
     this.logger = logger;
@@ -86,6 +88,10 @@ export class StatusResilienceManager {
       // 1. Update internal state
       this._updateState(issueNumber, type, data);
       
+      if (this.journal) {
+        this.journal.append(issueNumber, type, data);
+      }
+      
       // 2. Handle event-specific logic
       await this._handleEvent(event);
       
@@ -273,6 +279,14 @@ export class StatusResilienceManager {
       
       // Store the new model for the agent executor to use on retry
       this._storeFailoverModel(issueNumber, agentName, newModel);
+      
+      if (this.journal) {
+        this.journal.append(issueNumber, 'model-failover', {
+          agentName,
+          from: `${model.providerID}/${model.modelID}`,
+          to: `${newModel.providerID}/${newModel.modelID}`
+        });
+      }
     } else {
       this.logger.error('Model failover failed - no fallback available', {
         issueNumber,
@@ -3,7 +3,8 @@
  * 
  * Responsibilities:
  * - Push worktree branch to remote
- * - Create pull request
+ * - Create pull request (offline: keep the branch local and write the
+ *   PR description to .oc-ralph/local/pulls/)
  * - Link PR to master issue
  * - Update master issue with completion status
  * - Transition to completed state
@@ -38,9 +39,12 @@ export class CompletionStage {
    * @param {Object} plan - Original plan
    * @param {Object} implResult - Implementation results
    * @param {Object} testResult - Testing results
+   * @param {Object|null} verificationResult - Verification results, null when no checks are configured
+   * @param {Object} options - Execution options
+   * @param {boolean} options.resume - Skip the push if already done and reuse an open PR
    * @returns {Promise<Object>} Completion result with PR info
    */
-  async execute(masterIssueNumber, worktreePath, plan, implResult, testResult) {
+  async execute(masterIssueNumber, worktreePath, plan, implResult, testResult, verificationResult, options = {}) {
     this.logger.info('Starting completion stage', {
       masterIssueNumber,
       worktreePath
@@ -57,33 +61,54 @@ export class CompletionStage {
       
       this.logger.info('Branch name retrieved', { branchName });
 
-      // Step 2: Push branch to remote
-      await this.pushBranch(worktreePath, branchName);
+      // Step 2: Push branch to remote (unless an earlier run already did)
+      const local = this.config.tracker?.type === 'local';
+      const alreadyPushed = !local && options.resume
+        && await this.isBranchPushed(worktreePath, branchName);
+
+      if (local) {
+        this.logger.info('Local mode, keeping branch local', { branchName });
+      } else if (alreadyPushed) {
+        this.logger.info('Branch already pushed, skipping push', { branchName });
+      } else {
+        await this.pushBranch(worktreePath, branchName);
+      }
 
       // Step 3: Get commit and file statistics
       const stats = await this.getRepositoryStats(worktreePath, branchName);
 
-      // Step 4: Create pull request
-      const pr = await this.createPullRequest(
+      // Step 4: Create pull request (or reuse the one an earlier run opened)
+      const existingPR = options.resume
+        ? await this.prOps.findOpenPullRequest(repo.owner, repo.repo, branchName)
+        : null;
+
+      if (existingPR) {
+        this.logger.info('Reusing existing pull request', { prNumber: existingPR.number });
+      }
+
+      const pr = existingPR || await this.createPullRequest(
         repo,
         masterIssueNumber,
         branchName,
         plan,
         implResult,
         testResult,
+        verificationResult,
         stats
       );
 
-      // Step 5: Link PR to master issue
-      await this.linkPRToMasterIssue(repo, pr.number, masterIssueNumber);
+      // Steps 5-6 already happened when an earlier run opened the PR
+      if (!existingPR) {
+        // Step 5: Link PR to master issue
+        await this.linkPRToMasterIssue(repo, pr.number, masterIssueNumber);
 
-      // Step 6: Update master issue with PR link
-      await this.updateMasterIssueWithPR(repo, masterIssueNumber, pr);
+        // Step 6: Update master issue with PR link
+        await this.updateMasterIssueWithPR(repo, masterIssueNumber, pr);
+      }
 
       // Step 7: Add completion label to master issue
       await this.issueOps.addLabels(
-        repo.owner,
-        repo.repo,
+        `${repo.owner}/${repo.repo}`,
         masterIssueNumber,
         ['oc-ralph:pr-created']
       );
@@ -91,7 +116,7 @@ export class CompletionStage {
       // Step 8: Send completion notification
       await this.discordNotifier.notify('orchestration-complete', {
         masterIssueNumber,
-        issueUrl: `https://github.com/${repo.owner}/${repo.repo}/issues/${masterIssueNumber}`,
+        issueUrl: this.issueOps.getIssueUrl(`${repo.owner}/${repo.repo}`, masterIssueNumber),
         prNumber: pr.number,
         prUrl: pr.url,
         implTaskCount: implResult.completed,
@@ -179,6 +204,21 @@ export class CompletionStage {
     }
   }
 
+  /**
+   * Check whether the branch is already on the remote at the local HEAD
+   */
+  async isBranchPushed(worktreePath, branchName) {
+    try {
+      return await this.gitOps.isBranchPushed(worktreePath, 'origin', branchName);
+    } catch (error) {
+      this.logger.warn('Could not check remote branch, pushing anyway', {
+        error: error.message,
+        branchName
+      });
+      return false;
+    }
+  }
+
   /**
    * Get repository statistics (commit count, files changed)
    */
@@ -225,7 +265,7 @@ export class CompletionStage {
   /**
    * Create pull request
    */
-  async createPullRequest(repo, masterIssueNumber, branchName, plan, implResult, testResult, stats) {
+  async createPullRequest(repo, masterIssueNumber, branchName, plan, implResult, testResult, verificationResult, stats) {
     this.logger.info('Creating pull request', {
       branchName,
       baseBranch: this.config.github.baseBranch
@@ -243,6 +283,7 @@ export class CompletionStage {
         testTaskCount: plan.testTasks.length,
         implResult,
         testResult,
+        verificationResult,
         commitCount: stats.commitCount,
         filesChanged: stats.filesChanged
       });
@@ -320,9 +361,8 @@ export class CompletionStage {
 
     try {
       // Add comment to master issue
-      await this.issueOps.createComment(
-        repo.owner,
-        repo.repo,
+      await this.issueOps.addComment(
+        `${repo.owner}/${repo.repo}`,
         masterIssueNumber,
         `🎉 **Orchestration Complete!**\n\nPull request created: #${pr.number}\n\nView PR: ${pr.url}\n\n---\n\n*All implementation tasks completed and tests passing. Ready for review!*`
       );
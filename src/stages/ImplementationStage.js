@@ -1,6 +1,8 @@
 /**
  * ImplementationStage - Execute Craftsman agents for implementation tasks
  */
+import { OrchestrationInterruptedError } from '../core/CancellationSignal.js';
+
 export class ImplementationStage {
   constructor(
     agentExecutor,
@@ -30,11 +32,16 @@ export class ImplementationStage {
 
   /**
    * Execute implementation stage
+   * 
+   * With options.resume, sub-issues already labelled oc-ralph:agent-complete
+   * are skipped and only pending, in-progress or failed tasks are re-run.
+   * options.signal is checked between batches and tasks (pause/cancel).
    */
-  async execute(issueNumber, worktreePath, implementationPlan) {
+  async execute(issueNumber, worktreePath, implementationPlan, options = {}) {
     this.logger.info('Starting implementation stage', {
       issueNumber,
-      taskCount: implementationPlan.implementationIssues.length
+      taskCount: implementationPlan.implementationIssues.length,
+      resume: !!options.resume
     });
 
     const repo = `${this.config.github.owner}/${this.config.github.repo}`;
@@ -45,6 +52,18 @@ export class ImplementationStage {
     };
 
     try {
+      // Find tasks finished by an earlier run
+      const completedIssues = options.resume
+        ? await this.getCompletedIssues(repo, implementationPlan.implementationIssues)
+        : new Set();
+
+      if (completedIssues.size > 0) {
+        this.logger.info('Skipping already completed implementation tasks', {
+          issueNumber,
+          completed: [...completedIssues]
+        });
+      }
+
       // Resolve dependencies and create batches
       const batches = await this.dependencyResolver.resolve(
         implementationPlan.implementationIssues
@@ -57,7 +76,15 @@ export class ImplementationStage {
 
       // Execute each batch sequentially, tasks within batch in parallel
       for (let batchIndex = 0; batchIndex < batches.length; batchIndex++) {
-        const batch = batches[batchIndex];
+        options.signal?.throwIfRequested();
+
+        const batch = batches[batchIndex].filter(task => !completedIssues.has(task.issueNumber));
+        results.completed += batches[batchIndex].length - batch.length;
+
+        if (batch.length === 0) {
+          this.logger.info('Implementation batch already complete', { issueNumber, batchIndex });
+          continue;
+        }
         
         this.logger.info('Executing implementation batch', {
           issueNumber,
@@ -69,9 +96,13 @@ export class ImplementationStage {
           batch,
           worktreePath,
           issueNumber,
-          implementationPlan
+          implementationPlan,
+          options
         );
 
+        // Tasks stopped by pause/cancel are neither completed nor failed
+        options.signal?.throwIfRequested();
+
         results.completed += batchResults.completed;
         results.failed += batchResults.failed;
 
@@ -90,6 +121,11 @@ export class ImplementationStage {
       return results;
 
     } catch (error) {
+      if (error instanceof OrchestrationInterruptedError) {
+        this.logger.info('Implementation stage interrupted', { issueNumber, reason: error.reason, results });
+        throw error;
+      }
+
       this.logger.error('Implementation stage failed', {
         issueNumber,
         error: error.message,
@@ -102,7 +138,7 @@ export class ImplementationStage {
   /**
    * Execute a batch of tasks in parallel
    */
-  async executeBatch(batch, worktreePath, masterIssueNumber, implementationPlan) {
+  async executeBatch(batch, worktreePath, masterIssueNumber, implementationPlan, options = {}) {
     const repo = `${this.config.github.owner}/${this.config.github.repo}`;
     const results = { completed: 0, failed: 0 };
 
@@ -114,7 +150,7 @@ export class ImplementationStage {
 
     // Execute all tasks in batch concurrently
     const promises = batchTasks.map(({ task, issueNumber }) => 
-      this.executeTask(issueNumber, worktreePath, masterIssueNumber)
+      this.executeTask(issueNumber, worktreePath, masterIssueNumber, options)
     );
 
     const batchResults = await Promise.allSettled(promises);
@@ -126,6 +162,9 @@ export class ImplementationStage {
       if (result.status === 'fulfilled') {
         results.completed++;
         this.logger.info('Implementation task completed', { issueNumber });
+      } else if (result.reason instanceof OrchestrationInterruptedError) {
+        // Neither completed nor failed - execute() stops after this batch
+        this.logger.info('Implementation task stopped', { issueNumber, reason: result.reason.reason });
       } else {
         results.failed++;
         this.logger.error('Implementation task failed', {
@@ -141,14 +180,30 @@ export class ImplementationStage {
   /**
    * Execute a single implementation task
    */
-  async executeTask(taskIssueNumber, worktreePath, masterIssueNumber) {
+  async executeTask(taskIssueNumber, worktreePath, masterIssueNumber, options = {}) {
     const repo = `${this.config.github.owner}/${this.config.github.repo}`;
     
     this.logger.info('Executing implementation task', { taskIssueNumber });
 
+    options.signal?.throwIfRequested();
+
+    let issue = null;
+
     try {
       // Fetch sub-issue
-      const issue = await this.issueOps.getIssue(repo, taskIssueNumber);
+      issue = await this.issueOps.getIssue(repo, taskIssueNumber);
+
+      // Clear labels left behind by an interrupted or failed run
+      if (options.resume) {
+        const staleLabels = (issue.labels || [])
+          .map(l => l.name)
+          .filter(name => name === 'oc-ralph:in-progress' || name === 'oc-ralph:failed');
+
+        if (staleLabels.length > 0) {
+          this.logger.info('Re-running interrupted implementation task', { taskIssueNumber, staleLabels });
+          await this.issueOps.removeLabels(repo, taskIssueNumber, staleLabels);
+        }
+      }
 
       // Transition to in-progress
       await this.stateManager.issueOps.addLabels(repo, taskIssueNumber, ['oc-ralph:in-progress']);
@@ -161,21 +216,30 @@ export class ImplementationStage {
           await this.agentExecutor.execute('craftsman', prompt, {
             worktree: worktreePath,
             issueNumber: taskIssueNumber,
+            masterIssueNumber,
             statusUpdater: this.statusUpdater,
             discordNotifier: this.discordNotifier,
-            statusResilienceManager: this.statusResilienceManager
+            statusResilienceManager: this.statusResilienceManager,
+            signal: options.signal
           });
 
           // Poll for completion
           const timeoutMs = (this.config.agents.craftsman?.timeout || 600) * 1000;
-          await this.taskPoller.waitForCompletion(repo, taskIssueNumber, timeoutMs);
+          await this.taskPoller.waitForCompletion(repo, taskIssueNumber, timeoutMs, options.signal);
         },
         {
           taskName: `implementation-task-${taskIssueNumber}`,
-          maxAttempts: this.config.execution.retry.maxAttempts
+          maxAttempts: this.config.execution.retry.maxAttempts,
+          onRetry: (attempt, error) => this.stateManager.recordEvent(masterIssueNumber, 'retry', {
+            taskIssueNumber,
+            attempt,
+            error: error.message
+          })
         }
       );
 
+      this.stateManager.recordEvent(masterIssueNumber, 'task-completed', { taskIssueNumber });
+
       // Trigger immediate status table update
       await this.statusUpdater.updateStatusTable();
 
@@ -184,12 +248,19 @@ export class ImplementationStage {
         masterIssueNumber,
         taskIssueNumber,
         taskTitle: issue.title,
-        taskIssueUrl: `https://github.com/${repo}/issues/${taskIssueNumber}`
+        taskIssueUrl: this.issueOps.getIssueUrl(repo, taskIssueNumber)
       });
 
       this.logger.info('Implementation task succeeded', { taskIssueNumber });
 
     } catch (error) {
+      // Paused or cancelled - leave the task pending so resume runs it again
+      if (error instanceof OrchestrationInterruptedError) {
+        this.logger.info('Implementation task interrupted', { taskIssueNumber, reason: error.reason });
+        await this.issueOps.removeLabels(repo, taskIssueNumber, ['oc-ralph:in-progress']);
+        throw error;
+      }
+
       this.logger.error('Implementation task failed', {
         taskIssueNumber,
         error: error.message,
@@ -208,18 +279,37 @@ export class ImplementationStage {
           taskIssueNumber,
           errorType: 'OpenCode Server Unreachable',
           errorMessage: error.message,
-          taskTitle: issue.title,
+          taskTitle: issue?.title,
           details: `The OpenCode server became unreachable during task execution. Health checks failed after ${error.healthCheckAttempts || 3} attempts.\n\nFull orchestrator debug log is attached.`
         }, logFile);
       }
 
       // Mark as failed
       await this.stateManager.issueOps.addLabels(repo, taskIssueNumber, ['oc-ralph:failed']);
+      this.stateManager.recordEvent(masterIssueNumber, 'task-failed', {
+        taskIssueNumber,
+        error: error.message
+      });
 
       throw error;
     }
   }
 
+  /**
+   * Get sub-issues that already carry the agent-complete label
+   */
+  async getCompletedIssues(repo, implementationIssues) {
+    const completed = new Set();
+
+    for (const task of implementationIssues) {
+      if (await this.taskPoller.checkCompletionStatus(repo, task.issueNumber)) {
+        completed.add(task.issueNumber);
+      }
+    }
+
+    return completed;
+  }
+
   /**
    * Build prompt for Craftsman agent
    */
@@ -249,7 +339,7 @@ ${repo}
 ${worktreePath}
 
 ## Current Issue
-https://github.com/${repo}/issues/${issue.number}
+${this.issueOps.getIssueUrl(repo, issue.number)}
 
 Begin implementation.`;
   }
@@ -84,7 +84,7 @@ export class PlanningStage {
     // Trigger status update
     await this.statusUpdater.onEvent('planning-complete', {
       masterIssueNumber,
-      issueUrl: `https://github.com/${this.repo}/issues/${masterIssueNumber}`,
+      issueUrl: this.issueOps.getIssueUrl(this.repo, masterIssueNumber),
       implCount: implTasks.length,
       testCount: testTasks.length
     });
@@ -97,6 +97,9 @@ export class PlanningStage {
       testTasks: testTasks.length
     });
 
+    // Sub-issues are tagged with their master issue so they can be found again on resume
+    await this.stateManager.labelOps.ensureLabelExists(this.repo, `oc-ralph:master-${masterIssueNumber}`);
+
     const implIssues = await this.createImplementationIssues(
       masterIssueNumber,
       implTasks,
@@ -130,7 +133,7 @@ export class PlanningStage {
   /**
    * Execute Architect agent
    */
-  async executeArchitect(masterIssueNumber) {
+  async executeArchitect(masterIssueNumber, revision = null) {
     const masterIssue = await this.issueOps.getIssue(this.repo, masterIssueNumber);
     
     // Parse to get original request before any orchestration
@@ -141,10 +144,14 @@ export class PlanningStage {
       'utf-8'
     );
 
-    const prompt = promptTemplate
+    let prompt = promptTemplate
       .replace('{{issueNumber}}', masterIssueNumber)
       .replace('{{issueBody}}', originalRequest || masterIssue.body);
 
+    if (revision) {
+      prompt = this.buildRevisionPrompt(prompt, revision);
+    }
+
     const result = await this.agentExecutor.execute('architect', prompt, {
       issueNumber: masterIssueNumber,
       discordNotifier: this.discordNotifier,
@@ -157,8 +164,10 @@ export class PlanningStage {
     // Validate spec structure
     this.validateSpec(spec);
     
-    // Update master issue body with spec (not comment)
-    await this.updateMasterIssueAfterArchitect(masterIssueNumber, spec, originalRequest || masterIssue.body);
+    // Update master issue body with spec (not comment) - revisions rewrite the whole body afterwards
+    if (!revision) {
+      await this.updateMasterIssueAfterArchitect(masterIssueNumber, spec, originalRequest || masterIssue.body);
+    }
     
     return spec;
   }
@@ -190,7 +199,7 @@ export class PlanningStage {
   /**
    * Execute Sculptor agent
    */
-  async executeSculptor(spec, masterIssueNumber) {
+  async executeSculptor(spec, masterIssueNumber, revision = null) {
     const promptTemplate = fs.readFileSync(
       path.join(__dirname, '../../prompts/sculptor.txt'),
       'utf-8'
@@ -198,7 +207,11 @@ export class PlanningStage {
 
     // Filter spec for agents (no original request)
     const specForAgents = this.issueBodyManager.extractSpecForAgents(spec);
-    const prompt = promptTemplate.replace('{{spec}}', JSON.stringify(specForAgents, null, 2));
+    let prompt = promptTemplate.replace('{{spec}}', JSON.stringify(specForAgents, null, 2));
+
+    if (revision) {
+      prompt = this.buildRevisionPrompt(prompt, revision);
+    }
 
     const result = await this.agentExecutor.execute('sculptor', prompt, {
       issueNumber: masterIssueNumber,
@@ -215,7 +228,7 @@ export class PlanningStage {
   /**
    * Execute Sentinel agent
    */
-  async executeSentinel(spec, masterIssueNumber) {
+  async executeSentinel(spec, masterIssueNumber, revision = null) {
     const promptTemplate = fs.readFileSync(
       path.join(__dirname, '../../prompts/sentinel.txt'),
       'utf-8'
@@ -223,7 +236,11 @@ export class PlanningStage {
 
     // Filter spec for agents (no original request)
     const specForAgents = this.issueBodyManager.extractSpecForAgents(spec);
-    const prompt = promptTemplate.replace('{{spec}}', JSON.stringify(specForAgents, null, 2));
+    let prompt = promptTemplate.replace('{{spec}}', JSON.stringify(specForAgents, null, 2));
+
+    if (revision) {
+      prompt = this.buildRevisionPrompt(prompt, revision);
+    }
 
     const result = await this.agentExecutor.execute('sentinel', prompt, {
       issueNumber: masterIssueNumber,
@@ -237,6 +254,231 @@ export class PlanningStage {
     return testTasks;
   }
 
+  /**
+   * Revise an existing plan from reviewer feedback
+   * 
+   * Only the parts covered by the scope are regenerated (a changed spec also
+   * regenerates both task lists). Sub-issues of unchanged tasks are kept,
+   * changed tasks are updated in place, new tasks get new sub-issues and
+   * sub-issues of removed tasks are closed.
+   * 
+   * @param {number} masterIssueNumber - Master issue number
+   * @param {string} worktreePath - Path to worktree
+   * @param {Object} currentPlan - Plan presented for approval
+   * @param {string} feedback - Reviewer feedback
+   * @param {string} scope - 'all', 'spec', 'tasks' or 'tests'
+   * @returns {Promise<Object>} { plan, diff }
+   */
+  async revise(masterIssueNumber, worktreePath, currentPlan, feedback, scope = 'all') {
+    this.logger.info('Plan revision started', { masterIssueNumber, scope });
+
+    let spec = currentPlan.spec;
+
+    if (scope === 'all' || scope === 'spec') {
+      this.logger.info('Revising spec with Architect agent...');
+      spec = await this.executeArchitect(masterIssueNumber, { previous: currentPlan.spec, feedback });
+    }
+
+    const specChanged = !this.isSameItem(spec, currentPlan.spec);
+    const reviseTasks = scope === 'all' || scope === 'tasks' || specChanged;
+    const reviseTests = scope === 'all' || scope === 'tests' || specChanged;
+
+    this.logger.info('Revising tasks', { masterIssueNumber, specChanged, reviseTasks, reviseTests });
+
+    const [implTasks, testTasks] = await Promise.all([
+      reviseTasks
+        ? this.executeSculptor(spec, masterIssueNumber, { previous: currentPlan.implementationTasks, feedback })
+        : currentPlan.implementationTasks,
+      reviseTests
+        ? this.executeSentinel(spec, masterIssueNumber, { previous: currentPlan.testTasks, feedback })
+        : currentPlan.testTasks
+    ]);
+
+    const diff = {
+      specChanged,
+      implementation: this.diffTasks(currentPlan.implementationTasks, implTasks),
+      tests: this.diffTasks(currentPlan.testTasks, testTasks)
+    };
+
+    const implIssues = await this.syncSubIssues(
+      masterIssueNumber,
+      'implementation',
+      implTasks,
+      currentPlan.implementationIssues,
+      diff.implementation,
+      worktreePath
+    );
+
+    const testIssues = await this.syncSubIssues(
+      masterIssueNumber,
+      'test',
+      testTasks,
+      currentPlan.testIssues,
+      diff.tests,
+      worktreePath
+    );
+
+    const plan = {
+      spec,
+      implementationTasks: implTasks,
+      testTasks: testTasks,
+      implementationIssues: implIssues,
+      testIssues: testIssues
+    };
+
+    await this.issueOps.addComment(
+      this.repo,
+      masterIssueNumber,
+      this.formatRevisionComment(scope, diff, currentPlan, plan)
+    );
+
+    this.logger.info('Plan revision completed', {
+      masterIssueNumber,
+      specChanged,
+      implementationTasks: implTasks.length,
+      testTasks: testTasks.length
+    });
+
+    return { plan, diff };
+  }
+
+  /**
+   * Append revision instructions (previous output and feedback) to an agent prompt
+   */
+  buildRevisionPrompt(prompt, revision) {
+    const revisionTemplate = fs.readFileSync(
+      path.join(__dirname, '../../prompts/revision.txt'),
+      'utf-8'
+    );
+
+    // Replacer functions so "$" in reviewer text is taken literally
+    const revisionPrompt = revisionTemplate
+      .replace('{{previous}}', () => JSON.stringify(revision.previous, null, 2))
+      .replace('{{feedback}}', () => revision.feedback || 'No specific feedback given - review and improve the plan.');
+
+    return `${prompt}\n\n${revisionPrompt}`;
+  }
+
+  /**
+   * Diff two task lists by task id
+   */
+  diffTasks(previousTasks, tasks) {
+    const previousById = new Map(previousTasks.map(t => [t.id, t]));
+    const taskIds = new Set(tasks.map(t => t.id));
+
+    const diff = { added: [], removed: [], changed: [], unchanged: [] };
+
+    for (const task of tasks) {
+      const previous = previousById.get(task.id);
+
+      if (!previous) {
+        diff.added.push(task);
+      } else if (this.isSameItem(previous, task)) {
+        diff.unchanged.push(task);
+      } else {
+        diff.changed.push(task);
+      }
+    }
+
+    diff.removed = previousTasks.filter(t => !taskIds.has(t.id));
+
+    return diff;
+  }
+
+  /**
+   * Compare two plan items ignoring object key order
+   */
+  isSameItem(a, b) {
+    const canonical = value => JSON.stringify(value, (key, v) =>
+      v && typeof v === 'object' && !Array.isArray(v)
+        ? Object.fromEntries(Object.keys(v).sort().map(k => [k, v[k]]))
+        : v
+    );
+
+    return canonical(a) === canonical(b);
+  }
+
+  /**
+   * Bring sub-issues in line with a revised task list
+   * 
+   * @param {string} kind - 'implementation' or 'test'
+   * @returns {Promise<Array>} Sub-issue mappings in task order
+   */
+  async syncSubIssues(masterIssueNumber, kind, tasks, previousIssues, diff, worktreePath) {
+    const issueByTaskId = new Map(previousIssues.map(i => [i.taskId, i.issueNumber]));
+    const changedIds = new Set(diff.changed.map(t => t.id));
+    const issues = [];
+
+    for (const task of tasks) {
+      let issueNumber = issueByTaskId.get(task.id);
+
+      if (!issueNumber) {
+        issueNumber = kind === 'test'
+          ? await this.issueTemplateManager.createTestIssue(masterIssueNumber, task, worktreePath)
+          : await this.issueTemplateManager.createImplementationIssue(masterIssueNumber, task, worktreePath);
+      } else if (changedIds.has(task.id) && kind === 'test') {
+        await this.issueTemplateManager.updateTestIssue(issueNumber, masterIssueNumber, task, worktreePath);
+      } else if (changedIds.has(task.id)) {
+        await this.issueTemplateManager.updateImplementationIssue(issueNumber, masterIssueNumber, task, worktreePath);
+      }
+
+      issues.push({
+        taskId: task.id,
+        issueNumber,
+        title: task.title,
+        dependencies: task.dependencies
+      });
+    }
+
+    for (const task of diff.removed) {
+      const issueNumber = issueByTaskId.get(task.id);
+      if (!issueNumber) continue;
+
+      await this.issueOps.closeIssue(
+        this.repo,
+        issueNumber,
+        `🗑️ Task \`${task.id}\` was removed from the plan of #${masterIssueNumber} during revision.`
+      );
+
+      // Drop the master label so resume never picks the stale sub-issue up again
+      await this.stateManager.labelOps.removeLabel(this.repo, issueNumber, `oc-ralph:master-${masterIssueNumber}`);
+    }
+
+    return issues;
+  }
+
+  /**
+   * Format the plan revision summary comment
+   */
+  formatRevisionComment(scope, diff, previousPlan, plan) {
+    const issueFor = (issues, taskId) => issues.find(i => i.taskId === taskId)?.issueNumber;
+
+    const formatTaskDiff = (taskDiff, previousIssues, issues) => {
+      const lines = [
+        ...taskDiff.added.map(t => `- ➕ Added: **${t.title}** (#${issueFor(issues, t.id)})`),
+        ...taskDiff.changed.map(t => `- ✏️ Changed: **${t.title}** (#${issueFor(issues, t.id)})`),
+        ...taskDiff.removed.map(t => `- ➖ Removed: **${t.title}** (#${issueFor(previousIssues, t.id)}, closed)`)
+      ];
+
+      lines.push(`- Unchanged: ${taskDiff.unchanged.length}`);
+
+      return lines.join('\n');
+    };
+
+    return `## 📝 Plan Revised
+
+**Scope:** ${scope}
+**Specification:** ${diff.specChanged ? 'updated' : 'unchanged'}
+
+### Implementation Tasks
+${formatTaskDiff(diff.implementation, previousPlan.implementationIssues, plan.implementationIssues)}
+
+### Test Tasks
+${formatTaskDiff(diff.tests, previousPlan.testIssues, plan.testIssues)}
+
+Review the updated plan above. Add label \`oc-ralph:approved\` to proceed, or comment \`/ralph revise <feedback>\` to request further changes.`;
+  }
+
   /**
    * Create implementation sub-issues
    */
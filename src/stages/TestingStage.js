@@ -11,9 +11,16 @@
  * 1. Get all test sub-issues
  * 2. Batch tests by dependencies
  * 3. Execute each batch in parallel
- * 4. For failed tests, coordinate fix attempts
+ * 4. For failed tests, coordinate fix attempts (independent failures in
+ *    parallel scratch worktrees, see ParallelFixCoordinator)
  * 5. Aggregate final results
+ *
+ * With a test command configured (execution.testing.command) its result,
+ * not the Validator's report, decides whether a test passed.
  */
+import os from 'os';
+import { OrchestrationInterruptedError } from '../core/CancellationSignal.js';
+
 export class TestingStage {
   constructor(
     issueOps,
@@ -24,6 +31,8 @@ export class TestingStage {
     dependencyResolver,
     statusUpdater,
     discordNotifier,
+    testCommandRunner,
+    parallelFixCoordinator,
     config,
     logger
   ) {
@@ -35,6 +44,8 @@ export class TestingStage {
     this.dependencyResolver = dependencyResolver;
     this.statusUpdater = statusUpdater;
     this.discordNotifier = discordNotifier;
+    this.testCommandRunner = testCommandRunner;
+    this.parallelFixCoordinator = parallelFixCoordinator;
     this.config = config;
     this.logger = logger;
   }
@@ -44,12 +55,16 @@ export class TestingStage {
    * 
    * @param {number} masterIssueNumber - Master issue number
    * @param {string} worktreePath - Path to worktree
+   * @param {Object} options - Execution options
+   * @param {boolean} options.resume - Skip finished tests and continue fix loops from their existing attempt count
+   * @param {CancellationSignal} options.signal - Checked between batches, tests and fix attempts
    * @returns {Promise<Object>} Test results summary
    */
-  async execute(masterIssueNumber, worktreePath) {
+  async execute(masterIssueNumber, worktreePath, options = {}) {
     this.logger.info('Starting testing stage', {
       masterIssueNumber,
-      worktreePath
+      worktreePath,
+      resume: !!options.resume
     });
 
     const repo = {
@@ -74,7 +89,20 @@ export class TestingStage {
       this.logger.info(`Found ${testIssues.length} test(s) to execute`);
 
       // Step 2: Execute tests in parallel batches
-      await this.executeTestsInBatches(repo, testIssues, worktreePath, masterIssueNumber);
+      // On resume, tests that already reported a result are not run again
+      const pendingTests = options.resume
+        ? testIssues.filter(t => !this.hasReportedResult(t))
+        : testIssues;
+
+      if (pendingTests.length < testIssues.length) {
+        this.logger.info(`Skipping ${testIssues.length - pendingTests.length} test(s) with existing results`);
+      }
+
+      if (pendingTests.length > 0) {
+        await this.executeTestsInBatches(repo, pendingTests, worktreePath, masterIssueNumber, options);
+      }
+
+      options.signal?.throwIfRequested();
 
       // Step 3: Check for failures and coordinate fixes
       const failedTests = await this.identifyFailedTests(repo, testIssues);
@@ -82,13 +110,14 @@ export class TestingStage {
       if (failedTests.length > 0) {
         this.logger.info(`${failedTests.length} test(s) failed, starting fix coordination`);
         
-        // Fix failed tests sequentially
+        // Fix failed tests (independent ones in parallel)
         const fixResults = await this.fixFailedTests(
           repo,
           failedTests,
           testIssues,
           worktreePath,
-          masterIssueNumber
+          masterIssueNumber,
+          options
         );
 
         // Check if any tests still failed after max attempts
@@ -111,6 +140,11 @@ export class TestingStage {
       
       return results;
     } catch (error) {
+      if (error instanceof OrchestrationInterruptedError) {
+        this.logger.info('Testing stage interrupted', { masterIssueNumber, reason: error.reason });
+        throw error;
+      }
+
       this.logger.error('Testing stage failed', {
         error: error.message,
         stack: error.stack
@@ -119,6 +153,35 @@ export class TestingStage {
     }
   }
 
+  /**
+   * Rebuild the test results summary from the test sub-issues
+   * (used when resuming after the testing stage already finished)
+   * 
+   * @param {number} masterIssueNumber - Master issue number
+   * @returns {Promise<Object>} Test results summary
+   */
+  async summarize(masterIssueNumber) {
+    const repo = {
+      owner: this.config.github.owner,
+      repo: this.config.github.repo
+    };
+
+    const testIssues = await this.getTestSubIssues(repo, masterIssueNumber);
+
+    return await this.testResultAggregator.aggregateResults(repo, testIssues);
+  }
+
+  /**
+   * Check whether a test already reported a result (complete or failed)
+   */
+  hasReportedResult(testIssue) {
+    return testIssue.labels.some(l =>
+      l.name === 'oc-ralph:agent-complete' ||
+      l.name === 'oc-ralph:test-failed' ||
+      l.name === 'oc-ralph:failed'
+    );
+  }
+
   /**
    * Get all test sub-issues for master issue
    */
@@ -142,7 +205,7 @@ export class TestingStage {
   /**
    * Execute tests in parallel batches respecting dependencies
    */
-  async executeTestsInBatches(repo, testIssues, worktreePath, masterIssueNumber) {
+  async executeTestsInBatches(repo, testIssues, worktreePath, masterIssueNumber, options = {}) {
     this.logger.info('Executing tests in parallel batches');
 
     // Create batches based on dependencies
@@ -152,34 +215,38 @@ export class TestingStage {
 
     // Execute batches sequentially, tests within batch in parallel
     for (let i = 0; i < batches.length; i++) {
+      options.signal?.throwIfRequested();
+
       const batch = batches[i];
       
       this.logger.info(`Executing batch ${i + 1}/${batches.length} with ${batch.length} test(s)`);
       
-      await this.executeBatch(repo, batch, worktreePath, masterIssueNumber);
+      await this.executeBatch(repo, batch, worktreePath, masterIssueNumber, options);
     }
   }
 
   /**
    * Execute a single batch of tests in parallel
    */
-  async executeBatch(repo, batch, worktreePath, masterIssueNumber) {
+  async executeBatch(repo, batch, worktreePath, masterIssueNumber, options = {}) {
     const maxConcurrency = this.getMaxConcurrency();
     
     // Execute tests with concurrency limit
-    const executing = [];
+    const executing = new Set();
     
     for (const testIssue of batch) {
-      const promise = this.executeTest(repo, testIssue, worktreePath, masterIssueNumber);
-      executing.push(promise);
+      // Don't start further tests once a pause/cancel was requested
+      if (options.signal?.requested) {
+        break;
+      }
+
+      const promise = this.executeTest(repo, testIssue, worktreePath, masterIssueNumber, options)
+        .finally(() => executing.delete(promise));
+      executing.add(promise);
       
       // Respect max concurrency
-      if (executing.length >= maxConcurrency) {
+      if (executing.size >= maxConcurrency) {
         await Promise.race(executing);
-        executing.splice(
-          executing.findIndex(p => p.status === 'fulfilled' || p.status === 'rejected'),
-          1
-        );
       }
     }
     
@@ -190,53 +257,55 @@ export class TestingStage {
   /**
    * Execute a single test
    */
-  async executeTest(repo, testIssue, worktreePath, masterIssueNumber) {
+  async executeTest(repo, testIssue, worktreePath, masterIssueNumber, options = {}) {
     this.logger.info('Executing test', {
       testIssue: testIssue.number,
       testTitle: testIssue.title
     });
 
+    const runsCommand = this.testCommandRunner?.isEnabled();
+
     try {
-      // Execute Janos test agent
+      // Execute Validator test agent (it only writes the tests when oc-ralph runs them)
       await this.agentExecutor.executeAgent(
-        'janos',
+        'validator',
         {
           issueNumber: testIssue.number,
           worktreePath,
           masterIssueNumber,
-          statusUpdater: this.statusUpdater
+          statusUpdater: this.statusUpdater,
+          signal: options.signal,
+          template: runsCommand ? 'validator-command' : undefined,
+          testCommand: runsCommand ? this.config.execution.testing.command : undefined
         }
       );
 
-      // Poll for completion
-      const result = await this.taskPoller.pollForCompletion(
-        repo.owner,
-        repo.repo,
+      // Poll for completion (rejects on timeout - the test is marked failed below)
+      await this.taskPoller.waitForCompletion(
+        `${repo.owner}/${repo.repo}`,
         testIssue.number,
-        this.config.agents.janos.timeout * 1000
+        this.config.agents.validator.timeout * 1000,
+        options.signal
       );
 
-      if (result.timedOut) {
-        this.logger.error('Test execution timed out', {
-          testIssue: testIssue.number
-        });
-        
-        // Mark as failed
-        await this.issueOps.addLabels(
-          repo.owner,
-          repo.repo,
-          testIssue.number,
-          ['oc-ralph:test-failed']
-        );
-      } else {
-        this.logger.info('Test execution completed', {
-          testIssue: testIssue.number
-        });
+      // The test command's result is the verdict
+      if (runsCommand) {
+        await this.testCommandRunner.verify(`${repo.owner}/${repo.repo}`, testIssue, worktreePath);
       }
 
+      this.logger.info('Test execution completed', {
+        testIssue: testIssue.number
+      });
+
       // Update status table
-      await this.statusUpdater.notifyTaskUpdate();
+      await this.statusUpdater.updateStatusTable();
     } catch (error) {
+      // Paused or cancelled - the test has no result yet and runs again on resume
+      if (error instanceof OrchestrationInterruptedError) {
+        this.logger.info('Test execution interrupted', { testIssue: testIssue.number, reason: error.reason });
+        return;
+      }
+
       this.logger.error('Test execution failed', {
         error: error.message,
         errorType: error.name,
@@ -251,7 +320,7 @@ export class TestingStage {
         
         // Send Discord notification with log file attachment
         await this.discordNotifier.onEventWithFile('critical-error', {
-          masterIssueNumber: this.masterIssueNumber,
+          masterIssueNumber,
           testIssueNumber: testIssue.number,
           errorType: 'OpenCode Server Unreachable',
           errorMessage: error.message,
@@ -262,8 +331,7 @@ export class TestingStage {
       
       // Mark as failed
       await this.issueOps.addLabels(
-        repo.owner,
-        repo.repo,
+        `${repo.owner}/${repo.repo}`,
         testIssue.number,
         ['oc-ralph:test-failed']
       );
@@ -278,13 +346,15 @@ export class TestingStage {
 
     const failedTests = [];
 
+    // Fresh issue data for all tests in one batched query
+    const freshIssues = await this.issueOps.getIssues(
+      `${repo.owner}/${repo.repo}`,
+      testIssues.map(issue => issue.number)
+    );
+
     for (const testIssue of testIssues) {
-      // Fetch fresh issue data
-      const freshIssue = await this.issueOps.getIssue(
-        repo.owner,
-        repo.repo,
-        testIssue.number
-      );
+      const freshIssue = freshIssues.get(testIssue.number);
+      if (!freshIssue) continue;
 
       // Check for failure labels
       const hasFailed = freshIssue.labels.some(l => 
@@ -301,37 +371,119 @@ export class TestingStage {
     return failedTests;
   }
 
+  /**
+   * Fix failed tests - independent clusters in parallel when there are
+   * several, then whatever still fails on the merged branch one at a time
+   */
+  async fixFailedTests(repo, failedTests, allTests, worktreePath, masterIssueNumber, options = {}) {
+    const clusters = failedTests.length > 1 && this.parallelFixCoordinator?.isEnabled()
+      ? await this.parallelFixCoordinator.clusterFailures(failedTests, allTests)
+      : [failedTests];
+
+    if (clusters.length < 2) {
+      return await this.fixSequentially(repo, failedTests, allTests, worktreePath, masterIssueNumber, options);
+    }
+
+    const results = await this.parallelFixCoordinator.fixClusters(
+      repo,
+      clusters,
+      allTests,
+      worktreePath,
+      masterIssueNumber,
+      (tests, scratchPath, scopeTests) =>
+        this.fixSequentially(repo, tests, scopeTests, scratchPath, masterIssueNumber, options),
+      options
+    );
+
+    // Conflicting clusters and fixes that clash after the merge - except
+    // tests that already ran out of attempts
+    const exhausted = results.filter(r => !r.success).map(r => r.testIssue);
+    const stillFailing = (await this.identifyFailedTests(repo, allTests))
+      .filter(t => !exhausted.includes(t.number));
+
+    if (stillFailing.length > 0) {
+      this.logger.info(`${stillFailing.length} test(s) still failing after merging the parallel fixes`);
+
+      const sequentialResults = await this.fixSequentially(
+        repo,
+        stillFailing,
+        allTests,
+        worktreePath,
+        masterIssueNumber,
+        { ...options, continueAttempts: true }
+      );
+
+      for (const result of sequentialResults) {
+        this.recordFixResult(results, result);
+      }
+    }
+
+    return results;
+  }
+
   /**
    * Fix failed tests sequentially using TestRetryCoordinator
+   *
+   * Tests broken by a kept fix (onRegression: keep) join the queue; their
+   * latest result replaces an earlier one.
+   *
+   * @param {Object} options - Fix loop options
+   * @param {boolean} options.continueAttempts - Continue numbering after earlier fix attempts (as on resume)
    */
-  async fixFailedTests(repo, failedTests, allTests, worktreePath, masterIssueNumber) {
+  async fixSequentially(repo, failedTests, allTests, worktreePath, masterIssueNumber, options = {}) {
     this.logger.info('Starting sequential test fixing', {
       failedCount: failedTests.length
     });
 
     const results = [];
+    const queue = [...failedTests];
+    const requeued = new Set();
 
     // Fix tests one at a time (sequential)
-    for (const failedTest of failedTests) {
+    while (queue.length > 0) {
+      const failedTest = queue.shift();
+      options.signal?.throwIfRequested();
+
       this.logger.info(`Fixing test ${failedTest.number}`, {
         title: failedTest.title
       });
 
       try {
+        // Continue numbering after fix attempts made by an earlier run or loop
+        const previousAttempts = options.resume || options.continueAttempts || requeued.has(failedTest.number)
+          ? await this.testResultAggregator.countFixAttempts(repo, failedTest.number)
+          : 0;
+
+        if (previousAttempts > 0) {
+          this.logger.info(`Continuing fix loop for test ${failedTest.number}`, {
+            previousAttempts
+          });
+        }
+
         const result = await this.testRetryCoordinator.coordinateTestFix(
           repo,
           failedTest,
           worktreePath,
           allTests,
-          masterIssueNumber
+          masterIssueNumber,
+          { startAttempt: previousAttempts + 1, signal: options.signal }
         );
 
-        results.push({
+        this.recordFixResult(results, {
           testIssue: failedTest.number,
           success: result.success,
           attempts: result.attempts
         });
 
+        for (const number of result.regressed || []) {
+          const brokenTest = allTests.find(t => t.number === number);
+          if (brokenTest && !queue.includes(brokenTest)) {
+            this.logger.info(`Queueing test ${number}, broken by the fix for test ${failedTest.number}`);
+            requeued.add(number);
+            queue.push(brokenTest);
+          }
+        }
+
         if (!result.success) {
           this.logger.error('Test could not be fixed', {
             testIssue: failedTest.number,
@@ -339,12 +491,16 @@ export class TestingStage {
           });
         }
       } catch (error) {
+        if (error instanceof OrchestrationInterruptedError) {
+          throw error;
+        }
+
         this.logger.error('Error fixing test', {
           error: error.message,
           testIssue: failedTest.number
         });
 
-        results.push({
+        this.recordFixResult(results, {
           testIssue: failedTest.number,
           success: false,
           attempts: 0,
@@ -356,6 +512,18 @@ export class TestingStage {
     return results;
   }
 
+  /**
+   * Add a fix result, replacing an earlier one for the same test
+   */
+  recordFixResult(results, result) {
+    const index = results.findIndex(r => r.testIssue === result.testIssue);
+    if (index === -1) {
+      results.push(result);
+    } else {
+      results[index] = result;
+    }
+  }
+
   /**
    * Get max concurrency from config
    */
@@ -364,7 +532,7 @@ export class TestingStage {
 
     if (maxConcurrency === 'auto') {
       // Use CPU count
-      return require('os').cpus().length;
+      return os.cpus().length;
     }
 
     return parseInt(maxConcurrency) || 4;
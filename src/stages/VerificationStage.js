@@ -0,0 +1,294 @@
+/**
+ * Verification Stage - Final checks on the finished branch before the PR
+ *
+ * Responsibilities:
+ * - Run the configured checks (build, lint, type-check, full test suite,
+ *   custom commands) in the worktree after testing
+ * - Post each verification run on the master issue
+ * - For failed checks, create a fix sub-issue and run the Craftsman on it,
+ *   then verify again (up to maxFixAttempts)
+ * - Return the results for the PR body
+ *
+ * Skipped when execution.verification configures no checks.
+ */
+import { OrchestrationInterruptedError } from '../core/CancellationSignal.js';
+import { VerificationRunner } from '../execution/VerificationRunner.js';
+import { formatFailures } from '../execution/TestReportParser.js';
+
+export class VerificationStage {
+  constructor(
+    issueOps,
+    agentExecutor,
+    taskPoller,
+    verificationRunner,
+    statusUpdater,
+    discordNotifier,
+    journal,
+    config,
+    logger
+  ) {
+    this.issueOps = issueOps;
+    this.agentExecutor = agentExecutor;
+    this.taskPoller = taskPoller;
+    this.verificationRunner = verificationRunner;
+    this.statusUpdater = statusUpdater;
+    this.discordNotifier = discordNotifier;
+    this.journal = journal;
+    this.config = config;
+    this.logger = logger;
+  }
+
+  /**
+   * Whether any verification check is configured
+   */
+  isEnabled() {
+    return this.verificationRunner.isEnabled();
+  }
+
+  /**
+   * Verify the worktree, fixing failed checks
+   *
+   * @param {number} masterIssueNumber - Master issue number
+   * @param {string} worktreePath - Path to worktree
+   * @param {Object} options - Execution options
+   * @param {boolean} options.resume - Continue counting fix attempts from earlier runs
+   * @param {CancellationSignal} options.signal - Checked before each run and fix attempt
+   * @returns {Promise<Object>} Verification result { passed, checks, finishedAt, fixAttempts }
+   */
+  async execute(masterIssueNumber, worktreePath, options = {}) {
+    this.logger.info('Starting verification stage', {
+      masterIssueNumber,
+      worktreePath,
+      resume: !!options.resume
+    });
+
+    const repoPath = `${this.config.github.owner}/${this.config.github.repo}`;
+    const maxAttempts = this.verificationRunner.maxFixAttempts;
+
+    try {
+      let attemptNumber = options.resume
+        ? await this.countFixAttempts(repoPath, masterIssueNumber)
+        : 0;
+      let fixIssue = null;
+
+      while (true) {
+        options.signal?.throwIfRequested();
+
+        const result = await this.verificationRunner.runAll(worktreePath);
+        const failedChecks = result.checks.filter(check => !check.passed).map(check => check.name);
+
+        await this.issueOps.addComment(
+          repoPath,
+          masterIssueNumber,
+          this.verificationRunner.formatComment(result, attemptNumber)
+        );
+
+        this.journal.append(masterIssueNumber, 'verification', {
+          attemptNumber,
+          passed: result.passed,
+          failedChecks
+        });
+
+        if (fixIssue) {
+          await this.settleFixIssue(repoPath, fixIssue, result, attemptNumber, maxAttempts);
+        }
+
+        if (result.passed) {
+          this.logger.info('Verification passed', { masterIssueNumber, fixAttempts: attemptNumber });
+          return { ...result, fixAttempts: attemptNumber };
+        }
+
+        if (attemptNumber >= maxAttempts) {
+          await this.discordNotifier.notify('verification-failed', {
+            masterIssueNumber,
+            issueUrl: this.issueOps.getIssueUrl(repoPath, masterIssueNumber),
+            failedChecks: failedChecks.join(', '),
+            maxAttempts
+          });
+
+          throw new Error(
+            `Verification failed: ${failedChecks.join(', ')} still failing after ${maxAttempts} fix attempt(s)`
+          );
+        }
+
+        options.signal?.throwIfRequested();
+
+        attemptNumber++;
+        fixIssue = await this.createFixIssue(repoPath, masterIssueNumber, result, attemptNumber, maxAttempts);
+        await this.runFixAgent(repoPath, fixIssue, worktreePath, masterIssueNumber, options.signal);
+      }
+    } catch (error) {
+      if (error instanceof OrchestrationInterruptedError) {
+        this.logger.info('Verification stage interrupted', { masterIssueNumber, reason: error.reason });
+        throw error;
+      }
+
+      this.logger.error('Verification stage failed', {
+        error: error.message,
+        stack: error.stack
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Latest verification result from the master issue
+   * (used when resuming after the verification stage already finished)
+   *
+   * @param {number} masterIssueNumber - Master issue number
+   * @returns {Promise<Object|null>} Verification result, null if none ran
+   */
+  async summarize(masterIssueNumber) {
+    const comments = await this.issueOps.getComments(
+      `${this.config.github.owner}/${this.config.github.repo}`,
+      masterIssueNumber
+    );
+
+    const result = VerificationRunner.findLatestResult(comments);
+    return result && { ...result, fixAttempts: result.attemptNumber };
+  }
+
+  /**
+   * Fix attempts made by earlier runs for this master issue
+   */
+  async countFixAttempts(repoPath, masterIssueNumber) {
+    const fixIssues = await this.issueOps.listIssues(repoPath, {
+      label: 'oc-ralph:verification',
+      state: 'all'
+    });
+
+    return fixIssues.filter(issue =>
+      issue.labels.some(l => l.name === `oc-ralph:master-${masterIssueNumber}`)
+    ).length;
+  }
+
+  /**
+   * Create a fix sub-issue for the failed checks
+   */
+  async createFixIssue(repoPath, masterIssueNumber, result, attemptNumber, maxAttempts) {
+    const failedChecks = result.checks.filter(check => !check.passed);
+
+    this.logger.info('Creating verification fix sub-issue', {
+      masterIssueNumber,
+      attemptNumber,
+      failedChecks: failedChecks.map(check => check.name)
+    });
+
+    const title = `[Fix] Verification: ${failedChecks.map(check => check.name).join(', ')} (Attempt ${attemptNumber}/${maxAttempts})`;
+
+    const fixIssue = await this.issueOps.createIssue(repoPath, {
+      title,
+      body: this.buildFixIssueBody(masterIssueNumber, failedChecks, attemptNumber, maxAttempts),
+      labels: [
+        'oc-ralph:sub-issue',
+        'oc-ralph:fix-attempt',
+        'oc-ralph:implementation',
+        'oc-ralph:verification',
+        `oc-ralph:master-${masterIssueNumber}`,
+        `oc-ralph:attempt-${attemptNumber}`
+      ]
+    });
+
+    await this.statusUpdater.updateStatusTable();
+
+    return { ...fixIssue, title, failedChecks };
+  }
+
+  /**
+   * Failed checks as markdown (fix issue body and Craftsman prompt)
+   */
+  describeFailedChecks(failedChecks) {
+    return failedChecks.map(check => {
+      const lines = [
+        `### ${check.name}`,
+        '',
+        `\`${check.command}\` ${check.timedOut ? 'timed out' : `exited with code ${check.exitCode}`}`
+      ];
+
+      if (check.failures.length > 0) {
+        lines.push('', formatFailures(check.failures));
+      }
+
+      lines.push('', '```', check.output || check.error || '(no output)', '```');
+      return lines.join('\n');
+    }).join('\n\n');
+  }
+
+  /**
+   * Build fix issue body
+   */
+  buildFixIssueBody(masterIssueNumber, failedChecks, attemptNumber, maxAttempts) {
+    return `# Fix Verification Failure - Attempt ${attemptNumber}/${maxAttempts}
+
+The final checks on the branch failed. The pull request is opened once they all pass.
+
+## Failed Checks
+
+${this.describeFailedChecks(failedChecks)}
+
+## Your Task
+
+Fix the causes of the failures above in the worktree. After your fix:
+
+1. ✅ Every check above should pass
+2. ✅ No tests should break
+3. ✅ Commit your changes with a descriptive message
+
+## Context
+- Master Issue: #${masterIssueNumber}
+- Previous Fix Attempts: ${attemptNumber - 1}
+
+**When you're done, add the \`oc-ralph:agent-complete\` label to this issue.**
+`;
+  }
+
+  /**
+   * Run Craftsman agent on the fix sub-issue
+   */
+  async runFixAgent(repoPath, fixIssue, worktreePath, masterIssueNumber, signal = null) {
+    this.logger.info('Running Craftsman agent on verification fix sub-issue', {
+      fixIssue: fixIssue.number
+    });
+
+    await this.agentExecutor.executeAgent('craftsman', {
+      template: 'craftsman-verify',
+      issueNumber: fixIssue.number,
+      worktreePath,
+      masterIssueNumber,
+      taskTitle: fixIssue.title,
+      taskId: `#${fixIssue.number}`,
+      failingChecks: this.describeFailedChecks(fixIssue.failedChecks),
+      signal
+    });
+
+    // Poll for completion (rejects on timeout)
+    await this.taskPoller.waitForCompletion(
+      repoPath,
+      fixIssue.number,
+      this.config.agents.craftsman.timeout * 1000,
+      signal
+    );
+  }
+
+  /**
+   * Close the fix sub-issue when verification passed after it, else note it on the issue
+   */
+  async settleFixIssue(repoPath, fixIssue, result, attemptNumber, maxAttempts) {
+    if (result.passed) {
+      await this.issueOps.closeIssue(
+        repoPath,
+        fixIssue.number,
+        `✅ Verification passed after this fix! Attempt ${attemptNumber}/${maxAttempts} was successful.`
+      );
+    } else {
+      const failedChecks = result.checks.filter(check => !check.passed).map(check => check.name);
+      await this.issueOps.addComment(
+        repoPath,
+        fixIssue.number,
+        `❌ Still failing after this fix attempt: ${failedChecks.join(', ')}`
+      );
+    }
+
+    await this.statusUpdater.updateStatusTable();
+  }
+}
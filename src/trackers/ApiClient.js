@@ -0,0 +1,241 @@
+/**
+ * ApiClient - request handling shared by the issue tracker clients
+ *
+ * Sends REST requests through a transport ({ method, url, headers, body } ->
+ * { status, headers, data }), caches GET responses (briefly by TTL, then
+ * revalidated by ETag), follows Link pagination and routes every request
+ * through the rate limit governor. Subclasses provide the tracker's errors,
+ * cache scopes and authenticated user.
+ */
+import { RequestCache } from './RequestCache.js';
+import { RateLimitGovernor } from './RateLimitGovernor.js';
+
+const ETAG_CACHE_SIZE = 500;
+
+export class ApiClient {
+  /**
+   * @param {Object} logger
+   * @param {Object} transport - Transport instance
+   * @param {Object} options
+   * @param {string} options.apiUrl - API base URL (its path is stripped from pagination links)
+   * @param {number} options.cacheTtl - How long GET responses are reused, in ms (0 disables)
+   */
+  constructor(logger, transport, options = {}) {
+    this.logger = logger;
+    this.transport = transport;
+    this.apiPath = options.apiUrl ? new URL(options.apiUrl).pathname.replace(/\/$/, '') : '';
+    this.cache = new RequestCache(options.cacheTtl ?? 3000);
+    this.governor = new RateLimitGovernor(logger);
+    this.etagCache = new Map(); // url -> { etag, data }
+  }
+
+  /**
+   * Send a REST request
+   *
+   * @param {string} route - e.g. 'GET /repos/{owner}/{repo}/issues/{issue_number}'
+   * @param {Object} params - Route placeholders; the rest become the query (GET/DELETE) or JSON body
+   * @returns {Promise<Object>} { status, headers, data }
+   */
+  async request(route, params = {}) {
+    const [method, template] = route.split(' ');
+    const { headers: extraHeaders = {}, ...rest } = params;
+    const remaining = { ...rest };
+
+    let url = template.replace(/\{(\w+)\}/g, (_, key) => {
+      if (remaining[key] === undefined) {
+        throw new Error(`Missing parameter "${key}" for ${route}`);
+      }
+      const value = remaining[key];
+      delete remaining[key];
+      return encodeURIComponent(value);
+    });
+
+    let body;
+    if (method === 'GET' || method === 'DELETE') {
+      const query = new URLSearchParams();
+      for (const [key, value] of Object.entries(remaining)) {
+        if (value === undefined) continue;
+        // Arrays become repeated key[] parameters
+        for (const item of Array.isArray(value) ? value : [value]) {
+          query.append(Array.isArray(value) ? `${key}[]` : key, String(item));
+        }
+      }
+      if (query.toString()) {
+        url += `${url.includes('?') ? '&' : '?'}${query}`;
+      }
+    } else if (Object.keys(remaining).length > 0) {
+      body = remaining;
+    }
+
+    return await this.send(method, url, body, extraHeaders, route);
+  }
+
+  /**
+   * Send a request to a resolved URL
+   *
+   * GETs are served from (and shared through) the request cache; anything
+   * else invalidates the cached responses of its repository.
+   */
+  async send(method, url, body, extraHeaders = {}, route = `${method} ${url}`) {
+    if (method === 'GET') {
+      const key = Object.keys(extraHeaders).length > 0 ? `${url} ${JSON.stringify(extraHeaders)}` : url;
+      return await this.cache.fetch(key, () => this.dispatch(method, url, body, extraHeaders, route));
+    }
+
+    try {
+      return await this.dispatch(method, url, body, extraHeaders, route);
+    } finally {
+      this.cache.invalidate(this.cacheScope(url));
+    }
+  }
+
+  /**
+   * Send a request through the transport (retrying once after a rate limit)
+   */
+  async dispatch(method, url, body, extraHeaders, route, retried = false) {
+    try {
+      return await this.sendOnce(method, url, body, extraHeaders, route);
+    } catch (error) {
+      if (!this.isRateLimitError(error)) throw error;
+
+      this.governor.recordRateLimit(error);
+      if (retried) throw error;
+
+      return await this.dispatch(method, url, body, extraHeaders, route, true);
+    }
+  }
+
+  async sendOnce(method, url, body, extraHeaders, route) {
+    const headers = { ...extraHeaders };
+    const cached = method === 'GET' ? this.etagCache.get(url) : null;
+
+    if (cached) {
+      headers['If-None-Match'] = cached.etag;
+    }
+
+    await this.governor.beforeRequest();
+
+    this.logger.debug('Tracker API request', { method, url, transport: this.transport.name });
+
+    const response = await this.transport.request({ method, url, headers, body });
+    this.governor.update(response.headers);
+
+    if (response.status === 304 && cached) {
+      return { status: 200, headers: response.headers, data: cached.data, cached: true };
+    }
+
+    if (response.status >= 400) {
+      const error = this.createError(route, response);
+      this.logger.debug('Tracker API request failed', { route, status: response.status, error: error.message });
+      throw error;
+    }
+
+    if (method === 'GET' && response.headers.etag) {
+      this.cacheResponse(url, response.headers.etag, response.data);
+    }
+
+    return response;
+  }
+
+  /**
+   * Fetch every page of a list endpoint
+   */
+  async paginate(route, params = {}) {
+    let response = await this.request(route, { per_page: 100, ...params });
+    const items = [...(response.data || [])];
+
+    let next = this.nextPage(response.headers.link);
+    while (next) {
+      response = await this.send('GET', next, undefined, params.headers, route);
+      items.push(...(response.data || []));
+      next = this.nextPage(response.headers.link);
+    }
+
+    return items;
+  }
+
+  /**
+   * Extract the rel="next" URL (path and query, relative to the API) from a Link header
+   */
+  nextPage(link) {
+    const match = link?.match(/<([^>]+)>;\s*rel="next"/);
+    if (!match) {
+      return null;
+    }
+
+    const next = new URL(match[1]);
+    const pathname = this.apiPath && next.pathname.startsWith(this.apiPath)
+      ? next.pathname.slice(this.apiPath.length)
+      : next.pathname;
+
+    return `${pathname}${next.search}`;
+  }
+
+  /**
+   * Error for a failed response
+   */
+  createError(route, response) {
+    const error = new Error(`API error: ${route} → ${response.status} ${response.data?.message || ''}`.trim());
+    error.status = response.status;
+    error.route = route;
+    error.data = response.data;
+    return error;
+  }
+
+  /**
+   * Whether an error means the rate limit was hit
+   */
+  isRateLimitError(error) {
+    return error.status === 429;
+  }
+
+  /**
+   * URL prefix of a repository's requests
+   */
+  repoScope(repo) {
+    return `/repos/${repo}/`;
+  }
+
+  /**
+   * URL prefix whose cached responses a write to `url` makes stale
+   */
+  cacheScope(url) {
+    const match = url.match(/^\/repos\/[^/]+\/[^/?]+/);
+    return match ? `${match[0]}/` : '';
+  }
+
+  /**
+   * Forget cached responses for a repository (e.g. after a webhook reports a change)
+   */
+  invalidate(repo) {
+    this.cache.invalidate(this.repoScope(repo));
+  }
+
+  /**
+   * Rate limit budget and cache statistics
+   */
+  getBudget() {
+    return { ...this.governor.getBudget(), cache: this.cache.getStats() };
+  }
+
+  /**
+   * Check that the tracker can be reached with valid credentials
+   */
+  async checkAuth() {
+    try {
+      await this.getAuthenticatedUser();
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  cacheResponse(url, etag, data) {
+    this.etagCache.delete(url);
+    this.etagCache.set(url, { etag, data });
+
+    if (this.etagCache.size > ETAG_CACHE_SIZE) {
+      this.etagCache.delete(this.etagCache.keys().next().value);
+    }
+  }
+}
@@ -0,0 +1,127 @@
+/**
+ * IssueTracker - the issue tracker backend oc-ralph works against
+ *
+ * Bundles a tracker's client with its issue, label and pull (merge) request
+ * operations. Every backend implements the same interface, returns issues and
+ * comments in the same shape and addresses repositories as 'owner/repo'
+ * (group/project on GitLab), so StateManager, IssueTemplateManager, the
+ * stages and the pollers never need to know which tracker they talk to.
+ *
+ * issueOps: getIssue, getIssues, createIssue, updateIssue, closeIssue,
+ *           addComment, getComments, addLabels, removeLabels, listIssues,
+ *           getIssuesByLabel, getIssueUrl
+ * labelOps: getLabels, addLabel, removeLabel, listLabels, createLabel,
+ *           ensureLabelExists, ensureLabelsExist
+ * prOps:    createPullRequest, getPullRequest, findOpenPullRequest,
+ *           updatePullRequest, linkPRToIssue, addLabels, getPRCommits,
+ *           getPRFiles, buildPRBody
+ * client:   getAuthenticatedUser, checkAuth, invalidate, getBudget
+ *
+ * Backends (config `tracker.type`):
+ * - github (default): configured by the `github` section
+ * - gitlab: GitLab.com or self-hosted (`tracker.url`, GITLAB_TOKEN)
+ * - gitea / forgejo: `tracker.url`, GITEA_TOKEN
+ * - local: files under .oc-ralph/local/ (offline runs, `start --local`)
+ */
+import path from 'path';
+import { GitHubClient } from '../github/GitHubClient.js';
+import { IssueOperations } from '../github/IssueOperations.js';
+import { LabelOperations } from '../github/LabelOperations.js';
+import { PullRequestOperations } from '../github/PullRequestOperations.js';
+import { GitLabClient } from '../gitlab/GitLabClient.js';
+import { GitLabIssueOperations } from '../gitlab/GitLabIssueOperations.js';
+import { GitLabLabelOperations } from '../gitlab/GitLabLabelOperations.js';
+import { GitLabMergeRequestOperations } from '../gitlab/GitLabMergeRequestOperations.js';
+import { GiteaClient } from '../gitea/GiteaClient.js';
+import { GiteaIssueOperations } from '../gitea/GiteaIssueOperations.js';
+import { GiteaLabelOperations } from '../gitea/GiteaLabelOperations.js';
+import { GiteaPullRequestOperations } from '../gitea/GiteaPullRequestOperations.js';
+import { LocalIssueStore } from '../local/LocalIssueStore.js';
+import { LocalIssueOperations } from '../local/LocalIssueOperations.js';
+import { LocalLabelOperations } from '../local/LocalLabelOperations.js';
+import { LocalPullRequestOperations } from '../local/LocalPullRequestOperations.js';
+
+export class IssueTracker {
+  constructor({ type, client, issueOps, labelOps, prOps }) {
+    this.type = type;
+    this.client = client;
+    this.issueOps = issueOps;
+    this.labelOps = labelOps;
+    this.prOps = prOps;
+  }
+
+  /**
+   * Create the tracker a (repository) config points at
+   *
+   * @param {Object} config - Config with `github` and optional `tracker` sections
+   * @param {Object} logger
+   * @returns {IssueTracker}
+   */
+  static create(config, logger) {
+    const options = config.tracker || {};
+    const type = options.type || 'github';
+
+    switch (type) {
+      case 'github': {
+        const client = new GitHubClient(logger, config.github);
+        return new IssueTracker({
+          type,
+          client,
+          issueOps: new IssueOperations(client, logger),
+          labelOps: new LabelOperations(client, logger),
+          prOps: new PullRequestOperations(client, logger)
+        });
+      }
+      case 'gitlab': {
+        const client = new GitLabClient(logger, { cacheTtl: config.github?.cacheTtl, ...options });
+        return new IssueTracker({
+          type,
+          client,
+          issueOps: new GitLabIssueOperations(client, logger),
+          labelOps: new GitLabLabelOperations(client, logger),
+          prOps: new GitLabMergeRequestOperations(client, logger)
+        });
+      }
+      case 'gitea':
+      case 'forgejo': {
+        const client = new GiteaClient(logger, { cacheTtl: config.github?.cacheTtl, ...options });
+        return new IssueTracker({
+          type,
+          client,
+          issueOps: new GiteaIssueOperations(client, logger),
+          labelOps: new GiteaLabelOperations(client, logger),
+          prOps: new GiteaPullRequestOperations(client, logger)
+        });
+      }
+      case 'local': {
+        const store = new LocalIssueStore(logger, {
+          dir: options.dir || path.join(config.stateDir || '.oc-ralph', 'local'),
+          user: options.user
+        });
+        return new IssueTracker({
+          type,
+          client: store,
+          issueOps: new LocalIssueOperations(store, logger),
+          labelOps: new LocalLabelOperations(store, logger),
+          prOps: new LocalPullRequestOperations(store, logger)
+        });
+      }
+      default:
+        throw new Error(`Unknown issue tracker: ${type} (expected github, gitlab, gitea, forgejo or local)`);
+    }
+  }
+
+  /**
+   * Key identifying the tracker connection a config uses (configs with the
+   * same key can share one tracker, and with it the cache and rate limit budget)
+   */
+  static connectionKey(config) {
+    const { type = 'github', url = '', token = '', dir = '' } = config.tracker || {};
+    const { transport = '', apiUrl = '', token: githubToken = '' } = config.github || {};
+    return type === 'github'
+      ? JSON.stringify([type, typeof transport === 'string' ? transport : 'custom', apiUrl, githubToken])
+      : type === 'local'
+        ? JSON.stringify([type, dir || config.stateDir || '.oc-ralph'])
+        : JSON.stringify([type, url, token]);
+  }
+}
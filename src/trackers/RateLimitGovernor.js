@@ -0,0 +1,128 @@
+/**
+ * RateLimitGovernor - keeps oc-ralph inside the tracker's API budget
+ *
+ * Tracks the remaining core quota from response headers and stretches poll
+ * intervals as it shrinks. After a rate limit error (primary or secondary)
+ * further requests wait until the reset / Retry-After time.
+ */
+
+// Fraction of quota remaining -> poll interval multiplier
+const SLOWDOWN_STEPS = [
+  { above: 0.5, factor: 1 },
+  { above: 0.25, factor: 2 },
+  { above: 0.1, factor: 4 },
+  { above: 0, factor: 8 }
+];
+
+const DEFAULT_BACKOFF_MS = 60000;
+
+export class RateLimitGovernor {
+  constructor(logger) {
+    this.logger = logger;
+    this.limit = null;
+    this.remaining = null;
+    this.resetAt = null;
+    this.backoffUntil = null;
+    this.rateLimitHits = 0;
+    this.requests = 0;
+  }
+
+  /**
+   * Record the quota reported by a response (GitHub x-ratelimit-* or GitLab ratelimit-* headers)
+   */
+  update(headers = {}) {
+    this.requests++;
+
+    const prefix = headers['x-ratelimit-remaining'] !== undefined ? 'x-ratelimit-' : 'ratelimit-';
+    if (headers[`${prefix}remaining`] === undefined) {
+      return;
+    }
+
+    this.limit = parseInt(headers[`${prefix}limit`]);
+    this.remaining = parseInt(headers[`${prefix}remaining`]);
+    this.resetAt = new Date(parseInt(headers[`${prefix}reset`]) * 1000);
+  }
+
+  /**
+   * Record a rate limit error; requests pause until the tracker allows them again
+   */
+  recordRateLimit(error) {
+    this.rateLimitHits++;
+
+    const until = error.retryAfterMs
+      ? Date.now() + error.retryAfterMs
+      : error.resetAt?.getTime() || Date.now() + DEFAULT_BACKOFF_MS;
+
+    this.backoffUntil = Math.max(this.backoffUntil || 0, until);
+
+    this.logger.warn('API rate limit hit, pausing requests', {
+      route: error.route,
+      until: new Date(this.backoffUntil).toISOString()
+    });
+  }
+
+  /**
+   * Milliseconds requests must wait before being sent (0 when clear)
+   */
+  getDelay() {
+    const now = Date.now();
+
+    if (this.backoffUntil && this.backoffUntil > now) {
+      return this.backoffUntil - now;
+    }
+
+    if (this.remaining === 0 && this.resetAt && this.resetAt.getTime() > now) {
+      return this.resetAt.getTime() - now;
+    }
+
+    return 0;
+  }
+
+  /**
+   * Wait out a rate limit before sending a request
+   */
+  async beforeRequest() {
+    const delay = this.getDelay();
+
+    if (delay > 0) {
+      this.logger.debug('Delaying API request for rate limit', { delayMs: delay });
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  /**
+   * Poll interval multiplier for the remaining quota
+   */
+  getSlowdownFactor() {
+    if (!this.limit || this.remaining === null) {
+      return 1;
+    }
+
+    const fraction = this.remaining / this.limit;
+    return SLOWDOWN_STEPS.find(step => fraction > step.above)?.factor || SLOWDOWN_STEPS.at(-1).factor;
+  }
+
+  /**
+   * Stretch a poll interval to match the remaining budget
+   */
+  adjustInterval(intervalMs) {
+    return Math.max(intervalMs * this.getSlowdownFactor(), this.getDelay());
+  }
+
+  /**
+   * Budget snapshot (for /api/health)
+   */
+  getBudget() {
+    return {
+      limit: this.limit,
+      remaining: this.remaining,
+      used: this.limit !== null ? this.limit - this.remaining : null,
+      resetAt: this.resetAt?.toISOString() || null,
+      slowdownFactor: this.getSlowdownFactor(),
+      throttled: this.getDelay() > 0,
+      backoffUntil: this.backoffUntil && this.backoffUntil > Date.now() ? new Date(this.backoffUntil).toISOString() : null,
+      rateLimitHits: this.rateLimitHits,
+      requests: this.requests
+    };
+  }
+}
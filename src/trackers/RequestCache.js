@@ -0,0 +1,107 @@
+/**
+ * RequestCache - short-lived cache of tracker API GET responses
+ *
+ * Identical GETs inside the TTL are answered from memory and concurrent
+ * identical GETs share one request, so status table refreshes, pollers and
+ * stages reading the same issues cost one API call. Writes invalidate the
+ * repository's entries.
+ *
+ * Every caller gets its own copy of the response, so changing it does not
+ * change what others see. Expired entries are swept when new ones are
+ * stored, and past maxEntries the oldest are dropped.
+ */
+export class RequestCache {
+  constructor(ttlMs = 3000, maxEntries = 500) {
+    this.ttlMs = ttlMs;
+    this.maxEntries = maxEntries;
+    this.entries = new Map(); // url -> { value, expiresAt }
+    this.inflight = new Map(); // url -> Promise
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * Cached value for a URL, or the shared in-flight request, or a new request
+   *
+   * @param {string} url - Cache key
+   * @param {Function} load - Performs the request when there is nothing to share
+   */
+  async fetch(url, load) {
+    const entry = this.entries.get(url);
+
+    if (entry && entry.expiresAt > Date.now()) {
+      this.hits++;
+      return structuredClone(entry.value);
+    }
+
+    if (this.inflight.has(url)) {
+      this.hits++;
+      return structuredClone(await this.inflight.get(url));
+    }
+
+    this.misses++;
+
+    const request = load().then(value => {
+      if (this.ttlMs > 0 && this.inflight.get(url) === request) {
+        this.store(url, value);
+      }
+      return value;
+    }).finally(() => {
+      if (this.inflight.get(url) === request) {
+        this.inflight.delete(url);
+      }
+    });
+
+    this.inflight.set(url, request);
+    return structuredClone(await request);
+  }
+
+  /**
+   * Store a value, sweeping expired entries and keeping at most maxEntries
+   */
+  store(url, value) {
+    const now = Date.now();
+
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+
+    // Re-inserting moves the URL to the end, so the first key is the oldest
+    this.entries.delete(url);
+    this.entries.set(url, { value, expiresAt: now + this.ttlMs });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Drop entries (and detach in-flight requests) whose URL starts with the prefix
+   */
+  invalidate(prefix = '') {
+    for (const url of [...this.entries.keys(), ...this.inflight.keys()]) {
+      if (url.startsWith(prefix)) {
+        this.entries.delete(url);
+        this.inflight.delete(url);
+      }
+    }
+  }
+
+  /**
+   * Hit/miss counters
+   */
+  getStats() {
+    const total = this.hits + this.misses;
+
+    return {
+      ttlMs: this.ttlMs,
+      entries: this.entries.size,
+      maxEntries: this.maxEntries,
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: total > 0 ? Math.round(this.hits / total * 100) / 100 : 0
+    };
+  }
+}
@@ -50,6 +50,44 @@ export class GitOperations {
     this.logger.info('Branch created', { branchName });
   }
 
+  /**
+   * Create a new branch from a local base branch (no remote needed)
+   */
+  async createLocalBranch(branchName, baseBranch = 'main', cwd = this.workingDir) {
+    this.logger.info('Creating local branch', { branchName, baseBranch });
+
+    await this.exec(`branch ${branchName} ${baseBranch}`, cwd);
+
+    this.logger.info('Branch created', { branchName });
+  }
+
+  /**
+   * Delete a local branch
+   */
+  async deleteBranch(branchName, cwd = this.workingDir) {
+    this.logger.info('Deleting branch', { branchName });
+
+    await this.exec(`branch -D ${branchName}`, cwd);
+  }
+
+  /**
+   * Merge a branch into the branch checked out in cwd (always with a merge commit)
+   *
+   * A merge that conflicts is aborted and the error rethrown.
+   */
+  async mergeBranch(cwd, branchName) {
+    this.logger.info('Merging branch', { branchName, cwd });
+
+    try {
+      await this.exec(`merge --no-ff --no-edit ${branchName}`, cwd);
+    } catch (error) {
+      await this.exec('merge --abort', cwd).catch(() => {});
+      throw error;
+    }
+
+    this.logger.info('Branch merged', { branchName });
+  }
+
   /**
    * Add worktree
    */
@@ -126,6 +164,16 @@ export class GitOperations {
     this.logger.info('Pushed to remote', { branchName });
   }
 
+  /**
+   * Check whether the remote branch already points at the local HEAD
+   */
+  async isBranchPushed(cwd, remote, branchName) {
+    const localHead = await this.exec('rev-parse HEAD', cwd);
+    const remoteRef = await this.exec(`ls-remote ${remote} refs/heads/${branchName}`, cwd);
+
+    return remoteRef.split(/\s+/)[0] === localHead;
+  }
+
   /**
    * Get current branch
    */
@@ -182,6 +230,31 @@ export class GitOperations {
     return output.split('\n').filter(line => line.length > 0);
   }
 
+  /**
+   * Commit hash at HEAD
+   */
+  async getHead(cwd) {
+    return await this.exec('rev-parse HEAD', cwd);
+  }
+
+  /**
+   * Revert every commit after fromCommit with new revert commits (history is kept)
+   *
+   * A revert that conflicts is aborted and the error rethrown.
+   */
+  async revertCommits(cwd, fromCommit) {
+    this.logger.info('Reverting commits', { fromCommit, cwd });
+
+    try {
+      await this.exec(`revert --no-edit ${fromCommit}..HEAD`, cwd);
+    } catch (error) {
+      await this.exec('revert --abort', cwd).catch(() => {});
+      throw error;
+    }
+
+    this.logger.info('Commits reverted', { fromCommit });
+  }
+
   /**
    * Get recent commits (last N commits)
    */
@@ -1,6 +1,10 @@
 /**
  * Issue Body Manager - Parse and manipulate GitHub issue body structure
  */
+import { PlanStore } from '../core/PlanStore.js';
+
+const PLAN_DATA_PATTERN = /<!-- oc-ralph-plan-data\n([\s\S]*?)\n-->/;
+
 export class IssueBodyManager {
   /**
    * Parse issue body into sections
@@ -51,6 +55,7 @@ export class IssueBodyManager {
     if (plan) {
       body += '\n---\n\n';
       body += this.buildPlanSection(plan);
+      body += '\n' + this.buildPlanDataBlock(plan);
     }
     
     // Status table (if exists)
@@ -108,7 +113,7 @@ ${spec.dependencies?.map(d => `- ${d}`).join('\n') || 'None'}
     section += `The planning phase has completed. Status: **${statusText}**\n\n`;
     
     if (!plan.approved) {
-      section += `Add label \`oc-ralph:approved\` to proceed with implementation.\n\n`;
+      section += `Add label \`oc-ralph:approved\` to proceed with implementation, or comment \`/ralph revise <feedback>\` to request changes.\n\n`;
     }
     
     section += `### Implementation Tasks (${plan.implementationTasks.length})\n`;
@@ -126,6 +131,32 @@ ${spec.dependencies?.map(d => `- ${d}`).join('\n') || 'None'}
     return section;
   }
   
+  /**
+   * Build machine-readable plan record (hidden HTML comment)
+   */
+  buildPlanDataBlock(plan) {
+    // Escape "-->" so task text can never terminate the comment early
+    const json = JSON.stringify(PlanStore.toRecord(null, plan)).replace(/-->/g, '--\\u003e');
+    return `<!-- oc-ralph-plan-data\n${json}\n-->\n`;
+  }
+  
+  /**
+   * Extract plan from the machine-readable block (null if absent or invalid)
+   */
+  extractPlan(issueBody) {
+    const match = (issueBody || '').match(PLAN_DATA_PATTERN);
+    
+    if (!match) {
+      return null;
+    }
+    
+    try {
+      return PlanStore.fromRecord(JSON.parse(match[1]));
+    } catch (error) {
+      return null;
+    }
+  }
+  
   /**
    * Update only status table section
    */
@@ -2,6 +2,8 @@
  * Status Table - Generate markdown status tables for orchestration progress
  */
 import { StatusUpdater } from '../core/StatusUpdater.js';
+import { OrchestrationJournal } from '../core/OrchestrationJournal.js';
+import { RegressionDetector } from '../execution/RegressionDetector.js';
 
 export class StatusTable {
   constructor(issueOps, config, logger) {
@@ -9,6 +11,7 @@ export class StatusTable {
     this.config = config;
     this.logger = logger;
     this.repo = `${config.github.owner}/${config.github.repo}`;
+    this.journal = new OrchestrationJournal(config, logger);
   }
   
   /**
@@ -41,6 +44,9 @@ export class StatusTable {
       table += this.buildTestTable(plan.testTasks, testTasks);
     }
     
+    // Fixes that broke other tests
+    table += this.buildRegressionTable(this.journal.replay(masterIssueNumber).regressions);
+    
     // Progress summary
     table += this.buildProgressSummary(planningStatus, plan);
     
@@ -135,49 +141,58 @@ export class StatusTable {
     return table;
   }
   
+  /**
+   * Build regression history table (empty without regressions)
+   */
+  buildRegressionTable(regressions) {
+    if (regressions.length === 0) {
+      return '';
+    }
+    
+    let table = `### Regression History\n\n`;
+    table += `| Fix | Test | Attempt | Broke | Action |\n`;
+    table += `|-----|------|---------|-------|--------|\n`;
+    
+    regressions.forEach(regression => {
+      const action = regression.action === 'reverted' ? '↩️ Reverted' : '📌 Kept';
+      table += `| #${regression.fixIssue} | #${regression.testIssue} | ${regression.attemptNumber} | ${RegressionDetector.describe(regression)} | ${action} |\n`;
+    });
+    
+    table += `\n`;
+    return table;
+  }
+  
   /**
    * Fetch status for all task issues (including fix attempts for tests)
+   * 
+   * All task issues are read in one batched query and fix attempts in one
+   * list, instead of two requests per task on every refresh.
    */
   async fetchTaskStatuses(issueRefs) {
     const statuses = [];
+    let issues = new Map();
+    let fixAttemptCounts = new Map();
+    
+    try {
+      issues = await this.issueOps.getIssues(this.repo, issueRefs.map(ref => ref.issueNumber));
+      
+      const hasTestIssues = [...issues.values()].some(issue =>
+        issue.labels.some(l => l.name === 'oc-ralph:test')
+      );
+      if (hasTestIssues) {
+        fixAttemptCounts = await this.getFixAttemptCounts();
+      }
+    } catch (error) {
+      this.logger.error('Failed to fetch task statuses', { 
+        count: issueRefs.length, 
+        error: error.message 
+      });
+    }
     
     for (const ref of issueRefs) {
-      try {
-        const repo = `${this.config.github.owner}/${this.config.github.repo}`;
-        const issue = await this.issueOps.getIssue(
-          repo,
-          ref.issueNumber
-        );
-        
-        // Count fix attempts for test issues
-        let fixAttempts = 0;
-        const isTestIssue = issue.labels.some(l => l.name === 'oc-ralph:test');
-        
-        if (isTestIssue) {
-          fixAttempts = await this.countFixAttempts(issue.number);
-        }
-        
-        // Parse agent progress from issue body
-        const agentMessage = StatusUpdater.parseHTMLComment(issue.body, 'agent-message');
-        const toolsUsed = StatusUpdater.parseHTMLComment(issue.body, 'tools-used');
-        const retryCount = StatusUpdater.parseHTMLComment(issue.body, 'retry-count');
-        const lastRetryTime = StatusUpdater.parseHTMLComment(issue.body, 'last-retry-time');
-        
-        statuses.push({
-          number: issue.number,
-          labels: issue.labels.map(l => l.name),
-          updated: this.formatTimestamp(issue.updated_at),
-          fixAttempts,
-          agentMessage: agentMessage,
-          toolsUsed: toolsUsed,
-          retryCount: retryCount ? parseInt(retryCount) : 0,
-          lastRetryTime: lastRetryTime
-        });
-      } catch (error) {
-        this.logger.error('Failed to fetch task status', { 
-          issueNumber: ref.issueNumber, 
-          error: error.message 
-        });
+      const issue = issues.get(parseInt(ref.issueNumber));
+      
+      if (!issue) {
         statuses.push({
           number: ref.issueNumber,
           labels: [],
@@ -186,7 +201,25 @@ export class StatusTable {
           agentMessage: null,
           toolsUsed: null
         });
+        continue;
       }
+      
+      // Parse agent progress from issue body
+      const agentMessage = StatusUpdater.parseHTMLComment(issue.body, 'agent-message');
+      const toolsUsed = StatusUpdater.parseHTMLComment(issue.body, 'tools-used');
+      const retryCount = StatusUpdater.parseHTMLComment(issue.body, 'retry-count');
+      const lastRetryTime = StatusUpdater.parseHTMLComment(issue.body, 'last-retry-time');
+      
+      statuses.push({
+        number: issue.number,
+        labels: issue.labels.map(l => l.name),
+        updated: this.formatTimestamp(issue.updatedAt),
+        fixAttempts: fixAttemptCounts.get(issue.number) || 0,
+        agentMessage: agentMessage,
+        toolsUsed: toolsUsed,
+        retryCount: retryCount ? parseInt(retryCount) : 0,
+        lastRetryTime: lastRetryTime
+      });
     }
     
     return statuses;
@@ -285,27 +318,39 @@ export class StatusTable {
    * Count fix attempts for a test issue
    */
   async countFixAttempts(testIssueNumber) {
+    const counts = await this.getFixAttemptCounts();
+    return counts.get(parseInt(testIssueNumber)) || 0;
+  }
+  
+  /**
+   * Count fix attempts for every test issue with one issue list
+   * 
+   * @returns {Promise<Map>} testIssueNumber -> fix attempts
+   */
+  async getFixAttemptCounts() {
+    const counts = new Map();
+    
     try {
-      // Find all fix sub-issues for this test
-      const allIssues = await this.issueOps.getIssuesByLabel(
-        this.config.github.owner,
-        this.config.github.repo,
-        `oc-ralph:test-${testIssueNumber}`
-      );
-
-      // Filter for fix attempts
-      const fixIssues = allIssues.filter(issue =>
-        issue.labels.some(l => l.name === 'oc-ralph:fix-attempt')
-      );
-
-      return fixIssues.length;
+      const fixIssues = await this.issueOps.listIssues(this.repo, {
+        label: 'oc-ralph:fix-attempt',
+        state: 'all'
+      });
+      
+      for (const issue of fixIssues) {
+        for (const { name } of issue.labels) {
+          const match = name.match(/^oc-ralph:test-(\d+)$/);
+          if (match) {
+            counts.set(parseInt(match[1]), (counts.get(parseInt(match[1])) || 0) + 1);
+          }
+        }
+      }
     } catch (error) {
       this.logger.error('Failed to count fix attempts', {
-        error: error.message,
-        testIssueNumber
+        error: error.message
       });
-      return 0;
     }
+    
+    return counts;
   }
   
   /**
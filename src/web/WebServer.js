@@ -7,16 +7,29 @@ import express from 'express';
 import { WebSocketServer } from 'ws';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { OrchestrationJournal } from '../core/OrchestrationJournal.js';
+import { TranscriptStore } from '../logging/TranscriptStore.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 export class WebServer {
-  constructor(logStreamManager, queue, config, logger) {
+  constructor(logStreamManager, queue, config, logger, repositoryConfigs = [config], webhookHandler = null, trackerClients = new Map()) {
     this.streamManager = logStreamManager;
     this.queue = queue;
     this.config = config;
     this.logger = logger;
+    this.webhookHandler = webhookHandler;
+    this.trackerClients = trackerClients; // owner/repo -> tracker client
+    // One journal per repository (owner/repo -> journal), the first is the default
+    this.journals = new Map(repositoryConfigs.map(repoConfig => [
+      `${repoConfig.github.owner}/${repoConfig.github.repo}`,
+      new OrchestrationJournal(repoConfig, logger)
+    ]));
+    this.transcripts = new Map(repositoryConfigs.map(repoConfig => [
+      `${repoConfig.github.owner}/${repoConfig.github.repo}`,
+      new TranscriptStore(repoConfig, logger)
+    ]));
     this.app = express();
     this.wss = null;
     this.server = null;
@@ -26,8 +39,13 @@ export class WebServer {
    * Start web server
    */
   async start(port = 3000, host = '0.0.0.0') {
-    // JSON body parser
-    this.app.use(express.json());
+    // JSON body parser (keeps the raw body for webhook signature checks)
+    this.app.use(express.json({
+      limit: '5mb',
+      verify: (req, res, buf) => {
+        req.rawBody = buf;
+      }
+    }));
 
     // CORS for development
     this.app.use((req, res, next) => {
@@ -73,12 +91,13 @@ export class WebServer {
    * Setup REST API routes
    */
   setupRoutes() {
-    // Health check
+    // Health check (with each repository's tracker budget - repositories on one connection share it)
     this.app.get('/api/health', (req, res) => {
       res.json({ 
         status: 'ok', 
         uptime: process.uptime(),
-        timestamp: new Date().toISOString()
+        timestamp: new Date().toISOString(),
+        trackerBudgets: Object.fromEntries([...this.trackerClients].map(([repo, client]) => [repo, client.getBudget()]))
       });
     });
 
@@ -93,6 +112,11 @@ export class WebServer {
       }
     });
 
+    // Repositories served by this instance
+    this.app.get('/api/repositories', (req, res) => {
+      res.json({ repositories: [...this.journals.keys()] });
+    });
+
     // Queue statistics
     this.app.get('/api/queue/stats', (req, res) => {
       try {
@@ -108,8 +132,10 @@ export class WebServer {
     this.app.get('/api/logs/issue/:issueNumber', (req, res) => {
       try {
         const issueNumber = parseInt(req.params.issueNumber);
-        const logs = this.streamManager.getLogsByIssue(issueNumber);
-        res.json({ issueNumber, count: logs.length, logs });
+        const repo = req.query.repo;
+        const logs = this.streamManager.getLogsByIssue(issueNumber)
+          .filter(log => !repo || log.repo === repo || log.context?.repo === repo);
+        res.json({ issueNumber, repo, count: logs.length, logs });
       } catch (error) {
         this.logger.error('Get logs by issue error', { error: error.message });
         res.status(500).json({ error: error.message });
@@ -128,11 +154,77 @@ export class WebServer {
       }
     });
 
+    // List issues with a local orchestration journal (optionally ?repo=owner/repo)
+    this.app.get('/api/runs', (req, res) => {
+      try {
+        const repos = req.query.repo ? [req.query.repo] : [...this.journals.keys()];
+        const runs = repos.flatMap(repo => {
+          const journal = this.getJournal(repo);
+          return journal.listRuns().map(issueNumber => ({ repo, ...journal.replay(issueNumber) }));
+        });
+        res.json({ count: runs.length, runs });
+      } catch (error) {
+        this.logger.error('List runs error', { error: error.message });
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Get journal history for specific issue
+    this.app.get('/api/runs/:issueNumber', (req, res) => {
+      try {
+        const issueNumber = parseInt(req.params.issueNumber);
+        const journal = this.getJournal(req.query.repo);
+        const entries = journal.read(issueNumber);
+        
+        if (entries.length === 0) {
+          return res.status(404).json({ error: `No journal for issue #${issueNumber}` });
+        }
+        
+        res.json({ summary: journal.replay(issueNumber), entries });
+      } catch (error) {
+        this.logger.error('Get run journal error', { error: error.message });
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Agent sessions of a run
+    this.app.get('/api/runs/:issueNumber/transcripts', (req, res) => {
+      try {
+        const issueNumber = parseInt(req.params.issueNumber);
+        const repo = this.resolveRepo(req.query.repo);
+        const sessions = this.transcripts.get(repo).listSessions(issueNumber);
+        res.json({ issueNumber, repo, count: sessions.length, sessions });
+      } catch (error) {
+        this.logger.error('List transcripts error', { error: error.message });
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Transcript of one agent session
+    this.app.get('/api/runs/:issueNumber/transcripts/:sessionId', (req, res) => {
+      try {
+        const issueNumber = parseInt(req.params.issueNumber);
+        const repo = this.resolveRepo(req.query.repo);
+        const entries = this.transcripts.get(repo).read(issueNumber, req.params.sessionId);
+
+        if (entries.length === 0) {
+          return res.status(404).json({ error: `No transcript for session ${req.params.sessionId}` });
+        }
+
+        res.json({ issueNumber, repo, sessionId: req.params.sessionId, count: entries.length, entries });
+      } catch (error) {
+        this.logger.error('Get transcript error', { error: error.message });
+        res.status(500).json({ error: error.message });
+      }
+    });
+
     // Get recent logs
     this.app.get('/api/logs', (req, res) => {
       try {
         const count = parseInt(req.query.count) || 100;
-        const logs = this.streamManager.getRecentLogs(count);
+        const logs = req.query.repo
+          ? this.streamManager.getLogsByRepo(req.query.repo).slice(-count)
+          : this.streamManager.getRecentLogs(count);
         res.json({ count: logs.length, logs });
       } catch (error) {
         this.logger.error('Get recent logs error', { error: error.message });
@@ -154,13 +246,13 @@ export class WebServer {
     // Manually enqueue issue (for testing/manual trigger)
     this.app.post('/api/queue', (req, res) => {
       try {
-        const { issueNumber } = req.body;
+        const { issueNumber, priority, repo } = req.body;
         
         if (!issueNumber) {
           return res.status(400).json({ error: 'issueNumber is required' });
         }
 
-        const result = this.queue.enqueue(parseInt(issueNumber));
+        const result = this.queue.enqueue(parseInt(issueNumber), { priority, repo: this.resolveRepo(repo) });
         res.json({ success: true, ...result });
       } catch (error) {
         this.logger.error('Enqueue error', { error: error.message });
@@ -172,7 +264,7 @@ export class WebServer {
     this.app.delete('/api/queue/:issueNumber', (req, res) => {
       try {
         const issueNumber = parseInt(req.params.issueNumber);
-        const result = this.queue.remove(issueNumber);
+        const result = this.queue.remove(issueNumber, this.resolveRepo(req.query.repo));
         res.json(result);
       } catch (error) {
         this.logger.error('Remove from queue error', { error: error.message });
@@ -180,6 +272,66 @@ export class WebServer {
       }
     });
 
+    // Move a queued issue up or down (body: { direction: 'up' | 'down' | 'top' | 'bottom', repo })
+    this.app.post('/api/queue/:issueNumber/move', (req, res) => {
+      try {
+        const issueNumber = parseInt(req.params.issueNumber);
+        const result = this.queue.move(issueNumber, req.body?.direction, this.resolveRepo(req.body?.repo));
+        res.json(result);
+      } catch (error) {
+        this.logger.error('Move queued issue error', { error: error.message });
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    // Pause a running or queued orchestration (resumable)
+    this.app.post('/api/queue/:issueNumber/pause', async (req, res) => {
+      try {
+        const issueNumber = parseInt(req.params.issueNumber);
+        const result = await this.queue.pause(issueNumber, this.resolveRepo(req.body?.repo));
+        res.json(result);
+      } catch (error) {
+        this.logger.error('Pause orchestration error', { error: error.message });
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    // Cancel a running or queued orchestration
+    this.app.post('/api/queue/:issueNumber/cancel', async (req, res) => {
+      try {
+        const issueNumber = parseInt(req.params.issueNumber);
+        const result = await this.queue.cancel(issueNumber, this.resolveRepo(req.body?.repo));
+        res.json(result);
+      } catch (error) {
+        this.logger.error('Cancel orchestration error', { error: error.message });
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    // GitHub webhook receiver (enabled by webhooks.secret, content type application/json)
+    this.app.post('/api/webhooks/github', async (req, res) => {
+      if (!this.webhookHandler?.enabled) {
+        return res.status(404).json({ error: 'Webhooks are not configured (webhooks.secret)' });
+      }
+
+      const event = req.get('X-GitHub-Event');
+      const delivery = req.get('X-GitHub-Delivery');
+
+      if (!this.webhookHandler.verify(req.get('X-Hub-Signature-256'), req.rawBody)) {
+        this.logger.warn('Rejected webhook with invalid signature', { event, delivery });
+        return res.status(401).json({ error: 'Invalid signature' });
+      }
+
+      try {
+        const result = await this.webhookHandler.handle(event, req.body);
+        this.logger.debug('Webhook handled', { event, delivery, ...result });
+        res.json({ delivery, event, ...result });
+      } catch (error) {
+        this.logger.error('Webhook error', { event, delivery, error: error.message });
+        res.status(500).json({ error: error.message });
+      }
+    });
+
     // Clear queue
     this.app.post('/api/queue/clear', (req, res) => {
       try {
@@ -192,6 +344,28 @@ export class WebServer {
     });
   }
 
+  /**
+   * Get the repository for a request (the first configured one if omitted)
+   */
+  resolveRepo(repo) {
+    if (!repo) {
+      return this.journals.keys().next().value;
+    }
+
+    if (!this.journals.has(repo)) {
+      throw new Error(`Unknown repository: ${repo}`);
+    }
+
+    return repo;
+  }
+
+  /**
+   * Get the journal for a repository
+   */
+  getJournal(repo) {
+    return this.journals.get(this.resolveRepo(repo));
+  }
+
   /**
    * Handle WebSocket connection
    */
@@ -243,6 +417,31 @@ export class WebServer {
         // Future: filter logs by specific issue
         break;
 
+      case 'subscribe-transcript':
+        // { type: 'subscribe-transcript', issueNumber, repo } - live agent transcripts of a run
+        try {
+          const repo = this.resolveRepo(message.repo);
+          this.streamManager.subscribeTranscript(ws, parseInt(message.issueNumber), repo);
+          ws.send(JSON.stringify({ type: 'transcript-subscribed', issueNumber: parseInt(message.issueNumber), repo }));
+        } catch (error) {
+          ws.send(JSON.stringify({ type: 'error', error: error.message, request: message.type }));
+        }
+        break;
+
+      case 'unsubscribe-transcript':
+        this.streamManager.unsubscribeTranscript(ws);
+        break;
+
+      case 'queue-move':
+        // { type: 'queue-move', issueNumber, direction: 'up' | 'down' | 'top' | 'bottom', repo }
+        try {
+          const result = this.queue.move(parseInt(message.issueNumber), message.direction, this.resolveRepo(message.repo));
+          ws.send(JSON.stringify({ type: 'queue-moved', ...result, queued: this.queue.getStatus().queued }));
+        } catch (error) {
+          ws.send(JSON.stringify({ type: 'error', error: error.message, request: message.type }));
+        }
+        break;
+
       default:
         this.logger.debug('Unknown message type', { type: message.type });
     }
@@ -0,0 +1,152 @@
+/**
+ * WebhookHandler - GitHub webhook receiver for service mode
+ *
+ * Verifies the X-Hub-Signature-256 HMAC and turns deliveries into what the
+ * pollers would otherwise find on their next round: queue-labelled issues are
+ * enqueued, /ralph commands are handled and waits on the issue (approval,
+ * sub-issue completion) are woken through IssueEvents.
+ */
+import crypto from 'crypto';
+
+const BRANCH_PATTERN = /^oc-ralph\/issue-(\d+)$/;
+
+export class WebhookHandler {
+  constructor(issueEvents, config, logger) {
+    this.issueEvents = issueEvents;
+    this.secret = config.webhooks?.secret || null;
+    this.logger = logger;
+    this.pollers = new Map(); // owner/repo -> GitHubPoller
+  }
+
+  /**
+   * Whether a webhook secret is configured
+   */
+  get enabled() {
+    return !!this.secret;
+  }
+
+  /**
+   * Route deliveries for the poller's repository to it
+   */
+  register(poller) {
+    this.pollers.set(poller.repo, poller);
+  }
+
+  /**
+   * Compute the X-Hub-Signature-256 header for a raw payload
+   */
+  static sign(secret, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+  }
+
+  /**
+   * Check a delivery's signature against the raw request body
+   */
+  verify(signature, body) {
+    if (!this.secret || !signature || !body) {
+      return false;
+    }
+
+    const expected = Buffer.from(WebhookHandler.sign(this.secret, body));
+    const actual = Buffer.from(signature);
+
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Handle a verified delivery
+   *
+   * @param {string} event - X-GitHub-Event header (issues, issue_comment, pull_request, ping)
+   * @param {Object} payload - Parsed payload
+   * @returns {Promise<Object>} { handled, action?, reason?, woken? }
+   */
+  async handle(event, payload) {
+    const repo = payload?.repository?.full_name;
+
+    if (event === 'ping') {
+      this.logger.info('Webhook ping received', { repo, hookId: payload?.hook_id });
+      return { handled: true, action: 'pong' };
+    }
+
+    const poller = this.pollers.get(repo);
+    if (!poller) {
+      return { handled: false, reason: `Repository not watched: ${repo}` };
+    }
+
+    // Woken waits must read the change, not a cached response from before it
+    poller.issueOps.client.invalidate(repo);
+
+    switch (event) {
+      case 'issues':
+        return await this.handleIssue(poller, payload);
+
+      case 'issue_comment':
+        return await this.handleComment(poller, payload);
+
+      case 'pull_request':
+        return await this.handlePullRequest(poller, payload);
+
+      default:
+        return { handled: false, reason: `Ignored event: ${event}` };
+    }
+  }
+
+  /**
+   * issues - enqueue on the queue label, wake waits on any other change
+   */
+  async handleIssue(poller, { action, issue, label }) {
+    const labelName = label?.name || null;
+    const woken = this.issueEvents.notify(poller.repo, issue.number, { type: `issues.${action}`, label: labelName });
+
+    if (action === 'labeled' && labelName === poller.queueLabel && issue.state === 'open') {
+      const enqueued = await poller.enqueueIssue(issue);
+      return { handled: true, action: enqueued ? 'enqueued' : 'already-queued', issueNumber: issue.number, woken };
+    }
+
+    return { handled: woken > 0, action: 'woken', issueNumber: issue.number, woken };
+  }
+
+  /**
+   * issue_comment - wake approval waits and run /ralph commands on processing issues
+   */
+  async handleComment(poller, { action, issue, comment }) {
+    if (action !== 'created' || issue.pull_request) {
+      return { handled: false, reason: `Ignored comment action: ${action}` };
+    }
+
+    const woken = this.issueEvents.notify(poller.repo, issue.number, { type: 'issue_comment.created', commentId: comment.id });
+
+    const labels = (issue.labels || []).map(l => typeof l === 'string' ? l : l.name);
+    const isCommand = /^\s*\/ralph\b/i.test(comment.body || '');
+
+    if (isCommand && poller.commandWatcher && labels.includes(poller.processingLabel)) {
+      await poller.processIssueCommands(issue.number);
+      return { handled: true, action: 'commands', issueNumber: issue.number, woken };
+    }
+
+    return { handled: woken > 0, action: 'woken', issueNumber: issue.number, woken };
+  }
+
+  /**
+   * pull_request - record merges/closes of oc-ralph branches on the master issue
+   */
+  async handlePullRequest(poller, { action, pull_request: pullRequest }) {
+    const match = pullRequest?.head?.ref?.match(BRANCH_PATTERN);
+    if (!match) {
+      return { handled: false, reason: 'Not an oc-ralph branch' };
+    }
+
+    const issueNumber = parseInt(match[1]);
+    const woken = this.issueEvents.notify(poller.repo, issueNumber, { type: `pull_request.${action}`, pullRequest: pullRequest.number });
+
+    if (action === 'closed') {
+      const type = pullRequest.merged ? 'pull-request-merged' : 'pull-request-closed';
+      poller.stateManager?.recordEvent(issueNumber, type, { pullRequest: pullRequest.number, url: pullRequest.html_url });
+      this.logger.info('Orchestration pull request closed', { issueNumber, pullRequest: pullRequest.number, merged: !!pullRequest.merged });
+
+      return { handled: true, action: pullRequest.merged ? 'merged' : 'closed', issueNumber, woken };
+    }
+
+    return { handled: woken > 0, action: 'woken', issueNumber, woken };
+  }
+}
@@ -0,0 +1,157 @@
+/**
+ * Agent backends: recording, replaying and scripted fake agents
+ */
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { AgentFixtureStore } from '../src/agents/AgentFixtureStore.js';
+import { RecordingBackend } from '../src/agents/RecordingBackend.js';
+import { ReplayBackend } from '../src/agents/ReplayBackend.js';
+import { ScriptedBackend } from '../src/agents/ScriptedBackend.js';
+
+const REPO = 'acme/widgets';
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oc-ralph-fixtures-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Issue operations over one in-memory issue
+ */
+function createIssueOps(labels = ['oc-ralph:pending']) {
+  const issue = { labels: [...labels], comments: [] };
+  return {
+    issue,
+    getIssue: async () => ({ labels: issue.labels.map(name => ({ name })), comments: issue.comments.map(c => ({ ...c })) }),
+    addComment: async (repo, issueNumber, body) => { issue.comments.push({ id: `c${issue.comments.length + 1}`, body }); },
+    addLabels: async (repo, issueNumber, added) => { issue.labels.push(...added.filter(name => !issue.labels.includes(name))); },
+    removeLabels: async (repo, issueNumber, removed) => { issue.labels = issue.labels.filter(name => !removed.includes(name)); }
+  };
+}
+
+test('a recorded session replays its events, side effects and response', async () => {
+  const store = new AgentFixtureStore(dir);
+  const recordedIssue = createIssueOps();
+
+  const live = {
+    requiresServer: true,
+    execute: async (prompt, options, context) => {
+      await options.progressCallback({ type: 'tool-completed', sessionId: 'ses-1', data: { tool: 'bash' } });
+      await recordedIssue.addComment(context.repo, context.issueNumber, 'Implemented the model');
+      await recordedIssue.removeLabels(context.repo, context.issueNumber, ['oc-ralph:pending']);
+      await recordedIssue.addLabels(context.repo, context.issueNumber, ['oc-ralph:agent-complete']);
+      return { response: 'Done', sessionId: 'ses-1' };
+    }
+  };
+  const recorder = new RecordingBackend(live, store, recordedIssue, logger);
+  const context = { agentName: 'craftsman', issueNumber: 2, repo: REPO };
+
+  const recorded = await recorder.execute('Implement #2', { agent: 'craftsman', progressCallback: async () => {} }, context);
+  assert.deepEqual(recorded, { response: 'Done', sessionId: 'ses-1' });
+
+  const [fixture] = store.loadAll();
+  assert.match(fixture.file, /^001-craftsman-[0-9a-f]{8}\.json$/);
+  assert.deepEqual(fixture.sideEffects, {
+    addedLabels: ['oc-ralph:agent-complete'],
+    removedLabels: ['oc-ralph:pending'],
+    comments: ['Implemented the model']
+  });
+
+  const replayedIssue = createIssueOps();
+  const events = [];
+  const replay = new ReplayBackend(store, replayedIssue, logger);
+
+  const replayed = await replay.execute('Implement #2', { progressCallback: async event => events.push(event) }, context);
+
+  assert.deepEqual(replayed, { response: 'Done', sessionId: 'ses-1' });
+  assert.deepEqual(events, [{ type: 'tool-completed', sessionId: 'ses-1', data: { tool: 'bash' } }]);
+  assert.deepEqual(replayedIssue.issue, recordedIssue.issue);
+});
+
+test('failed sessions are recorded and replayed as failures', async () => {
+  const store = new AgentFixtureStore(dir);
+  const live = {
+    execute: async () => {
+      const error = new Error('Session timeout after 600s');
+      error.code = 'TIMEOUT';
+      throw error;
+    }
+  };
+
+  await assert.rejects(new RecordingBackend(live, store, null, logger).execute('Plan #1', { agent: 'architect' }, { agentName: 'architect' }), /Session timeout/);
+
+  await assert.rejects(new ReplayBackend(store, null, logger).execute('Plan #1', {}, { agentName: 'architect' }), error => {
+    assert.equal(error.code, 'TIMEOUT');
+    assert.equal(error.message, 'Session timeout after 600s');
+    return true;
+  });
+});
+
+test('replay prefers the same prompt, then the next recorded session of the agent', async () => {
+  const store = new AgentFixtureStore(dir);
+  for (const [prompt, response] of [['Plan #1', 'first'], ['Plan #7', 'second'], ['Plan #9', 'third']]) {
+    store.save({ agent: 'architect', promptHash: AgentFixtureStore.hashPrompt(prompt), prompt, result: { response } });
+  }
+
+  const replay = new ReplayBackend(store, null, logger);
+  const run = async prompt => (await replay.execute(prompt, {}, { agentName: 'architect' })).response;
+
+  assert.equal(await run('Plan #7'), 'second');
+  assert.equal(await run('Plan #42'), 'first');
+  assert.equal(await run('Plan #43'), 'third');
+  await assert.rejects(run('Plan #44'), error => error.code === 'FIXTURE_MISSING' && error.shouldRetry === false);
+});
+
+test('a scripted agent follows its steps and repeats the last one', async () => {
+  const issueOps = createIssueOps();
+  const backend = new ScriptedBackend({
+    architect: [{ malformed: true, json: { title: 'Widgets' } }, { json: { title: 'Widgets' } }],
+    craftsman: [{ hang: true, idleTime: 45 }, { timeout: true }, { error: 'Model overloaded', code: 'OVERLOADED' }, { complete: true }],
+    validator: { failTests: 'Error: expected 2, got 3' }
+  }, issueOps, logger);
+  const run = (agentName, options = {}) => backend.execute(`Run ${agentName}`, options, { agentName, issueNumber: 2, repo: REPO });
+
+  const malformed = await run('architect');
+  assert.throws(() => JSON.parse(malformed.response));
+  assert.deepEqual(JSON.parse((await run('architect')).response), { title: 'Widgets' });
+  assert.deepEqual(JSON.parse((await run('architect')).response), { title: 'Widgets' });
+
+  const events = [];
+  await assert.rejects(run('craftsman', { progressCallback: async event => events.push(event.type) }), { code: 'SESSION_HUNG' });
+  assert.deepEqual(events, ['session-created', 'hang-detected']);
+  await assert.rejects(run('craftsman', { timeout: 600 }), { code: 'TIMEOUT', message: 'Session timeout after 600s' });
+  await assert.rejects(run('craftsman'), { code: 'OVERLOADED', message: 'Model overloaded' });
+  await run('craftsman');
+  assert.deepEqual(issueOps.issue.labels, ['oc-ralph:pending', 'oc-ralph:agent-complete']);
+
+  await run('validator');
+  assert.deepEqual(issueOps.issue.labels, ['oc-ralph:pending', 'oc-ralph:agent-complete', 'oc-ralph:test-failed']);
+  assert.equal(issueOps.issue.comments.at(-1).body, 'Tests FAILED\n\nError: expected 2, got 3');
+
+  await assert.rejects(run('sculptor'), /No scripted steps for agent: sculptor/);
+});
+
+test('a stalled scripted session runs until it is killed', async () => {
+  const backend = new ScriptedBackend({ craftsman: { stall: true } }, null, logger);
+  let sessionId;
+
+  const running = backend.execute('Implement #2', {
+    progressCallback: async event => { sessionId = event.sessionId; }
+  }, { agentName: 'craftsman' });
+
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(await backend.sessionExists(sessionId), true);
+
+  await backend.killSession(sessionId);
+  await assert.rejects(running, { code: 'SESSION_ABORTED' });
+  assert.equal(await backend.sessionExists(sessionId), false);
+});
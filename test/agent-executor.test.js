@@ -0,0 +1,52 @@
+/**
+ * Agent executor: aborting sessions on pause and cancel
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AgentExecutor } from '../src/agents/AgentExecutor.js';
+import { CancellationSignal, OrchestrationInterruptedError } from '../src/core/CancellationSignal.js';
+
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+function createExecutor(client) {
+  const executor = new AgentExecutor({
+    github: { owner: 'acme', repo: 'widgets' },
+    opencode: { baseUrl: 'http://127.0.0.1:4096' },
+    agents: { craftsman: { agent: 'craftsman', model: { providerID: 'test', modelID: 'primary' } } },
+    logging: { transcripts: false }
+  }, logger, null);
+
+  executor.client = client;
+  executor.checkRuntimeHealth = async () => true;
+  executor.checkOpenCodeHealth = async () => true;
+  return executor;
+}
+
+test('a session reported after the pause was requested is aborted right away', async () => {
+  const signal = new CancellationSignal(7);
+  const killed = [];
+  let abort;
+
+  const executor = createExecutor({
+    describe: () => 'opencode',
+    killSession: async sessionId => {
+      killed.push(sessionId);
+      abort(new Error('Session aborted'));
+    },
+    execute: async (prompt, options) => {
+      const aborted = new Promise((resolve, reject) => { abort = reject; });
+
+      // The pause arrives before the runtime has reported its session
+      signal.request('pause');
+      await options.progressCallback({ type: 'session-created', sessionId: 'ses-1' });
+
+      return await aborted;
+    }
+  });
+
+  await assert.rejects(
+    executor.execute('craftsman', 'Implement #7', { issueNumber: 7, signal }),
+    OrchestrationInterruptedError
+  );
+  assert.deepEqual(killed, ['ses-1']);
+});
@@ -0,0 +1,206 @@
+/**
+ * Agent runtimes: per-agent selection, the CLI runner and chat endpoints
+ */
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { CliRuntime } from '../src/agents/CliRuntime.js';
+import { ChatCompletionsRuntime } from '../src/agents/ChatCompletionsRuntime.js';
+import { AgentExecutor } from '../src/agents/AgentExecutor.js';
+import { ConfigManager } from '../src/core/ConfigManager.js';
+import {
+  createWorld, destroyWorld, createMasterIssue, createPipeline, createConfig, createLogger, waitFor
+} from './helpers/pipeline.js';
+import { script, spec, implementationTask, testTask } from './helpers/scripts.js';
+
+const model = { providerID: 'test', modelID: 'primary' };
+
+let world;
+let cleanups;
+
+beforeEach(() => {
+  world = createWorld();
+  cleanups = [];
+});
+
+afterEach(async () => {
+  for (const cleanup of cleanups) {
+    await cleanup();
+  }
+  destroyWorld(world);
+});
+
+/**
+ * Chat completions endpoint streaming the given chunks
+ */
+async function startChatServer(chunks, { delayMs = 0 } = {}) {
+  const requests = [];
+  const server = http.createServer(async (req, res) => {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    requests.push({ method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null });
+
+    if (req.url === '/v1/models') {
+      res.writeHead(200, { 'Content-Type': 'application/json' }).end('{"data":[]}');
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    for (const content of chunks) {
+      res.write(`data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`);
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+    res.end('data: [DONE]\n\n');
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  cleanups.push(() => {
+    server.closeAllConnections();
+    return new Promise(resolve => server.close(resolve));
+  });
+
+  return { baseUrl: `http://127.0.0.1:${server.address().port}/v1`, requests };
+}
+
+test('runs each agent on its configured runtime', async () => {
+  const master = createMasterIssue(world);
+  const { orchestrator, agents, runtimes, stop } = createPipeline(world, {
+    script: script(),
+    configure: config => {
+      config.runtimes = {
+        planner: {
+          type: 'mock',
+          script: {
+            architect: [{ json: spec }],
+            sculptor: [{ json: [implementationTask('impl-1')] }],
+            sentinel: [{ json: [testTask('test-1', ['impl-1'])] }]
+          }
+        }
+      };
+      for (const agent of ['architect', 'sculptor', 'sentinel']) {
+        config.agents[agent].runtime = 'planner';
+      }
+    }
+  });
+  cleanups.push(stop);
+
+  const result = await orchestrator.start(master);
+
+  assert.equal(result.status, 'approved');
+  assert.deepEqual(runtimes.get('planner').requests.map(r => r.agent), ['architect', 'sculptor', 'sentinel']);
+  assert.deepEqual([...new Set(agents.requests.map(r => r.agent))], ['craftsman', 'validator']);
+  assert.equal(runtimes.describe('architect'), 'planner (mock)');
+});
+
+test('rejects agents pointing at unknown runtimes', () => {
+  const configManager = new ConfigManager(path.join(world.dir, 'config.yaml'));
+  configManager.config = createConfig(world, script());
+  configManager.config.agents.craftsman.runtime = 'aider';
+
+  assert.throws(() => configManager.validate(), /agents\.craftsman\.runtime names an unknown runtime \(aider\)/);
+
+  configManager.config.runtimes = { aider: { type: 'telnet' } };
+  assert.throws(() => configManager.validate(), /runtimes\.aider\.type must be one of/);
+});
+
+test('fails an agent fast when its runtime is not available', async () => {
+  const config = createConfig(world, script());
+  config.runtimes = { missing: { type: 'cli', command: 'oc-ralph-no-such-agent' } };
+  config.agents.craftsman.runtime = 'missing';
+  const executor = new AgentExecutor(config, createLogger(), null);
+
+  await assert.rejects(executor.execute('craftsman', 'Implement'), error => {
+    assert.equal(error.code, 'SERVER_UNREACHABLE');
+    assert.match(error.message, /Agent runtime missing \(cli\) is unreachable/);
+    return true;
+  });
+});
+
+test('cli runtime runs the command in the worktree with the prompt on stdin', async () => {
+  const worktree = fs.mkdtempSync(path.join(world.dir, 'wt-'));
+  const runtime = new CliRuntime({
+    command: process.execPath,
+    args: ['-e', `
+      let input = '';
+      process.stdin.on('data', d => input += d);
+      process.stdin.on('end', () => {
+        console.log('model ' + process.argv[1]);
+        console.log('cwd ' + process.cwd());
+        console.log('got ' + input);
+      });
+    `, '{{model}}']
+  }, createLogger());
+
+  const events = [];
+  const result = await runtime.execute('Fix the bug', { model, progressCallback: e => events.push(e) }, { worktree });
+
+  assert.equal(result.response, `model primary\ncwd ${fs.realpathSync(worktree)}\ngot Fix the bug`);
+  assert.deepEqual(events.map(e => e.type), ['session-created', 'message-received', 'message-received', 'message-received']);
+  assert.equal(events[3].data.content, 'got Fix the bug');
+  assert.equal(await runtime.checkHealth(), true);
+  assert.equal(await new CliRuntime({ command: 'oc-ralph-no-such-agent' }, createLogger()).checkHealth(), false);
+});
+
+test('cli runtime fails on a non-zero exit and can be killed', async () => {
+  const failing = new CliRuntime({
+    command: process.execPath,
+    args: ['-e', 'console.error("lint failed: {{prompt}}"); process.exit(3)']
+  }, createLogger());
+
+  await assert.rejects(failing.execute('src/a.js', {}), error => {
+    assert.equal(error.code, 'AGENT_COMMAND_FAILED');
+    assert.match(error.message, /code 3:\nlint failed: src\/a\.js/);
+    return true;
+  });
+
+  const stalling = new CliRuntime({ command: process.execPath, args: ['-e', 'setInterval(() => {}, 1000)'] }, createLogger());
+  let sessionId;
+  const running = stalling.execute('Wait', { progressCallback: e => { sessionId = e.sessionId; } });
+  const aborted = assert.rejects(running, error => error.code === 'SESSION_ABORTED');
+
+  await waitFor(() => sessionId);
+  assert.equal(await stalling.sessionExists(sessionId), true);
+  await stalling.killSession(sessionId);
+  await aborted;
+  assert.equal(await stalling.sessionExists(sessionId), false);
+});
+
+test('openai runtime streams a chat completion', async () => {
+  const { baseUrl, requests } = await startChatServer(['{"requirements":', ' []}']);
+  const runtime = new ChatCompletionsRuntime({ baseUrl, apiKey: 'sk-test', system: 'Plan carefully.' }, createLogger());
+
+  const events = [];
+  const result = await runtime.execute('Write the spec', { model, progressCallback: e => events.push(e) });
+
+  assert.equal(result.response, '{"requirements": []}');
+  assert.deepEqual(events.map(e => e.data?.content), [undefined, '{"requirements":', '{"requirements": []}']);
+
+  const [request] = requests;
+  assert.equal(request.url, '/v1/chat/completions');
+  assert.equal(request.headers.authorization, 'Bearer sk-test');
+  assert.equal(request.body.model, 'primary');
+  assert.deepEqual(request.body.messages, [
+    { role: 'system', content: 'Plan carefully.' },
+    { role: 'user', content: 'Write the spec' }
+  ]);
+  assert.equal(await runtime.checkHealth(), true);
+});
+
+test('openai runtime aborts a killed session and reports an unreachable endpoint', async () => {
+  const { baseUrl } = await startChatServer(['a', 'b', 'c', 'd'], { delayMs: 200 });
+  const runtime = new ChatCompletionsRuntime({ baseUrl }, createLogger());
+
+  let sessionId;
+  const running = runtime.execute('Think', { model, progressCallback: e => { sessionId = e.sessionId; } });
+  const aborted = assert.rejects(running, error => error.code === 'SESSION_ABORTED');
+
+  await waitFor(() => sessionId);
+  await runtime.killSession(sessionId);
+  await aborted;
+
+  const offline = new ChatCompletionsRuntime({ baseUrl: 'http://127.0.0.1:1/v1' }, createLogger());
+  await assert.rejects(offline.execute('Hello', { model }), error => error.code === 'SERVER_UNREACHABLE');
+  assert.equal(await offline.checkHealth(), false);
+});
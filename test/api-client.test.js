@@ -0,0 +1,131 @@
+/**
+ * Tracker API client: request cache and rate limit governor
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RequestCache } from '../src/trackers/RequestCache.js';
+import { RateLimitGovernor } from '../src/trackers/RateLimitGovernor.js';
+import { GitHubClient } from '../src/github/GitHubClient.js';
+import { GitHubGraphQLError } from '../src/github/GitHubErrors.js';
+import { IssueOperations } from '../src/github/IssueOperations.js';
+
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+/**
+ * Quota headers as GitHub sends them
+ */
+function quota(remaining, limit = 5000, reset = Math.floor(Date.now() / 1000) + 3600) {
+  return { 'x-ratelimit-limit': String(limit), 'x-ratelimit-remaining': String(remaining), 'x-ratelimit-reset': String(reset) };
+}
+
+test('identical GETs share one request and each caller gets its own copy', async () => {
+  const cache = new RequestCache(1000);
+  let loads = 0;
+  const load = async () => {
+    loads++;
+    return { status: 200, data: { labels: ['oc-ralph:queue'] } };
+  };
+
+  const [first, second] = await Promise.all([cache.fetch('/repos/acme/widgets/issues/1', load), cache.fetch('/repos/acme/widgets/issues/1', load)]);
+  first.data.labels.push('changed');
+
+  const third = await cache.fetch('/repos/acme/widgets/issues/1', load);
+  assert.equal(loads, 1);
+  assert.deepEqual(second.data.labels, ['oc-ralph:queue']);
+  assert.deepEqual(third.data.labels, ['oc-ralph:queue']);
+  assert.deepEqual(cache.getStats(), { ttlMs: 1000, entries: 1, maxEntries: 500, hits: 2, misses: 1, hitRate: 0.67 });
+});
+
+test('sweeps expired entries and keeps at most maxEntries', async () => {
+  const cache = new RequestCache(1000, 2);
+  const load = url => async () => ({ status: 200, data: url });
+
+  await cache.fetch('/a', load('/a'));
+  await cache.fetch('/b', load('/b'));
+  await cache.fetch('/c', load('/c'));
+  assert.deepEqual([...cache.entries.keys()], ['/b', '/c']);
+
+  cache.entries.get('/b').expiresAt = Date.now() - 1;
+  cache.entries.get('/c').expiresAt = Date.now() - 1;
+  await cache.fetch('/d', load('/d'));
+  assert.deepEqual([...cache.entries.keys()], ['/d']);
+});
+
+test('polling slows down as the remaining quota shrinks', () => {
+  const governor = new RateLimitGovernor(logger);
+  assert.equal(governor.adjustInterval(1000), 1000);
+
+  const steps = [[4000, 1], [2000, 2], [1000, 4], [100, 8]];
+  for (const [remaining, factor] of steps) {
+    governor.update(quota(remaining));
+    assert.equal(governor.getSlowdownFactor(), factor, `${remaining} remaining`);
+    assert.equal(governor.adjustInterval(1000), 1000 * factor);
+  }
+
+  const budget = governor.getBudget();
+  assert.equal(budget.limit, 5000);
+  assert.equal(budget.remaining, 100);
+  assert.equal(budget.used, 4900);
+  assert.equal(budget.requests, 4);
+  assert.equal(budget.throttled, false);
+});
+
+test('after a rate limit requests wait for Retry-After or the reset time', () => {
+  const governor = new RateLimitGovernor(logger);
+
+  governor.recordRateLimit({ route: 'GET /user', retryAfterMs: 30000, resetAt: null });
+  assert.ok(governor.getDelay() > 29000 && governor.getDelay() <= 30000);
+  assert.ok(governor.adjustInterval(1000) > 29000);
+  assert.equal(governor.getBudget().throttled, true);
+  assert.equal(governor.getBudget().rateLimitHits, 1);
+
+  // An exhausted quota also holds requests until the reset
+  const exhausted = new RateLimitGovernor(logger);
+  exhausted.update(quota(0, 5000, Math.floor(Date.now() / 1000) + 60));
+  assert.ok(exhausted.getDelay() > 58000);
+});
+
+test('the client retries a rate limited request once the limit resets', async () => {
+  const reset = Math.ceil(Date.now() / 1000);
+  const responses = [
+    { status: 403, headers: quota(0, 5000, reset), data: { message: 'API rate limit exceeded' } },
+    { status: 200, headers: quota(4999, 5000, reset + 3600), data: { login: 'octocat' } }
+  ];
+  const client = new GitHubClient(logger, { transport: { name: 'test', request: async () => responses.shift() } });
+
+  assert.equal(await client.getAuthenticatedUser(), 'octocat');
+
+  const budget = client.getBudget();
+  assert.equal(budget.rateLimitHits, 1);
+  assert.equal(budget.requests, 2);
+  assert.equal(budget.remaining, 4999);
+});
+
+test('sub-issues are looked up in one GraphQL query per 50 issues', async () => {
+  const queries = [];
+  const node = number => ({ number, title: `Task ${number}`, body: '', state: 'OPEN', labels: { nodes: [{ name: 'oc-ralph:pending' }] } });
+  const client = {
+    graphql: async (query, variables) => {
+      queries.push({ query, variables });
+      const numbers = [...query.matchAll(/issue\(number: (\d+)\)/g)].map(m => parseInt(m[1]));
+
+      // #404 does not exist: GitHub returns the others next to an error
+      if (numbers.includes(404)) {
+        const repository = Object.fromEntries(numbers.map(n => [`i${n}`, n === 404 ? null : node(n)]));
+        throw new GitHubGraphQLError([{ message: 'Could not resolve to an Issue with the number of 404.' }], { data: { data: { repository } } });
+      }
+
+      return { repository: Object.fromEntries(numbers.map(n => [`i${n}`, node(n)])) };
+    }
+  };
+  const issueOps = new IssueOperations(client, logger);
+
+  const numbers = Array.from({ length: 60 }, (_, i) => i + 1);
+  const issues = await issueOps.getIssues('acme/widgets', [...numbers, 1, 404]);
+
+  assert.equal(queries.length, 2);
+  assert.deepEqual(queries[0].variables, { owner: 'acme', name: 'widgets' });
+  assert.equal(issues.size, 60);
+  assert.equal(issues.has(404), false);
+  assert.deepEqual(issues.get(7).labels.map(l => l.name), ['oc-ralph:pending']);
+});
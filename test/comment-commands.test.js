@@ -0,0 +1,154 @@
+/**
+ * Comment commands: "/ralph <command>" on master issue comments
+ */
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { CommentCommandWatcher } from '../src/core/CommentCommandWatcher.js';
+import { ApprovalMonitor } from '../src/core/ApprovalMonitor.js';
+import { OrchestrationJournal } from '../src/core/OrchestrationJournal.js';
+
+const REPO = 'acme/widgets';
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+const config = { github: { owner: 'acme', repo: 'widgets' }, commands: { allowedUsers: ['Maintainer'] } };
+
+let cwd;
+let dir;
+
+beforeEach(() => {
+  cwd = process.cwd();
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oc-ralph-commands-'));
+  process.chdir(dir);
+});
+
+afterEach(() => {
+  process.chdir(cwd);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function comment(id, login, body, createdAt = '2026-10-01T12:00:00Z') {
+  return { id, author: { login }, body, createdAt };
+}
+
+/**
+ * Issue operations serving the given comments and recording replies
+ */
+function createIssueOps(comments) {
+  const replies = [];
+  const labels = [];
+  return {
+    replies,
+    labels,
+    client: { getAuthenticatedUser: async () => 'Octocat' },
+    getComments: async () => comments,
+    getIssue: async () => ({ labels: [{ name: 'oc-ralph:awaiting-approval' }], comments }),
+    addComment: async (repo, issueNumber, body) => { replies.push(body); },
+    addLabels: async (repo, issueNumber, added) => { labels.push(...added); }
+  };
+}
+
+test('parses commands and their sub-issue targets', () => {
+  const watcher = new CommentCommandWatcher(null, config, logger);
+
+  assert.deepEqual(watcher.parseCommand('/ralph retry #123'), { name: 'retry', args: '#123', targetIssue: 123 });
+  assert.deepEqual(watcher.parseCommand('  /Ralph REJECT  too broad\nsee above '), { name: 'reject', args: 'too broad\nsee above', targetIssue: null });
+  assert.deepEqual(watcher.parseCommand('/ralph status'), { name: 'status', args: '', targetIssue: null });
+  assert.equal(watcher.parseCommand('Please /ralph approve'), null);
+  assert.equal(watcher.parseCommand('/ralphapprove'), null);
+  assert.equal(watcher.parseCommand(null), null);
+});
+
+test('only allowed users run commands, and every command is acknowledged and audited', async () => {
+  const issueOps = createIssueOps([
+    comment(1, 'intruder', '/ralph pause'),
+    comment(2, 'maintainer', '/ralph frobnicate'),
+    comment(3, 'maintainer', '/ralph approve'),
+    comment(4, 'Maintainer', '/ralph pause'),
+    comment(5, 'maintainer', '/ralph status')
+  ]);
+  const journal = new OrchestrationJournal(config, logger);
+  const watcher = new CommentCommandWatcher(issueOps, config, logger, journal);
+  const ran = [];
+
+  const handled = await watcher.processCommands(REPO, 1, {
+    pause: async command => { ran.push(command.name); return { message: 'Paused.', done: true }; },
+    status: async command => { ran.push(command.name); return { message: 'Running.' }; }
+  });
+
+  // approve has no handler here and is left for its consumer; pause ends the batch
+  assert.deepEqual(ran, ['pause']);
+  assert.deepEqual(handled.map(h => [h.command.commentId, h.command.author]), [[4, 'Maintainer']]);
+  assert.deepEqual(journal.read(1).map(e => [e.data.commentId, e.data.command, e.data.outcome]), [
+    [1, 'pause', 'unauthorized'],
+    [2, 'frobnicate', 'unknown'],
+    [4, 'pause', 'executed']
+  ]);
+  assert.equal(issueOps.replies.length, 3);
+  assert.match(issueOps.replies[0], /^> \/ralph pause\n\n@intruder 🚫/);
+  assert.match(issueOps.replies[1], /Unknown command `frobnicate`/);
+  assert.equal(issueOps.replies[2], '> /ralph pause\n\n@Maintainer Paused.');
+
+  // A fresh watcher sees the audited commands as handled
+  const next = new CommentCommandWatcher(issueOps, config, logger, journal);
+  await next.processCommands(REPO, 1, {
+    pause: async command => { ran.push(command.name); return { message: 'Paused.' }; },
+    status: async command => { ran.push(command.name); return { message: 'Running.' }; }
+  });
+  assert.deepEqual(ran, ['pause', 'status']);
+});
+
+test('a failing handler is reported and audited, and later commands still run', async () => {
+  const issueOps = createIssueOps([
+    comment(1, 'maintainer', '/ralph skip #7'),
+    comment(2, 'maintainer', '/ralph status')
+  ]);
+  const journal = new OrchestrationJournal(config, logger);
+  const watcher = new CommentCommandWatcher(issueOps, config, logger, journal);
+
+  const handled = await watcher.processCommands(REPO, 1, {
+    skip: async () => { throw new Error('#7 is not a sub-issue'); },
+    status: async () => ({ message: 'Running.' })
+  });
+
+  assert.deepEqual(handled.map(h => h.command.name), ['status']);
+  assert.deepEqual(journal.read(1).map(e => e.data.outcome), ['failed', 'executed']);
+  assert.match(issueOps.replies[0], /`skip` failed: #7 is not a sub-issue/);
+});
+
+test('without an allow-list only the authenticated user may run commands', async () => {
+  const issueOps = createIssueOps([
+    comment(1, 'maintainer', '/ralph status'),
+    comment(2, 'octocat', '/ralph status')
+  ]);
+  const watcher = new CommentCommandWatcher(issueOps, { github: config.github }, logger);
+
+  const handled = await watcher.processCommands(REPO, 1, { status: async () => ({ message: 'Running.' }) });
+
+  assert.deepEqual(handled.map(h => h.command.author), ['octocat']);
+  assert.match(issueOps.replies[0], /not allowed/);
+});
+
+test('approval commands posted after the plan was presented drive the approval monitor', async () => {
+  const presented = '2026-10-01T12:00:00Z';
+  const approve = createIssueOps([comment(1, 'maintainer', '/ralph approve', '2026-10-01T11:00:00Z'), comment(2, 'maintainer', '/ralph approve', '2026-10-01T12:01:00Z')]);
+  const approvals = new ApprovalMonitor(approve, config, logger, new CommentCommandWatcher(approve, config, logger));
+
+  assert.deepEqual(await approvals.checkApprovalStatus(REPO, 1, presented), { approved: true, rejected: false, revise: false });
+  assert.deepEqual(approve.labels, ['oc-ralph:approved']);
+
+  const revise = createIssueOps([comment(1, 'maintainer', '/ralph revise tests: cover offline mode', '2026-10-01T12:01:00Z')]);
+  const revisions = new ApprovalMonitor(revise, config, logger, new CommentCommandWatcher(revise, config, logger));
+  const status = await revisions.checkApprovalStatus(REPO, 1, presented);
+
+  assert.equal(status.revise, true);
+  assert.equal(status.scope, 'tests');
+  assert.equal(status.feedback, 'cover offline mode');
+  assert.equal(status.author, 'maintainer');
+
+  const outsider = createIssueOps([comment(1, 'intruder', '/ralph approve', '2026-10-01T12:01:00Z')]);
+  const ignored = new ApprovalMonitor(outsider, config, logger, new CommentCommandWatcher(outsider, config, logger));
+  assert.equal((await ignored.checkApprovalStatus(REPO, 1, presented)).approved, false);
+  assert.deepEqual(outsider.labels, []);
+});
@@ -0,0 +1,149 @@
+/**
+ * Gitea / Forgejo tracker against a local Gitea stand-in server
+ */
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { IssueTracker } from '../src/trackers/IssueTracker.js';
+import { GiteaStandIn } from './helpers/GiteaStandIn.js';
+
+const REPO = 'acme/widgets';
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+let standIn;
+
+async function startTracker(seed = {}) {
+  standIn = new GiteaStandIn({ token: 'gitea-test' }).seed(REPO, seed);
+  const url = await standIn.start();
+  return IssueTracker.create({ github: {}, tracker: { type: 'gitea', url, token: 'gitea-test' } }, logger);
+}
+
+function requestsTo(method, pathname) {
+  return standIn.requests.filter(r => r.method === method && r.url.split('?')[0] === pathname);
+}
+
+function labelId(name) {
+  return standIn.backend.getRepo(REPO).labels.get(name).id;
+}
+
+beforeEach(() => {
+  standIn = null;
+});
+
+afterEach(async () => {
+  await standIn?.stop();
+});
+
+test('creates, updates, lists and closes issues', async () => {
+  const { issueOps } = await startTracker({ issues: [{ title: 'Existing' }] });
+
+  const created = await issueOps.createIssue(REPO, { title: 'Add greeting', body: 'Say hello' });
+  assert.deepEqual(created, { number: 2, url: `${standIn.url}/${REPO}/issues/2` });
+
+  await issueOps.updateIssue(REPO, 2, { title: 'Add a greeting', body: 'Say hello by name' });
+
+  const issue = await issueOps.getIssue(REPO, 2);
+  assert.equal(issue.title, 'Add a greeting');
+  assert.equal(issue.body, 'Say hello by name');
+  assert.equal(issue.state, 'OPEN');
+  assert.equal(issue.url, created.url);
+  assert.equal(issueOps.getIssueUrl(REPO, 2), created.url);
+
+  await issueOps.closeIssue(REPO, 2, 'Done');
+  assert.equal((await issueOps.getIssue(REPO, 2)).state, 'CLOSED');
+  assert.deepEqual((await issueOps.listIssues(REPO)).map(i => i.number), [1]);
+  assert.deepEqual((await issueOps.listIssues(REPO, { state: 'closed' })).map(i => i.number), [2]);
+
+  const issues = await issueOps.getIssues(REPO, [1, 2, 9]);
+  assert.deepEqual([...issues.keys()].sort(), [1, 2]);
+});
+
+test('adds and removes labels by ID, creating missing ones', async () => {
+  const { issueOps, labelOps } = await startTracker({
+    issues: [{ title: 'Task', labels: ['oc-ralph:sub-issue'] }],
+    labels: [{ name: 'oc-ralph:queue', color: 'D4C5F9', description: 'Queued' }]
+  });
+
+  const created = await issueOps.createIssue(REPO, { title: 'Master', labels: ['oc-ralph:queue', 'oc-ralph:master'] });
+  assert.deepEqual(requestsTo('POST', '/repos/acme/widgets/issues').at(-1).body.labels, [labelId('oc-ralph:queue'), labelId('oc-ralph:master')]);
+  assert.deepEqual(await labelOps.getLabels(REPO, created.number), ['oc-ralph:queue', 'oc-ralph:master']);
+
+  await issueOps.addLabels(REPO, 1, ['oc-ralph:implementing']);
+  assert.deepEqual(requestsTo('POST', '/repos/acme/widgets/issues/1/labels').at(-1).body.labels, [labelId('oc-ralph:implementing')]);
+  assert.equal(requestsTo('POST', '/repos/acme/widgets/labels').at(-1).body.color, '#ededed');
+
+  await issueOps.removeLabels(REPO, 1, ['oc-ralph:sub-issue', 'oc-ralph:unknown']);
+  assert.equal(requestsTo('DELETE', `/repos/acme/widgets/issues/1/labels/${labelId('oc-ralph:sub-issue')}`).length, 1);
+  assert.deepEqual(await labelOps.getLabels(REPO, 1), ['oc-ralph:implementing']);
+
+  await labelOps.addLabel(REPO, 1, 'oc-ralph:worktree:abc');
+  await labelOps.removeLabel(REPO, 1, 'oc-ralph:implementing');
+  await labelOps.removeLabel(REPO, 1, 'oc-ralph:never-created');
+  assert.deepEqual(await labelOps.getLabels(REPO, 1), ['oc-ralph:worktree:abc']);
+
+  // Worktree labels are created with their color first, colors are sent with '#'
+  const worktreeLabel = requestsTo('POST', '/repos/acme/widgets/labels').find(r => r.body.name === 'oc-ralph:worktree:abc');
+  assert.equal(worktreeLabel.body.color, '#C5DEF5');
+  assert.ok(!(await labelOps.listLabels(REPO)).some(l => l.name === 'oc-ralph:never-created'));
+});
+
+test('adds and lists comments', async () => {
+  const { issueOps } = await startTracker({
+    issues: [{ title: 'Task', comments: [{ body: 'First', author: 'alice' }] }]
+  });
+
+  await issueOps.addComment(REPO, 1, 'Second');
+
+  const comments = await issueOps.getComments(REPO, 1);
+  assert.deepEqual(comments.map(c => [c.author.login, c.body]), [['alice', 'First'], ['oc-ralph-bot', 'Second']]);
+  assert.ok(comments.every(c => c.url.startsWith(`${standIn.url}/${REPO}/issues/1#issuecomment-`)));
+
+  assert.deepEqual((await issueOps.getIssue(REPO, 1)).comments.map(c => c.body), ['First', 'Second']);
+});
+
+test('creates, finds and labels pull requests', async () => {
+  const { issueOps, prOps } = await startTracker({ issues: [{ title: 'Master' }] });
+
+  const created = await prOps.createPullRequest('acme', 'widgets', {
+    title: 'Add greeting',
+    body: 'Closes #1',
+    head: 'oc-ralph/issue-1',
+    base: 'main',
+    draft: true
+  });
+  assert.deepEqual(created, {
+    number: 2,
+    url: `${standIn.url}/${REPO}/pulls/2`,
+    title: 'WIP: Add greeting',
+    state: 'open',
+    html_url: `${standIn.url}/${REPO}/pulls/2`
+  });
+  assert.equal(requestsTo('POST', '/repos/acme/widgets/pulls')[0].body.draft, false);
+
+  assert.equal((await prOps.findOpenPullRequest('acme', 'widgets', 'oc-ralph/issue-1')).url, created.url);
+  assert.equal(await prOps.findOpenPullRequest('acme', 'widgets', 'oc-ralph/issue-9'), null);
+
+  await prOps.addLabels('acme', 'widgets', 2, ['oc-ralph:pr']);
+  assert.deepEqual(requestsTo('POST', '/repos/acme/widgets/issues/2/labels')[0].body.labels, [labelId('oc-ralph:pr')]);
+
+  // Pull requests stay out of issue lists
+  assert.deepEqual((await issueOps.listIssues(REPO)).map(i => i.number), [1]);
+});
+
+test('pages lists with limit and follows the Link header', async () => {
+  const issues = Array.from({ length: 60 }, (_, i) => ({ title: `Task ${i + 1}`, labels: ['oc-ralph:sub-issue'] }));
+  const { issueOps } = await startTracker({ issues });
+
+  const listed = await issueOps.getIssuesByLabel('acme', 'widgets', 'oc-ralph:sub-issue');
+  assert.equal(listed.length, 60);
+
+  const pages = requestsTo('GET', '/repos/acme/widgets/issues').map(r => Object.fromEntries(new URLSearchParams(r.url.split('?')[1])));
+  assert.deepEqual(pages.map(query => [query.limit, query.page]), [['50', undefined], ['50', '2']]);
+});
+
+test('rejects requests without the access token', async () => {
+  await startTracker();
+  const tracker = IssueTracker.create({ github: {}, tracker: { type: 'gitea', url: standIn.url, token: 'wrong' } }, logger);
+
+  await assert.rejects(tracker.issueOps.createIssue(REPO, { title: 'Nope' }), /401/);
+  assert.equal(await tracker.client.checkAuth(), false);
+});
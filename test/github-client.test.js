@@ -0,0 +1,178 @@
+/**
+ * GitHub client: REST transport, typed errors, ETags and pagination
+ */
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { GitHubClient } from '../src/github/GitHubClient.js';
+import { RestTransport } from '../src/github/RestTransport.js';
+import {
+  GitHubError,
+  GitHubAuthError,
+  GitHubForbiddenError,
+  GitHubNotFoundError,
+  GitHubValidationError,
+  GitHubRateLimitError,
+  GitHubGraphQLError
+} from '../src/github/GitHubErrors.js';
+
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+let server;
+let apiUrl;
+const requests = [];
+
+/**
+ * Responses of the stand-in GitHub API, by method and path
+ */
+const routes = {
+  'GET /api/v3/repos/acme/widgets/issues/1': (request, reply) => {
+    if (request.headers['if-none-match'] === '"v1"') {
+      return reply(304, null, { etag: '"v1"' });
+    }
+    reply(200, { number: 1, title: 'Widgets' }, { etag: '"v1"' });
+  },
+  'GET /api/v3/repos/acme/widgets/issues/404': (request, reply) => reply(404, { message: 'Not Found' }),
+  'GET /api/v3/repos/acme/private/issues/1': (request, reply) => reply(403, { message: 'Resource not accessible by integration' }),
+  'GET /api/v3/user': (request, reply) => reply(401, { message: 'Bad credentials' }),
+  'POST /api/v3/repos/acme/widgets/labels': (request, reply) => reply(422, { message: 'Validation Failed' }),
+  'POST /api/v3/repos/acme/widgets/issues': (request, reply) => reply(201, { number: 2, ...request.json }),
+  'GET /api/v3/repos/acme/widgets/labels': (request, reply, url) => {
+    const page = parseInt(url.searchParams.get('page') || '1');
+    const next = page < 3 ? { link: `<${apiUrl}/repos/acme/widgets/labels?per_page=2&page=${page + 1}>; rel="next"` } : {};
+    reply(200, [{ name: `label-${page}a` }, { name: `label-${page}b` }], next);
+  },
+  'POST /api/v3/graphql': (request, reply) => reply(200, { data: null, errors: [{ message: 'Field "nope" does not exist' }] })
+};
+
+before(async () => {
+  server = http.createServer((request, response) => {
+    const url = new URL(request.url, 'http://localhost');
+    let text = '';
+
+    request.on('data', chunk => { text += chunk; });
+    request.on('end', () => {
+      request.json = text ? JSON.parse(text) : null;
+      requests.push({ method: request.method, url: request.url, headers: request.headers, body: request.json });
+
+      const reply = (status, data, headers = {}) => {
+        response.writeHead(status, { 'content-type': 'application/json', ...headers });
+        response.end(data === null ? '' : JSON.stringify(data));
+      };
+
+      const handler = routes[`${request.method} ${url.pathname}`];
+      handler ? handler(request, reply, url) : reply(404, { message: 'Not Found' });
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  apiUrl = `http://127.0.0.1:${server.address().port}/api/v3`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+function createClient() {
+  requests.length = 0;
+  return new GitHubClient(logger, { transport: new RestTransport({ token: 'secret', apiUrl }), apiUrl, cacheTtl: 0 });
+}
+
+test('sends token-authenticated JSON requests', async () => {
+  const client = createClient();
+
+  const { status, data } = await client.request('POST /repos/{owner}/{repo}/issues', {
+    owner: 'acme',
+    repo: 'widgets',
+    title: 'Title with "quotes" and $(shell)'
+  });
+
+  assert.equal(status, 201);
+  assert.deepEqual(data, { number: 2, title: 'Title with "quotes" and $(shell)' });
+  assert.equal(requests[0].headers.authorization, 'Bearer secret');
+  assert.equal(requests[0].headers.accept, 'application/vnd.github+json');
+  assert.deepEqual(requests[0].body, { title: 'Title with "quotes" and $(shell)' });
+});
+
+test('failed responses become typed errors', async () => {
+  const client = createClient();
+  const cases = [
+    ['GET /repos/{owner}/{repo}/issues/{issue_number}', { owner: 'acme', repo: 'widgets', issue_number: 404 }, GitHubNotFoundError, 404],
+    ['GET /repos/{owner}/{repo}/issues/{issue_number}', { owner: 'acme', repo: 'private', issue_number: 1 }, GitHubForbiddenError, 403],
+    ['GET /user', {}, GitHubAuthError, 401],
+    ['POST /repos/{owner}/{repo}/labels', { owner: 'acme', repo: 'widgets', name: 'oc-ralph:queue' }, GitHubValidationError, 422]
+  ];
+
+  for (const [route, params, ErrorClass, status] of cases) {
+    await assert.rejects(client.request(route, params), error => {
+      assert.ok(error instanceof ErrorClass, `${route} → ${error.name}`);
+      assert.ok(error instanceof GitHubError);
+      assert.equal(error.status, status);
+      assert.equal(error.route, route);
+      return true;
+    });
+  }
+
+  assert.equal(await client.checkAuth(), false);
+});
+
+test('403 and 429 responses over the rate limit are rate limit errors', () => {
+  const reset = Math.floor(Date.now() / 1000) + 60;
+
+  const primary = GitHubError.fromResponse('GET /user', {
+    status: 403,
+    headers: { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(reset) },
+    data: { message: 'API rate limit exceeded' }
+  });
+  const secondary = GitHubError.fromResponse('GET /user', {
+    status: 429,
+    headers: { 'retry-after': '30' },
+    data: { message: 'You have exceeded a secondary rate limit' }
+  });
+  const forbidden = GitHubError.fromResponse('GET /user', { status: 403, headers: { 'x-ratelimit-remaining': '4000' }, data: { message: 'Forbidden' } });
+
+  assert.ok(primary instanceof GitHubRateLimitError);
+  assert.equal(primary.resetAt.getTime(), reset * 1000);
+  assert.ok(secondary instanceof GitHubRateLimitError);
+  assert.equal(secondary.retryAfterMs, 30000);
+  assert.ok(forbidden instanceof GitHubForbiddenError);
+});
+
+test('repeated GETs revalidate by ETag and reuse the cached body on 304', async () => {
+  const client = createClient();
+  const route = 'GET /repos/{owner}/{repo}/issues/{issue_number}';
+  const params = { owner: 'acme', repo: 'widgets', issue_number: 1 };
+
+  const first = await client.request(route, params);
+  const second = await client.request(route, params);
+
+  assert.equal(requests.length, 2);
+  assert.equal(requests[0].headers['if-none-match'], undefined);
+  assert.equal(requests[1].headers['if-none-match'], '"v1"');
+  assert.equal(second.status, 200);
+  assert.equal(second.cached, true);
+  assert.deepEqual(second.data, first.data);
+});
+
+test('follows Link headers through every page', async () => {
+  const client = createClient();
+
+  const labels = await client.paginate('GET /repos/{owner}/{repo}/labels', { owner: 'acme', repo: 'widgets', per_page: 2 });
+
+  assert.deepEqual(labels.map(l => l.name), ['label-1a', 'label-1b', 'label-2a', 'label-2b', 'label-3a', 'label-3b']);
+  assert.deepEqual(requests.map(r => r.url), [
+    '/api/v3/repos/acme/widgets/labels?per_page=2',
+    '/api/v3/repos/acme/widgets/labels?per_page=2&page=2',
+    '/api/v3/repos/acme/widgets/labels?per_page=2&page=3'
+  ]);
+});
+
+test('GraphQL errors are thrown as GitHubGraphQLError', async () => {
+  const client = createClient();
+
+  await assert.rejects(client.graphql('{ nope }'), error => {
+    assert.ok(error instanceof GitHubGraphQLError);
+    assert.deepEqual(error.errors, [{ message: 'Field "nope" does not exist' }]);
+    return true;
+  });
+});
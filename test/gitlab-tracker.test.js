@@ -0,0 +1,163 @@
+/**
+ * GitLab tracker against a local GitLab stand-in server
+ */
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { IssueTracker } from '../src/trackers/IssueTracker.js';
+import { GitLabStandIn } from './helpers/GitLabStandIn.js';
+
+const PROJECT = 'acme/widgets';
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+let standIn;
+
+async function startTracker(seed = {}) {
+  standIn = new GitLabStandIn({ token: 'glpat-test' }).seed(PROJECT, seed);
+  const url = await standIn.start();
+  return IssueTracker.create({ github: {}, tracker: { type: 'gitlab', url, token: 'glpat-test' } }, logger);
+}
+
+function requestsTo(pathname) {
+  return standIn.requests.filter(r => r.url.split('?')[0] === pathname);
+}
+
+beforeEach(() => {
+  standIn = null;
+});
+
+afterEach(async () => {
+  await standIn?.stop();
+});
+
+test('creates, updates, lists and closes issues by IID', async () => {
+  const { issueOps } = await startTracker({ issues: [{ title: 'Existing' }] });
+
+  const created = await issueOps.createIssue(PROJECT, { title: 'Add greeting', body: 'Say hello', labels: ['oc-ralph:queue'] });
+  assert.deepEqual(created, { number: 2, url: `${standIn.url}/${PROJECT}/-/issues/2` });
+
+  await issueOps.updateIssue(PROJECT, 2, { title: 'Add a greeting', body: 'Say hello by name' });
+
+  const issue = await issueOps.getIssue(PROJECT, 2);
+  assert.equal(issue.title, 'Add a greeting');
+  assert.equal(issue.body, 'Say hello by name');
+  assert.equal(issue.state, 'OPEN');
+  assert.deepEqual(issue.labels, [{ name: 'oc-ralph:queue', color: 'ededed', description: null }]);
+  assert.equal(issueOps.getIssueUrl(PROJECT, 2), created.url);
+
+  const queued = await issueOps.getIssuesByLabel('acme', 'widgets', 'oc-ralph:queue');
+  assert.deepEqual(queued.map(i => i.number), [2]);
+
+  await issueOps.closeIssue(PROJECT, 2, 'Done');
+  assert.equal((await issueOps.getIssue(PROJECT, 2)).state, 'CLOSED');
+  assert.deepEqual((await issueOps.listIssues(PROJECT)).map(i => i.number), [1]);
+  assert.deepEqual((await issueOps.listIssues(PROJECT, { state: 'closed' })).map(i => i.number), [2]);
+
+  const issues = await issueOps.getIssues(PROJECT, [1, 2, 9]);
+  assert.deepEqual([...issues.keys()], [1, 2]);
+});
+
+test('adds and removes labels, creating missing ones', async () => {
+  const { issueOps, labelOps } = await startTracker({
+    issues: [{ title: 'Task', labels: ['oc-ralph:sub-issue'] }],
+    labels: [{ name: 'oc-ralph:queue', color: 'D4C5F9', description: 'Queued' }]
+  });
+
+  await issueOps.addLabels(PROJECT, 1, ['oc-ralph:implementing', 'oc-ralph:queue']);
+  await issueOps.removeLabels(PROJECT, 1, ['oc-ralph:sub-issue']);
+  assert.deepEqual(await labelOps.getLabels(PROJECT, 1), ['oc-ralph:implementing', 'oc-ralph:queue']);
+
+  await labelOps.addLabel(PROJECT, 1, 'oc-ralph:worktree:abc');
+  await labelOps.removeLabel(PROJECT, 1, 'oc-ralph:implementing');
+  assert.deepEqual(await labelOps.getLabels(PROJECT, 1), ['oc-ralph:queue', 'oc-ralph:worktree:abc']);
+
+  // Worktree labels are created with their color first, colors come back without '#'
+  const labels = await labelOps.listLabels(PROJECT);
+  assert.deepEqual(labels.find(l => l.name === 'oc-ralph:queue'), { name: 'oc-ralph:queue', color: 'D4C5F9', description: 'Queued' });
+  assert.equal(labels.find(l => l.name === 'oc-ralph:worktree:abc').color, 'C5DEF5');
+  assert.ok(labels.some(l => l.name === 'oc-ralph:implementing'));
+
+  await labelOps.createLabel(PROJECT, { name: 'oc-ralph:failed', color: 'B60205', description: 'Failed' });
+  assert.equal(requestsTo('/projects/acme%2Fwidgets/labels').at(-1).body.color, '#B60205');
+});
+
+test('reports comments without the system notes of label changes', async () => {
+  const { issueOps } = await startTracker({
+    issues: [{ title: 'Task', comments: [{ body: 'First', author: 'alice' }] }]
+  });
+
+  await issueOps.addLabels(PROJECT, 1, ['oc-ralph:implementing']);
+  await issueOps.addComment(PROJECT, 1, 'Second');
+
+  const comments = await issueOps.getComments(PROJECT, 1);
+  assert.deepEqual(comments.map(c => [c.author.login, c.body]), [['alice', 'First'], ['oc-ralph-bot', 'Second']]);
+  assert.equal(comments[1].url, `${standIn.url}/${PROJECT}/-/issues/1#note_${comments[1].id}`);
+
+  const issue = await issueOps.getIssue(PROJECT, 1);
+  assert.deepEqual(issue.comments.map(c => c.body), ['First', 'Second']);
+});
+
+test('creates, finds, labels and closes merge requests', async () => {
+  const { prOps } = await startTracker();
+
+  const created = await prOps.createPullRequest('acme', 'widgets', {
+    title: 'Add greeting',
+    body: 'Closes #1',
+    head: 'oc-ralph/issue-1',
+    base: 'main',
+    draft: true
+  });
+  assert.deepEqual(created, {
+    number: 1,
+    url: `${standIn.url}/${PROJECT}/-/merge_requests/1`,
+    title: 'Draft: Add greeting',
+    state: 'opened',
+    html_url: `${standIn.url}/${PROJECT}/-/merge_requests/1`
+  });
+
+  await assert.rejects(
+    prOps.createPullRequest('acme', 'widgets', { title: 'Again', body: '', head: 'oc-ralph/issue-1', base: 'main' }),
+    /409 .*Another open merge request already exists/
+  );
+
+  assert.equal((await prOps.findOpenPullRequest('acme', 'widgets', 'oc-ralph/issue-1')).number, 1);
+  assert.equal(await prOps.findOpenPullRequest('acme', 'widgets', 'oc-ralph/issue-2'), null);
+
+  await prOps.addLabels('acme', 'widgets', 1, ['oc-ralph:pr']);
+  await prOps.updatePullRequest('acme', 'widgets', 1, { title: 'Add greeting', body: 'Closes #1 and #2' });
+
+  const mr = await prOps.getPullRequest('acme', 'widgets', 1);
+  assert.deepEqual(
+    { title: mr.title, body: mr.body, draft: mr.draft, head: mr.head, base: mr.base, mergeable: mr.mergeable },
+    { title: 'Add greeting', body: 'Closes #1 and #2', draft: false, head: 'oc-ralph/issue-1', base: 'main', mergeable: true }
+  );
+  assert.deepEqual(standIn.projects.get(PROJECT).mergeRequests.get(1).labels, ['oc-ralph:pr']);
+
+  const closed = await prOps.updatePullRequest('acme', 'widgets', 1, { state: 'closed' });
+  assert.equal(closed.state, 'closed');
+  assert.equal(await prOps.findOpenPullRequest('acme', 'widgets', 'oc-ralph/issue-1'), null);
+});
+
+test('follows Link pagination and batches issue lookups by 100', async () => {
+  const issues = Array.from({ length: 120 }, (_, i) => ({ title: `Task ${i + 1}`, labels: ['oc-ralph:sub-issue'] }));
+  const { issueOps } = await startTracker({ issues });
+
+  const listed = await issueOps.listIssues(PROJECT, { label: 'oc-ralph:sub-issue' });
+  assert.equal(listed.length, 120);
+  assert.equal(requestsTo('/projects/acme%2Fwidgets/issues').length, 2);
+
+  standIn.requests = [];
+  const fetched = await issueOps.getIssues(PROJECT, issues.map((_, i) => i + 1));
+  assert.equal(fetched.size, 120);
+  assert.deepEqual(
+    requestsTo('/projects/acme%2Fwidgets/issues').map(r => new URLSearchParams(r.url.split('?')[1]).getAll('iids[]').length),
+    [100, 20]
+  );
+});
+
+test('rejects requests without the access token', async () => {
+  await startTracker();
+  const tracker = IssueTracker.create({ github: {}, tracker: { type: 'gitlab', url: standIn.url, token: 'wrong' } }, logger);
+
+  await assert.rejects(tracker.issueOps.createIssue(PROJECT, { title: 'Nope' }), /401/);
+  assert.equal(await tracker.client.checkAuth(), false);
+});
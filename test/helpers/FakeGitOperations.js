@@ -0,0 +1,124 @@
+/**
+ * Fake git operations - branches, worktrees and pushes kept in memory
+ *
+ * Same interface as GitOperations. Worktree directories are created on disk
+ * (WorktreeManager checks they exist) but nothing runs git.
+ */
+import fs from 'fs';
+
+export class FakeGitOperations {
+  constructor() {
+    this.branches = new Map([['main', []]]); // branch -> commits
+    this.worktrees = new Map(); // path -> branch
+    this.pushed = new Map(); // branch -> commit count on the remote
+    this.commands = [];
+  }
+
+  async exec(command, cwd) {
+    this.commands.push({ command, cwd });
+
+    const forcePush = command.match(/^push --force -u (\S+) (\S+)$/);
+    if (forcePush) {
+      await this.push(cwd, forcePush[1], forcePush[2]);
+    }
+
+    return '';
+  }
+
+  async createBranch(branchName, baseBranch = 'main') {
+    if (!this.branches.has(baseBranch)) {
+      throw new Error(`fatal: invalid reference: origin/${baseBranch}`);
+    }
+    this.branches.set(branchName, [...this.branches.get(baseBranch)]);
+  }
+
+  async createLocalBranch(branchName, baseBranch = 'main') {
+    await this.createBranch(branchName, baseBranch);
+  }
+
+  async deleteBranch(branchName) {
+    this.branches.delete(branchName);
+  }
+
+  /**
+   * Merge the commits the branch has and the checked out one lacks
+   */
+  async mergeBranch(cwd, branchName) {
+    const commits = this.branches.get(this.worktrees.get(cwd));
+    const merged = this.branches.get(branchName).filter(commit => !commits.includes(commit));
+    commits.push(...merged);
+    await this.commit(`Merge branch '${branchName}'`, cwd);
+  }
+
+  async addWorktree(worktreePath, branchName) {
+    fs.mkdirSync(worktreePath, { recursive: true });
+    this.worktrees.set(worktreePath, branchName);
+  }
+
+  async removeWorktree(worktreePath) {
+    this.worktrees.delete(worktreePath);
+  }
+
+  async listWorktrees() {
+    return [...this.worktrees].map(([path, branch]) => ({ path, branch: `refs/heads/${branch}` }));
+  }
+
+  /**
+   * Commit on the worktree's branch (what an agent does in the worktree)
+   */
+  async commit(message, cwd) {
+    const branch = this.worktrees.get(cwd);
+    const commits = this.branches.get(branch);
+    commits.push({
+      hash: `${commits.length + 1}`.padStart(7, '0'),
+      message,
+      author: 'craftsman',
+      date: new Date().toISOString().slice(0, 10),
+      files: [`src/${message.replace(/\W+/g, '-').toLowerCase()}.js`]
+    });
+  }
+
+  async push(cwd, remote, branchName) {
+    this.pushed.set(branchName, this.branches.get(branchName).length);
+  }
+
+  async isBranchPushed(cwd, remote, branchName) {
+    return this.pushed.get(branchName) === this.branches.get(branchName)?.length;
+  }
+
+  async getCurrentBranch(cwd) {
+    return this.worktrees.get(cwd) || 'main';
+  }
+
+  async hasUncommittedChanges() {
+    return false;
+  }
+
+  async getCommitsBetween(cwd, baseBranch, headBranch) {
+    const base = this.branches.get(baseBranch) || [];
+    return (this.branches.get(headBranch) || []).slice(base.length).map(({ files, ...commit }) => commit);
+  }
+
+  async getFilesChanged(cwd, baseBranch, headBranch) {
+    const base = this.branches.get(baseBranch) || [];
+    return (this.branches.get(headBranch) || []).slice(base.length).flatMap(commit => commit.files);
+  }
+
+  async getHead(cwd) {
+    const commits = this.branches.get(this.worktrees.get(cwd)) || [];
+    return commits[commits.length - 1]?.hash || 'base';
+  }
+
+  async revertCommits(cwd, fromCommit) {
+    const commits = this.branches.get(this.worktrees.get(cwd));
+    const from = commits.findIndex(commit => commit.hash === fromCommit);
+    for (const commit of commits.slice(from + 1).reverse()) {
+      await this.commit(`Revert "${commit.message}"`, cwd);
+    }
+  }
+
+  async getRecentCommits(cwd, limit = 5) {
+    const commits = this.branches.get(this.worktrees.get(cwd)) || [];
+    return commits.slice(-limit).reverse().map(({ files, ...commit }) => commit);
+  }
+}
@@ -0,0 +1,146 @@
+/**
+ * Fake OpenCode server - the session, prompt, message, abort, status and
+ * event-stream endpoints the SDK client uses, on a local port
+ *
+ * Each prompt is handed to onPrompt(session, text, server), which plays the
+ * agent by emitting events (server.emit) and finishing the session
+ * (server.reply, server.idle).
+ */
+import http from 'http';
+
+export class FakeOpenCodeServer {
+  /**
+   * @param {Function} onPrompt - (session, text, server) => void
+   */
+  constructor(onPrompt = () => {}) {
+    this.onPrompt = onPrompt;
+    this.sessions = new Map(); // id -> { id, status, messages, prompt, body }
+    this.subscribers = new Set();
+    this.permissionReplies = [];
+    this.aborted = [];
+    this.nextId = 1;
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  async start() {
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    this.baseUrl = `http://127.0.0.1:${this.server.address().port}`;
+    return this.baseUrl;
+  }
+
+  async stop() {
+    for (const res of this.subscribers) {
+      res.end();
+    }
+    this.server.closeAllConnections();
+    await new Promise(resolve => this.server.close(resolve));
+  }
+
+  /**
+   * Send an event to every event-stream subscriber
+   */
+  emit(type, properties) {
+    for (const res of this.subscribers) {
+      res.write(`data: ${JSON.stringify({ type, properties })}\n\n`);
+    }
+  }
+
+  /**
+   * Answer as the assistant and go idle
+   */
+  reply(session, text, info = {}) {
+    const part = { id: `prt_${this.nextId++}`, sessionID: session.id, type: 'text', text };
+    session.messages.push({
+      info: { id: `msg_${this.nextId++}`, sessionID: session.id, role: 'assistant', ...info },
+      parts: [part]
+    });
+    this.emit('message.part.updated', { part });
+    this.idle(session);
+  }
+
+  idle(session) {
+    session.status = { type: 'idle' };
+    this.emit('session.status', { sessionID: session.id, status: session.status });
+    this.emit('session.idle', { sessionID: session.id });
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const body = await readBody(req);
+    const route = `${req.method} ${url.pathname}`;
+    let match;
+
+    if (route === 'GET /event') {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write(`data: ${JSON.stringify({ type: 'server.connected', properties: {} })}\n\n`);
+      this.subscribers.add(res);
+      req.on('close', () => this.subscribers.delete(res));
+      return;
+    }
+
+    if (route === 'GET /path') {
+      return json(res, { state: '/tmp', config: '/tmp', worktree: '/tmp', directory: '/tmp' });
+    }
+
+    if (route === 'POST /session') {
+      const session = { id: `ses_${this.nextId++}`, title: body.title, status: { type: 'idle' }, messages: [] };
+      this.sessions.set(session.id, session);
+      return json(res, session);
+    }
+
+    if (route === 'GET /session/status') {
+      const statuses = {};
+      for (const session of this.sessions.values()) {
+        if (session.status.type !== 'idle') {
+          statuses[session.id] = session.status;
+        }
+      }
+      return json(res, statuses);
+    }
+
+    if ((match = url.pathname.match(/^\/session\/([^/]+)\/(prompt_async|message|abort|permissions\/([^/]+))$/))) {
+      const session = this.sessions.get(match[1]);
+      if (!session) {
+        return json(res, { name: 'NotFoundError', data: { message: `Session not found: ${match[1]}` } }, 404);
+      }
+
+      if (match[2] === 'prompt_async') {
+        session.body = body;
+        session.status = { type: 'busy' };
+        const text = body.parts.map(part => part.text).join('\n');
+        session.messages.push({ info: { id: `msg_${this.nextId++}`, sessionID: session.id, role: 'user' }, parts: body.parts });
+        res.writeHead(204).end();
+        setImmediate(() => this.onPrompt(session, text, this));
+        return;
+      }
+
+      if (match[2] === 'message') {
+        return json(res, session.messages);
+      }
+
+      if (match[2] === 'abort') {
+        this.aborted.push(session.id);
+        session.status = { type: 'idle' };
+        return json(res, true);
+      }
+
+      this.permissionReplies.push({ sessionId: session.id, permissionId: match[3], response: body.response });
+      return json(res, true);
+    }
+
+    json(res, { name: 'NotFoundError', data: { message: `No route for ${route}` } }, 404);
+  }
+}
+
+function json(res, data, status = 200) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+async function readBody(req) {
+  let raw = '';
+  for await (const chunk of req) {
+    raw += chunk;
+  }
+  return raw ? JSON.parse(raw) : {};
+}
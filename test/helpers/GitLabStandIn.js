@@ -0,0 +1,334 @@
+/**
+ * GitLabStandIn - a local GitLab API server for tests
+ *
+ * Implements the slice of /api/v4 the GitLab adapter uses: the current user,
+ * project issues (IIDs, add_labels / remove_labels, state_event), notes
+ * (label changes are recorded as system notes), project labels and merge
+ * requests, with GitLab's response shapes, Link pagination and RateLimit-*
+ * headers.
+ *
+ *   const standIn = new GitLabStandIn();
+ *   standIn.seed('group/project', { issues: [{ title: 'Master', labels: ['oc-ralph:queue'] }] });
+ *   const url = await standIn.start();
+ *   const tracker = IssueTracker.create({ github, tracker: { type: 'gitlab', url } }, logger);
+ */
+import { StandInServer } from './StandInServer.js';
+
+const NOT_FOUND = { status: 404, data: { message: '404 Not found' } };
+
+export class GitLabStandIn extends StandInServer {
+  constructor(options = {}) {
+    super('/api/v4');
+    this.token = options.token || null;
+    this.user = { id: 1, username: options.username || 'oc-ralph-bot', name: 'oc-ralph' };
+    this.projects = new Map(); // group/project -> { id, issues, notes, labels, mergeRequests, nextIid, nextMrIid }
+    this.nextId = 1;
+  }
+
+  /**
+   * Seed a project with issues and labels
+   */
+  seed(path, { issues = [], labels = [] } = {}) {
+    const project = this.getProject(path);
+
+    for (const label of labels) {
+      this.addLabel(project, typeof label === 'string' ? { name: label } : label);
+    }
+
+    for (const data of issues) {
+      const issue = this.createIssue(project, { ...data, description: data.body, labels: (data.labels || []).join(',') });
+      for (const comment of data.comments || []) {
+        this.createNote(project, issue, { body: comment.body, author: comment.author });
+      }
+      if (data.state) {
+        issue.state = data.state.toLowerCase() === 'closed' ? 'closed' : 'opened';
+      }
+    }
+
+    return this;
+  }
+
+  async handle({ method, url, headers, body = {} }) {
+    if (this.token && headers['private-token'] !== this.token && headers.authorization !== `Bearer ${this.token}`) {
+      return { status: 401, data: { message: '401 Unauthorized' } };
+    }
+
+    const [pathname, search = ''] = url.split('?');
+    const params = new URLSearchParams(search);
+    const query = Object.fromEntries([...params.keys()].filter(k => !k.endsWith('[]')).map(k => [k, params.get(k)]));
+    query.iids = params.getAll('iids[]').map(Number);
+
+    const response = this.route(method, pathname, query, body) || NOT_FOUND;
+
+    return {
+      ...response,
+      headers: {
+        'ratelimit-limit': '2000',
+        'ratelimit-remaining': '1999',
+        'ratelimit-reset': String(Math.floor(Date.now() / 1000) + 60),
+        ...response.headers
+      }
+    };
+  }
+
+  route(method, pathname, query, body) {
+    if (pathname === '/user' && method === 'GET') {
+      return { status: 200, data: this.user };
+    }
+
+    const match = pathname.match(/^\/projects\/([^/]+)(\/.*)?$/);
+    if (!match) return null;
+
+    const project = this.projects.get(decodeURIComponent(match[1]));
+    if (!project) return null;
+
+    const [resource, id, sub] = (match[2] || '').split('/').filter(Boolean);
+    const iid = parseInt(id);
+
+    if (resource === 'labels' && !id) {
+      if (method === 'GET') return this.page([...project.labels.values()], query, pathname);
+      if (method === 'POST') {
+        if (project.labels.has(body.name)) return { status: 409, data: { message: 'Label already exists' } };
+        return { status: 201, data: this.addLabel(project, body) };
+      }
+    }
+
+    if (resource === 'issues' && !id) {
+      if (method === 'GET') {
+        const labels = query.labels ? query.labels.split(',') : [];
+        const issues = [...project.issues.values()].filter(issue =>
+          (!query.state || query.state === 'all' || issue.state === query.state) &&
+          (query.iids.length === 0 || query.iids.includes(issue.iid)) &&
+          labels.every(name => issue.labels.includes(name))
+        );
+        return this.page(issues.map(issue => this.issueView(project, issue, query)), query, pathname);
+      }
+      if (method === 'POST') {
+        if (!body.title) return { status: 400, data: { message: { title: ["can't be blank"] } } };
+        return { status: 201, data: this.issueView(project, this.createIssue(project, body), query) };
+      }
+    }
+
+    if (resource === 'issues' && id) {
+      const issue = project.issues.get(iid);
+      if (!issue) return null;
+
+      if (!sub && method === 'GET') return { status: 200, data: this.issueView(project, issue, query) };
+      if (!sub && method === 'PUT') {
+        this.updateLabels(project, issue, body);
+        if (body.title !== undefined) issue.title = body.title;
+        if (body.description !== undefined) issue.description = body.description;
+        if (body.state_event) issue.state = body.state_event === 'close' ? 'closed' : 'opened';
+        issue.updated_at = new Date().toISOString();
+        return { status: 200, data: this.issueView(project, issue, query) };
+      }
+
+      if (sub === 'notes') {
+        const notes = project.notes.get(issue.iid) || [];
+        if (method === 'GET') {
+          const sorted = query.sort === 'asc' ? notes : [...notes].reverse();
+          return this.page(sorted, query, pathname);
+        }
+        if (method === 'POST') return { status: 201, data: this.createNote(project, issue, body) };
+      }
+    }
+
+    if (resource === 'merge_requests' && !id) {
+      if (method === 'GET') {
+        const mergeRequests = [...project.mergeRequests.values()].filter(mr =>
+          (!query.state || query.state === 'all' || mr.state === query.state) &&
+          (!query.source_branch || mr.source_branch === query.source_branch)
+        );
+        return this.page(mergeRequests, query, pathname);
+      }
+      if (method === 'POST') {
+        const open = [...project.mergeRequests.values()].find(mr => mr.state === 'opened' && mr.source_branch === body.source_branch);
+        if (open) {
+          return { status: 409, data: { message: [`Another open merge request already exists for this source branch: !${open.iid}`] } };
+        }
+        return { status: 201, data: this.createMergeRequest(project, body) };
+      }
+    }
+
+    if (resource === 'merge_requests' && id) {
+      const mr = project.mergeRequests.get(iid);
+      if (!mr) return null;
+
+      if (!sub && method === 'GET') return { status: 200, data: mr };
+      if (!sub && method === 'PUT') {
+        this.updateLabels(project, mr, body);
+        if (body.title !== undefined) mr.title = body.title;
+        if (body.description !== undefined) mr.description = body.description;
+        if (body.target_branch !== undefined) mr.target_branch = body.target_branch;
+        if (body.state_event) mr.state = body.state_event === 'close' ? 'closed' : 'opened';
+        mr.draft = /^(Draft:|WIP:)/.test(mr.title);
+        return { status: 200, data: mr };
+      }
+      if (sub === 'commits' && method === 'GET') return this.page([], query, pathname);
+      if (sub === 'diffs' && method === 'GET') return this.page([], query, pathname);
+    }
+
+    return null;
+  }
+
+  /**
+   * Project store, created on first use
+   */
+  getProject(path) {
+    if (!this.projects.has(path)) {
+      this.projects.set(path, {
+        id: this.nextId++,
+        path,
+        issues: new Map(),
+        notes: new Map(),
+        labels: new Map(),
+        mergeRequests: new Map(),
+        nextIid: 1,
+        nextMrIid: 1
+      });
+    }
+    return this.projects.get(path);
+  }
+
+  addLabel(project, { name, color = '#ededed', description = null }) {
+    if (!project.labels.has(name)) {
+      project.labels.set(name, { id: this.nextId++, name, color: `#${color.replace(/^#/, '')}`, description });
+    }
+    return project.labels.get(name);
+  }
+
+  createIssue(project, { title, description = null, labels = '' }) {
+    const iid = project.nextIid++;
+    const now = new Date().toISOString();
+    const issue = {
+      id: this.nextId++,
+      iid,
+      project_id: project.id,
+      title,
+      description,
+      state: 'opened',
+      labels: labels ? labels.split(',').map(name => this.addLabel(project, { name }).name) : [],
+      author: this.user,
+      user_notes_count: 0,
+      web_url: `${this.url}/${project.path}/-/issues/${iid}`,
+      created_at: now,
+      updated_at: now
+    };
+
+    project.issues.set(iid, issue);
+    return issue;
+  }
+
+  createNote(project, issue, { body, author, system = false }) {
+    const note = {
+      id: this.nextId++,
+      body,
+      author: author ? { id: this.nextId++, username: author } : this.user,
+      system,
+      noteable_iid: issue.iid,
+      created_at: new Date().toISOString()
+    };
+
+    const notes = project.notes.get(issue.iid) || [];
+    notes.push(note);
+    project.notes.set(issue.iid, notes);
+
+    if (!system) {
+      issue.user_notes_count = notes.filter(n => !n.system).length;
+    }
+
+    return note;
+  }
+
+  createMergeRequest(project, { title, description = null, source_branch, target_branch, labels = '' }) {
+    const iid = project.nextMrIid++;
+    const mr = {
+      id: this.nextId++,
+      iid,
+      project_id: project.id,
+      title,
+      description,
+      state: 'opened',
+      draft: /^(Draft:|WIP:)/.test(title),
+      source_branch,
+      target_branch,
+      labels: labels ? labels.split(',') : [],
+      merge_status: 'can_be_merged',
+      detailed_merge_status: 'mergeable',
+      web_url: `${this.url}/${project.path}/-/merge_requests/${iid}`
+    };
+
+    project.mergeRequests.set(iid, mr);
+    return mr;
+  }
+
+  /**
+   * Apply labels / add_labels / remove_labels (creating missing labels, like GitLab)
+   */
+  updateLabels(project, target, body) {
+    const split = value => (value ? value.split(',').map(s => s.trim()).filter(Boolean) : []);
+    const before = [...target.labels];
+
+    if (body.labels !== undefined) {
+      target.labels = split(body.labels);
+    }
+    for (const name of split(body.add_labels)) {
+      if (!target.labels.includes(name)) target.labels.push(name);
+    }
+    target.labels = target.labels.filter(name => !split(body.remove_labels).includes(name));
+
+    for (const name of target.labels) {
+      this.addLabel(project, { name });
+    }
+
+    // Issues record label changes as system notes
+    if (project.issues.get(target.iid) === target) {
+      const added = target.labels.filter(name => !before.includes(name));
+      const removed = before.filter(name => !target.labels.includes(name));
+      if (added.length > 0 || removed.length > 0) {
+        const text = [
+          added.length > 0 ? `added ${added.map(n => `~"${n}"`).join(' ')} label` : '',
+          removed.length > 0 ? `removed ${removed.map(n => `~"${n}"`).join(' ')} label` : ''
+        ].filter(Boolean).join(' and ');
+        this.createNote(project, target, { body: text, system: true });
+      }
+    }
+  }
+
+  /**
+   * Issue as the API returns it (label details on request)
+   */
+  issueView(project, issue, query) {
+    if (query.with_labels_details !== 'true') {
+      return issue;
+    }
+
+    return { ...issue, labels: issue.labels.map(name => project.labels.get(name)) };
+  }
+
+  /**
+   * Slice a list the way GitLab pages it
+   */
+  page(items, query, pathname) {
+    const perPage = parseInt(query.per_page) || 20;
+    const page = parseInt(query.page) || 1;
+    const data = items.slice((page - 1) * perPage, page * perPage);
+    const { iids, ...rest } = query;
+    const hasMore = page * perPage < items.length;
+    const headers = {
+      'x-page': String(page),
+      'x-per-page': String(perPage),
+      'x-total': String(items.length),
+      ...(hasMore ? { 'x-next-page': String(page + 1) } : {})
+    };
+
+    if (hasMore) {
+      const next = new URLSearchParams(rest);
+      for (const value of iids) next.append('iids[]', String(value));
+      next.set('page', String(page + 1));
+      headers.link = `<${this.url}${this.apiPath}${pathname}?${next}>; rel="next"`;
+    }
+
+    return { status: 200, headers, data };
+  }
+}
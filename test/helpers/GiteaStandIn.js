@@ -0,0 +1,107 @@
+/**
+ * GiteaStandIn - a local Gitea / Forgejo API server for tests
+ *
+ * Serves /api/v1 from the in-memory GitHub of MockTransport (Gitea's issue,
+ * label and pull request API follows GitHub's), with Gitea's differences:
+ * issue labels are added and removed by ID, pages are sized with `limit`,
+ * label colors carry a '#' and web URLs point at the stand-in.
+ *
+ *   const standIn = new GiteaStandIn();
+ *   standIn.seed('owner/repo', { issues: [{ title: 'Master', labels: ['oc-ralph:queue'] }] });
+ *   const url = await standIn.start();
+ *   const tracker = IssueTracker.create({ github, tracker: { type: 'gitea', url } }, logger);
+ */
+import { StandInServer } from './StandInServer.js';
+import { MockTransport } from '../../src/github/MockTransport.js';
+
+export class GiteaStandIn extends StandInServer {
+  constructor(options = {}) {
+    super('/api/v1');
+    this.token = options.token || null;
+    this.backend = new MockTransport({ login: options.login || 'oc-ralph-bot' });
+
+    // Issue labels by ID, on new issues too
+    const labelNames = (params, ids = []) => {
+      const store = this.backend.getRepo(`${params.owner}/${params.repo}`);
+      return ids.map(id => [...store.labels.values()].find(l => l.id === id)?.name).filter(Boolean);
+    };
+
+    this.backend.on('POST /repos/{owner}/{repo}/issues', ({ params, query, body, url }) => {
+      if ((body.labels || []).some(id => typeof id !== 'number')) return { status: 422, data: { message: 'labels must be IDs' } };
+      return this.backend.route('POST', url.split('?')[0], query, { ...body, labels: labelNames(params, body.labels) });
+    });
+
+    this.backend.on('POST /repos/{owner}/{repo}/issues/{number}/labels', ({ params, query, body, url }) => {
+      return this.backend.route('POST', url.split('?')[0], query, { labels: labelNames(params, body.labels) });
+    });
+
+    this.backend.on('DELETE /repos/{owner}/{repo}/issues/{number}/labels/{id}', ({ params, query, url }) => {
+      if (!/^\d+$/.test(params.id)) return { status: 422, data: { message: 'label id must be a number' } };
+
+      const store = this.backend.getRepo(`${params.owner}/${params.repo}`);
+      const label = [...store.labels.values()].find(l => l.id === parseInt(params.id));
+      if (!label) return { status: 404, data: { message: 'label does not exist' } };
+
+      const pathname = url.split('?')[0].replace(/\/\d+$/, `/${encodeURIComponent(label.name)}`);
+      return this.backend.route('DELETE', pathname, query, undefined) || { status: 204, data: null };
+    });
+  }
+
+  /**
+   * Seed a repository with issues and labels
+   */
+  seed(repo, data) {
+    this.backend.seed(repo, data);
+    return this;
+  }
+
+  async handle({ method, url, headers, body }) {
+    if (this.token && headers.authorization !== `token ${this.token}`) {
+      return { status: 401, data: { message: 'token is required' } };
+    }
+
+    const [pathname, search = ''] = url.split('?');
+    const query = Object.fromEntries(new URLSearchParams(search));
+
+    // Gitea sizes pages with `limit`
+    if (query.limit) {
+      query.per_page = query.limit;
+    }
+    delete query.limit;
+
+    const response = await this.backend.request({
+      method,
+      url: `${pathname}?${new URLSearchParams(query)}`,
+      headers: headers['if-none-match'] ? { 'If-None-Match': headers['if-none-match'] } : {},
+      body
+    });
+
+    if (response.headers.link) {
+      const page = parseInt(query.page) || 1;
+      const { per_page: perPage, ...rest } = query;
+      response.headers.link = this.nextLink(pathname, { ...rest, limit: perPage }, page, true).link;
+    }
+
+    if (response.data && pathname.endsWith('/labels')) {
+      response.data = [].concat(response.data).map(label => ({ ...label, color: `#${label.color.replace(/^#/, '')}` }));
+      if (method === 'POST' && !pathname.includes('/issues/')) response.data = response.data[0];
+    }
+
+    if (response.data) {
+      response.data = this.webUrls(response.data);
+    }
+
+    return response;
+  }
+
+  /**
+   * Point the backend's github.com web URLs at this server, shaped like Gitea's
+   */
+  webUrls(data) {
+    const json = JSON.stringify(data)
+      .replace(/https:\/\/github\.com\/([^/"]+\/[^/"]+)\/pull\/(\d+)/g, `${this.url}/$1/pulls/$2`)
+      .replace(/https:\/\/github\.com\//g, `${this.url}/`);
+
+    return JSON.parse(json);
+  }
+}
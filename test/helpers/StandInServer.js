@@ -0,0 +1,102 @@
+/**
+ * StandInServer - a local HTTP server standing in for an issue tracker
+ *
+ * Lets the GitLab and Gitea adapters run over their real REST transport in
+ * tests. Subclasses answer handle({ method, url, headers, body })
+ * with { status, headers, data }, just like a transport; every request is
+ * recorded in `requests`.
+ */
+import http from 'http';
+
+export class StandInServer {
+  constructor(apiPath) {
+    this.apiPath = apiPath;
+    this.server = null;
+    this.url = null;
+    this.requests = [];
+  }
+
+  /**
+   * Start listening (port 0 picks a free port)
+   *
+   * @returns {Promise<string>} Server URL, e.g. http://127.0.0.1:41234
+   */
+  async start(port = 0, host = '127.0.0.1') {
+    this.server = http.createServer((req, res) => {
+      this.serve(req, res).catch(error => {
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ message: error.message }));
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, resolve);
+    });
+
+    this.url = `http://${host}:${this.server.address().port}`;
+    return this.url;
+  }
+
+  /**
+   * Stop listening
+   */
+  async stop() {
+    if (!this.server) return;
+
+    this.server.closeAllConnections();
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+
+  async serve(req, res) {
+    if (!req.url.startsWith(this.apiPath)) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ message: '404 Not Found' }));
+      return;
+    }
+
+    const chunks = [];
+    for await (const chunk of req) {
+      chunks.push(chunk);
+    }
+    const text = Buffer.concat(chunks).toString();
+
+    const request = {
+      method: req.method,
+      url: req.url.slice(this.apiPath.length) || '/',
+      headers: req.headers,
+      body: text ? JSON.parse(text) : undefined
+    };
+    this.requests.push(request);
+
+    const response = await this.handle(request);
+    const headers = { ...response.headers };
+
+    if (response.status === 304 || response.data === null || response.data === undefined) {
+      res.writeHead(response.status, headers);
+      res.end();
+      return;
+    }
+
+    res.writeHead(response.status, { ...headers, 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(response.data));
+  }
+
+  /**
+   * Answer a request (implemented by subclasses)
+   */
+  async handle() {
+    return { status: 404, data: { message: 'Not Found' } };
+  }
+
+  /**
+   * Link header for the next page of a list, if there is one
+   */
+  nextLink(pathname, query, page, hasMore) {
+    if (!hasMore) return {};
+
+    const next = new URLSearchParams({ ...query, page: String(page + 1) });
+    return { link: `<${this.url}${this.apiPath}${pathname}?${next}>; rel="next"` };
+  }
+}
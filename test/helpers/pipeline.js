@@ -0,0 +1,272 @@
+/**
+ * Test pipeline - the orchestrator wired the way StartCommand wires it, on
+ * in-memory fakes: GitHub through MockTransport, git through
+ * FakeGitOperations and agents through the scripted mock backend.
+ *
+ * A world holds what outlives one pipeline (GitHub, git, the state
+ * directory), so a second pipeline on the same world can resume a run.
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ConfigManager } from '../../src/core/ConfigManager.js';
+import { StateManager } from '../../src/core/StateManager.js';
+import { WorktreeManager } from '../../src/core/WorktreeManager.js';
+import { Orchestrator } from '../../src/core/Orchestrator.js';
+import { PlanningStage } from '../../src/stages/PlanningStage.js';
+import { ImplementationStage } from '../../src/stages/ImplementationStage.js';
+import { TestingStage } from '../../src/stages/TestingStage.js';
+import { VerificationStage } from '../../src/stages/VerificationStage.js';
+import { CompletionStage } from '../../src/stages/CompletionStage.js';
+import { AgentExecutor } from '../../src/agents/AgentExecutor.js';
+import { IssueTracker } from '../../src/trackers/IssueTracker.js';
+import { MockTransport } from '../../src/github/MockTransport.js';
+import { IssueTemplateManager } from '../../src/github/IssueTemplateManager.js';
+import { JSONParser } from '../../src/utils/JSONParser.js';
+import { IssueBodyManager } from '../../src/utils/IssueBodyManager.js';
+import { StatusTable } from '../../src/utils/StatusTable.js';
+import { StatusUpdater } from '../../src/core/StatusUpdater.js';
+import { DiscordNotifier } from '../../src/notifications/DiscordNotifier.js';
+import { TaskPoller } from '../../src/core/TaskPoller.js';
+import { DependencyResolver } from '../../src/execution/DependencyResolver.js';
+import { RetryManager } from '../../src/execution/RetryManager.js';
+import { TestFailureHandler } from '../../src/execution/TestFailureHandler.js';
+import { TestRetryCoordinator } from '../../src/execution/TestRetryCoordinator.js';
+import { TestResultAggregator } from '../../src/execution/TestResultAggregator.js';
+import { TestCommandRunner } from '../../src/execution/TestCommandRunner.js';
+import { RegressionDetector } from '../../src/execution/RegressionDetector.js';
+import { ParallelFixCoordinator } from '../../src/execution/ParallelFixCoordinator.js';
+import { VerificationRunner } from '../../src/execution/VerificationRunner.js';
+import { StatusResilienceManager } from '../../src/resilience/StatusResilienceManager.js';
+import { FakeGitOperations } from './FakeGitOperations.js';
+
+export const REPO = 'acme/widgets';
+
+/**
+ * Logger that keeps entries instead of printing them
+ */
+export function createLogger() {
+  const entries = [];
+  const log = level => (message, context) => entries.push({ level, message, context });
+
+  return {
+    entries,
+    info: log('info'),
+    warn: log('warn'),
+    error: log('error'),
+    debug: log('debug'),
+    getCurrentLogFile: () => null
+  };
+}
+
+/**
+ * Fresh GitHub, git and state directory
+ */
+export function createWorld() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oc-ralph-test-'));
+
+  return {
+    dir,
+    github: new MockTransport(),
+    git: new FakeGitOperations(),
+    logger: createLogger()
+  };
+}
+
+export function destroyWorld(world) {
+  fs.rmSync(world.dir, { recursive: true, force: true });
+}
+
+/**
+ * Open the master issue the orchestration starts from
+ *
+ * @returns {number} Issue number
+ */
+export function createMasterIssue(world, title = 'Add a greeting helper') {
+  world.github.seed(REPO, {
+    issues: [{ title, body: 'Add greet(name) that returns "Hello, <name>!"' }]
+  });
+
+  const { issues } = world.github.getRepo(REPO);
+  return Math.max(...issues.keys());
+}
+
+/**
+ * Config for the test pipeline: mock agents, automatic approval, no delays
+ */
+export function createConfig(world, script) {
+  const agent = (timeout) => ({
+    agent: 'build',
+    model: { providerID: 'test', modelID: 'primary' },
+    timeout
+  });
+
+  return {
+    stateDir: path.join(world.dir, '.oc-ralph'),
+    github: {
+      owner: 'acme',
+      repo: 'widgets',
+      repoPath: world.dir,
+      baseBranch: 'main',
+      transport: world.github
+    },
+    opencode: { baseUrl: 'http://127.0.0.1:1', backend: 'mock', script },
+    agents: {
+      architect: agent(5),
+      sculptor: agent(5),
+      sentinel: agent(5),
+      craftsman: agent(5),
+      validator: agent(5)
+    },
+    execution: {
+      autoApprove: true,
+      parallel: { maxConcurrency: 4 },
+      retry: { maxAttempts: 3, initialDelayMs: 1, backoffMultiplier: 1 },
+      interruptCheckIntervalSeconds: 60
+    },
+    worktree: { basePath: path.join(world.dir, 'worktrees'), cleanupOnFailure: false },
+    statusTable: { updateIntervalSeconds: 3600 },
+    statusResilience: {
+      features: { hangRecovery: false, useOcclientEvents: true, pollBasedFallback: false },
+      modelFailover: { enabled: true, failbackModels: {} }
+    },
+    discord: { webhookUrl: null },
+    logging: { debugMode: false }
+  };
+}
+
+/**
+ * Build the orchestrator and its stages
+ *
+ * @param {Object} world - From createWorld()
+ * @param {Object} options
+ * @param {Object} options.script - Scripted agent steps by agent name
+ * @param {Function} options.configure - Adjusts the config before anything is built
+ */
+export function createPipeline(world, { script, configure } = {}) {
+  const logger = world.logger;
+  const configManager = new ConfigManager(path.join(world.dir, 'config.yaml'));
+  configManager.config = createConfig(world, script);
+  configure?.(configManager.config);
+  configManager.validate();
+
+  const config = configManager.config;
+  const gitOps = world.git;
+  const { issueOps, labelOps, prOps } = IssueTracker.create(config, logger);
+
+  const stateManager = new StateManager(labelOps, issueOps, config, logger);
+  const worktreeManager = new WorktreeManager(gitOps, labelOps, config, logger);
+  const issueTemplateManager = new IssueTemplateManager(issueOps, config, logger);
+  const agentExecutor = new AgentExecutor(config, logger, null, null, issueOps);
+  const agents = agentExecutor.client.get();
+
+  // Craftsman sessions leave a commit behind, like the real agent
+  const runAgent = agents.execute.bind(agents);
+  agents.execute = async (prompt, options, context) => {
+    const result = await runAgent(prompt, options, context);
+    if (context.agentName === 'craftsman') {
+      const worktreePath = gitOps.worktrees.has(context.worktree) ? context.worktree : [...gitOps.worktrees.keys()][0];
+      await gitOps.commit(`feat: task #${context.issueNumber}`, worktreePath);
+    }
+    return result;
+  };
+
+  const dependencyResolver = new DependencyResolver(logger);
+  const retryManager = new RetryManager(config, logger);
+  const taskPoller = new TaskPoller(issueOps, logger);
+  const issueBodyManager = new IssueBodyManager();
+  const statusTable = new StatusTable(issueOps, config, logger);
+  const discordNotifier = new DiscordNotifier(config, logger);
+  const statusUpdater = new StatusUpdater(issueOps, issueBodyManager, statusTable, discordNotifier, config, logger);
+
+  const statusResilienceManager = new StatusResilienceManager({
+    github: issueOps,
+    discord: discordNotifier,
+    occlient: agentExecutor.client,
+    statusResilience: config.statusResilience,
+    fullConfig: config,
+    journal: stateManager.journal
+  }, logger);
+
+  const planningStage = new PlanningStage(
+    agentExecutor, issueOps, issueBodyManager, statusUpdater, issueTemplateManager,
+    stateManager, new JSONParser(), discordNotifier, statusResilienceManager, config, logger
+  );
+
+  const implementationStage = new ImplementationStage(
+    agentExecutor, issueOps, stateManager, dependencyResolver, retryManager, taskPoller,
+    statusUpdater, discordNotifier, statusResilienceManager, config, logger
+  );
+
+  const testCommandRunner = new TestCommandRunner(issueOps, config, logger);
+  const testFailureHandler = new TestFailureHandler(issueOps, issueTemplateManager, gitOps, config, logger);
+  const testRetryCoordinator = new TestRetryCoordinator(
+    testFailureHandler, agentExecutor, taskPoller, issueOps, dependencyResolver, statusUpdater,
+    discordNotifier, stateManager.journal, testCommandRunner,
+    new RegressionDetector(gitOps, issueOps, testCommandRunner, config, logger), config, logger
+  );
+
+  const testingStage = new TestingStage(
+    issueOps, agentExecutor, taskPoller, testRetryCoordinator, new TestResultAggregator(issueOps, logger),
+    dependencyResolver, statusUpdater, discordNotifier, testCommandRunner,
+    new ParallelFixCoordinator(
+      testRetryCoordinator, testFailureHandler, dependencyResolver, worktreeManager, issueOps,
+      testCommandRunner, stateManager.journal, config, logger
+    ),
+    config, logger
+  );
+
+  const verificationStage = new VerificationStage(
+    issueOps, agentExecutor, taskPoller, new VerificationRunner(testCommandRunner, config, logger),
+    statusUpdater, discordNotifier, stateManager.journal, config, logger
+  );
+
+  const completionStage = new CompletionStage(
+    prOps, issueOps, gitOps, issueBodyManager, statusUpdater, discordNotifier, config, logger
+  );
+
+  const orchestrator = new Orchestrator(
+    configManager, stateManager, worktreeManager, planningStage, implementationStage,
+    testingStage, verificationStage, completionStage, issueBodyManager, statusTable, statusUpdater, logger
+  );
+
+  return {
+    config,
+    orchestrator,
+    agents,
+    agentExecutor,
+    runtimes: agentExecutor.client,
+    issueOps,
+    journal: stateManager.journal,
+    stop: () => statusUpdater.stop()
+  };
+}
+
+/**
+ * Labels of an issue in the fake GitHub
+ */
+export function labelsOf(world, issueNumber) {
+  return world.github.getRepo(REPO).issues.get(issueNumber).labels.map(l => l.name);
+}
+
+/**
+ * Issues in the fake GitHub carrying a label
+ */
+export function issuesWithLabel(world, label) {
+  return [...world.github.getRepo(REPO).issues.values()]
+    .filter(issue => issue.labels.some(l => l.name === label));
+}
+
+/**
+ * Wait until a condition holds (polls every 10ms)
+ */
+export async function waitFor(condition, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+
+  while (!(await condition())) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
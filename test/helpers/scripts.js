@@ -0,0 +1,46 @@
+/**
+ * Agent scripts for the test pipeline (see ScriptedBackend for the steps)
+ */
+export const spec = {
+  requirements: ['greet(name) returns a greeting'],
+  acceptance_criteria: ['greet("Ada") returns "Hello, Ada!"'],
+  technical_approach: 'A plain function in src/greet.js'
+};
+
+export function implementationTask(id, dependencies = []) {
+  return {
+    id,
+    title: `Implement ${id}`,
+    description: `Implementation work for ${id}`,
+    acceptance_criteria: [`${id} is done`],
+    dependencies,
+    estimated_complexity: 'low'
+  };
+}
+
+export function testTask(id, dependencies = []) {
+  return {
+    id,
+    title: `Verify ${id}`,
+    description: `Tests for ${id}`,
+    type: 'unit',
+    test_scenarios: [`${id} behaves as specified`],
+    dependencies
+  };
+}
+
+/**
+ * Planning agents answering with the given plan, every other agent completing
+ *
+ * @param {Object} options - Planned { tasks, tests }, plus step lists replacing an agent's default
+ */
+export function script({ tasks = [implementationTask('impl-1')], tests = [testTask('test-1', ['impl-1'])], ...steps } = {}) {
+  return {
+    architect: [{ json: spec }],
+    sculptor: [{ json: tasks }],
+    sentinel: [{ json: tests }],
+    craftsman: [{ complete: true }],
+    validator: [{ complete: true }],
+    ...steps
+  };
+}
@@ -0,0 +1,113 @@
+/**
+ * Orchestration journal: replay and drift against labels
+ */
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { OrchestrationJournal } from '../src/core/OrchestrationJournal.js';
+import { StateManager } from '../src/core/StateManager.js';
+
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+const config = { github: { owner: 'acme', repo: 'widgets' } };
+
+let cwd;
+let dir;
+
+beforeEach(() => {
+  cwd = process.cwd();
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oc-ralph-journal-'));
+  process.chdir(dir);
+});
+
+afterEach(() => {
+  process.chdir(cwd);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Label operations over an in-memory label list
+ */
+function createLabels(labels = []) {
+  return {
+    labels,
+    getLabels: async () => [...labels],
+    addLabel: async (repo, issueNumber, label) => { labels.push(label); },
+    removeLabel: async (repo, issueNumber, label) => { labels.splice(labels.indexOf(label), 1); }
+  };
+}
+
+test('replay rebuilds the state and counters from the journal', () => {
+  const journal = new OrchestrationJournal(config, logger);
+
+  journal.append(1, 'state-transition', { from: null, to: 'oc-ralph:planning' });
+  journal.append(1, 'agent-completed', { agentName: 'architect' });
+  journal.append(1, 'state-transition', { from: 'oc-ralph:planning', to: 'oc-ralph:implementing' });
+  journal.append(1, 'agent-failed', { agentName: 'craftsman' });
+  journal.append(1, 'retry', { taskIssueNumber: 2 });
+  journal.append(1, 'model-failover', { agentName: 'craftsman' });
+  journal.append(1, 'task-failed', { taskIssueNumber: 2 });
+  journal.append(1, 'task-completed', { taskIssueNumber: 2 });
+  journal.append(1, 'task-completed', { taskIssueNumber: 3 });
+  journal.append(1, 'fix-attempt', { testIssue: 4, attemptNumber: 2 });
+  journal.append(1, 'fix-attempt', { testIssue: 4, attemptNumber: 1 });
+  fs.appendFileSync(journal.getJournalFile(1), '{ torn write\n', 'utf-8');
+  journal.append(2, 'state-transition', { from: null, to: 'oc-ralph:planning' });
+
+  const replayed = journal.replay(1);
+
+  assert.equal(replayed.state, 'oc-ralph:implementing');
+  assert.deepEqual(replayed.transitions.map(t => [t.from, t.to]), [
+    [null, 'oc-ralph:planning'],
+    ['oc-ralph:planning', 'oc-ralph:implementing']
+  ]);
+  assert.equal(replayed.agentRuns, 2);
+  assert.equal(replayed.agentFailures, 1);
+  assert.equal(replayed.retries, 1);
+  assert.equal(replayed.failovers, 1);
+  assert.deepEqual(replayed.completedTasks, [2, 3]);
+  assert.deepEqual(replayed.failedTasks, []);
+  assert.deepEqual(replayed.fixAttempts, { 4: 2 });
+  assert.equal(replayed.entryCount, 11);
+  assert.deepEqual(journal.listRuns(), [1, 2]);
+  assert.equal(journal.replay(9).state, null);
+});
+
+test('transitions are journaled and reconcile reports drift from the labels', async () => {
+  const labelOps = createLabels();
+  const stateManager = new StateManager(labelOps, null, config, logger);
+
+  await stateManager.transitionTo(1, 'oc-ralph:planning');
+  await stateManager.transitionTo(1, 'oc-ralph:awaiting-approval');
+
+  assert.deepEqual(labelOps.labels, ['oc-ralph:awaiting-approval']);
+  assert.equal(stateManager.getJournaledState(1), 'oc-ralph:awaiting-approval');
+  assert.deepEqual(await stateManager.reconcile(1), {
+    issueNumber: 1,
+    labelState: 'oc-ralph:awaiting-approval',
+    journalState: 'oc-ralph:awaiting-approval',
+    inSync: true,
+    drift: []
+  });
+
+  // Someone approves by hand: the labels move on without the journal
+  labelOps.labels.splice(0, 1, 'oc-ralph:approved');
+  const report = await stateManager.reconcile(1);
+
+  assert.equal(report.inSync, false);
+  assert.deepEqual(report.drift, ['Labels say oc-ralph:approved, journal says oc-ralph:awaiting-approval']);
+  assert.deepEqual(stateManager.journal.read(1).at(-1).data, {
+    labelState: 'oc-ralph:approved',
+    journalState: 'oc-ralph:awaiting-approval'
+  });
+});
+
+test('an issue without a journal is reported as drift without starting one', async () => {
+  const stateManager = new StateManager(createLabels(['oc-ralph:testing']), null, config, logger);
+
+  const report = await stateManager.reconcile(5);
+
+  assert.deepEqual(report.drift, ['No local journal for this issue']);
+  assert.deepEqual(stateManager.journal.read(5), []);
+});
@@ -0,0 +1,94 @@
+/**
+ * Local tracker: issues, labels, comments and pull requests as files
+ */
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { IssueTracker } from '../src/trackers/IssueTracker.js';
+import { StateManager } from '../src/core/StateManager.js';
+
+const REPO = 'local/widgets';
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+let dir;
+let config;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oc-ralph-local-'));
+  config = {
+    stateDir: dir,
+    tracker: { type: 'local', user: 'dev' },
+    github: { owner: 'local', repo: 'widgets' }
+  };
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('issues, labels and comments live in files under the store', async () => {
+  const { issueOps, labelOps } = IssueTracker.create(config, logger);
+
+  const master = await issueOps.createIssue(REPO, { title: 'Widgets', body: 'Render widgets', labels: ['oc-ralph:queue'] });
+  const sub = await issueOps.createIssue(REPO, { title: '[Implementation] Model', labels: ['oc-ralph:sub-issue', `oc-ralph:master-${master.number}`] });
+  await issueOps.addComment(REPO, master.number, '/ralph status');
+  await labelOps.addLabel(REPO, sub.number, 'oc-ralph:pending');
+  await issueOps.closeIssue(REPO, sub.number, 'Done');
+
+  assert.deepEqual([master.number, sub.number], [1, 2]);
+  assert.equal(master.url, path.resolve(dir, 'local', 'issues', '1.json'));
+
+  const stored = JSON.parse(fs.readFileSync(path.join(dir, 'local', 'issues', '1.json'), 'utf-8'));
+  assert.equal(stored.body, 'Render widgets');
+  assert.deepEqual(stored.labels, ['oc-ralph:queue']);
+
+  const issue = await issueOps.getIssue(REPO, master.number);
+  assert.equal(issue.state, 'OPEN');
+  assert.deepEqual(issue.comments.map(c => [c.author.login, c.body]), [['dev', '/ralph status']]);
+
+  assert.deepEqual((await issueOps.listIssues(REPO, { label: 'oc-ralph:master-1', state: 'all' })).map(i => i.number), [2]);
+  assert.deepEqual(await issueOps.listIssues(REPO, { label: 'oc-ralph:master-1' }), []);
+  assert.deepEqual((await issueOps.getIssue(REPO, sub.number)).comments.map(c => c.body), ['Done']);
+  assert.ok((await labelOps.listLabels()).some(l => l.name === 'oc-ralph:pending'));
+  await assert.rejects(issueOps.getIssue(REPO, 9), /Local issue #9 not found/);
+});
+
+test('labels added by hand are picked up by the state manager', async () => {
+  const { issueOps, labelOps } = IssueTracker.create(config, logger);
+  const stateManager = new StateManager(labelOps, issueOps, config, logger);
+  const { number } = await issueOps.createIssue(REPO, { title: 'Widgets' });
+
+  await stateManager.transitionTo(number, 'oc-ralph:awaiting-approval');
+
+  // An approval made by editing the issue file
+  const file = path.join(dir, 'local', 'issues', `${number}.json`);
+  const stored = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  fs.writeFileSync(file, JSON.stringify({ ...stored, labels: ['oc-ralph:approved'] }), 'utf-8');
+
+  assert.equal(await stateManager.getCurrentState(number), 'oc-ralph:approved');
+});
+
+test('pull requests are recorded with a description file and share issue numbers', async () => {
+  const { issueOps, prOps, client } = IssueTracker.create(config, logger);
+  await issueOps.createIssue(REPO, { title: 'Widgets' });
+
+  const pr = await prOps.createPullRequest('local', 'widgets', {
+    title: 'Widgets',
+    body: 'Closes #1',
+    head: 'oc-ralph/issue-1',
+    base: 'main'
+  });
+
+  assert.equal(pr.number, 2);
+  const description = fs.readFileSync(path.join(dir, 'local', 'pulls', '2.md'), 'utf-8');
+  assert.match(description, /^# Widgets\n\n- Branch: `oc-ralph\/issue-1` → `main`\n- State: open\n\nCloses #1\n$/);
+  assert.equal((await prOps.findOpenPullRequest('local', 'widgets', 'oc-ralph/issue-1')).number, 2);
+  await assert.rejects(
+    prOps.createPullRequest('local', 'widgets', { title: 'Again', head: 'oc-ralph/issue-1', base: 'main' }),
+    /already exists/
+  );
+  assert.equal(await client.checkAuth(), true);
+  assert.equal(await client.getAuthenticatedUser(), 'dev');
+});
@@ -0,0 +1,175 @@
+/**
+ * OpenCode SDK client against a fake OpenCode server
+ */
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { OpenCodeSdkClient } from '../src/agents/OpenCodeSdkClient.js';
+import { OpenCodeBackend } from '../src/agents/OpenCodeBackend.js';
+import { FakeOpenCodeServer } from './helpers/FakeOpenCodeServer.js';
+import { waitFor } from './helpers/pipeline.js';
+
+const model = { providerID: 'test', modelID: 'primary' };
+
+let server;
+
+async function startServer(onPrompt) {
+  server = new FakeOpenCodeServer(onPrompt);
+  await server.start();
+  return server;
+}
+
+function client(options = {}) {
+  return new OpenCodeSdkClient({ baseUrl: server.baseUrl, defaultTimeout: 5, ...options });
+}
+
+beforeEach(() => {
+  server = null;
+});
+
+afterEach(async () => {
+  await server?.stop();
+});
+
+test('runs a prompt and reports progress until the session goes idle', async () => {
+  await startServer((session, text, fake) => {
+    fake.emit('message.part.updated', { part: { sessionID: session.id, type: 'tool', callID: 'c1', tool: 'bash', state: { status: 'running' } } });
+    fake.emit('message.part.updated', { part: { sessionID: session.id, type: 'tool', callID: 'c1', tool: 'bash', state: { status: 'completed' } } });
+    fake.emit('session.status', { sessionID: session.id, status: { type: 'retry', attempt: 2, message: 'Rate limited' } });
+    fake.emit('message.part.updated', { part: { sessionID: 'ses_other', type: 'text', text: 'not ours' } });
+    fake.reply(session, `Done: ${text}`);
+  });
+
+  const events = [];
+  const result = await client().execute('Implement #12', {
+    model,
+    agent: 'build',
+    progressCallback: event => events.push(event)
+  });
+
+  assert.equal(result.response, 'Done: Implement #12');
+  assert.match(result.sessionId, /^ses_/);
+  assert.deepEqual(server.sessions.get(result.sessionId).body.model, model);
+  assert.equal(server.sessions.get(result.sessionId).body.agent, 'build');
+  assert.deepEqual(events.map(event => event.type), [
+    'session-created', 'tool-started', 'tool-completed', 'retry', 'message-received'
+  ]);
+  assert.equal(events[3].data.attemptNumber, 2);
+  assert.ok(events.every(event => event.sessionId === result.sessionId));
+});
+
+test('answers permission requests so unattended sessions continue', async () => {
+  await startServer((session, text, fake) => {
+    fake.emit('permission.updated', { id: 'per_1', sessionID: session.id, title: 'Run rm -rf build' });
+    setTimeout(() => fake.reply(session, 'ok'), 50);
+  });
+
+  await client({ permissionResponse: 'always' }).execute('Clean up', { model });
+
+  assert.deepEqual(server.permissionReplies.map(reply => [reply.permissionId, reply.response]), [['per_1', 'always']]);
+});
+
+test('fails with the session error', async () => {
+  await startServer((session, text, fake) => {
+    fake.emit('session.error', { sessionID: session.id, error: { name: 'ProviderAuthError', data: { message: 'Invalid API key' } } });
+  });
+
+  await assert.rejects(client().execute('Plan', { model }), error => {
+    assert.match(error.message, /Invalid API key/);
+    assert.equal(error.code, 'ProviderAuthError');
+    assert.match(error.sessionId, /^ses_/);
+    return true;
+  });
+});
+
+test('aborts a session that goes quiet and reports the hang', async () => {
+  await startServer(() => {});
+
+  const events = [];
+  await assert.rejects(
+    client({ hangDetection: { sessionIdleSeconds: 0.2 } }).execute('Think', {
+      model,
+      progressCallback: event => events.push(event)
+    }),
+    error => error.code === 'SESSION_HUNG'
+  );
+
+  const hang = events.find(event => event.type === 'hang-detected');
+  assert.deepEqual(hang.data, { type: 'session', idleTime: 0.2 });
+  await waitFor(() => server.aborted.includes(hang.sessionId));
+});
+
+test('waits longer while a tool is running', async () => {
+  await startServer((session, text, fake) => {
+    fake.emit('message.part.updated', { part: { sessionID: session.id, type: 'tool', callID: 'c1', tool: 'bash', state: { status: 'running' } } });
+    setTimeout(() => fake.reply(session, 'tests pass'), 400);
+  });
+
+  const result = await client({ hangDetection: { sessionIdleSeconds: 0.2, toolIdleSeconds: 2 } }).execute('Run tests', { model });
+
+  assert.equal(result.response, 'tests pass');
+});
+
+test('times out a session that runs too long', async () => {
+  await startServer((session, text, fake) => {
+    const ticker = setInterval(() => {
+      fake.emit('message.part.updated', { part: { sessionID: session.id, type: 'text', text: 'still working' } });
+    }, 50);
+    setTimeout(() => clearInterval(ticker), 1000);
+  });
+
+  await assert.rejects(
+    client().execute('Work forever', { model, timeout: 0.3 }),
+    error => error.code === 'TIMEOUT' && /timeout/.test(error.message)
+  );
+});
+
+test('killSession aborts the running session', async () => {
+  await startServer(() => {});
+  const sdk = client();
+
+  let sessionId;
+  const running = sdk.execute('Stall', {
+    model,
+    progressCallback: event => { sessionId = event.sessionId; }
+  });
+
+  await waitFor(() => sessionId && server.sessions.get(sessionId).status.type === 'busy');
+  assert.equal(await sdk.sessionExists(sessionId), true);
+
+  const aborted = assert.rejects(running, error => error.code === 'SESSION_ABORTED');
+  await sdk.killSession(sessionId);
+
+  await aborted;
+  assert.deepEqual(server.aborted, [sessionId]);
+  assert.equal(await sdk.sessionExists(sessionId), false);
+});
+
+test('reports an unreachable server', async () => {
+  await startServer();
+  const baseUrl = server.baseUrl;
+  await server.stop();
+  server = null;
+
+  const sdk = new OpenCodeSdkClient({ baseUrl });
+
+  await assert.rejects(sdk.execute('Hello', { model }), error => {
+    assert.equal(error.name, 'ServerUnreachableError');
+    assert.equal(error.code, 'SERVER_UNREACHABLE');
+    return true;
+  });
+  assert.equal(await sdk.checkHealth(), false);
+});
+
+test('OpenCodeBackend uses the SDK client by default', async () => {
+  await startServer((session, text, fake) => fake.reply(session, 'hi'));
+  const backend = new OpenCodeBackend({ baseUrl: server.baseUrl });
+
+  assert.equal(await backend.checkHealth(), true);
+  assert.equal((await backend.execute('Hello', { model })).response, 'hi');
+  assert.equal(backend.client.name, 'sdk');
+
+  await assert.rejects(
+    new OpenCodeBackend({ baseUrl: server.baseUrl, client: 'carrier-pigeon' }).execute('Hello', { model }),
+    /Unknown OpenCode client: carrier-pigeon/
+  );
+});
@@ -0,0 +1,159 @@
+/**
+ * Orchestration pipeline: master issue to pull request
+ */
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  REPO, createWorld, destroyWorld, createMasterIssue, createPipeline,
+  labelsOf, issuesWithLabel, waitFor
+} from './helpers/pipeline.js';
+import { script, implementationTask, testTask } from './helpers/scripts.js';
+
+let world;
+let pipelines;
+
+function pipeline(options) {
+  const created = createPipeline(world, options);
+  pipelines.push(created);
+  return created;
+}
+
+beforeEach(() => {
+  world = createWorld();
+  pipelines = [];
+});
+
+afterEach(async () => {
+  for (const { stop } of pipelines) {
+    await stop();
+  }
+  destroyWorld(world);
+});
+
+test('runs a master issue from planning to a pull request', async () => {
+  const master = createMasterIssue(world);
+  const { orchestrator, agents } = pipeline({ script: script() });
+
+  const result = await orchestrator.start(master);
+
+  assert.equal(result.status, 'approved');
+  assert.ok(labelsOf(world, master).includes('oc-ralph:completed'));
+  assert.ok(labelsOf(world, master).includes('oc-ralph:pr-created'));
+
+  const [pr] = world.github.getRepo(REPO).pulls.values();
+  assert.equal(pr.head.ref, `oc-ralph/issue-${master}`);
+  assert.equal(pr.base.ref, 'main');
+  assert.ok(world.git.pushed.has(`oc-ralph/issue-${master}`));
+
+  assert.deepEqual(agents.requests.map(r => r.agent), ['architect', 'sculptor', 'sentinel', 'craftsman', 'validator']);
+
+  const [implementation] = issuesWithLabel(world, 'oc-ralph:implementation');
+  const [testIssue] = issuesWithLabel(world, 'oc-ralph:test');
+  assert.ok(labelsOf(world, implementation.number).includes('oc-ralph:agent-complete'));
+  assert.ok(labelsOf(world, testIssue.number).includes('oc-ralph:agent-complete'));
+});
+
+test('fails the orchestration when the architect returns malformed JSON', async () => {
+  const master = createMasterIssue(world);
+  const { orchestrator, agents } = pipeline({ script: script({ architect: [{ malformed: true }] }) });
+
+  await assert.rejects(orchestrator.start(master), /JSON/);
+
+  assert.ok(labelsOf(world, master).includes('oc-ralph:failed'));
+  assert.deepEqual(issuesWithLabel(world, 'oc-ralph:sub-issue'), []);
+  assert.deepEqual(agents.requests.map(r => r.agent), ['architect']);
+});
+
+test('fails the orchestration when the spec is missing required fields', async () => {
+  const master = createMasterIssue(world);
+  const { orchestrator } = pipeline({
+    script: script({ architect: [{ json: { requirements: ['greet'] } }] })
+  });
+
+  await assert.rejects(orchestrator.start(master), /Invalid spec: missing field acceptance_criteria/);
+  assert.ok(labelsOf(world, master).includes('oc-ralph:failed'));
+});
+
+test('fails the orchestration when the sculptor returns incomplete tasks', async () => {
+  const master = createMasterIssue(world);
+  const { orchestrator } = pipeline({
+    script: script({ sculptor: [{ json: [{ id: 'impl-1', title: 'No description' }] }] })
+  });
+
+  await assert.rejects(orchestrator.start(master), /Invalid task: missing required fields/);
+  assert.ok(labelsOf(world, master).includes('oc-ralph:failed'));
+  assert.deepEqual(issuesWithLabel(world, 'oc-ralph:sub-issue'), []);
+});
+
+test('fails the orchestration when the sentinel returns no test tasks', async () => {
+  const master = createMasterIssue(world);
+  const { orchestrator } = pipeline({ script: script({ sentinel: [{ json: [] }] }) });
+
+  await assert.rejects(orchestrator.start(master), /Invalid test tasks: expected non-empty array/);
+  assert.ok(labelsOf(world, master).includes('oc-ralph:failed'));
+});
+
+test('runs implementation tasks in dependency order', async () => {
+  const master = createMasterIssue(world);
+  const tasks = [
+    implementationTask('impl-c', ['impl-a', 'impl-b']),
+    implementationTask('impl-b', ['impl-a']),
+    implementationTask('impl-a'),
+    implementationTask('impl-d', ['impl-a'])
+  ];
+  const tests = [
+    testTask('test-b', ['impl-b', 'test-a']),
+    testTask('test-a', ['impl-a'])
+  ];
+  const { orchestrator, agents } = pipeline({ script: script({ tasks, tests }) });
+
+  await orchestrator.start(master);
+
+  const issueTask = new Map(
+    [...issuesWithLabel(world, 'oc-ralph:sub-issue')]
+      .map(issue => [issue.number, issue.body.match(/\*\*Task ID:\*\* (\S+)/)[1]])
+  );
+  const ran = agent => agents.requests.filter(r => r.agent === agent).map(r => issueTask.get(r.issueNumber));
+
+  const implementation = ran('craftsman');
+  assert.equal(implementation.length, 4);
+  assert.equal(implementation[0], 'impl-a');
+  assert.deepEqual(implementation.slice(1, 3).sort(), ['impl-b', 'impl-d']);
+  assert.equal(implementation[3], 'impl-c');
+
+  // Test dependencies on implementation tasks are already met
+  assert.deepEqual(ran('validator'), ['test-a', 'test-b']);
+});
+
+test('resumes a paused orchestration with the unfinished tasks only', async () => {
+  const master = createMasterIssue(world);
+  const tasks = [implementationTask('impl-a'), implementationTask('impl-b', ['impl-a'])];
+
+  const first = pipeline({
+    script: script({ tasks, craftsman: [{ complete: true }, { stall: true }] })
+  });
+  const started = first.orchestrator.start(master);
+
+  await waitFor(() => first.agents.sessions.size > 0 && first.agents.requests.filter(r => r.agent === 'craftsman').length === 2);
+  await first.orchestrator.pause(master);
+
+  const paused = await started;
+  assert.equal(paused.status, 'paused');
+  assert.ok(labelsOf(world, master).includes('oc-ralph:paused'));
+  assert.equal(world.github.getRepo(REPO).pulls.size, 0);
+
+  const [implA, implB] = issuesWithLabel(world, 'oc-ralph:implementation').sort((a, b) => a.number - b.number);
+  assert.ok(labelsOf(world, implA.number).includes('oc-ralph:agent-complete'));
+  assert.ok(!labelsOf(world, implB.number).includes('oc-ralph:agent-complete'));
+
+  const second = pipeline({ script: script({ tasks }) });
+  const resumed = await second.orchestrator.resume(master);
+
+  assert.equal(resumed.status, 'completed');
+  assert.ok(resumed.prNumber);
+  assert.ok(labelsOf(world, master).includes('oc-ralph:completed'));
+  assert.deepEqual(
+    second.agents.requests.map(r => [r.agent, r.issueNumber]),
+    [['craftsman', implB.number], ['validator', issuesWithLabel(world, 'oc-ralph:test')[0].number]]
+  );
+});
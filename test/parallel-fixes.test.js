@@ -0,0 +1,344 @@
+/**
+ * Parallel fixes: independent failures fixed at once in scratch worktrees and merged back
+ */
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import {
+  REPO, createWorld, destroyWorld, createPipeline, createMasterIssue, createLogger,
+  labelsOf, issuesWithLabel
+} from './helpers/pipeline.js';
+import { script, implementationTask, testTask } from './helpers/scripts.js';
+import { ParallelFixCoordinator } from '../src/execution/ParallelFixCoordinator.js';
+import { DependencyResolver } from '../src/execution/DependencyResolver.js';
+import { TestCommandRunner } from '../src/execution/TestCommandRunner.js';
+
+let world;
+let pipelines;
+
+function pipeline(options) {
+  const created = createPipeline(world, options);
+  pipelines.push(created);
+  return created;
+}
+
+beforeEach(() => {
+  world = createWorld();
+  pipelines = [];
+});
+
+afterEach(async () => {
+  for (const { stop } of pipelines) {
+    await stop();
+  }
+  destroyWorld(world);
+});
+
+/**
+ * Two tests of separate implementation tasks, both failing at first
+ */
+function twoModules(validator) {
+  return script({
+    tasks: [implementationTask('impl-1'), implementationTask('impl-2')],
+    tests: [testTask('test-1', ['impl-1']), testTask('test-2', ['impl-2'])],
+    validator
+  });
+}
+
+function sequentialTests(config) {
+  config.execution.parallel.maxConcurrency = 1;
+}
+
+function featureCommits(master) {
+  return world.git.branches.get(`oc-ralph/issue-${master}`).map(commit => commit.message);
+}
+
+function testIssues() {
+  return issuesWithLabel(world, 'oc-ralph:test').sort((a, b) => a.number - b.number);
+}
+
+function fixIssuesFor(testIssue) {
+  return issuesWithLabel(world, `oc-ralph:test-${testIssue.number}`).sort((a, b) => a.number - b.number);
+}
+
+test('independent failures are fixed in parallel scratch worktrees and merged back', async () => {
+  const master = createMasterIssue(world);
+  const { orchestrator, agents, journal } = pipeline({
+    script: twoModules([{ failTests: true }, { failTests: true }, { complete: true }]),
+    configure: sequentialTests
+  });
+
+  const result = await orchestrator.start(master);
+  assert.equal(result.status, 'approved');
+
+  const [test1, test2] = testIssues();
+  const [fix1] = fixIssuesFor(test1);
+  const [fix2] = fixIssuesFor(test2);
+
+  // Both fixes started before either test ran again
+  const requests = agents.requests.map(r => `${r.agent}:${r.issueNumber}`);
+  const firstRerun = requests.indexOf(`validator:${test1.number}`, requests.indexOf(`validator:${test2.number}`) + 1);
+  assert.ok(requests.indexOf(`craftsman:${fix1.number}`) < firstRerun);
+  assert.ok(requests.indexOf(`craftsman:${fix2.number}`) < firstRerun);
+
+  const fixPrompt = agents.requests.find(r => r.issueNumber === fix2.number).prompt;
+  assert.match(fixPrompt, new RegExp(`widgets-${master}-fix-${test2.number}`));
+
+  const commits = featureCommits(master);
+  for (const fixIssue of [fix1, fix2]) {
+    assert.ok(commits.includes(`feat: task #${fixIssue.number}`));
+  }
+  assert.ok(commits.includes(`Merge branch 'oc-ralph/issue-${master}-fix-${test1.number}'`));
+  assert.ok(commits.includes(`Merge branch 'oc-ralph/issue-${master}-fix-${test2.number}'`));
+
+  // Scratch worktrees and branches are gone
+  assert.equal(world.git.worktrees.size, 1);
+  assert.ok(![...world.git.branches.keys()].some(branch => branch.includes('-fix-')));
+
+  const entries = journal.read(master);
+  assert.deepEqual(entries.find(e => e.type === 'parallel-fix').data.clusters, [[test1.number], [test2.number]]);
+  assert.deepEqual(entries.filter(e => e.type === 'parallel-fix-merge').map(e => e.data.outcome), ['merged', 'merged']);
+
+  // Every test ran again on the merged branch
+  assert.equal(agents.requests.filter(r => r.agent === 'validator').length, 6);
+});
+
+test('a cluster that conflicts on merge is fixed again sequentially', async () => {
+  const master = createMasterIssue(world);
+  const { orchestrator, journal } = pipeline({
+    // Initial runs fail, the fixes pass in their worktrees, test-2 fails on the merged branch
+    script: twoModules([
+      { failTests: true }, { failTests: true }, { complete: true }, { complete: true },
+      { complete: true }, { failTests: true }, { complete: true }
+    ]),
+    configure: sequentialTests
+  });
+
+  const mergeBranch = world.git.mergeBranch.bind(world.git);
+  let merges = 0;
+  world.git.mergeBranch = async (cwd, branchName) => {
+    if (++merges === 2) {
+      throw new Error(`Git error: CONFLICT (content): Merge conflict merging ${branchName}`);
+    }
+    return mergeBranch(cwd, branchName);
+  };
+
+  const result = await orchestrator.start(master);
+  assert.equal(result.status, 'approved');
+
+  const [test1, test2] = testIssues();
+  const [scratchFix, sequentialFix] = fixIssuesFor(test2);
+
+  const test2Comments = world.github.getRepo(REPO).comments.get(test2.number).map(comment => comment.body);
+  assert.ok(test2Comments.includes(
+    `⚠️ The fix from \`oc-ralph/issue-${master}-fix-${test2.number}\` conflicted with other fixes when merging. Fixing again on the feature branch.`
+  ));
+
+  // The retry continues the attempt count, on the feature branch
+  assert.match(sequentialFix.title, /\(Attempt 2\/10\)$/);
+  const commits = featureCommits(master);
+  assert.ok(!commits.includes(`feat: task #${scratchFix.number}`));
+  assert.ok(commits.includes(`feat: task #${sequentialFix.number}`));
+  assert.ok(!labelsOf(world, test1.number).includes('oc-ralph:test-failed'));
+  assert.ok(!labelsOf(world, test2.number).includes('oc-ralph:test-failed'));
+
+  assert.deepEqual(
+    journal.read(master).filter(e => e.type === 'parallel-fix-merge').map(e => e.data.outcome),
+    ['merged', 'conflict']
+  );
+});
+
+/**
+ * A test command printing a TAP report for two cases in separate files. The
+ * feature branch fails `greets by name` on the first run, both cases on the
+ * second and none after that; a scratch worktree fails the cases without a
+ * `.fixed-<case>` marker.
+ */
+function tapCommand() {
+  const scriptPath = path.join(world.dir, 'run-tests.cjs');
+  fs.writeFileSync(scriptPath, `
+const fs = require('fs');
+const path = require('path');
+const worktree = path.basename(process.cwd());
+const counter = path.join(${JSON.stringify(world.dir)}, 'runs-' + worktree);
+const runs = (fs.existsSync(counter) ? Number(fs.readFileSync(counter, 'utf-8')) : 0) + 1;
+fs.writeFileSync(counter, String(runs));
+const cases = { 'greets by name': 'test/greet.test.js:5:3', 'says goodbye': 'test/farewell.test.js:8:3' };
+const failing = worktree.includes('-fix-')
+  ? Object.keys(cases).filter(name => !fs.existsSync('.fixed-' + name.replace(/ /g, '-')))
+  : [['greets by name'], Object.keys(cases), []][Math.min(runs, 3) - 1];
+console.log('TAP version 13');
+console.log('1..2');
+Object.keys(cases).forEach((name, i) => {
+  console.log((failing.includes(name) ? 'not ok ' : 'ok ') + (i + 1) + ' - ' + name);
+  if (failing.includes(name)) console.log('  ---\\n  location: ' + cases[name] + '\\n  ...');
+});
+process.exit(failing.length > 0 ? 1 : 0);
+`);
+  return `node ${JSON.stringify(scriptPath)}`;
+}
+
+test('with a test command each scratch worktree is judged by its own failing cases', async () => {
+  const master = createMasterIssue(world);
+  const { orchestrator, agents, journal } = pipeline({
+    script: twoModules([{ complete: true }]),
+    configure: config => {
+      sequentialTests(config);
+      config.execution.testing = { command: tapCommand() };
+    }
+  });
+
+  // The Craftsman fixes the failing cases its fix issue names
+  const execute = agents.execute.bind(agents);
+  agents.execute = async (prompt, options, context) => {
+    if (context.agentName === 'craftsman') {
+      for (const name of ['greets by name', 'says goodbye'].filter(name => prompt.includes(name))) {
+        fs.writeFileSync(path.join(context.worktree, `.fixed-${name.replace(/ /g, '-')}`), '');
+      }
+    }
+    return await execute(prompt, options, context);
+  };
+
+  const result = await orchestrator.start(master);
+  assert.equal(result.status, 'approved');
+
+  const [test1, test2] = testIssues();
+  const [fix1] = fixIssuesFor(test1);
+  const [fix2] = fixIssuesFor(test2);
+
+  const entries = journal.read(master);
+  assert.deepEqual(entries.find(e => e.type === 'parallel-fix').data.clusters, [[test1.number], [test2.number]]);
+  assert.deepEqual(entries.filter(e => e.type === 'parallel-fix-merge').map(e => e.data.outcome), ['merged', 'merged']);
+
+  // Each fix only saw its own cluster's failing case
+  const fixPrompt = issue => agents.requests.find(r => r.agent === 'craftsman' && r.issueNumber === issue.number).prompt;
+  assert.ok(fixPrompt(fix1).includes('greets by name') && !fixPrompt(fix1).includes('says goodbye'));
+  assert.ok(fixPrompt(fix2).includes('says goodbye') && !fixPrompt(fix2).includes('greets by name'));
+
+  const comments = world.github.getRepo(REPO).comments.get(test1.number).map(comment => comment.body);
+  assert.ok(comments.some(body => body.startsWith('## ✅ Test Run Passed') &&
+    body.includes('**Left out:** 1 failing test case(s) of other tests')));
+
+  for (const testIssue of [test1, test2]) {
+    assert.ok(!labelsOf(world, testIssue.number).includes('oc-ralph:test-failed'));
+  }
+  const commits = featureCommits(master);
+  assert.ok(commits.includes(`feat: task #${fix1.number}`));
+  assert.ok(commits.includes(`feat: task #${fix2.number}`));
+});
+
+test('failures are clustered by the files in their stack traces, else by tested task', async () => {
+  const traces = {
+    1: 'at greet (src/greet.js:3:7)\n    at Context.<anonymous> (test/greet.test.js:5:10)',
+    2: 'at format (src/format.js:8:2)\n    at greet (src/greet.js:4:9)',
+    3: 'at farewell (/work/src/farewell.js:2:3)\n    at node:internal/process/task_queues:95:5',
+    4: 'No stack trace available',
+    5: 'No stack trace available'
+  };
+  const issue = (number, dependencies) => ({
+    number,
+    body: `**Task ID:** test-${number}\n${dependencies.map(d => `- Depends on: ${d}`).join('\n')}`,
+    labels: []
+  });
+  const tests = [issue(1, ['impl-1']), issue(2, ['impl-2']), issue(3, ['impl-1']), issue(4, ['impl-3']), issue(5, ['impl-3'])];
+
+  const logger = createLogger();
+  const coordinator = new ParallelFixCoordinator(
+    null,
+    { parseFailureDetails: async testIssue => ({ stackTrace: traces[testIssue.number] }) },
+    new DependencyResolver(logger),
+    null, null, null, null,
+    { execution: { testing: {} } },
+    logger
+  );
+
+  assert.deepEqual(coordinator.extractFiles(traces[3]), ['/work/src/farewell.js']);
+
+  const clusters = await coordinator.clusterFailures(tests, tests);
+  assert.deepEqual(clusters.map(cluster => cluster.map(t => t.number)), [[1, 2], [3], [4, 5]]);
+});
+
+test('with a test command each failing case counts for the test that reported it first', async () => {
+  const logger = createLogger();
+  const runner = new TestCommandRunner(null, { execution: { testing: { command: 'npm test' } } }, logger);
+  const cases = {
+    A: { name: 'A', file: 'test/greet.test.js', line: 5, stack: 'at greet (src/greet.js:3:7)' },
+    B: { name: 'B', file: 'test/format.test.js', line: 3, stack: 'at format (src/format.js:8:2)\n    at greet (src/greet.js:4:9)' },
+    C: { name: 'C', file: 'test/farewell.test.js', line: 2, stack: null }
+  };
+  // Every run covers the suite: test 2 reports A again, test 3 reports all three
+  const runs = { 1: ['A'], 2: ['A', 'B'], 3: ['A', 'B', 'C'] };
+  const comment = number => ({
+    body: runner.formatComment({
+      command: 'npm test', passed: false, exitCode: 1, timedOut: false, durationMs: 10,
+      finishedAt: `2026-01-01T00:00:0${number}.000Z`,
+      counts: { total: 3, passed: 3 - runs[number].length, failed: runs[number].length, skipped: 0 },
+      failures: runs[number].map(name => cases[name]), output: '', error: null
+    })
+  });
+  const issue = number => ({ number, body: `**Task ID:** test-${number}\n- Depends on: impl-1`, labels: [] });
+  const tests = [issue(3), issue(1), issue(2)];
+
+  const coordinator = new ParallelFixCoordinator(
+    null, null,
+    new DependencyResolver(logger),
+    null,
+    { getComments: async (repo, number) => [comment(number)] },
+    runner,
+    null,
+    { github: { owner: 'acme', repo: 'widgets' }, execution: { testing: { command: 'npm test' } } },
+    logger
+  );
+
+  const owned = await coordinator.attributeFailures(tests);
+  assert.deepEqual([1, 2, 3].map(number => owned.get(number).map(failure => failure.name)), [['A'], ['B'], ['C']]);
+
+  // Tests 1 and 2 meet in src/greet.js; test 3 tests the same task but fails elsewhere
+  const clusters = await coordinator.clusterFailures(tests, tests);
+  assert.deepEqual(clusters.map(cluster => cluster.map(t => t.number)), [[3], [1, 2]]);
+});
+
+test('with a test command the run after the merge fails only the tests owning its failing cases', async () => {
+  const logger = createLogger();
+  const comments = new Map();
+  const labels = new Map();
+  const issueOps = {
+    getComments: async (repo, number) => comments.get(number),
+    addComment: async (repo, number, body) => comments.get(number).push({ body }),
+    addLabels: async (repo, number) => labels.set(number, 'failed'),
+    removeLabels: async (repo, number) => labels.set(number, 'passed')
+  };
+  const runner = new TestCommandRunner(issueOps, { execution: { testing: { command: 'npm test' } } }, logger);
+  const failure = name => ({ name, file: `test/${name}.test.js`, line: 1, stack: null });
+  const result = (names, second) => ({
+    command: 'npm test', passed: names.length === 0, exitCode: names.length ? 1 : 0, timedOut: false, durationMs: 10,
+    finishedAt: `2026-01-01T00:00:0${second}.000Z`,
+    counts: { total: 4, passed: 4 - names.length, failed: names.length, skipped: 0 },
+    failures: names.map(failure), output: '', error: null
+  });
+
+  // Before the merge tests 1, 2 and 3 own A, B and C
+  for (const [number, names] of [[1, ['A']], [2, ['B']], [3, ['C']]]) {
+    comments.set(number, [{ body: runner.formatComment(result(names, number)) }]);
+  }
+
+  // B was fixed, D is new
+  runner.run = async () => result(['A', 'C', 'D'], 5);
+
+  const coordinator = new ParallelFixCoordinator(
+    null, null, new DependencyResolver(logger), null, issueOps, runner, null,
+    { github: { owner: 'acme', repo: 'widgets' }, execution: { testing: { command: 'npm test' } } },
+    logger
+  );
+
+  const tests = [1, 2, 3].map(number => ({ number, body: '', labels: [] }));
+  await coordinator.rerunSuite({ owner: 'acme', repo: 'widgets' }, tests, '/worktree');
+
+  assert.deepEqual([1, 2, 3].map(number => labels.get(number)), ['failed', 'passed', 'failed']);
+  assert.deepEqual(
+    [1, 2, 3].map(number => TestCommandRunner.findLatestResult(comments.get(number)).failingCases),
+    [['A', 'D'], [], ['C']]
+  );
+  assert.ok(comments.get(2).at(-1).body.includes('**Left out:** 3 failing test case(s) of other tests'));
+});
@@ -0,0 +1,131 @@
+/**
+ * Plan revision: reviewer feedback regenerates only the affected parts
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PlanningStage } from '../src/stages/PlanningStage.js';
+import { ApprovalMonitor } from '../src/core/ApprovalMonitor.js';
+
+const REPO = 'acme/widgets';
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+const config = { github: { owner: 'acme', repo: 'widgets' } };
+
+const plan = {
+  spec: { title: 'Widgets', requirements: ['Render widgets'] },
+  implementationTasks: [
+    { id: 'impl-model', title: 'Add the model', dependencies: [] },
+    { id: 'impl-view', title: 'Render the view', dependencies: ['impl-model'] },
+    { id: 'impl-cache', title: 'Cache the view', dependencies: ['impl-view'] }
+  ],
+  testTasks: [{ id: 'test-view', title: 'Test the view', type: 'unit', dependencies: ['impl-view'] }],
+  implementationIssues: [
+    { taskId: 'impl-model', issueNumber: 11, title: 'Add the model', dependencies: [] },
+    { taskId: 'impl-view', issueNumber: 12, title: 'Render the view', dependencies: ['impl-model'] },
+    { taskId: 'impl-cache', issueNumber: 13, title: 'Cache the view', dependencies: ['impl-view'] }
+  ],
+  testIssues: [{ taskId: 'test-view', issueNumber: 14, title: 'Test the view', dependencies: ['impl-view'] }]
+};
+
+/**
+ * Planning stage whose agents return the given revisions and whose tracker calls are recorded
+ */
+function createStage({ spec = plan.spec, implementationTasks = plan.implementationTasks, testTasks = plan.testTasks } = {}) {
+  const calls = [];
+  let nextIssue = 20;
+
+  const issueTemplateManager = {
+    createImplementationIssue: async (master, task) => { calls.push(['create', task.id]); return nextIssue++; },
+    createTestIssue: async (master, task) => { calls.push(['create', task.id]); return nextIssue++; },
+    updateImplementationIssue: async (issueNumber, master, task) => { calls.push(['update', issueNumber, task.id]); },
+    updateTestIssue: async (issueNumber, master, task) => { calls.push(['update', issueNumber, task.id]); }
+  };
+  const issueOps = {
+    closeIssue: async (repo, issueNumber) => { calls.push(['close', issueNumber]); },
+    addComment: async (repo, issueNumber, body) => { calls.push(['comment', issueNumber, body]); }
+  };
+  const stateManager = {
+    labelOps: { removeLabel: async (repo, issueNumber, label) => { calls.push(['unlabel', issueNumber, label]); } }
+  };
+
+  const stage = new PlanningStage(null, issueOps, null, null, issueTemplateManager, stateManager, null, null, null, config, logger);
+
+  stage.executeArchitect = async (masterIssueNumber, revision) => { calls.push(['architect', revision.feedback]); return spec; };
+  stage.executeSculptor = async (revisedSpec, masterIssueNumber, revision) => { calls.push(['sculptor', revision.feedback]); return implementationTasks; };
+  stage.executeSentinel = async (revisedSpec, masterIssueNumber, revision) => { calls.push(['sentinel', revision.feedback]); return testTasks; };
+
+  return { stage, calls };
+}
+
+test('revising the tasks keeps, updates, creates and closes sub-issues to match', async () => {
+  const { stage, calls } = createStage({
+    implementationTasks: [
+      plan.implementationTasks[0],
+      { ...plan.implementationTasks[1], title: 'Render the view lazily' },
+      { id: 'impl-style', title: 'Style the view', dependencies: ['impl-view'] }
+    ]
+  });
+
+  const { plan: revised, diff } = await stage.revise(1, '/worktrees/issue-1', plan, 'Drop the cache, add styles', 'tasks');
+
+  assert.deepEqual(calls.filter(([kind]) => kind !== 'comment'), [
+    ['sculptor', 'Drop the cache, add styles'],
+    ['update', 12, 'impl-view'],
+    ['create', 'impl-style'],
+    ['close', 13],
+    ['unlabel', 13, 'oc-ralph:master-1']
+  ]);
+  assert.deepEqual(revised.implementationIssues.map(i => [i.taskId, i.issueNumber]), [
+    ['impl-model', 11],
+    ['impl-view', 12],
+    ['impl-style', 20]
+  ]);
+  assert.equal(revised.testTasks, plan.testTasks);
+  assert.deepEqual(revised.testIssues.map(i => i.issueNumber), [14]);
+  assert.equal(diff.specChanged, false);
+  assert.deepEqual(diff.implementation.removed.map(t => t.id), ['impl-cache']);
+
+  const comment = calls.find(([kind]) => kind === 'comment');
+  assert.equal(comment[1], 1);
+  assert.match(comment[2], /Changed: \*\*Render the view lazily\*\* \(#12\)/);
+  assert.match(comment[2], /Added: \*\*Style the view\*\* \(#20\)/);
+  assert.match(comment[2], /Removed: \*\*Cache the view\*\* \(#13, closed\)/);
+});
+
+test('a changed spec also regenerates both task lists', async () => {
+  const { stage, calls } = createStage({ spec: { ...plan.spec, requirements: ['Render widgets', 'Offline mode'] } });
+
+  const { diff } = await stage.revise(1, '/worktrees/issue-1', plan, 'Support offline mode', 'spec');
+
+  assert.deepEqual(calls.filter(([kind]) => ['architect', 'sculptor', 'sentinel'].includes(kind)).map(([kind]) => kind).sort(), ['architect', 'sculptor', 'sentinel']);
+  assert.equal(diff.specChanged, true);
+  assert.equal(calls.filter(([kind]) => ['create', 'update', 'close'].includes(kind)).length, 0);
+});
+
+test('an unchanged spec leaves the tasks alone', async () => {
+  const { stage, calls } = createStage();
+
+  await stage.revise(1, '/worktrees/issue-1', plan, 'Tighten the wording', 'spec');
+
+  assert.deepEqual(calls.filter(([kind]) => kind !== 'comment'), [['architect', 'Tighten the wording']]);
+});
+
+test('the revise label feeds back the comments posted since the plan was presented', async () => {
+  const presented = new Date('2026-10-01T12:00:00Z');
+  const monitor = new ApprovalMonitor({
+    getIssue: async () => ({
+      labels: [{ name: 'oc-ralph:awaiting-approval' }, { name: 'oc-ralph:revise' }],
+      comments: [
+        { body: 'Looks like an old note', createdAt: '2026-10-01T11:00:00Z' },
+        { body: 'Split the view task', createdAt: '2026-10-01T12:05:00Z' },
+        { body: 'And add a test for offline mode', createdAt: '2026-10-01T12:06:00Z' }
+      ]
+    })
+  }, config, logger);
+
+  const status = await monitor.checkApprovalStatus(REPO, 1, presented);
+
+  assert.equal(status.revise, true);
+  assert.equal(status.scope, 'all');
+  assert.equal(status.source, 'label');
+  assert.equal(status.feedback, 'Split the view task\n\nAnd add a test for offline mode');
+});
@@ -0,0 +1,116 @@
+/**
+ * Plan store: the plan survives locally and in the master issue body
+ */
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PlanStore } from '../src/core/PlanStore.js';
+import { Orchestrator } from '../src/core/Orchestrator.js';
+import { IssueBodyManager } from '../src/utils/IssueBodyManager.js';
+
+const REPO = 'acme/widgets';
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+const plan = {
+  spec: { title: 'Widgets', requirements: ['Render widgets'] },
+  implementationTasks: [
+    { id: 'impl-model', title: 'Add the model', estimated_complexity: 'low', dependencies: [] },
+    { id: 'impl-view', title: 'Render the model --> view', estimated_complexity: 'high', dependencies: ['impl-model'] }
+  ],
+  testTasks: [{ id: 'test-view', title: 'Test the view', type: 'unit', dependencies: ['impl-view'] }],
+  implementationIssues: [
+    { taskId: 'impl-model', issueNumber: 11, title: 'Add the model', dependencies: [] },
+    { taskId: 'impl-view', issueNumber: 12, title: 'Render the model --> view', dependencies: ['impl-model'] }
+  ],
+  testIssues: [{ taskId: 'test-view', issueNumber: 13, title: 'Test the view', dependencies: ['impl-view'] }]
+};
+
+let cwd;
+let dir;
+
+beforeEach(() => {
+  cwd = process.cwd();
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oc-ralph-plan-'));
+  process.chdir(dir);
+});
+
+afterEach(() => {
+  process.chdir(cwd);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Orchestrator whose master issue has the given body
+ */
+function createOrchestrator(body) {
+  const fetched = [];
+  const orchestrator = new Orchestrator(
+    { config: { github: { owner: 'acme', repo: 'widgets' } }, getGitHubRepo: () => REPO },
+    { issueOps: { getIssue: async (repo, issueNumber) => { fetched.push(issueNumber); return { number: issueNumber, body }; } } },
+    null,
+    null,
+    null,
+    null,
+    null,
+    null,
+    new IssueBodyManager(),
+    null,
+    null,
+    logger
+  );
+
+  orchestrator.loadPlanFromSubIssues = async () => 'rebuilt';
+  return { orchestrator, fetched };
+}
+
+test('a saved plan loads back with its task ids, dependencies and sub-issues', () => {
+  const store = new PlanStore({}, logger);
+
+  store.save(1, plan);
+
+  assert.ok(fs.existsSync(path.join('.oc-ralph', 'plans', '1.json')));
+  assert.deepEqual(store.load(1), plan);
+  assert.equal(store.load(2), null);
+});
+
+test('an unreadable or unknown plan record is not loaded', () => {
+  const store = new PlanStore({}, logger);
+  fs.mkdirSync(store.plansDir, { recursive: true });
+
+  fs.writeFileSync(store.getPlanFile(1), '{ not json', 'utf-8');
+  fs.writeFileSync(store.getPlanFile(2), JSON.stringify({ ...PlanStore.toRecord(2, plan), version: 99 }), 'utf-8');
+
+  assert.equal(store.load(1), null);
+  assert.equal(store.load(2), null);
+});
+
+test('the plan block in the master issue body round-trips', () => {
+  const manager = new IssueBodyManager();
+  const body = `## Spec\n\n${manager.buildPlanDataBlock(plan)}\n## Status`;
+
+  assert.ok(!body.split('<!-- oc-ralph-plan-data')[1].split('\n-->')[0].includes('-->'));
+  assert.deepEqual(manager.extractPlan(body), plan);
+  assert.equal(manager.extractPlan('No plan here'), null);
+  assert.equal(manager.extractPlan('<!-- oc-ralph-plan-data\n{ broken\n-->'), null);
+});
+
+test('resume prefers the local plan, then the issue body, then the sub-issues', async () => {
+  const manager = new IssueBodyManager();
+
+  // Issue body only: loaded from it and kept locally
+  const fromBody = createOrchestrator(manager.buildPlanDataBlock(plan));
+  assert.deepEqual(await fromBody.orchestrator.loadPlan(1), plan);
+  assert.deepEqual(fromBody.fetched, [1]);
+  assert.deepEqual(new PlanStore({}, logger).load(1), plan);
+
+  // Local copy: the issue is not fetched
+  const fromStore = createOrchestrator('');
+  assert.deepEqual(await fromStore.orchestrator.loadPlan(1), plan);
+  assert.deepEqual(fromStore.fetched, []);
+
+  // Neither: rebuilt from the sub-issues
+  const fromSubIssues = createOrchestrator('No plan here');
+  assert.equal(await fromSubIssues.orchestrator.loadPlan(2), 'rebuilt');
+});
@@ -0,0 +1,384 @@
+/**
+ * Orchestration queue
+ */
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { OrchestrationQueue } from '../src/queue/OrchestrationQueue.js';
+import { Orchestrator } from '../src/core/Orchestrator.js';
+import { StateManager } from '../src/core/StateManager.js';
+import { QueueStore } from '../src/queue/QueueStore.js';
+import { GitHubPoller } from '../src/queue/GitHubPoller.js';
+import { ConfigManager } from '../src/core/ConfigManager.js';
+
+const REPO = 'acme/widgets';
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+let dir;
+let cwd;
+
+beforeEach(() => {
+  cwd = process.cwd();
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oc-ralph-queue-'));
+  process.chdir(dir);
+});
+
+afterEach(() => {
+  process.chdir(cwd);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Label store shaped like LabelOperations
+ */
+function createLabels() {
+  const labels = new Map();
+  const of = issueNumber => labels.get(issueNumber) || [];
+
+  return {
+    labels,
+    getLabels: async (repo, issueNumber) => of(issueNumber),
+    addLabel: async (repo, issueNumber, label) => labels.set(issueNumber, [...of(issueNumber), label]),
+    removeLabel: async (repo, issueNumber, label) => labels.set(issueNumber, of(issueNumber).filter(l => l !== label))
+  };
+}
+
+/**
+ * Queue whose orchestrations run until released
+ */
+function createHeldQueue(options = {}) {
+  const started = [];
+  const releases = new Map();
+
+  const queue = new OrchestrationQueue(() => ({
+    start: issueNumber => {
+      started.push(issueNumber);
+      return new Promise(resolve => releases.set(issueNumber, () => resolve({ status: 'completed' })));
+    },
+    resume: issueNumber => {
+      started.push(issueNumber);
+      return new Promise(resolve => releases.set(issueNumber, () => resolve({ status: 'completed' })));
+    }
+  }), logger, { defaultRepo: REPO, ...options });
+
+  const release = async issueNumber => {
+    await waitFor(() => releases.has(issueNumber));
+    releases.get(issueNumber)();
+  };
+
+  return { queue, started, release };
+}
+
+async function waitFor(condition, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+test('a queued issue paused before it started is started when resumed', async () => {
+  const config = { stateDir: path.join(dir, '.oc-ralph'), github: { owner: 'acme', repo: 'widgets', baseBranch: 'main' } };
+  const labelOps = createLabels();
+  const stateManager = new StateManager(labelOps, {}, config, logger);
+
+  const started = [];
+  let releaseFirst;
+  const firstRun = new Promise(resolve => { releaseFirst = resolve; });
+
+  const queue = new OrchestrationQueue(() => {
+    const orchestrator = new Orchestrator({ config }, stateManager, null, null, null, null, null, null, null, null, null, logger);
+    orchestrator.start = async issueNumber => {
+      started.push(issueNumber);
+      await stateManager.transitionTo(issueNumber, 'oc-ralph:planning');
+      if (issueNumber === 1) await firstRun;
+      return { status: 'approved' };
+    };
+    return orchestrator;
+  }, logger, { defaultRepo: REPO });
+
+  queue.enqueue(1);
+  queue.enqueue(2);
+  await waitFor(() => started.includes(1));
+
+  // #2 waits behind #1 and never ran
+  const paused = await queue.pause(2);
+  assert.equal(paused.status, 'paused');
+  assert.equal(queue.contains(2), false);
+  assert.deepEqual(labelOps.labels.get(2), ['oc-ralph:paused']);
+
+  queue.enqueue(2, { resume: true });
+  releaseFirst();
+  await waitFor(() => started.includes(2) && !queue.contains(2));
+
+  assert.deepEqual(started, [1, 2]);
+  assert.deepEqual(labelOps.labels.get(2), ['oc-ralph:planning']);
+  assert.equal(queue.failed.length, 0);
+});
+
+test('runs up to maxConcurrent orchestrations at once', async () => {
+  const releases = new Map();
+  let active = 0;
+  let peak = 0;
+
+  const queue = new OrchestrationQueue(() => ({
+    start: async issueNumber => {
+      active++;
+      peak = Math.max(peak, active);
+      await new Promise(resolve => releases.set(issueNumber, resolve));
+      active--;
+      return { status: 'completed' };
+    }
+  }), logger, { defaultRepo: REPO, maxConcurrent: 2 });
+
+  [1, 2, 3].forEach(issueNumber => queue.enqueue(issueNumber));
+  await waitFor(() => releases.size === 2);
+
+  assert.equal(queue.isRunning(1), true);
+  assert.equal(queue.isRunning(2), true);
+  assert.equal(queue.isRunning(3), false);
+  assert.equal(queue.getStatus().queueLength, 1);
+
+  // A free slot goes to the next queued issue
+  releases.get(2)();
+  await waitFor(() => releases.has(3));
+  assert.equal(queue.isRunning(3), true);
+
+  releases.get(1)();
+  releases.get(3)();
+  await waitFor(() => queue.completed.length === 3);
+
+  assert.equal(peak, 2);
+  assert.deepEqual(queue.completed.map(c => c.issueNumber), [2, 1, 3]);
+  assert.equal(queue.getStatus().processing, false);
+});
+
+test('picks the highest priority, then the oldest, without preempting the running issue', async () => {
+  const { queue, started, release } = createHeldQueue();
+
+  queue.enqueue(1, { priority: 'low' });
+  await waitFor(() => started.includes(1));
+
+  queue.enqueue(2, { priority: 'low' });
+  queue.enqueue(3);
+  assert.equal(queue.enqueue(4, { priority: 'HIGH' }).position, 1);
+  queue.enqueue(5);
+
+  assert.deepEqual(queue.queue.map(e => [e.issueNumber, e.priority]), [[4, 'high'], [3, 'normal'], [5, 'normal'], [2, 'low']]);
+  assert.deepEqual(started, [1]);
+  assert.throws(() => queue.enqueue(6, { priority: 'urgent' }), /Unknown priority: urgent/);
+
+  for (const issueNumber of [1, 4, 3, 5, 2]) {
+    await release(issueNumber);
+  }
+  await waitFor(() => queue.completed.length === 5);
+
+  assert.deepEqual(started, [1, 4, 3, 5, 2]);
+});
+
+test('moves queued issues by hand', async () => {
+  const { queue, started } = createHeldQueue();
+
+  queue.enqueue(1);
+  await waitFor(() => started.includes(1));
+  [2, 3, 4].forEach(issueNumber => queue.enqueue(issueNumber));
+
+  assert.equal(queue.move(4, 'top').position, 1);
+  assert.equal(queue.move(2, 'down').position, 3);
+  queue.move(3, 'up');
+  queue.move(3, 'up');
+  queue.move(4, 'bottom');
+
+  assert.deepEqual(queue.queue.map(e => e.issueNumber), [3, 2, 4]);
+  assert.throws(() => queue.move(1, 'up'), /not in queue/);
+  assert.throws(() => queue.move(2, 'sideways'), /Unknown direction: sideways/);
+});
+
+test('the queue order survives a restart', async () => {
+  const file = path.join(dir, '.oc-ralph', 'queue.json');
+  const { queue, started } = createHeldQueue({ store: new QueueStore(logger, file) });
+
+  queue.enqueue(1);
+  await waitFor(() => started.includes(1));
+  queue.enqueue(2, { priority: 'low' });
+  queue.enqueue(3, { priority: 'high' });
+  queue.enqueue(4);
+  queue.move(2, 'top');
+
+  const restarted = createHeldQueue({ store: new QueueStore(logger, file) });
+  restarted.queue.restore();
+
+  assert.deepEqual(restarted.queue.queue.map(e => [e.issueNumber, e.priority]), [[2, 'low'], [3, 'high'], [4, 'normal']]);
+  await waitFor(() => restarted.started.includes(2));
+});
+
+test('the poller reads the priority from the issue labels', () => {
+  const poller = new GitHubPoller(null, null, { github: { owner: 'acme', repo: 'widgets' } }, logger);
+
+  assert.equal(poller.getPriority([{ name: 'oc-ralph:queue' }, { name: 'oc-ralph:priority-low' }]), 'low');
+  assert.equal(poller.getPriority(['oc-ralph:priority-low', 'oc-ralph:priority-high']), 'high');
+  assert.equal(poller.getPriority([{ name: 'bug' }]), 'normal');
+  assert.equal(poller.getPriority(), 'normal');
+});
+
+test('queued and running issues and the history survive a restart', async () => {
+  const file = path.join(dir, '.oc-ralph', 'queue.json');
+  const { queue, started, release } = createHeldQueue({ store: new QueueStore(logger, file) });
+
+  queue.enqueue(1);
+  await release(1);
+  await waitFor(() => queue.completed.length === 1);
+  queue.enqueue(2, { priority: 'high' });
+  await waitFor(() => started.includes(2));
+  queue.enqueue(3, { resume: true });
+
+  const restarted = createHeldQueue({ store: new QueueStore(logger, file) });
+  const { restored, interrupted } = restarted.queue.restore();
+
+  assert.deepEqual(restored, [`${REPO}#3`]);
+  assert.deepEqual(interrupted.map(e => [e.issueNumber, e.priority, e.resume]), [[2, 'high', false]]);
+  assert.deepEqual(restarted.queue.completed.map(e => [e.issueNumber, e.status]), [[1, 'completed']]);
+
+  // The interrupted run is left to the caller; the queued one resumes
+  await waitFor(() => restarted.started.includes(3));
+  assert.equal(restarted.queue.isRunning(2), false);
+});
+
+test('an unreadable or unknown queue file restores nothing', () => {
+  const file = path.join(dir, 'queue.json');
+  const store = new QueueStore(logger, file);
+  const empty = { queued: [], running: [], completed: [], failed: [] };
+
+  assert.deepEqual(store.load(), empty);
+
+  fs.writeFileSync(file, '{ not json', 'utf-8');
+  assert.deepEqual(store.load(), empty);
+
+  fs.writeFileSync(file, JSON.stringify({ version: 99, queued: [{ issueNumber: 1 }] }), 'utf-8');
+  assert.deepEqual(store.load(), empty);
+
+  store.save({ queued: [{ issueNumber: 1 }] });
+  assert.deepEqual(store.load(), { ...empty, queued: [{ issueNumber: 1 }] });
+  assert.equal(fs.existsSync(`${file}.tmp`), false);
+});
+
+test('after a restart interrupted runs are resumed, started or failed by their state', async () => {
+  const states = { 2: 'oc-ralph:implementing', 3: null, 4: 'oc-ralph:planning', 5: 'oc-ralph:testing', 6: 'oc-ralph:paused' };
+  const enqueued = [];
+  const transitions = [];
+  const comments = [];
+
+  const issueOps = {
+    listIssues: async (repo, filters) => {
+      assert.deepEqual(filters, { label: 'oc-ralph:processing', state: 'open' });
+      return [{ number: 5, labels: [{ name: 'oc-ralph:priority-high' }] }, { number: 6, labels: [] }];
+    },
+    getIssue: async (repo, issueNumber) => ({ number: issueNumber, labels: [{ name: 'oc-ralph:priority-low' }] }),
+    addComment: async (repo, issueNumber, body) => comments.push(issueNumber)
+  };
+  const stateManager = {
+    getCurrentState: async issueNumber => states[issueNumber],
+    transitionTo: async (issueNumber, state) => transitions.push([issueNumber, state]),
+    recordEvent() {}
+  };
+  const queue = {
+    contains: issueNumber => issueNumber === 7,
+    enqueue: (issueNumber, options) => enqueued.push([issueNumber, options])
+  };
+
+  const poller = new GitHubPoller(issueOps, queue, { github: { owner: 'acme', repo: 'widgets' } }, logger, stateManager);
+  const report = await poller.reconcile([
+    { issueNumber: 2, priority: 'high' },
+    { issueNumber: 3 },
+    { issueNumber: 4, priority: 'normal' },
+    { issueNumber: 7, priority: 'normal' }
+  ]);
+
+  assert.deepEqual(report, { resumed: [5, 2], started: [3], failed: [4] });
+  assert.deepEqual(enqueued, [
+    [5, { resume: true, priority: 'high', repo: REPO }],
+    [2, { resume: true, priority: 'high', repo: REPO }],
+    [3, { priority: 'low', repo: REPO }]
+  ]);
+  assert.deepEqual(transitions, [[4, 'oc-ralph:failed']]);
+  assert.deepEqual(comments, [4]);
+});
+
+test('one queue serves several repositories keyed by owner/repo#number', async () => {
+  const started = [];
+  const queue = new OrchestrationQueue(repo => ({
+    start: issueNumber => {
+      started.push(`${repo}#${issueNumber}`);
+      return new Promise(() => {});
+    }
+  }), logger, { maxConcurrent: 2 });
+
+  assert.equal(queue.enqueue(1, { repo: 'acme/widgets' }).key, 'acme/widgets#1');
+  assert.equal(queue.enqueue(1, { repo: 'acme/gadgets' }).key, 'acme/gadgets#1');
+  assert.throws(() => queue.enqueue(1, { repo: 'acme/widgets' }), /acme\/widgets#1 already in queue/);
+  assert.throws(() => queue.enqueue(2), /repo is required/);
+
+  await waitFor(() => started.length === 2);
+
+  assert.deepEqual(started, ['acme/widgets#1', 'acme/gadgets#1']);
+  assert.deepEqual(queue.getRunning().map(w => [w.key, w.repo, w.issueNumber]), [
+    ['acme/widgets#1', 'acme/widgets', 1],
+    ['acme/gadgets#1', 'acme/gadgets', 1]
+  ]);
+  assert.equal(queue.isRunning(1, 'acme/gadgets'), true);
+  assert.equal(queue.isRunning(1, 'other/tools'), false);
+});
+
+test('entries saved before multi-repository support belong to the default repository', () => {
+  const file = path.join(dir, 'queue.json');
+  new QueueStore(logger, file).save({
+    queued: [{ issueNumber: 3, priority: 'high' }, { repo: 'acme/gadgets', issueNumber: 3 }],
+    running: [{ issueNumber: 2 }]
+  });
+
+  const queue = new OrchestrationQueue(() => ({ start: () => new Promise(() => {}) }), logger, {
+    defaultRepo: REPO,
+    store: new QueueStore(logger, file)
+  });
+  const { restored, interrupted } = queue.restore();
+
+  assert.deepEqual(restored, [`${REPO}#3`, 'acme/gadgets#3']);
+  assert.deepEqual(interrupted.map(e => e.key), [`${REPO}#2`]);
+});
+
+test('each repository inherits the config and keeps its own state', () => {
+  const manager = new ConfigManager();
+  manager.config = {
+    github: { owner: 'acme', repo: 'widgets', repoPath: '/src/widgets', baseBranch: 'main' },
+    agents: { craftsman: { agent: 'craftsman', timeout: 600, model: { providerID: 'test', modelID: 'primary' } } },
+    service: { pollInterval: 1000 },
+    repositories: [
+      { owner: 'acme', repo: 'widgets', repoPath: '/src/widgets' },
+      {
+        owner: 'acme',
+        repo: 'gadgets',
+        repoPath: '/src/gadgets',
+        baseBranch: 'develop',
+        worktreeBasePath: '/tmp/gadgets',
+        queueLabel: 'gadgets:queue',
+        agents: { craftsman: { timeout: 900, model: { modelID: 'large' } } }
+      }
+    ]
+  };
+
+  const [widgets, gadgets] = manager.getRepositories().map(repository => repository.config);
+
+  assert.equal(widgets.stateDir, '.oc-ralph');
+  assert.equal(widgets.repositories, undefined);
+  assert.deepEqual(gadgets.github, { owner: 'acme', repo: 'gadgets', repoPath: '/src/gadgets', baseBranch: 'develop' });
+  assert.equal(gadgets.stateDir, path.join('.oc-ralph', 'repos', 'acme__gadgets'));
+  assert.equal(gadgets.worktree.basePath, '/tmp/gadgets');
+  assert.deepEqual(gadgets.service, { pollInterval: 1000, queueLabel: 'gadgets:queue' });
+  assert.deepEqual(gadgets.agents.craftsman, { agent: 'craftsman', timeout: 900, model: { providerID: 'test', modelID: 'large' } });
+  assert.equal(manager.config.agents.craftsman.timeout, 600);
+});
@@ -0,0 +1,150 @@
+/**
+ * Orchestration pipeline: retries, test fix loops and model failover
+ */
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  REPO, createWorld, destroyWorld, createMasterIssue, createPipeline,
+  labelsOf, issuesWithLabel
+} from './helpers/pipeline.js';
+import { script } from './helpers/scripts.js';
+
+let world;
+let pipelines;
+
+function pipeline(options) {
+  const created = createPipeline(world, options);
+  pipelines.push(created);
+  return created;
+}
+
+function commentsOn(issueNumber) {
+  return (world.github.getRepo(REPO).comments.get(issueNumber) || []).map(comment => comment.body);
+}
+
+beforeEach(() => {
+  world = createWorld();
+  pipelines = [];
+});
+
+afterEach(async () => {
+  for (const { stop } of pipelines) {
+    await stop();
+  }
+  destroyWorld(world);
+});
+
+test('retries a failed implementation task', async () => {
+  const master = createMasterIssue(world);
+  const { orchestrator, agents, journal } = pipeline({
+    script: script({ craftsman: [{ error: 'Model overloaded' }, { complete: true }] })
+  });
+
+  const result = await orchestrator.start(master);
+
+  assert.equal(result.status, 'approved');
+  const [implementation] = issuesWithLabel(world, 'oc-ralph:implementation');
+  const craftsmanRuns = agents.requests.filter(r => r.agent === 'craftsman');
+  assert.deepEqual(craftsmanRuns.map(r => r.issueNumber), [implementation.number, implementation.number]);
+  assert.ok(journal.replay(master).retries >= 1);
+  assert.ok(!labelsOf(world, implementation.number).includes('oc-ralph:failed'));
+});
+
+test('fails the orchestration when an implementation task runs out of retries', async () => {
+  const master = createMasterIssue(world);
+  const { orchestrator, agents } = pipeline({
+    script: script({ craftsman: [{ error: 'Model overloaded' }] })
+  });
+
+  await assert.rejects(orchestrator.start(master), /Implementation failed: 1 tasks failed/);
+
+  const [implementation] = issuesWithLabel(world, 'oc-ralph:implementation');
+  assert.ok(labelsOf(world, implementation.number).includes('oc-ralph:failed'));
+  assert.ok(labelsOf(world, master).includes('oc-ralph:failed'));
+  assert.equal(agents.requests.filter(r => r.agent === 'validator').length, 0);
+  assert.equal(world.github.getRepo(REPO).pulls.size, 0);
+});
+
+test('fixes a failing test with fix sub-issues until it passes', async () => {
+  const master = createMasterIssue(world);
+  const { orchestrator, agents, journal } = pipeline({
+    script: script({
+      validator: [
+        { failTests: 'Error: expected 2, got 3' },
+        { failTests: 'Error: expected 2, got 4' },
+        { complete: true }
+      ]
+    })
+  });
+
+  const result = await orchestrator.start(master);
+
+  assert.equal(result.status, 'approved');
+  assert.ok(labelsOf(world, master).includes('oc-ralph:pr-created'));
+
+  const [testIssue] = issuesWithLabel(world, 'oc-ralph:test');
+  const fixes = issuesWithLabel(world, 'oc-ralph:fix-attempt').sort((a, b) => a.number - b.number);
+  assert.equal(fixes.length, 2);
+  assert.match(fixes[0].body, /expected 2, got 3/);
+  assert.match(fixes[1].body, /expected 2, got 4/);
+  assert.ok(labelsOf(world, fixes[0].number).includes('oc-ralph:attempt-1'));
+  assert.ok(labelsOf(world, fixes[1].number).includes(`oc-ralph:test-${testIssue.number}`));
+
+  // The first fix stays open for the audit trail, the one that worked is closed
+  assert.equal(fixes[0].state, 'open');
+  assert.equal(fixes[1].state, 'closed');
+  assert.ok(!labelsOf(world, testIssue.number).includes('oc-ralph:test-failed'));
+  assert.ok(commentsOn(testIssue.number).some(body => body.includes('fixed successfully after 2 attempt(s)')));
+
+  // Fix agents work on the fix sub-issues, the validator re-runs the test
+  assert.deepEqual(
+    agents.requests.filter(r => r.agent === 'craftsman').slice(1).map(r => r.issueNumber),
+    fixes.map(fix => fix.number)
+  );
+  assert.match(agents.requests.find(r => r.issueNumber === fixes[0].number).prompt, new RegExp(`#${fixes[0].number}`));
+  assert.equal(agents.requests.filter(r => r.agent === 'validator').length, 3);
+  assert.equal(journal.replay(master).fixAttempts[testIssue.number], 2);
+});
+
+test('fails the orchestration after the maximum number of fix attempts', async () => {
+  const master = createMasterIssue(world);
+  const { orchestrator, agents } = pipeline({
+    script: script({ validator: [{ failTests: 'Error: always wrong' }] })
+  });
+
+  await assert.rejects(orchestrator.start(master), /could not be fixed/);
+
+  const [testIssue] = issuesWithLabel(world, 'oc-ralph:test');
+  assert.equal(issuesWithLabel(world, 'oc-ralph:fix-attempt').length, 10);
+  assert.ok(labelsOf(world, testIssue.number).includes('oc-ralph:max-attempts-reached'));
+  assert.ok(labelsOf(world, master).includes('oc-ralph:failed'));
+  assert.equal(agents.requests.filter(r => r.agent === 'validator').length, 11);
+  assert.equal(world.github.getRepo(REPO).pulls.size, 0);
+});
+
+test('fails over to the failback model when a session hangs', async () => {
+  const master = createMasterIssue(world);
+  const { orchestrator, agents, journal } = pipeline({
+    script: script({ craftsman: [{ hang: true }, { complete: true }] }),
+    configure: config => {
+      config.statusResilience.modelFailover.failbackModels = {
+        craftsman: { providerID: 'backup', modelID: 'fallback' }
+      };
+    }
+  });
+
+  const result = await orchestrator.start(master);
+
+  assert.equal(result.status, 'approved');
+  assert.deepEqual(
+    agents.requests.filter(r => r.agent === 'craftsman').map(r => `${r.model.providerID}/${r.model.modelID}`),
+    ['test/primary', 'backup/fallback']
+  );
+
+  // Resilience events are journaled under the agent's issue
+  const [implementation] = issuesWithLabel(world, 'oc-ralph:implementation');
+  assert.equal(journal.replay(implementation.number).failovers, 1);
+
+  // Other agents keep their configured model
+  assert.ok(agents.requests.filter(r => r.agent === 'validator').every(r => r.model.modelID === 'primary'));
+});
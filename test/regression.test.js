@@ -0,0 +1,187 @@
+/**
+ * Regression detection: fixes that break other tests are found, reverted or
+ * kept, and recorded in the fix issues and the status table
+ */
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import {
+  REPO, createWorld, destroyWorld, createPipeline, createMasterIssue,
+  labelsOf, issuesWithLabel
+} from './helpers/pipeline.js';
+import { script, implementationTask, testTask } from './helpers/scripts.js';
+
+let world;
+let pipelines;
+
+function pipeline(options) {
+  const created = createPipeline(world, options);
+  pipelines.push(created);
+  return created;
+}
+
+beforeEach(() => {
+  world = createWorld();
+  pipelines = [];
+});
+
+afterEach(async () => {
+  for (const { stop } of pipelines) {
+    await stop();
+  }
+  destroyWorld(world);
+});
+
+/**
+ * A test command printing a TAP report, failing the given cases run by run
+ * (the last entry repeats)
+ */
+function tapCommand(failingByRun, cases = ['greets by name', 'says goodbye']) {
+  const scriptPath = path.join(world.dir, 'run-tests.cjs');
+  fs.writeFileSync(scriptPath, `
+const fs = require('fs');
+const runs = (fs.existsSync('.runs') ? Number(fs.readFileSync('.runs', 'utf-8')) : 0) + 1;
+fs.writeFileSync('.runs', String(runs));
+const failing = ${JSON.stringify(failingByRun)}[Math.min(runs, ${failingByRun.length}) - 1];
+const cases = ${JSON.stringify(cases)};
+console.log('TAP version 13');
+console.log('1..' + cases.length);
+cases.forEach((name, i) => console.log((failing.includes(name) ? 'not ok ' : 'ok ') + (i + 1) + ' - ' + name));
+process.exit(failing.length > 0 ? 1 : 0);
+`);
+  return `node ${JSON.stringify(scriptPath)}`;
+}
+
+/**
+ * Two independent tests, the first failing; fixing it breaks the second once
+ */
+function twoTests() {
+  return script({
+    tasks: [implementationTask('impl-1')],
+    tests: [testTask('test-1', ['impl-1']), testTask('test-2', ['impl-1'])],
+    validator: [{ failTests: true }, { complete: true }, { complete: true }, { failTests: true }, { complete: true }]
+  });
+}
+
+function branchCommits() {
+  const [branch] = world.git.worktrees.values();
+  return world.git.branches.get(branch).map(commit => commit.message);
+}
+
+function commentsOn(issueNumber) {
+  return world.github.getRepo(REPO).comments.get(issueNumber).map(comment => comment.body);
+}
+
+test('a fix breaking another test case is reverted and attempted again', async () => {
+  const master = createMasterIssue(world);
+  const { orchestrator, journal } = pipeline({
+    script: script(),
+    configure: config => {
+      config.execution.testing = {
+        command: tapCommand([['greets by name'], ['says goodbye'], ['greets by name'], []])
+      };
+    }
+  });
+
+  const result = await orchestrator.start(master);
+  assert.equal(result.status, 'approved');
+
+  const fixIssues = issuesWithLabel(world, 'oc-ralph:fix-attempt').sort((a, b) => a.number - b.number);
+  assert.equal(fixIssues.length, 2);
+
+  // The first fix broke `says goodbye` and was reverted
+  const [first, second] = fixIssues;
+  assert.ok(labelsOf(world, first.number).includes('oc-ralph:regression'));
+  assert.ok(commentsOn(first.number).some(body =>
+    body.startsWith('⚠️ Regression: this fix broke test case `says goodbye`. Its commits were reverted')
+  ));
+  assert.ok(branchCommits().includes(`Revert "feat: task #${first.number}"`));
+
+  // The next attempt knows what went wrong
+  assert.match(second.body, /## Regression History\n.*\n- Fix #\d+ \(attempt 1 for test #\d+\) broke test case `says goodbye` - reverted/);
+  assert.ok(!labelsOf(world, second.number).includes('oc-ralph:regression'));
+
+  const attempts = journal.read(master).filter(entry => entry.type === 'fix-attempt').map(entry => entry.data);
+  assert.deepEqual(attempts.map(a => a.outcome), ['reverted', 'passed']);
+  assert.equal(journal.replay(master).regressions.length, 1);
+
+  const masterBody = world.github.getRepo(REPO).issues.get(master).body;
+  assert.match(masterBody, /### Regression History[\s\S]*\| #\d+ \| #\d+ \| 1 \| test case `says goodbye` \| ↩️ Reverted \|/);
+});
+
+test('a fix leaving more failing cases than a comment lists is not a regression', async () => {
+  const cases = Array.from({ length: 25 }, (_, i) => `case${i + 1}`);
+  const master = createMasterIssue(world);
+  const { orchestrator, journal } = pipeline({
+    script: script(),
+    configure: config => {
+      config.execution.testing = { command: tapCommand([cases, cases.slice(1), []], cases) };
+    }
+  });
+
+  const result = await orchestrator.start(master);
+  assert.equal(result.status, 'approved');
+
+  const fixIssues = issuesWithLabel(world, 'oc-ralph:fix-attempt');
+  assert.equal(fixIssues.length, 2);
+  assert.ok(!fixIssues.some(issue => labelsOf(world, issue.number).includes('oc-ralph:regression')));
+  assert.ok(!branchCommits().some(message => message.startsWith('Revert')));
+  assert.equal(journal.replay(master).regressions.length, 0);
+});
+
+test('without a test command every passing test runs again after a fix', async () => {
+  const master = createMasterIssue(world);
+  const { orchestrator, agents } = pipeline({
+    script: twoTests(),
+    configure: config => {
+      config.execution.parallel.maxConcurrency = 1;
+    }
+  });
+
+  const result = await orchestrator.start(master);
+  assert.equal(result.status, 'approved');
+
+  const [test1, test2] = issuesWithLabel(world, 'oc-ralph:test').sort((a, b) => a.number - b.number);
+  const [first, second] = issuesWithLabel(world, 'oc-ralph:fix-attempt').sort((a, b) => a.number - b.number);
+
+  assert.ok(labelsOf(world, first.number).includes(`oc-ralph:test-${test1.number}`));
+  assert.ok(labelsOf(world, first.number).includes('oc-ralph:regression'));
+  assert.ok(branchCommits().includes(`Revert "feat: task #${first.number}"`));
+  assert.match(second.body, new RegExp(`broke #${test2.number} - reverted`));
+
+  // test-2 ran for the matrix after each attempt, and once more after the revert
+  const test2Runs = agents.requests.filter(r => r.agent === 'validator' && r.issueNumber === test2.number);
+  assert.equal(test2Runs.length, 4);
+  assert.ok(!labelsOf(world, test2.number).includes('oc-ralph:test-failed'));
+});
+
+test('with onRegression: keep the broken test is fixed after the first one', async () => {
+  const master = createMasterIssue(world);
+  const { orchestrator, journal } = pipeline({
+    script: twoTests(),
+    configure: config => {
+      config.execution.parallel.maxConcurrency = 1;
+      config.execution.testing = { onRegression: 'keep' };
+    }
+  });
+
+  const result = await orchestrator.start(master);
+  assert.equal(result.status, 'approved');
+
+  const [test1, test2] = issuesWithLabel(world, 'oc-ralph:test').sort((a, b) => a.number - b.number);
+  const [first, second] = issuesWithLabel(world, 'oc-ralph:fix-attempt').sort((a, b) => a.number - b.number);
+
+  assert.equal(first.state, 'closed');
+  assert.ok(commentsOn(first.number).some(body => body.includes('Its commits were kept, the broken tests get fixed after this one.')));
+  assert.ok(!branchCommits().some(message => message.startsWith('Revert')));
+
+  assert.ok(labelsOf(world, second.number).includes(`oc-ralph:test-${test2.number}`));
+  assert.match(second.body, new RegExp(`- Fix #${first.number} \\(attempt 1 for test #${test1.number}\\) broke #${test2.number} - kept`));
+
+  const [regression] = journal.replay(master).regressions;
+  assert.deepEqual(
+    { testIssue: regression.testIssue, brokenTests: regression.brokenTests, action: regression.action },
+    { testIssue: test1.number, brokenTests: [test2.number], action: 'kept' }
+  );
+});
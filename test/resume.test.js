@@ -0,0 +1,134 @@
+/**
+ * Resume: an orchestration continues from the stage it stopped in
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Orchestrator } from '../src/core/Orchestrator.js';
+import { ImplementationStage } from '../src/stages/ImplementationStage.js';
+
+const REPO = 'acme/widgets';
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+const plan = {
+  implementationIssues: [{ issueNumber: 2 }, { issueNumber: 3 }],
+  implementationTasks: [{ id: 'impl-a' }, { id: 'impl-b' }],
+  testTasks: [{ id: 'test-a' }]
+};
+
+/**
+ * Orchestrator in the given state whose stages only record that they ran
+ */
+function createOrchestrator(state) {
+  const ran = [];
+  const stateManager = {
+    repo: REPO,
+    labelOps: { getLabels: async () => [state] },
+    getCurrentState: async () => state
+  };
+
+  const orchestrator = new Orchestrator(
+    { config: { github: { owner: 'acme', repo: 'widgets', baseBranch: 'main' } }, getGitHubRepo: () => REPO },
+    stateManager,
+    { getWorktree: async () => '/worktrees/issue-1' },
+    null,
+    null,
+    { summarize: async () => ({ total: 1, passed: 1, failed: 0 }) },
+    { isEnabled: () => false },
+    null,
+    null,
+    null,
+    { updatePlan() {}, start() {}, stop: async () => {} },
+    logger
+  );
+
+  orchestrator.currentPlan = plan;
+  orchestrator.runImplementation = async (issueNumber, worktreePath, runPlan, options) => {
+    ran.push(['implementation', options.resume]);
+    return { completed: 2, failed: 0, total: 2 };
+  };
+  orchestrator.runTesting = async (issueNumber, worktreePath, options) => {
+    ran.push(['testing', options.resume]);
+    return { total: 1, passed: 1, failed: 0 };
+  };
+  orchestrator.runVerification = async (issueNumber, worktreePath, options) => {
+    ran.push(['verification', options.resume]);
+    return null;
+  };
+  orchestrator.runCompletion = async (issueNumber, worktreePath, options) => {
+    ran.push(['completion', options.resume]);
+    return { prNumber: 9, prUrl: `https://github.com/${REPO}/pull/9` };
+  };
+
+  return { orchestrator, ran };
+}
+
+test('resumes implementing, testing and completing runs from their own stage', async () => {
+  const expected = {
+    'oc-ralph:approved': ['implementation', 'testing', 'verification', 'completion'],
+    'oc-ralph:implementing': ['implementation', 'testing', 'verification', 'completion'],
+    'oc-ralph:testing': ['testing', 'verification', 'completion'],
+    'oc-ralph:completing': ['completion']
+  };
+
+  for (const [state, stages] of Object.entries(expected)) {
+    const { orchestrator, ran } = createOrchestrator(state);
+
+    const result = await orchestrator.resume(1);
+
+    assert.deepEqual(result, { success: true, issueNumber: 1, status: 'completed', prNumber: 9, prUrl: `https://github.com/${REPO}/pull/9` });
+    assert.deepEqual(ran, stages.map(stage => [stage, true]), state);
+  }
+});
+
+test('a run resumed after testing finished summarizes the earlier results', async () => {
+  const { orchestrator } = createOrchestrator('oc-ralph:completing');
+
+  await orchestrator.resume(1);
+
+  assert.deepEqual(orchestrator.implResult, { completed: 2, failed: 0, total: 2 });
+  assert.deepEqual(orchestrator.testResult, { total: 1, passed: 1, failed: 0 });
+});
+
+test('finished and unknown states are reported, not run again', async () => {
+  for (const state of ['oc-ralph:completed', 'oc-ralph:pr-created', null]) {
+    const { orchestrator, ran } = createOrchestrator(state);
+
+    const result = await orchestrator.resume(1);
+
+    assert.equal(result.status, state ? state.replace('oc-ralph:', '') : 'not-started');
+    assert.deepEqual(ran, []);
+  }
+});
+
+test('a resumed implementation stage runs only the tasks without agent-complete', async () => {
+  const complete = new Set([2, 4]);
+  const stage = new ImplementationStage(
+    null,
+    null,
+    null,
+    { resolve: async issues => [issues.slice(0, 2), issues.slice(2)] },
+    null,
+    { checkCompletionStatus: async (repo, issueNumber) => complete.has(issueNumber) },
+    null,
+    null,
+    null,
+    { github: { owner: 'acme', repo: 'widgets' } },
+    logger
+  );
+
+  const ran = [];
+  stage.executeTask = async (issueNumber, worktreePath, masterIssueNumber, options) => {
+    ran.push([issueNumber, options.resume]);
+  };
+
+  const issues = { implementationIssues: [2, 3, 4, 5].map(issueNumber => ({ issueNumber })) };
+  const result = await stage.execute(1, '/worktrees/issue-1', issues, { resume: true });
+
+  assert.deepEqual(ran, [[3, true], [5, true]]);
+  assert.deepEqual(result, { completed: 4, failed: 0, total: 4 });
+
+  // A fresh run does not look for finished tasks
+  ran.length = 0;
+  await stage.execute(1, '/worktrees/issue-1', issues);
+  assert.deepEqual(ran.map(([issueNumber]) => issueNumber), [2, 3, 4, 5]);
+});
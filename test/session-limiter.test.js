@@ -0,0 +1,85 @@
+/**
+ * Session limiter: global and per-repository caps on concurrent sessions
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SessionLimiter } from '../src/execution/SessionLimiter.js';
+import { CancellationSignal, OrchestrationInterruptedError } from '../src/core/CancellationSignal.js';
+
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+/**
+ * Acquire a slot and record when it is granted
+ */
+function acquire(limiter, repo, granted, name, signal = null) {
+  return limiter.acquire(repo, signal).then(release => {
+    granted.push(name);
+    return release;
+  });
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('waiters are served in order, skipping repositories at their own limit', async () => {
+  const limiter = new SessionLimiter({ opencode: { maxConcurrentSessions: 2, maxSessionsPerRepo: 1 } }, logger);
+  const granted = [];
+
+  const a1 = acquire(limiter, 'acme/a', granted, 'a1');
+  const a2 = acquire(limiter, 'acme/a', granted, 'a2');
+  const b1 = acquire(limiter, 'acme/b', granted, 'b1');
+  const c1 = acquire(limiter, 'acme/c', granted, 'c1');
+  await tick();
+
+  // acme/a is at its limit, so b1 overtakes a2; the global limit holds c1 back
+  assert.deepEqual(granted, ['a1', 'b1']);
+  assert.deepEqual(limiter.getStatus(), {
+    active: 2,
+    waiting: 2,
+    maxSessions: 2,
+    maxSessionsPerRepo: 1,
+    byRepo: { 'acme/a': 1, 'acme/b': 1 }
+  });
+
+  const releaseA1 = await a1;
+  releaseA1();
+  releaseA1();
+  await tick();
+  assert.deepEqual(granted, ['a1', 'b1', 'a2']);
+  assert.equal(limiter.getStatus().active, 2);
+
+  (await b1)();
+  await tick();
+  assert.deepEqual(granted, ['a1', 'b1', 'a2', 'c1']);
+
+  (await a2)();
+  (await c1)();
+  assert.deepEqual(limiter.getStatus(), { active: 0, waiting: 0, maxSessions: 2, maxSessionsPerRepo: 1, byRepo: {} });
+});
+
+test('without limits every acquire is granted at once', async () => {
+  const limiter = new SessionLimiter({}, logger);
+  const granted = [];
+
+  await Promise.all(['a1', 'a2', 'a3'].map(name => acquire(limiter, 'acme/a', granted, name)));
+
+  assert.deepEqual(granted, ['a1', 'a2', 'a3']);
+  assert.equal(limiter.getStatus().maxSessions, null);
+});
+
+test('a pause rejects a waiting acquire and a paused run never waits', async () => {
+  const limiter = new SessionLimiter({ opencode: { maxConcurrentSessions: 1 } }, logger);
+  const granted = [];
+  const signal = new CancellationSignal(7);
+
+  const release = await acquire(limiter, 'acme/a', granted, 'first');
+  const waiting = acquire(limiter, 'acme/a', granted, 'paused', signal);
+
+  signal.request('pause');
+  await assert.rejects(waiting, OrchestrationInterruptedError);
+  assert.equal(limiter.getStatus().waiting, 0);
+  assert.throws(() => limiter.acquire('acme/a', signal), OrchestrationInterruptedError);
+
+  release();
+  assert.deepEqual(granted, ['first']);
+  assert.equal(limiter.getStatus().active, 0);
+});
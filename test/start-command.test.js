@@ -0,0 +1,62 @@
+/**
+ * Start command: GitHub access is checked through the configured transport
+ */
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { StartCommand } from '../src/commands/StartCommand.js';
+import { MockTransport } from '../src/github/MockTransport.js';
+
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+let savedEnv;
+
+function configWith(github) {
+  return { github: { owner: 'acme', repo: 'widgets', baseBranch: 'main', ...github } };
+}
+
+beforeEach(() => {
+  savedEnv = { GITHUB_TOKEN: process.env.GITHUB_TOKEN, GH_TOKEN: process.env.GH_TOKEN };
+  delete process.env.GITHUB_TOKEN;
+  delete process.env.GH_TOKEN;
+});
+
+afterEach(() => {
+  for (const [name, value] of Object.entries(savedEnv)) {
+    if (value === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = value;
+    }
+  }
+});
+
+test('accepts a configured transport without token environment variables or gh', async () => {
+  const command = new StartCommand(logger);
+  const checked = [];
+  command.commandSucceeds = async cmd => {
+    checked.push(cmd);
+    return !cmd.startsWith('gh');
+  };
+
+  const transport = new MockTransport();
+  assert.deepEqual(await command.checkEnvironment(configWith({ transport })), []);
+  assert.ok(transport.requests.some(r => r.url === '/user'));
+  assert.ok(!checked.includes('gh --version'));
+});
+
+test('reports a rejected token', async () => {
+  const command = new StartCommand(logger);
+  const transport = new MockTransport().on('GET /user', () => ({ status: 401, data: { message: 'Bad credentials' } }));
+
+  const errors = await command.checkEnvironment(configWith({ transport }));
+  assert.deepEqual(errors, ['GitHub token rejected. Check github.token, GITHUB_TOKEN or GH_TOKEN.']);
+});
+
+test('without a token the gh CLI must be installed', async () => {
+  const command = new StartCommand(logger);
+  command.commandSucceeds = async cmd => !cmd.startsWith('gh');
+
+  const errors = await command.checkEnvironment(configWith({}));
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /GitHub CLI \(gh\) is not installed/);
+});
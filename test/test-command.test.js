@@ -0,0 +1,238 @@
+/**
+ * Test command: oc-ralph runs the tests itself and its result is the verdict
+ */
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import {
+  REPO, createWorld, destroyWorld, createMasterIssue, createPipeline, createLogger,
+  labelsOf, issuesWithLabel
+} from './helpers/pipeline.js';
+import { script } from './helpers/scripts.js';
+import { TestCommandRunner } from '../src/execution/TestCommandRunner.js';
+import { TestReportParser } from '../src/execution/TestReportParser.js';
+
+let world;
+let pipelines;
+
+function pipeline(options) {
+  const created = createPipeline(world, options);
+  pipelines.push(created);
+  return created;
+}
+
+beforeEach(() => {
+  world = createWorld();
+  pipelines = [];
+});
+
+afterEach(async () => {
+  for (const { stop } of pipelines) {
+    await stop();
+  }
+  destroyWorld(world);
+});
+
+/**
+ * A test command printing a mocha JSON report: failing for the first
+ * `failingRuns` runs, passing after that
+ */
+function testCommand(failingRuns) {
+  const scriptPath = path.join(world.dir, 'run-tests.cjs');
+  fs.writeFileSync(scriptPath, `
+const fs = require('fs');
+const runs = (fs.existsSync('.runs') ? Number(fs.readFileSync('.runs', 'utf-8')) : 0) + 1;
+fs.writeFileSync('.runs', String(runs));
+const failing = runs <= ${failingRuns};
+console.log('> widgets@1.0.0 test');
+console.log(JSON.stringify({
+  stats: { tests: 2, passes: failing ? 1 : 2, failures: failing ? 1 : 0, pending: 0 },
+  failures: failing ? [{
+    title: 'greets by name',
+    fullTitle: 'greet greets by name',
+    file: 'test/greet.test.js',
+    err: { message: "expected 'Hello' to equal 'Hello, Ada!'", stack: 'AssertionError: expected\\n    at test/greet.test.js:5:10' }
+  }] : []
+}, null, 2));
+process.exit(failing ? 1 : 0);
+`);
+  return `node ${JSON.stringify(scriptPath)}`;
+}
+
+function withTestCommand(command, settings = {}) {
+  return config => {
+    config.execution.testing = { command, ...settings };
+  };
+}
+
+test('a failing test command overrides a passing agent report and drives the fix', async () => {
+  const master = createMasterIssue(world);
+  const { orchestrator, agents } = pipeline({
+    script: script(),
+    configure: withTestCommand(testCommand(1))
+  });
+
+  const result = await orchestrator.start(master);
+  assert.equal(result.status, 'approved');
+
+  // The Validator wrote the tests once; the fix was checked by the command alone
+  const validatorRequests = agents.requests.filter(r => r.agent === 'validator');
+  assert.equal(validatorRequests.length, 1);
+  assert.match(validatorRequests[0].prompt, /oc-ralph runs `node /);
+
+  const [fixIssue] = issuesWithLabel(world, 'oc-ralph:fix-attempt');
+  assert.ok(fixIssue, 'a fix issue was created');
+  assert.match(fixIssue.body, /greet greets by name: expected 'Hello' to equal 'Hello, Ada!' \(1 of 2 failed\)/);
+  assert.match(fixIssue.body, /at test\/greet\.test\.js:5:10/);
+  assert.match(fixIssue.body, /### Failing Tests\n- \*\*greet greets by name\*\* \(`test\/greet\.test\.js:5`\)/);
+  assert.match(fixIssue.body, /- Expected: `'Hello, Ada!'`\n  - Actual: `'Hello'`/);
+
+  // The Craftsman gets the failing tests in its prompt
+  const fixRequest = agents.requests.find(r => r.agent === 'craftsman' && r.issueNumber === fixIssue.number);
+  assert.match(fixRequest.prompt, /Failing tests \(from the last test run\):\*\*\n- \*\*greet greets by name\*\*/);
+
+  const [testIssue] = issuesWithLabel(world, 'oc-ralph:test');
+  assert.ok(!labelsOf(world, testIssue.number).includes('oc-ralph:test-failed'));
+
+  const runs = world.github.getRepo(REPO).comments.get(testIssue.number)
+    .map(comment => comment.body)
+    .filter(body => body.includes('<!-- oc-ralph-test-run'));
+  assert.equal(runs.length, 2);
+  assert.match(runs[0], /❌ Test Run Failed[\s\S]*1 passed, 1 failed, 0 skipped \(2 total\)/);
+  assert.match(runs[1], /✅ Test Run Passed/);
+  assert.deepEqual(orchestrator.testResult.cases, { total: 2, passed: 2, failed: 0, skipped: 0 });
+});
+
+test('a passing test command overrides a failing agent report', async () => {
+  const master = createMasterIssue(world);
+  const { orchestrator } = pipeline({
+    script: script({ validator: [{ failTests: 'Error: the agent thinks so' }] }),
+    configure: withTestCommand(testCommand(0))
+  });
+
+  const result = await orchestrator.start(master);
+
+  assert.equal(result.status, 'approved');
+  assert.equal(issuesWithLabel(world, 'oc-ralph:fix-attempt').length, 0);
+  const [testIssue] = issuesWithLabel(world, 'oc-ralph:test');
+  assert.ok(!labelsOf(world, testIssue.number).includes('oc-ralph:test-failed'));
+});
+
+test('falls back to the exit code and stops commands that run too long', async () => {
+  const runner = (settings) => new TestCommandRunner(null, { execution: { testing: settings } }, createLogger());
+
+  const unparsed = await runner({ command: 'echo no report here; exit 3', format: 'mocha' }).run(world.dir);
+  assert.equal(unparsed.passed, false);
+  assert.equal(unparsed.exitCode, 3);
+  assert.equal(unparsed.counts, null);
+  assert.equal(unparsed.output, 'no report here');
+
+  const passing = await runner({ command: 'echo ok', format: 'exit-code' }).run(world.dir);
+  assert.equal(passing.passed, true);
+
+  fs.writeFileSync(path.join(world.dir, 'report.json'), '{"stats": {"tests": 1, "passes": 0, "failures": 1}, "failures": [{"title": "t"}]}');
+  const fromFile = await runner({ command: 'true', reportFile: 'report.json' }).run(world.dir);
+  assert.equal(fromFile.passed, true, 'the report file is removed before the run, so a stale one is not read');
+  assert.equal(fromFile.counts, null);
+
+  const started = Date.now();
+  const slow = await runner({ command: 'sleep 30', timeoutSeconds: 0.3 }).run(world.dir);
+  assert.ok(Date.now() - started < 10000);
+  assert.equal(slow.timedOut, true);
+  assert.equal(slow.passed, false);
+  assert.match(slow.error, /timed out after 0.3s/);
+});
+
+test('parses mocha JSON reports and rejects unknown formats', () => {
+  const report = TestReportParser.parse('mocha', '> pkg test\n{"stats": {"tests": 3, "passes": 1, "failures": 1, "pending": 1}, "failures": [{"title": "b", "fullTitle": "a b", "err": {"message": "boom"}}]}\n');
+  assert.deepEqual(report.counts, { total: 3, passed: 1, failed: 1, skipped: 1 });
+  assert.deepEqual(report.failures, [{ name: 'a b', file: null, line: null, message: 'boom', expected: null, actual: null, stack: null, stdout: null }]);
+
+  assert.equal(TestReportParser.parse('exit-code', 'anything'), null);
+  assert.throws(() => TestReportParser.parse('mocha', 'no json'), /No JSON report/);
+  assert.throws(() => TestReportParser.parse('auto', 'all good'), /Unrecognised test report/);
+  assert.throws(() => TestReportParser.parse('xunit', ''), /Unknown test report format: xunit/);
+});
+
+test('parses JUnit XML, TAP, Jest and pytest reports', () => {
+  const junit = TestReportParser.parse('auto', `<?xml version="1.0"?>
+<testsuites><testsuite name="pytest" tests="3">
+  <testcase classname="tests.test_greet" name="test_hello" time="0.01"/>
+  <testcase classname="tests.test_greet" name="test_bye"><failure message="AssertionError: assert &apos;bye&apos; == &apos;goodbye&apos;">tests/test_greet.py:9: AssertionError</failure><system-out>bye called</system-out></testcase>
+  <testcase classname="tests.test_greet" name="test_later"><skipped/></testcase>
+</testsuite></testsuites>`);
+  assert.equal(junit.format, 'junit');
+  assert.deepEqual(junit.counts, { total: 3, passed: 1, failed: 1, skipped: 1 });
+  assert.deepEqual(junit.failures[0], {
+    name: 'tests.test_greet.test_bye',
+    file: 'tests/test_greet.py',
+    line: 9,
+    message: "AssertionError: assert 'bye' == 'goodbye'",
+    expected: "'goodbye'",
+    actual: "'bye'",
+    stack: 'tests/test_greet.py:9: AssertionError',
+    stdout: 'bye called'
+  });
+
+  // node --test: the suite's own test point is not a test case
+  const tap = TestReportParser.parse('auto', [
+    'TAP version 13',
+    '# Subtest: greet',
+    '    ok 1 - says hello',
+    '    not ok 2 - says bye',
+    '      ---',
+    "      location: '/w/test/greet.test.js:8:3'",
+    '      error: |-',
+    '        Expected values to be strictly equal:',
+    "      expected: 'goodbye'",
+    "      actual: 'bye'",
+    '      ...',
+    '    1..2',
+    'not ok 1 - greet',
+    'ok 2 - later # SKIP',
+    '1..2'
+  ].join('\n'));
+  assert.equal(tap.format, 'tap');
+  assert.deepEqual(tap.counts, { total: 3, passed: 1, failed: 1, skipped: 1 });
+  assert.deepEqual(
+    [tap.failures[0].name, tap.failures[0].file, tap.failures[0].line, tap.failures[0].message, tap.failures[0].expected, tap.failures[0].actual],
+    ['says bye', '/w/test/greet.test.js', 8, 'Expected values to be strictly equal:', 'goodbye', 'bye']
+  );
+
+  const jest = TestReportParser.parse('auto', JSON.stringify({
+    numTotalTests: 2, numPassedTests: 1, numFailedTests: 1, numPendingTests: 0,
+    testResults: [{
+      name: 'src/sum.test.js',
+      assertionResults: [
+        { fullName: 'sum adds', status: 'failed', location: { line: 3 }, failureMessages: ['Error: expect(received).toBe(expected)\n\nExpected: 3\nReceived: 2\n    at Object.<anonymous> (src/sum.test.js:4:17)'] },
+        { fullName: 'sum keeps zero', status: 'passed', failureMessages: [] }
+      ]
+    }]
+  }));
+  assert.equal(jest.format, 'jest');
+  assert.deepEqual(jest.counts, { total: 2, passed: 1, failed: 1, skipped: 0 });
+  assert.deepEqual(
+    [jest.failures[0].name, jest.failures[0].file, jest.failures[0].line, jest.failures[0].expected, jest.failures[0].actual],
+    ['sum adds', 'src/sum.test.js', 3, '3', '2']
+  );
+
+  const pytest = TestReportParser.parse('auto', [
+    '___________________________________ test_bye ___________________________________',
+    '>       assert bye() == "goodbye"',
+    'E       AssertionError: assert "bye" == "goodbye"',
+    '',
+    'tests/test_greet.py:9: AssertionError',
+    '----------------------------- Captured stdout call -----------------------------',
+    'bye called',
+    '=========================== short test summary info ============================',
+    'FAILED tests/test_greet.py::test_bye - AssertionError: assert "bye" == "goodbye"',
+    '==================== 1 failed, 2 passed, 1 skipped in 0.05s ===================='
+  ].join('\n'));
+  assert.equal(pytest.format, 'pytest');
+  assert.deepEqual(pytest.counts, { total: 4, passed: 2, failed: 1, skipped: 1 });
+  assert.deepEqual(
+    [pytest.failures[0].name, pytest.failures[0].file, pytest.failures[0].line, pytest.failures[0].expected, pytest.failures[0].stdout],
+    ['tests/test_greet.py::test_bye', 'tests/test_greet.py', 9, '"goodbye"', 'bye called']
+  );
+});
@@ -0,0 +1,132 @@
+/**
+ * Agent transcripts: recorded per run and streamed to subscribed clients
+ */
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { TranscriptStore } from '../src/logging/TranscriptStore.js';
+import { LogStreamManager } from '../src/logging/LogStreamManager.js';
+import { createWorld, destroyWorld, createMasterIssue, createPipeline } from './helpers/pipeline.js';
+import { script } from './helpers/scripts.js';
+
+let world;
+let pipelines;
+
+function pipeline(options) {
+  const created = createPipeline(world, options);
+  pipelines.push(created);
+  return created;
+}
+
+/**
+ * WebSocket stand-in collecting what is sent to it
+ */
+function fakeClient() {
+  return {
+    readyState: 1,
+    received: [],
+    send(message) {
+      this.received.push(JSON.parse(message));
+    }
+  };
+}
+
+beforeEach(() => {
+  world = createWorld();
+  pipelines = [];
+});
+
+afterEach(async () => {
+  for (const { stop } of pipelines) {
+    await stop();
+  }
+  destroyWorld(world);
+});
+
+const craftsmanSteps = [{
+  complete: true,
+  events: [
+    { type: 'message-received', data: { content: 'Adding greet()' } },
+    { type: 'tool-started', data: { callId: 'call-1', tool: 'write', input: { filePath: 'src/greet.js' } } },
+    { type: 'tool-completed', data: { count: 1, callId: 'call-1', tool: 'write', status: 'completed', output: 'Wrote src/greet.js' } },
+    { type: 'retry', data: { attemptNumber: 1, message: 'Rate limited' } }
+  ]
+}];
+
+test('records every agent session of a run', async () => {
+  const master = createMasterIssue(world);
+  const { orchestrator, config } = pipeline({ script: script({ craftsman: craftsmanSteps }) });
+
+  await orchestrator.start(master);
+
+  const store = new TranscriptStore(config, world.logger);
+  assert.ok(fs.existsSync(path.join(config.stateDir, 'transcripts', `${master}.jsonl`)));
+
+  const sessions = store.listSessions(master);
+  assert.deepEqual(sessions.map(s => s.agentName), ['architect', 'sculptor', 'sentinel', 'craftsman', 'validator']);
+  assert.ok(sessions.every(s => s.status === 'completed' && s.endedAt));
+  assert.ok(sessions.every(s => s.model === 'test/primary' && s.runtime === 'default (mock)'));
+
+  const craftsman = sessions.find(s => s.agentName === 'craftsman');
+  assert.equal(craftsman.toolCalls, 1);
+  assert.notEqual(craftsman.issueNumber, master);
+
+  const entries = store.read(master, craftsman.sessionId);
+  assert.deepEqual(entries.map(e => e.kind), ['session-start', 'prompt', 'message', 'tool-call', 'tool-output', 'notice', 'session-end']);
+  assert.deepEqual(entries.map(e => e.seq), [1, 2, 3, 4, 5, 6, 7]);
+  assert.match(entries[1].text, new RegExp(`#${craftsman.issueNumber}`));
+  assert.equal(entries[2].text, 'Adding greet()');
+  assert.deepEqual(entries[3].input, { filePath: 'src/greet.js' });
+  assert.equal(entries[4].callId, 'call-1');
+  assert.equal(entries[4].output, 'Wrote src/greet.js');
+  assert.equal(entries[5].message, 'Retry 1: Rate limited');
+});
+
+test('streams entries to clients watching the run', async () => {
+  const master = createMasterIssue(world);
+  const { orchestrator, agentExecutor, config } = pipeline({ script: script({ craftsman: craftsmanSteps }) });
+
+  const streamManager = new LogStreamManager();
+  agentExecutor.setStreamManager(streamManager);
+
+  const watching = fakeClient();
+  const otherRun = fakeClient();
+  const otherRepo = fakeClient();
+  streamManager.subscribeTranscript(watching, master, 'acme/widgets');
+  streamManager.subscribeTranscript(otherRun, master + 100, 'acme/widgets');
+  streamManager.subscribeTranscript(otherRepo, master, 'acme/gadgets');
+
+  await orchestrator.start(master);
+
+  const saved = new TranscriptStore(config, world.logger).read(master);
+  assert.ok(watching.received.every(message => message.type === 'transcript'));
+  assert.deepEqual(watching.received.map(message => message.entry), saved);
+  assert.equal(otherRun.received.length, 0);
+  assert.equal(otherRepo.received.length, 0);
+
+  // Unsubscribed clients get nothing more
+  streamManager.unsubscribeTranscript(watching);
+  streamManager.onTranscript(saved[0]);
+  assert.equal(watching.received.length, saved.length);
+});
+
+test('truncates long tool output and can be turned off', async () => {
+  const config = { stateDir: path.join(world.dir, '.oc-ralph') };
+  const store = new TranscriptStore(config, world.logger);
+
+  const stored = store.append({ run: 7, sessionId: 's1', seq: 1, kind: 'tool-output', output: 'x'.repeat(25000) });
+  assert.equal(stored.output.length, 20000);
+  assert.equal(stored.outputTruncated, 25000);
+  assert.equal(store.read(7)[0].output.length, 20000);
+
+  const master = createMasterIssue(world);
+  const { orchestrator, config: pipelineConfig } = pipeline({
+    script: script(),
+    configure: c => { c.logging.transcripts = false; }
+  });
+
+  await orchestrator.start(master);
+
+  assert.ok(!fs.existsSync(path.join(pipelineConfig.stateDir, 'transcripts', `${master}.jsonl`)));
+});
@@ -0,0 +1,123 @@
+/**
+ * Verification stage: final checks after testing, their fix loop and the PR summary
+ */
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import {
+  REPO, createWorld, destroyWorld, createPipeline, createMasterIssue,
+  labelsOf, issuesWithLabel
+} from './helpers/pipeline.js';
+import { script } from './helpers/scripts.js';
+
+let world;
+let pipelines;
+
+function pipeline(options) {
+  const created = createPipeline(world, options);
+  pipelines.push(created);
+  return created;
+}
+
+beforeEach(() => {
+  world = createWorld();
+  pipelines = [];
+});
+
+afterEach(async () => {
+  for (const { stop } of pipelines) {
+    await stop();
+  }
+  destroyWorld(world);
+});
+
+/**
+ * A check failing for its first `failingRuns` runs, passing after that
+ */
+function flakyCheck(name, failingRuns) {
+  const scriptPath = path.join(world.dir, `${name}.cjs`);
+  fs.writeFileSync(scriptPath, `
+const fs = require('fs');
+const runs = (fs.existsSync('.${name}-runs') ? Number(fs.readFileSync('.${name}-runs', 'utf-8')) : 0) + 1;
+fs.writeFileSync('.${name}-runs', String(runs));
+if (runs <= ${failingRuns}) {
+  console.error('src/greet.js:3:7 - error TS2322: Type number is not assignable to type string');
+  process.exit(2);
+}
+console.log('${name} ok');
+`);
+  return `node ${JSON.stringify(scriptPath)}`;
+}
+
+function masterComments(master) {
+  return world.github.getRepo(REPO).comments.get(master).map(comment => comment.body);
+}
+
+test('failed checks loop through a fix attempt and the results land in the PR body', async () => {
+  const master = createMasterIssue(world);
+  const typecheck = flakyCheck('typecheck', 1);
+  const { orchestrator, agents } = pipeline({
+    script: script(),
+    configure: config => {
+      config.execution.verification = {
+        build: 'echo built',
+        typecheck,
+        commands: [{ name: 'docs', command: 'true' }]
+      };
+    }
+  });
+
+  const result = await orchestrator.start(master);
+  assert.equal(result.status, 'approved');
+
+  const [fixIssue] = issuesWithLabel(world, 'oc-ralph:verification');
+  assert.ok(fixIssue, 'a verification fix issue was created');
+  assert.equal(fixIssue.title, '[Fix] Verification: typecheck (Attempt 1/3)');
+  assert.equal(fixIssue.state, 'closed');
+  assert.match(fixIssue.body, /error TS2322/);
+
+  const fixRequest = agents.requests.find(r => r.agent === 'craftsman' && r.issueNumber === fixIssue.number);
+  assert.match(fixRequest.prompt, /\*\*Failed checks:\*\*\n### typecheck/);
+
+  const runs = masterComments(master).filter(body => body.includes('<!-- oc-ralph-verification'));
+  assert.equal(runs.length, 2);
+  assert.match(runs[0], /❌ Verification Failed[\s\S]*\| ✅ \| build \|[\s\S]*\| ❌ \| typecheck \|/);
+  assert.match(runs[1], /✅ Verification Passed\n\nAfter fix attempt 1\/3/);
+
+  const [pull] = world.github.getRepo(REPO).pulls.values();
+  assert.match(pull.body, /## Verification\n\nFinal checks on the branch \(passed after 1 fix attempt\(s\)\):/);
+  assert.match(pull.body, /- ✅ \*\*typecheck\*\*: `node /);
+  assert.match(pull.body, /- ✅ \*\*docs\*\*: `true`/);
+});
+
+test('checks still failing after the last fix attempt fail the orchestration', async () => {
+  const master = createMasterIssue(world);
+  const { orchestrator } = pipeline({
+    script: script(),
+    configure: config => {
+      config.execution.verification = { lint: 'echo "2 problems"; exit 1', maxFixAttempts: 1 };
+    }
+  });
+
+  await assert.rejects(orchestrator.start(master), /Verification failed: lint still failing after 1 fix attempt\(s\)/);
+
+  assert.ok(labelsOf(world, master).includes('oc-ralph:failed'));
+  assert.equal(world.github.getRepo(REPO).pulls.size, 0);
+
+  const [fixIssue] = issuesWithLabel(world, 'oc-ralph:verification');
+  const fixComments = world.github.getRepo(REPO).comments.get(fixIssue.number).map(comment => comment.body);
+  assert.ok(fixComments.includes('❌ Still failing after this fix attempt: lint'));
+});
+
+test('without checks the stage is skipped', async () => {
+  const master = createMasterIssue(world);
+  const { orchestrator, journal } = pipeline({ script: script() });
+
+  const result = await orchestrator.start(master);
+
+  assert.equal(result.status, 'approved');
+  assert.equal(orchestrator.verificationResult, null);
+  assert.ok(!journal.read(master).some(entry => entry.type === 'verification'));
+  assert.doesNotMatch([...world.github.getRepo(REPO).pulls.values()][0].body, /## Verification/);
+});
@@ -0,0 +1,44 @@
+/**
+ * Web server: health report
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import { WebServer } from '../src/web/WebServer.js';
+import { GitHubClient } from '../src/github/GitHubClient.js';
+import { MockTransport } from '../src/github/MockTransport.js';
+
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+function repoConfig(repo) {
+  const [owner, name] = repo.split('/');
+  return { stateDir: os.tmpdir(), github: { owner, repo: name } };
+}
+
+test('reports the tracker budget of every repository', async () => {
+  const shared = new GitHubClient(logger, { transport: new MockTransport() });
+  const other = new GitHubClient(logger, { transport: new MockTransport() });
+  await shared.request('GET /user');
+
+  const configs = ['acme/widgets', 'acme/gadgets', 'other/tools'].map(repoConfig);
+  const server = new WebServer(null, null, configs[0], logger, configs, null, new Map([
+    ['acme/widgets', shared],
+    ['acme/gadgets', shared],
+    ['other/tools', other]
+  ]));
+  const listening = await server.start(0, '127.0.0.1');
+  await new Promise(resolve => listening.once('listening', resolve));
+
+  try {
+    const response = await fetch(`http://127.0.0.1:${listening.address().port}/api/health`);
+    const { trackerBudgets } = await response.json();
+
+    assert.deepEqual(Object.keys(trackerBudgets), ['acme/widgets', 'acme/gadgets', 'other/tools']);
+    assert.equal(trackerBudgets['acme/widgets'].requests, 1);
+    assert.equal(trackerBudgets['acme/gadgets'].requests, 1);
+    assert.equal(trackerBudgets['other/tools'].requests, 0);
+    assert.equal(trackerBudgets['acme/widgets'].remaining, 4999);
+  } finally {
+    await server.stop();
+  }
+});
@@ -1,10 +1,11 @@
-import React, { useMemo } from 'react';
+import React, { useMemo, useState } from 'react';
 import { StatusBar } from './components/StatusBar';
 import { QueueStatus } from './components/QueueStatus';
 import { HierarchicalLogView } from './components/HierarchicalLogView';
+import { TranscriptView } from './components/TranscriptView';
 import { useWebSocket } from './hooks/useWebSocket';
 import { useQueue } from './hooks/useQueue';
-import { groupLogs } from './utils/logGrouper';
+import { groupLogs, extractRepo } from './utils/logGrouper';
 
 // Configuration - can be made dynamic via env vars
 const WS_URL = import.meta.env.VITE_WS_URL || 'ws://localhost:3000/ws';
@@ -15,17 +16,46 @@ function App() {
   const { logs, isConnected, error: wsError } = useWebSocket(WS_URL);
   
   // Queue status polling
-  const { running, queued, completed, failed, stats, loading, error: queueError } = useQueue(API_BASE_URL);
+  const { running, queued, completed, failed, stats, repositories, loading, error: queueError } = useQueue(API_BASE_URL);
+
+  // Repository filter ('' shows all repositories)
+  const [repoFilter, setRepoFilter] = useState('');
+  const byRepo = (entries) => (repoFilter ? entries.filter(entry => entry.repo === repoFilter) : entries);
+
+  const visibleLogs = useMemo(
+    () => (repoFilter ? logs.filter(log => extractRepo(log) === repoFilter) : logs),
+    [logs, repoFilter]
+  );
 
   // Group logs into hierarchical structure
-  const groupedLogs = useMemo(() => groupLogs(logs), [logs]);
+  const groupedLogs = useMemo(() => groupLogs(visibleLogs), [visibleLogs]);
+
+  // Right panel: orchestrator logs or agent transcripts
+  const [view, setView] = useState('logs');
+
+  // Runs with transcripts, running first then the most recent
+  const seenRuns = new Set();
+  const runs = [
+    ...byRepo(running).map(entry => ({ ...entry, state: 'running' })),
+    ...byRepo([...completed, ...failed.map(entry => ({ ...entry, failed: true }))])
+      .sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp)))
+      .map(entry => ({ ...entry, state: entry.failed ? 'failed' : 'completed' }))
+  ].filter(entry => {
+    const key = `${entry.repo}#${entry.issueNumber}`;
+    if (seenRuns.has(key)) return false;
+    seenRuns.add(key);
+    return true;
+  });
 
   return (
     <div className="min-h-screen bg-gray-900 flex flex-col">
       {/* Status Bar */}
       <StatusBar 
         isConnected={isConnected} 
-        logCount={logs.length}
+        logCount={visibleLogs.length}
+        repositories={repositories}
+        repoFilter={repoFilter}
+        onRepoFilterChange={setRepoFilter}
       />
 
       {/* Error Messages */}
@@ -48,18 +78,40 @@ function App() {
             </div>
           ) : (
             <QueueStatus
-              running={running}
-              queued={queued}
-              completed={completed}
-              failed={failed}
+              running={byRepo(running)}
+              queued={byRepo(queued)}
+              completed={byRepo(completed)}
+              failed={byRepo(failed)}
               stats={stats}
+              showRepo={repositories.length > 1}
             />
           )}
         </div>
 
-        {/* Right Side: Log View */}
+        {/* Right Side: Log View / Transcripts */}
         <div className="flex-1 overflow-y-auto p-4">
-          {logs.length === 0 && isConnected ? (
+          <div className="flex gap-2 mb-4">
+            {[['logs', 'Logs'], ['transcripts', 'Transcripts']].map(([id, label]) => (
+              <button
+                key={id}
+                onClick={() => setView(id)}
+                className={`px-3 py-1 rounded text-sm transition-colors ${
+                  view === id ? 'bg-gray-700 text-white' : 'text-gray-400 hover:text-gray-200'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          {view === 'transcripts' ? (
+            <TranscriptView
+              baseUrl={API_BASE_URL}
+              wsUrl={WS_URL}
+              runs={runs}
+              showRepo={repositories.length > 1}
+            />
+          ) : visibleLogs.length === 0 && isConnected ? (
             <div className="flex items-center justify-center h-64">
               <div className="text-center">
                 <div className="text-gray-500 mb-2">Connected. Waiting for logs...</div>
@@ -1,10 +1,17 @@
 import React from 'react';
 import { Clock, CheckCircle, XCircle, Loader2 } from 'lucide-react';
 
+/**
+ * Label an entry as owner/repo#number when several repositories are served
+ */
+function issueLabel(entry, showRepo) {
+  return showRepo && entry.repo ? `${entry.repo}#${entry.issueNumber}` : `#${entry.issueNumber}`;
+}
+
 /**
  * Shows current queue state
  */
-export function QueueStatus({ running, queued, completed, failed, stats }) {
+export function QueueStatus({ running, queued, completed, failed, stats, showRepo = false }) {
   return (
     <div className="bg-gray-800 border-b border-gray-700 px-4 py-4">
       <h2 className="text-white font-semibold mb-3">Queue Status</h2>
@@ -16,11 +23,20 @@ export function QueueStatus({ running, queued, completed, failed, stats }) {
             <Loader2 className="w-4 h-4 text-blue-400 animate-spin" />
             <span className="text-sm text-gray-400">Running</span>
           </div>
-          {running ? (
-            <div className="text-white font-medium">Issue #{running.issueNumber}</div>
+          {running.length > 0 ? (
+            <div className="text-white font-medium">
+              {running.map(entry => issueLabel(entry, showRepo)).join(', ')}
+            </div>
           ) : (
             <div className="text-gray-500 text-sm">None</div>
           )}
+          {stats && (
+            <div className="text-xs text-gray-500 mt-1">
+              {running.length}/{stats.maxConcurrent} workers
+              {stats.sessions && ` · ${stats.sessions.active} sessions`}
+              {stats.sessions?.waiting > 0 && ` (${stats.sessions.waiting} waiting)`}
+            </div>
+          )}
         </div>
 
         {/* Queued */}
@@ -32,7 +48,8 @@ export function QueueStatus({ running, queued, completed, failed, stats }) {
           <div className="text-white font-medium">{queued.length}</div>
           {queued.length > 0 && (
             <div className="text-xs text-gray-500 mt-1">
-              Next: #{queued[0].issueNumber}
+              Next: {issueLabel(queued[0], showRepo)}
+              {queued[0].priority && queued[0].priority !== 'normal' && ` (${queued[0].priority})`}
             </div>
           )}
         </div>
@@ -74,7 +91,7 @@ export function QueueStatus({ running, queued, completed, failed, stats }) {
                   key={idx}
                   className="flex items-center justify-between text-sm bg-gray-900 rounded px-3 py-2 border border-gray-700"
                 >
-                  <span className="text-white">Issue #{item.issueNumber}</span>
+                  <span className="text-white">Issue {issueLabel(item, showRepo)}</span>
                   <span className={item.error ? 'text-red-400' : 'text-green-400'}>
                     {item.error ? '✗ Failed' : '✓ Completed'}
                   </span>
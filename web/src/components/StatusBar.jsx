@@ -2,9 +2,9 @@ import React from 'react';
 import { Activity, Wifi, WifiOff } from 'lucide-react';
 
 /**
- * Top status bar showing connection status and system info
+ * Top status bar showing connection status, system info and repository filter
  */
-export function StatusBar({ isConnected, logCount, uptime }) {
+export function StatusBar({ isConnected, logCount, uptime, repositories = [], repoFilter = '', onRepoFilterChange }) {
   return (
     <div className="bg-gray-800 border-b border-gray-700 px-4 py-3 flex items-center justify-between">
       <div className="flex items-center gap-4">
@@ -16,6 +16,19 @@ export function StatusBar({ isConnected, logCount, uptime }) {
         <div className="flex items-center gap-2 text-sm text-gray-400">
           <span>{logCount} logs</span>
         </div>
+
+        {repositories.length > 1 && (
+          <select
+            value={repoFilter}
+            onChange={(e) => onRepoFilterChange(e.target.value)}
+            className="bg-gray-900 border border-gray-700 rounded px-2 py-1 text-sm text-gray-300"
+          >
+            <option value="">All repositories</option>
+            {repositories.map(repo => (
+              <option key={repo} value={repo}>{repo}</option>
+            ))}
+          </select>
+        )}
       </div>
 
       <div className="flex items-center gap-2">
@@ -0,0 +1,201 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { ChevronDown, ChevronRight, MessageSquare, Wrench, AlertTriangle, Loader2 } from 'lucide-react';
+import { useTranscript } from '../hooks/useTranscript';
+import { buildTranscript, formatDuration } from '../utils/transcript';
+import { formatTimestamp } from '../utils/logGrouper';
+
+const STATUS_COLORS = {
+  running: 'text-blue-400',
+  completed: 'text-green-400',
+  failed: 'text-red-400',
+  aborted: 'text-yellow-400',
+  error: 'text-red-400'
+};
+
+/**
+ * Collapsible block of monospaced text (prompts, tool input and output)
+ */
+function Collapsible({ label, text, defaultOpen = false, className = 'text-gray-300' }) {
+  const [open, setOpen] = useState(defaultOpen);
+  if (!text) return null;
+
+  return (
+    <div>
+      <button
+        onClick={() => setOpen(!open)}
+        className="flex items-center gap-1 text-xs text-gray-500 hover:text-gray-300 transition-colors"
+      >
+        {open ? <ChevronDown className="w-3 h-3" /> : <ChevronRight className="w-3 h-3" />}
+        {label}
+      </button>
+      {open && (
+        <pre className={`mt-1 bg-gray-900 rounded border border-gray-700 p-2 text-xs font-mono whitespace-pre-wrap break-words max-h-96 overflow-y-auto ${className}`}>
+          {text}
+        </pre>
+      )}
+    </div>
+  );
+}
+
+/**
+ * One item of a session transcript
+ */
+function TranscriptItem({ item }) {
+  switch (item.type) {
+    case 'prompt':
+      return (
+        <div className="border-l-2 border-purple-700 pl-3 py-1">
+          <Collapsible label="Prompt" text={item.text} />
+        </div>
+      );
+
+    case 'message':
+      return (
+        <div className="border-l-2 border-blue-700 pl-3 py-1">
+          <div className="flex items-center gap-2 text-xs text-gray-500 mb-1">
+            <MessageSquare className="w-3 h-3" />
+            <span className="font-mono">{formatTimestamp(item.timestamp)}</span>
+          </div>
+          <div className="text-sm text-gray-200 whitespace-pre-wrap break-words">{item.text}</div>
+        </div>
+      );
+
+    case 'tool': {
+      const input = item.input === undefined ? null
+        : typeof item.input === 'string' ? item.input : JSON.stringify(item.input, null, 2);
+      return (
+        <div className="border-l-2 border-gray-600 pl-3 py-1 space-y-1">
+          <div className="flex items-center gap-2 text-xs">
+            <Wrench className="w-3 h-3 text-gray-400" />
+            <span className="font-mono text-gray-500">{formatTimestamp(item.timestamp)}</span>
+            <span className="font-semibold text-gray-200">{item.tool}</span>
+            <span className={STATUS_COLORS[item.status] || 'text-gray-400'}>{item.status}</span>
+          </div>
+          <Collapsible label="Input" text={input} />
+          <Collapsible label={item.outputTruncated ? 'Output (truncated)' : 'Output'} text={item.output} />
+          {item.error && <div className="text-xs text-red-300 break-words">{item.error}</div>}
+        </div>
+      );
+    }
+
+    case 'notice':
+      return (
+        <div className="flex items-center gap-2 pl-3 py-1 text-xs text-yellow-300">
+          <AlertTriangle className="w-3 h-3" />
+          <span>{item.text}</span>
+        </div>
+      );
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Agent sessions of a run, with the selected session's live transcript
+ */
+export function TranscriptView({ baseUrl, wsUrl, runs, showRepo = false }) {
+  // Until the user picks a run, follow the first one (running runs come first)
+  const [runKey, setRunKey] = useState('');
+  const run = runs.find(candidate => `${candidate.repo}#${candidate.issueNumber}` === runKey) || runs[0] || null;
+  const { sessions, entries, sessionId, selectSession, loading, error } = useTranscript(baseUrl, wsUrl, run);
+  const transcript = useMemo(() => buildTranscript(entries), [entries]);
+
+  // Follow new output while the view is scrolled to the bottom
+  const scroller = useRef(null);
+  const atBottom = useRef(true);
+  useEffect(() => {
+    if (scroller.current && atBottom.current) {
+      scroller.current.scrollTop = scroller.current.scrollHeight;
+    }
+  }, [transcript]);
+
+  const onScroll = () => {
+    const element = scroller.current;
+    atBottom.current = element.scrollHeight - element.scrollTop - element.clientHeight < 40;
+  };
+
+  if (runs.length === 0) {
+    return (
+      <div className="flex items-center justify-center h-64 text-gray-500">
+        No runs yet
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex flex-col lg:flex-row gap-4 h-full">
+      {/* Runs and their agent sessions */}
+      <div className="lg:w-72 space-y-3">
+        <select
+          value={run ? `${run.repo}#${run.issueNumber}` : ''}
+          onChange={event => setRunKey(event.target.value)}
+          className="w-full bg-gray-800 border border-gray-700 rounded px-2 py-1 text-sm text-gray-200"
+        >
+          {runs.map(candidate => (
+            <option key={`${candidate.repo}#${candidate.issueNumber}`} value={`${candidate.repo}#${candidate.issueNumber}`}>
+              {showRepo && candidate.repo ? `${candidate.repo}#${candidate.issueNumber}` : `#${candidate.issueNumber}`} ({candidate.state})
+            </option>
+          ))}
+        </select>
+
+        {error && <div className="text-xs text-red-300">{error}</div>}
+
+        <div className="space-y-1">
+          {sessions.length === 0 && (
+            <div className="text-sm text-gray-500">No agent sessions recorded</div>
+          )}
+          {sessions.map(session => (
+            <button
+              key={session.sessionId}
+              onClick={() => selectSession(session.sessionId)}
+              className={`w-full text-left rounded border px-3 py-2 transition-colors ${
+                session.sessionId === sessionId ? 'bg-gray-700 border-gray-600' : 'bg-gray-800 border-gray-700 hover:bg-gray-750'
+              }`}
+            >
+              <div className="flex items-center gap-2">
+                <span className="text-sm font-medium text-white">{session.agentName}</span>
+                {session.issueNumber && <span className="text-xs text-gray-500">#{session.issueNumber}</span>}
+                <span className={`ml-auto text-xs ${STATUS_COLORS[session.status] || 'text-gray-400'}`}>{session.status}</span>
+              </div>
+              <div className="text-xs text-gray-500">
+                {formatTimestamp(session.startedAt)} · {formatDuration(session.startedAt, session.endedAt)} · {session.toolCalls} tools
+              </div>
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Selected session */}
+      <div
+        ref={scroller}
+        onScroll={onScroll}
+        className="flex-1 bg-gray-800 rounded-lg border border-gray-700 p-4 overflow-y-auto max-h-[calc(100vh-10rem)] space-y-2"
+      >
+        {transcript.start && (
+          <div className="text-xs text-gray-500 pb-2 border-b border-gray-700">
+            {transcript.start.agentName}
+            {transcript.start.model && ` · ${transcript.start.model}`}
+            {transcript.start.runtime && ` · ${transcript.start.runtime}`}
+            {` · ${sessionId}`}
+          </div>
+        )}
+        {loading && transcript.items.length === 0 ? (
+          <div className="flex items-center gap-2 text-gray-500 text-sm">
+            <Loader2 className="w-4 h-4 animate-spin" /> Loading transcript...
+          </div>
+        ) : !sessionId ? (
+          <div className="text-gray-500 text-sm">Select an agent session</div>
+        ) : (
+          transcript.items.map(item => <TranscriptItem key={item.key} item={item} />)
+        )}
+        {transcript.end && (
+          <div className={`text-xs pt-2 border-t border-gray-700 ${STATUS_COLORS[transcript.end.status] || 'text-gray-400'}`}>
+            Session {transcript.end.status} after {formatDuration(transcript.start?.timestamp, transcript.end.timestamp)}
+            {transcript.end.error && `: ${transcript.end.error}`}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -4,14 +4,15 @@ import { useState, useEffect } from 'react';
  * Custom hook to poll queue status from REST API
  * @param {string} baseUrl - Base URL (e.g., 'http://localhost:3000')
  * @param {number} pollInterval - Polling interval in milliseconds (default: 5000)
- * @returns {{running: Object|null, queued: Array, completed: Array, failed: Array, stats: Object|null, loading: boolean, error: string|null}}
+ * @returns {{running: Array, queued: Array, completed: Array, failed: Array, stats: Object|null, repositories: Array, loading: boolean, error: string|null}}
  */
 export function useQueue(baseUrl, pollInterval = 5000) {
-  const [running, setRunning] = useState(null);
+  const [running, setRunning] = useState([]);
   const [queued, setQueued] = useState([]);
   const [completed, setCompleted] = useState([]);
   const [failed, setFailed] = useState([]);
   const [stats, setStats] = useState(null);
+  const [repositories, setRepositories] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
@@ -29,7 +30,7 @@ export function useQueue(baseUrl, pollInterval = 5000) {
         const data = await response.json();
         
         if (isMounted) {
-          setRunning(data.running);
+          setRunning(data.running || []);
           setQueued(data.queued);
           setCompleted(data.completed || []);
           setFailed(data.failed || []);
@@ -62,6 +63,23 @@ export function useQueue(baseUrl, pollInterval = 5000) {
       }
     }
 
+    async function fetchRepositories() {
+      try {
+        const response = await fetch(`${baseUrl}/api/repositories`);
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+        
+        const data = await response.json();
+        
+        if (isMounted) {
+          setRepositories(data.repositories || []);
+        }
+      } catch (err) {
+        console.error('[Queue] Failed to fetch repositories:', err);
+      }
+    }
+
     async function poll() {
       await Promise.all([fetchQueue(), fetchStats()]);
       
@@ -70,7 +88,8 @@ export function useQueue(baseUrl, pollInterval = 5000) {
       }
     }
 
-    // Initial fetch
+    // Initial fetch (the repository list only changes on service restart)
+    fetchRepositories();
     poll();
 
     // Cleanup
@@ -82,5 +101,5 @@ export function useQueue(baseUrl, pollInterval = 5000) {
     };
   }, [baseUrl, pollInterval]);
 
-  return { running, queued, completed, failed, stats, loading, error };
+  return { running, queued, completed, failed, stats, repositories, loading, error };
 }
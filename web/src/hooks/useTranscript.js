@@ -0,0 +1,160 @@
+import { useState, useEffect, useRef } from 'react';
+import { applyToSessions } from '../utils/transcript';
+
+/**
+ * Custom hook to follow the agent transcripts of one run
+ * Loads the run's sessions and the selected session's transcript over REST,
+ * then keeps both up to date from the transcript WebSocket subscription.
+ * @param {string} baseUrl - Base URL (e.g., 'http://localhost:3000')
+ * @param {string} wsUrl - WebSocket URL (e.g., 'ws://localhost:3000/ws')
+ * @param {{issueNumber: number, repo: string}|null} run - Run to follow
+ * @returns {{sessions: Array, entries: Array, sessionId: string|null, selectSession: Function, loading: boolean, error: string|null}}
+ */
+export function useTranscript(baseUrl, wsUrl, run) {
+  const [sessions, setSessions] = useState([]);
+  const [entries, setEntries] = useState([]);
+  const [sessionId, setSessionId] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const selected = useRef(null);
+  const lastSeq = useRef(0);
+  const selectSessionRef = useRef(() => {});
+
+  const issueNumber = run?.issueNumber;
+  const repo = run?.repo;
+  const query = repo ? `?repo=${encodeURIComponent(repo)}` : '';
+
+  // Session list of the run, plus live updates
+  useEffect(() => {
+    setSessions([]);
+    setEntries([]);
+    setSessionId(null);
+    selected.current = null;
+    if (!issueNumber) return undefined;
+
+    let isMounted = true;
+    let websocket = null;
+    let reconnectTimeout = null;
+
+    async function fetchSessions() {
+      try {
+        const response = await fetch(`${baseUrl}/api/runs/${issueNumber}/transcripts${query}`);
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        const data = await response.json();
+
+        if (isMounted) {
+          setSessions(data.sessions || []);
+          setError(null);
+          // Follow the latest session until the user picks one
+          if (!selected.current && data.sessions?.length > 0) {
+            selectSession(data.sessions[data.sessions.length - 1].sessionId);
+          }
+        }
+      } catch (err) {
+        console.error('[Transcript] Failed to fetch sessions:', err);
+        if (isMounted) {
+          setError(err.message);
+        }
+      }
+    }
+
+    function connect() {
+      websocket = new WebSocket(wsUrl);
+
+      websocket.onopen = () => {
+        websocket.send(JSON.stringify({ type: 'subscribe-transcript', issueNumber, repo }));
+        // Catch up on whatever happened while disconnected
+        fetchSessions();
+        if (selected.current) {
+          selectSession(selected.current);
+        }
+      };
+
+      websocket.onmessage = (event) => {
+        if (!isMounted) return;
+
+        try {
+          const data = JSON.parse(event.data);
+          if (data.type !== 'transcript') return;
+
+          const entry = data.entry;
+          setSessions(prev => applyToSessions(prev, entry));
+
+          if (!selected.current && entry.kind === 'session-start') {
+            selectSession(entry.sessionId);
+          } else if (entry.sessionId === selected.current && entry.seq > lastSeq.current) {
+            lastSeq.current = entry.seq;
+            setEntries(prev => [...prev, entry]);
+          }
+        } catch (err) {
+          console.error('[Transcript] Failed to parse message:', err);
+        }
+      };
+
+      websocket.onclose = () => {
+        if (isMounted) {
+          reconnectTimeout = setTimeout(() => {
+            if (isMounted) connect();
+          }, 3000);
+        }
+      };
+    }
+
+    async function selectSession(id) {
+      selected.current = id;
+      lastSeq.current = 0;
+      setSessionId(id);
+      setEntries([]);
+      if (!id) return;
+
+      setLoading(true);
+      try {
+        const response = await fetch(`${baseUrl}/api/runs/${issueNumber}/transcripts/${encodeURIComponent(id)}${query}`);
+        // A session that just started may have nothing saved yet
+        const data = response.ok ? await response.json() : { entries: [] };
+
+        if (isMounted && selected.current === id) {
+          // Keep live entries that arrived while fetching
+          setEntries(prev => {
+            const saved = data.entries || [];
+            const savedSeq = saved.length > 0 ? saved[saved.length - 1].seq : 0;
+            lastSeq.current = Math.max(lastSeq.current, savedSeq);
+            return [...saved, ...prev.filter(entry => entry.seq > savedSeq)];
+          });
+          setError(null);
+        }
+      } catch (err) {
+        console.error('[Transcript] Failed to fetch transcript:', err);
+        if (isMounted) {
+          setError(err.message);
+        }
+      } finally {
+        if (isMounted) {
+          setLoading(false);
+        }
+      }
+    }
+
+    selectSessionRef.current = selectSession;
+    connect();
+
+    // Cleanup
+    return () => {
+      isMounted = false;
+      selectSessionRef.current = () => {};
+      if (reconnectTimeout) {
+        clearTimeout(reconnectTimeout);
+      }
+      if (websocket) {
+        websocket.close();
+      }
+    };
+  }, [baseUrl, wsUrl, issueNumber, repo, query]);
+
+  const selectSession = (id) => selectSessionRef.current(id);
+
+  return { sessions, entries, sessionId, selectSession, loading, error };
+}
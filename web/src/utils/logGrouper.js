@@ -10,6 +10,13 @@ function extractIssueNumber(log) {
   return log.context?.issueNumber || log.context?.issue || null;
 }
 
+/**
+ * Extracts repository (owner/repo) from a log entry
+ */
+export function extractRepo(log) {
+  return log.repo || log.context?.repo || null;
+}
+
 /**
  * Determines stage from log message and context
  */
@@ -68,9 +75,11 @@ export function groupLogs(logs) {
 
   const issueMap = new Map();
   
-  // Group logs by issue number
+  // Group logs by issue number (per repository - numbers repeat across repos)
   logs.forEach(log => {
     const issueNum = extractIssueNumber(log);
+    const repo = extractRepo(log);
+    const issueKey = repo ? `${repo}#${issueNum}` : issueNum;
     if (!issueNum) {
       // Logs without issue number go to root
       if (!issueMap.has('root')) {
@@ -84,17 +93,18 @@ export function groupLogs(logs) {
       }
       issueMap.get('root').logs.push(log);
     } else {
-      if (!issueMap.has(issueNum)) {
-        issueMap.set(issueNum, {
-          id: `issue-${issueNum}`,
+      if (!issueMap.has(issueKey)) {
+        issueMap.set(issueKey, {
+          id: repo ? `issue-${repo}-${issueNum}` : `issue-${issueNum}`,
           type: 'issue',
           issueNumber: issueNum,
-          title: `Issue #${issueNum}`,
+          repo,
+          title: repo ? `${repo}#${issueNum}` : `Issue #${issueNum}`,
           logs: [],
           stages: new Map(),
         });
       }
-      issueMap.get(issueNum).logs.push(log);
+      issueMap.get(issueKey).logs.push(log);
     }
   });
 
@@ -0,0 +1,120 @@
+/**
+ * Turns agent transcript entries into what the transcript viewer shows
+ */
+
+/**
+ * Builds the items of one session's transcript
+ * Message deltas are joined per part and tool calls paired with their output.
+ * @param {Array} entries - Transcript entries of one session, in order
+ * @returns {{items: Array, start: Object|null, end: Object|null}}
+ */
+export function buildTranscript(entries) {
+  const items = [];
+  const parts = new Map();
+  const tools = new Map();
+  let start = null;
+  let end = null;
+
+  for (const entry of entries) {
+    switch (entry.kind) {
+      case 'session-start':
+        start = entry;
+        break;
+
+      case 'session-end':
+        end = entry;
+        break;
+
+      case 'prompt':
+        items.push({ type: 'prompt', key: `prompt-${entry.seq}`, text: entry.text, timestamp: entry.timestamp });
+        break;
+
+      case 'message': {
+        const existing = entry.partId && parts.get(entry.partId);
+        if (existing) {
+          existing.text = entry.delta !== undefined ? existing.text + entry.delta : entry.text;
+        } else {
+          const item = { type: 'message', key: `message-${entry.seq}`, text: entry.delta ?? entry.text ?? '', timestamp: entry.timestamp };
+          if (entry.partId) parts.set(entry.partId, item);
+          items.push(item);
+        }
+        break;
+      }
+
+      case 'tool-call': {
+        const item = { type: 'tool', key: `tool-${entry.seq}`, tool: entry.tool, input: entry.input, status: 'running', timestamp: entry.timestamp };
+        tools.set(entry.callId || item.key, item);
+        items.push(item);
+        break;
+      }
+
+      case 'tool-output': {
+        // Outputs without a call id belong to the latest call of that tool
+        const item = tools.get(entry.callId) ||
+          [...items].reverse().find(candidate => candidate.type === 'tool' && candidate.tool === entry.tool && candidate.status === 'running');
+        if (item) {
+          Object.assign(item, { status: entry.status, output: entry.output, error: entry.error, outputTruncated: entry.outputTruncated });
+        }
+        break;
+      }
+
+      case 'notice':
+        items.push({ type: 'notice', key: `notice-${entry.seq}`, text: entry.message, timestamp: entry.timestamp });
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  // Fresh objects so React sees message and tool updates
+  return { items: items.map(item => ({ ...item })), start, end };
+}
+
+/**
+ * Updates the session list with a live transcript entry
+ * @param {Array} sessions - Session summaries (as from /api/runs/:n/transcripts)
+ * @param {Object} entry - Transcript entry
+ * @returns {Array} - Updated session list
+ */
+export function applyToSessions(sessions, entry) {
+  const index = sessions.findIndex(session => session.sessionId === entry.sessionId);
+  const session = index >= 0
+    ? { ...sessions[index] }
+    : {
+      sessionId: entry.sessionId,
+      agentName: entry.agentName,
+      issueNumber: entry.issueNumber,
+      startedAt: entry.timestamp,
+      endedAt: null,
+      status: 'running',
+      messages: 0,
+      toolCalls: 0
+    };
+
+  if (entry.kind === 'session-start') {
+    session.model = entry.model;
+    session.runtime = entry.runtime;
+  } else if (entry.kind === 'tool-call') {
+    session.toolCalls += 1;
+  } else if (entry.kind === 'session-end') {
+    session.endedAt = entry.timestamp;
+    session.status = entry.status;
+    session.error = entry.error;
+  }
+
+  if (index >= 0) {
+    return sessions.map((existing, i) => (i === index ? session : existing));
+  }
+  return [...sessions, session];
+}
+
+/**
+ * Formats a session duration (e.g. "2m 05s")
+ */
+export function formatDuration(startedAt, endedAt) {
+  if (!startedAt) return '';
+  const seconds = Math.max(0, Math.round(((endedAt ? new Date(endedAt) : new Date()) - new Date(startedAt)) / 1000));
+  const minutes = Math.floor(seconds / 60);
+  return minutes > 0 ? `${minutes}m ${String(seconds % 60).padStart(2, '0')}s` : `${seconds}s`;
+}